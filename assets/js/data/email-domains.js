@@ -0,0 +1,27 @@
+/**
+ * Common Email Domains
+ * Providers and top-level domains used by the email typo suggester
+ * Add a provider here if the suggester keeps "correcting" a real domain to it
+ */
+
+export const emailDomains = {
+  providers: [
+    'gmail.com', 'googlemail.com',
+    'yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.co.uk',
+    'hotmail.com', 'outlook.com', 'live.com', 'msn.com', 'hotmail.co.uk',
+    'icloud.com', 'me.com', 'mac.com',
+    'aol.com', 'aim.com',
+    'att.net', 'sbcglobal.net', 'bellsouth.net',
+    'comcast.net', 'verizon.net', 'charter.net', 'cox.net', 'spectrum.net',
+    'earthlink.net', 'windstream.net', 'centurylink.net', 'frontier.com',
+    'austin.rr.com', 'grandecom.net',
+    'protonmail.com', 'proton.me', 'pm.me',
+    'mail.com', 'gmx.com', 'zoho.com', 'fastmail.com', 'hey.com',
+  ],
+
+  tlds: [
+    'com', 'net', 'org', 'edu', 'gov', 'us', 'mil',
+    'io', 'co', 'info', 'biz', 'me', 'app', 'dev', 'tech', 'pro',
+    'ca', 'mx', 'uk', 'de', 'fr', 'au',
+  ],
+};
@@ -0,0 +1,100 @@
+/**
+ * Central Texas Gazetteer
+ * Cities and counties with approximate centroids (WGS84 decimal degrees)
+ * used by the service-area checker and airspace advisory
+ * Add places here; names are matched case-insensitively
+ */
+
+export const gazetteer = [
+  // Counties
+  { name: 'Bastrop County', type: 'county', lat: 30.104, lon: -97.312 },
+  { name: 'Bell County', type: 'county', lat: 31.037, lon: -97.478 },
+  { name: 'Bexar County', type: 'county', lat: 29.449, lon: -98.52 },
+  { name: 'Blanco County', type: 'county', lat: 30.266, lon: -98.4 },
+  { name: 'Bosque County', type: 'county', lat: 31.9, lon: -97.637 },
+  { name: 'Brazos County', type: 'county', lat: 30.661, lon: -96.302 },
+  { name: 'Burleson County', type: 'county', lat: 30.492, lon: -96.621 },
+  { name: 'Burnet County', type: 'county', lat: 30.789, lon: -98.182 },
+  { name: 'Caldwell County', type: 'county', lat: 29.837, lon: -97.62 },
+  { name: 'Comal County', type: 'county', lat: 29.808, lon: -98.278 },
+  { name: 'Coryell County', type: 'county', lat: 31.391, lon: -97.799 },
+  { name: 'Falls County', type: 'county', lat: 31.253, lon: -96.936 },
+  { name: 'Fayette County', type: 'county', lat: 29.877, lon: -96.92 },
+  { name: 'Gillespie County', type: 'county', lat: 30.318, lon: -98.946 },
+  { name: 'Gonzales County', type: 'county', lat: 29.456, lon: -97.492 },
+  { name: 'Guadalupe County', type: 'county', lat: 29.583, lon: -97.949 },
+  { name: 'Hamilton County', type: 'county', lat: 31.705, lon: -98.111 },
+  { name: 'Hays County', type: 'county', lat: 30.058, lon: -98.031 },
+  { name: 'Hill County', type: 'county', lat: 31.991, lon: -97.132 },
+  { name: 'Kendall County', type: 'county', lat: 29.945, lon: -98.712 },
+  { name: 'Kerr County', type: 'county', lat: 30.062, lon: -99.35 },
+  { name: 'Lampasas County', type: 'county', lat: 31.196, lon: -98.241 },
+  { name: 'Lee County', type: 'county', lat: 30.31, lon: -96.966 },
+  { name: 'Limestone County', type: 'county', lat: 31.545, lon: -96.58 },
+  { name: 'Llano County', type: 'county', lat: 30.706, lon: -98.684 },
+  { name: 'Mason County', type: 'county', lat: 30.718, lon: -99.226 },
+  { name: 'McLennan County', type: 'county', lat: 31.552, lon: -97.202 },
+  { name: 'Milam County', type: 'county', lat: 30.786, lon: -96.977 },
+  { name: 'Mills County', type: 'county', lat: 31.495, lon: -98.595 },
+  { name: 'Robertson County', type: 'county', lat: 31.027, lon: -96.514 },
+  { name: 'San Saba County', type: 'county', lat: 31.155, lon: -98.818 },
+  { name: 'Travis County', type: 'county', lat: 30.334, lon: -97.782 },
+  { name: 'Washington County', type: 'county', lat: 30.214, lon: -96.403 },
+  { name: 'Williamson County', type: 'county', lat: 30.648, lon: -97.601 },
+
+  // Cities and towns
+  { name: 'Austin', type: 'city', county: 'Travis', lat: 30.2672, lon: -97.7431 },
+  { name: 'Bastrop', type: 'city', county: 'Bastrop', lat: 30.1105, lon: -97.3153 },
+  { name: 'Bee Cave', type: 'city', county: 'Travis', lat: 30.3085, lon: -97.945 },
+  { name: 'Belton', type: 'city', county: 'Bell', lat: 31.056, lon: -97.4645 },
+  { name: 'Blanco', type: 'city', county: 'Blanco', lat: 30.098, lon: -98.4214 },
+  { name: 'Boerne', type: 'city', county: 'Kendall', lat: 29.7947, lon: -98.732 },
+  { name: 'Brenham', type: 'city', county: 'Washington', lat: 30.1669, lon: -96.3977 },
+  { name: 'Bryan', type: 'city', county: 'Brazos', lat: 30.6744, lon: -96.37 },
+  { name: 'Buda', type: 'city', county: 'Hays', lat: 30.0852, lon: -97.8403 },
+  { name: 'Burnet', type: 'city', county: 'Burnet', lat: 30.7582, lon: -98.2284 },
+  { name: 'Cameron', type: 'city', county: 'Milam', lat: 30.8533, lon: -96.9769 },
+  { name: 'Cedar Park', type: 'city', county: 'Williamson', lat: 30.5052, lon: -97.8203 },
+  { name: 'College Station', type: 'city', county: 'Brazos', lat: 30.628, lon: -96.3344 },
+  { name: 'Copperas Cove', type: 'city', county: 'Coryell', lat: 31.1241, lon: -97.9031 },
+  { name: 'Dripping Springs', type: 'city', county: 'Hays', lat: 30.1902, lon: -98.0867 },
+  { name: 'Elgin', type: 'city', county: 'Bastrop', lat: 30.3496, lon: -97.3703 },
+  { name: 'Fredericksburg', type: 'city', county: 'Gillespie', lat: 30.2752, lon: -98.872 },
+  { name: 'Gatesville', type: 'city', county: 'Coryell', lat: 31.4352, lon: -97.7439 },
+  { name: 'Georgetown', type: 'city', county: 'Williamson', lat: 30.6333, lon: -97.678 },
+  { name: 'Giddings', type: 'city', county: 'Lee', lat: 30.1827, lon: -96.9364 },
+  { name: 'Gonzales', type: 'city', county: 'Gonzales', lat: 29.5016, lon: -97.4525 },
+  { name: 'Hamilton', type: 'city', county: 'Hamilton', lat: 31.704, lon: -98.1239 },
+  { name: 'Harker Heights', type: 'city', county: 'Bell', lat: 31.0838, lon: -97.6597 },
+  { name: 'Hewitt', type: 'city', county: 'McLennan', lat: 31.4624, lon: -97.1961 },
+  { name: 'Horseshoe Bay', type: 'city', county: 'Llano', lat: 30.5441, lon: -98.3739 },
+  { name: 'Hutto', type: 'city', county: 'Williamson', lat: 30.5427, lon: -97.5467 },
+  { name: 'Johnson City', type: 'city', county: 'Blanco', lat: 30.2769, lon: -98.412 },
+  { name: 'Kerrville', type: 'city', county: 'Kerr', lat: 30.0474, lon: -99.1403 },
+  { name: 'Killeen', type: 'city', county: 'Bell', lat: 31.1171, lon: -97.7278 },
+  { name: 'Kingsland', type: 'city', county: 'Llano', lat: 30.6588, lon: -98.4406 },
+  { name: 'Kyle', type: 'city', county: 'Hays', lat: 29.9891, lon: -97.8772 },
+  { name: 'La Grange', type: 'city', county: 'Fayette', lat: 29.9055, lon: -96.8766 },
+  { name: 'Lakeway', type: 'city', county: 'Travis', lat: 30.3638, lon: -97.9795 },
+  { name: 'Lampasas', type: 'city', county: 'Lampasas', lat: 31.0638, lon: -98.1817 },
+  { name: 'Leander', type: 'city', county: 'Williamson', lat: 30.5788, lon: -97.8531 },
+  { name: 'Llano', type: 'city', county: 'Llano', lat: 30.7594, lon: -98.6751 },
+  { name: 'Lockhart', type: 'city', county: 'Caldwell', lat: 29.8849, lon: -97.67 },
+  { name: 'Luling', type: 'city', county: 'Caldwell', lat: 29.6805, lon: -97.6475 },
+  { name: 'Manor', type: 'city', county: 'Travis', lat: 30.3408, lon: -97.5569 },
+  { name: 'Marble Falls', type: 'city', county: 'Burnet', lat: 30.5782, lon: -98.2728 },
+  { name: 'New Braunfels', type: 'city', county: 'Comal', lat: 29.703, lon: -98.1245 },
+  { name: 'Pflugerville', type: 'city', county: 'Travis', lat: 30.4394, lon: -97.62 },
+  { name: 'Rockdale', type: 'city', county: 'Milam', lat: 30.6555, lon: -97.0014 },
+  { name: 'Round Rock', type: 'city', county: 'Williamson', lat: 30.5083, lon: -97.6789 },
+  { name: 'Salado', type: 'city', county: 'Bell', lat: 30.9471, lon: -97.5386 },
+  { name: 'San Antonio', type: 'city', county: 'Bexar', lat: 29.4241, lon: -98.4936 },
+  { name: 'San Marcos', type: 'city', county: 'Hays', lat: 29.8833, lon: -97.9414 },
+  { name: 'San Saba', type: 'city', county: 'San Saba', lat: 31.1957, lon: -98.7181 },
+  { name: 'Seguin', type: 'city', county: 'Guadalupe', lat: 29.5688, lon: -97.9647 },
+  { name: 'Smithville', type: 'city', county: 'Bastrop', lat: 30.008, lon: -97.1594 },
+  { name: 'Taylor', type: 'city', county: 'Williamson', lat: 30.5708, lon: -97.4092 },
+  { name: 'Temple', type: 'city', county: 'Bell', lat: 31.0982, lon: -97.3428 },
+  { name: 'Waco', type: 'city', county: 'McLennan', lat: 31.5493, lon: -97.1467 },
+  { name: 'Wimberley', type: 'city', county: 'Hays', lat: 29.9974, lon: -98.0986 },
+];
@@ -0,0 +1,216 @@
+/**
+ * English Message Catalog
+ * Source copy for the form, quote wizard, drafts, estimator, service-area and airspace
+ * checks and lightbox (see i18n.js)
+ * Placeholders look like {name}; entries with one/other forms are picked by {count}
+ * Every other catalog should have the same keys
+ */
+
+export const en = {
+  validation: {
+    required: 'This field is required',
+    invalidEmail: 'Please enter a valid email address',
+    invalidPhone: 'Please enter a valid phone number',
+    invalidName: 'Please enter a valid name (2-100 characters)',
+    tooShort: {
+      one: 'Please enter at least {count} character',
+      other: 'Please enter at least {count} characters',
+    },
+    tooLong: {
+      one: 'Please keep this to {count} character or fewer',
+      other: 'Please keep this to {count} characters or fewer',
+    },
+    invalidFormat: 'Please match the requested format',
+    remoteInvalid: 'We could not verify this value',
+    summaryTitle: {
+      one: 'Please fix this problem before sending:',
+      other: 'Please fix these {count} problems before sending:',
+    },
+    // One error summary entry: the field's label or group legend, then its error
+    summaryEntry: '{label}: {message}',
+    // {email} becomes a button that applies the suggestion
+    emailSuggestion: 'Did you mean {email}?',
+    fileType: '{name} isn’t a supported file. Please attach {types}.',
+    fileTooLarge: '{name} is too large. Files can be up to {size}.',
+    filesTooLarge: 'Your attachments add up to more than {size}. Please remove some.',
+    tooManyFiles: {
+      one: 'Please attach no more than {count} file',
+      other: 'Please attach no more than {count} files',
+    },
+  },
+
+  rateLimit: {
+    // {time} becomes a live m:ss countdown
+    limited: 'Too many submissions. Please try again in {time}.',
+  },
+
+  submission: {
+    sending: 'Sending…',
+    successTitle: 'Request sent',
+    success: 'Thanks! We’ll get back to you with a quote and availability shortly.',
+    error: 'Something went wrong sending your request. Please try again.',
+    networkError: 'We couldn’t reach the server. Check your connection and try again.',
+    queuedTitle: 'Queued — will send when you’re back online',
+    queued: 'Your request is saved on this device and will be sent automatically once you have a connection.',
+    queuedFailed: 'Your saved request couldn’t be sent. Please check the details and send it again.',
+  },
+
+  wizard: {
+    next: 'Next',
+    back: 'Back',
+    status: 'Step {current} of {total}: {title}',
+  },
+
+  drafts: {
+    // {age} becomes e.g. "5 minutes ago" or "yesterday"
+    prompt: 'You have an unsent draft from {age}. Restore it?',
+    region: 'Saved draft',
+    restore: 'Restore draft',
+    discard: 'Start fresh',
+  },
+
+  attachments: {
+    drop: 'Drag files here or choose them',
+    list: 'Attached files',
+    // {name} is the file name
+    remove: 'Remove {name}',
+    status: {
+      one: '{count} file attached',
+      other: '{count} files attached',
+    },
+    none: 'No files attached',
+  },
+
+  boundary: {
+    // {centroid} is "lat, lon"
+    summary: {
+      one: '{count} acre, centered on {centroid}',
+      other: '{count} acres, centered on {centroid}',
+    },
+    preview: 'Property outline',
+    invalid: 'We couldn’t find a property outline in {name}. Please choose a KML, KMZ or GeoJSON file with a polygon.',
+  },
+
+  siteDraw: {
+    label: 'Site drawing',
+    instructions: 'Click to add corners and drag them to adjust. With a keyboard, move the crosshair with the arrow keys (hold Shift for bigger steps) and press Enter to add a corner. Tab to a corner to move it with the arrow keys or remove it with Delete.',
+    undo: 'Undo last corner',
+    clear: 'Clear drawing',
+    // {coordinates} is "lat, lon"
+    corner: 'Corner {index} of {total} at {coordinates}',
+    crosshair: 'Crosshair at {coordinates}',
+    summary: {
+      one: '{count} acre, {perimeter} ft around',
+      other: '{count} acres, {perimeter} ft around',
+    },
+    needMore: {
+      one: 'Add {count} more corner to measure your site',
+      other: 'Add {count} more corners to measure your site',
+    },
+  },
+
+  booking: {
+    label: 'Preferred shoot date',
+    previous: 'Previous month',
+    next: 'Next month',
+    // {date} is the full date, e.g. "Saturday, November 7, 2026"
+    unavailable: '{date}, unavailable',
+    windowsFor: 'Time windows on {date}',
+    windowBooked: 'Booked',
+    golden: 'Golden hour',
+    sun: 'Sunrise {sunrise}, sunset {sunset} at {place}',
+    none: 'No date picked yet (optional)',
+    selectedDate: 'Selected: {date}. Pick a time window, or leave it open.',
+    selected: 'Selected: {date}, {window} ({start}–{end})',
+    clear: 'Clear date',
+    loadError: 'We couldn’t load our calendar, so booked dates aren’t shown. We’ll confirm your date.',
+    windows: {
+      sunrise: 'Sunrise',
+      morning: 'Morning',
+      afternoon: 'Afternoon',
+      sunset: 'Sunset',
+    },
+  },
+
+  estimator: {
+    acres: 'Site size (acres)',
+    deliverables: 'Deliverables',
+    miles: 'Travel distance from our base (miles)',
+    rush: 'Rush job (within a week)',
+    // {low} and {high} are prices
+    range: '{low} – {high}',
+    travel: 'Includes {travel} travel',
+    summaryTitle: 'Estimate request',
+    summaryRange: 'Estimated range',
+    yes: 'Yes',
+    no: 'No',
+    // Keyed like config.estimator.pricing
+    services: {
+      'real-estate': 'Real Estate',
+      construction: 'Construction Progress',
+      inspections: 'Inspections',
+      'ranch-farm': 'Land & Ranch',
+      mapping: 'Mapping & Orthomosaics',
+      events: 'Events',
+    },
+    // Keyed like config.estimator.deliverables
+    deliverableNames: {
+      photo: 'Photos',
+      video: 'Video',
+      orthomosaic: 'Orthomosaic Map',
+      '3d-model': '3D Model',
+    },
+  },
+
+  serviceArea: {
+    // {fee} is a price
+    noFee: '{place} is about {miles} miles from our base — no travel fee.',
+    fee: '{place} is about {miles} miles from our base — travel fee {fee}.',
+    outOfArea: '{place} is about {miles} miles away, outside our usual service area. You can still send your request and we’ll confirm availability and travel costs.',
+    unknown: 'We don’t have that place on our list yet. We’ll confirm coverage when we reply.',
+  },
+
+  airspace: {
+    titles: {
+      controlled: 'LAANC authorization likely needed',
+      airport: 'Near an airport',
+      clear: 'No controlled airspace nearby',
+      unknown: 'Location not found',
+    },
+    // {airspace} is a list of controlledName and airportName entries
+    messages: {
+      controlled: '{place} is inside {airspace}. We request FAA authorization through LAANC before flying, which can add a little lead time.',
+      airport: '{place} is within 5 miles of {airspace}. We coordinate with the airport before flying.',
+      clear: 'We didn’t find controlled airspace at {place}. We still check TFRs and NOTAMs before every flight.',
+      unknown: 'Try a nearby Central Texas town or county, or coordinates like 30.27, -97.74.',
+    },
+    controlledName: '{name} Class {class} airspace',
+    airportName: '{name} ({ident})',
+    disclaimer: 'Advisory only, based on approximate data — not for flight planning.',
+  },
+
+  lightbox: {
+    dialog: 'Image lightbox',
+    open: '{alt} - Click to view larger',
+    openUntitled: 'View image in lightbox',
+    image: 'Image in lightbox view',
+    previous: 'Previous image',
+    next: 'Next image',
+    close: 'Close',
+    // e.g. "3 of 6"
+    counter: '{index} of {total}',
+    zoomHint: 'Press + or - to zoom and 0 to reset. When zoomed, the arrow keys move the image.',
+    expand: 'View comparison larger',
+    video: 'Video',
+    panorama: '360° panorama: {alt}. Drag or use the arrow keys to look around.',
+    panoramaUntitled: '360° panorama. Drag or use the arrow keys to look around.',
+  },
+
+  compare: {
+    label: 'Before and after comparison',
+    before: 'Before',
+    after: 'After',
+    // Slider value, e.g. "30% before, 70% after"
+    value: '{before}% before, {after}% after',
+  },
+};
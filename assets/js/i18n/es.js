@@ -0,0 +1,198 @@
+/**
+ * Spanish Message Catalog
+ * Same keys as en.js; missing keys fall back to English
+ */
+
+export const es = {
+  validation: {
+    required: 'Este campo es obligatorio',
+    invalidEmail: 'Introduce un correo electrónico válido',
+    invalidPhone: 'Introduce un número de teléfono válido',
+    invalidName: 'Introduce un nombre válido (de 2 a 100 caracteres)',
+    tooShort: {
+      one: 'Escribe al menos {count} carácter',
+      other: 'Escribe al menos {count} caracteres',
+    },
+    tooLong: {
+      one: 'Usa como máximo {count} carácter',
+      other: 'Usa como máximo {count} caracteres',
+    },
+    invalidFormat: 'Usa el formato solicitado',
+    remoteInvalid: 'No pudimos verificar este valor',
+    summaryTitle: {
+      one: 'Corrige este problema antes de enviar:',
+      other: 'Corrige estos {count} problemas antes de enviar:',
+    },
+    summaryEntry: '{label}: {message}',
+    emailSuggestion: '¿Quisiste decir {email}?',
+    fileType: '{name} no es un archivo compatible. Adjunta {types}.',
+    fileTooLarge: '{name} es demasiado grande. Cada archivo puede ocupar hasta {size}.',
+    filesTooLarge: 'Tus archivos adjuntos superan {size} en total. Quita alguno.',
+    tooManyFiles: {
+      one: 'Adjunta como máximo {count} archivo',
+      other: 'Adjunta como máximo {count} archivos',
+    },
+  },
+
+  rateLimit: {
+    limited: 'Demasiados envíos. Inténtalo de nuevo en {time}.',
+  },
+
+  submission: {
+    sending: 'Enviando…',
+    successTitle: 'Solicitud enviada',
+    success: '¡Gracias! Te responderemos pronto con una cotización y nuestra disponibilidad.',
+    error: 'Algo salió mal al enviar tu solicitud. Inténtalo de nuevo.',
+    networkError: 'No pudimos conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+    queuedTitle: 'En cola: se enviará cuando vuelvas a tener conexión',
+    queued: 'Tu solicitud está guardada en este dispositivo y se enviará automáticamente cuando tengas conexión.',
+    queuedFailed: 'No pudimos enviar tu solicitud guardada. Revisa los datos y vuelve a enviarla.',
+  },
+
+  wizard: {
+    next: 'Siguiente',
+    back: 'Atrás',
+    status: 'Paso {current} de {total}: {title}',
+  },
+
+  drafts: {
+    prompt: 'Tienes un borrador sin enviar guardado {age}. ¿Quieres recuperarlo?',
+    region: 'Borrador guardado',
+    restore: 'Recuperar borrador',
+    discard: 'Empezar de nuevo',
+  },
+
+  attachments: {
+    drop: 'Arrastra los archivos aquí o selecciónalos',
+    list: 'Archivos adjuntos',
+    remove: 'Quitar {name}',
+    status: {
+      one: '{count} archivo adjunto',
+      other: '{count} archivos adjuntos',
+    },
+    none: 'No hay archivos adjuntos',
+  },
+
+  boundary: {
+    summary: {
+      one: '{count} acre, con centro en {centroid}',
+      other: '{count} acres, con centro en {centroid}',
+    },
+    preview: 'Contorno de la propiedad',
+    invalid: 'No encontramos el contorno de una propiedad en {name}. Elige un archivo KML, KMZ o GeoJSON con un polígono.',
+  },
+
+  siteDraw: {
+    label: 'Dibujo del terreno',
+    instructions: 'Haz clic para añadir esquinas y arrástralas para ajustarlas. Con el teclado, mueve la cruz con las flechas (mantén Mayús para pasos más grandes) y pulsa Intro para añadir una esquina. Usa Tab para ir a una esquina, muévela con las flechas o quítala con Supr.',
+    undo: 'Deshacer última esquina',
+    clear: 'Borrar dibujo',
+    corner: 'Esquina {index} de {total} en {coordinates}',
+    crosshair: 'Cruz en {coordinates}',
+    summary: {
+      one: '{count} acre, {perimeter} pies de perímetro',
+      other: '{count} acres, {perimeter} pies de perímetro',
+    },
+    needMore: {
+      one: 'Añade {count} esquina más para medir tu terreno',
+      other: 'Añade {count} esquinas más para medir tu terreno',
+    },
+  },
+
+  booking: {
+    label: 'Fecha preferida para la grabación',
+    previous: 'Mes anterior',
+    next: 'Mes siguiente',
+    unavailable: '{date}, no disponible',
+    windowsFor: 'Franjas horarias del {date}',
+    windowBooked: 'Reservado',
+    golden: 'Hora dorada',
+    sun: 'Amanecer {sunrise}, atardecer {sunset} en {place}',
+    none: 'Aún no has elegido fecha (opcional)',
+    selectedDate: 'Elegido: {date}. Elige una franja horaria o déjala abierta.',
+    selected: 'Elegido: {date}, {window} ({start}–{end})',
+    clear: 'Borrar fecha',
+    loadError: 'No pudimos cargar nuestro calendario, así que no se muestran las fechas reservadas. Confirmaremos tu fecha.',
+    windows: {
+      sunrise: 'Amanecer',
+      morning: 'Mañana',
+      afternoon: 'Tarde',
+      sunset: 'Atardecer',
+    },
+  },
+
+  estimator: {
+    acres: 'Tamaño del terreno (acres)',
+    deliverables: 'Entregables',
+    miles: 'Distancia desde nuestra base (millas)',
+    rush: 'Trabajo urgente (en menos de una semana)',
+    range: '{low} – {high}',
+    travel: 'Incluye {travel} de desplazamiento',
+    summaryTitle: 'Solicitud de presupuesto',
+    summaryRange: 'Rango estimado',
+    yes: 'Sí',
+    no: 'No',
+    services: {
+      'real-estate': 'Bienes raíces',
+      construction: 'Avance de obra',
+      inspections: 'Inspecciones',
+      'ranch-farm': 'Terrenos y ranchos',
+      mapping: 'Mapeo y ortomosaicos',
+      events: 'Eventos',
+    },
+    deliverableNames: {
+      photo: 'Fotos',
+      video: 'Video',
+      orthomosaic: 'Mapa ortomosaico',
+      '3d-model': 'Modelo 3D',
+    },
+  },
+
+  serviceArea: {
+    noFee: '{place} está a unas {miles} millas de nuestra base: sin cargo por desplazamiento.',
+    fee: '{place} está a unas {miles} millas de nuestra base: cargo por desplazamiento de {fee}.',
+    outOfArea: '{place} está a unas {miles} millas, fuera de nuestra zona de servicio habitual. Puedes enviar tu solicitud igualmente y te confirmaremos la disponibilidad y los costos de desplazamiento.',
+    unknown: 'Aún no tenemos ese lugar en nuestra lista. Confirmaremos la cobertura en nuestra respuesta.',
+  },
+
+  airspace: {
+    titles: {
+      controlled: 'Probablemente se necesite autorización LAANC',
+      airport: 'Cerca de un aeropuerto',
+      clear: 'No hay espacio aéreo controlado cerca',
+      unknown: 'No encontramos el lugar',
+    },
+    messages: {
+      controlled: '{place} está dentro del {airspace}. Solicitamos autorización de la FAA mediante LAANC antes de volar, lo que puede añadir algo de tiempo.',
+      airport: '{place} está a menos de 5 millas de {airspace}. Nos coordinamos con el aeropuerto antes de volar.',
+      clear: 'No encontramos espacio aéreo controlado en {place}. Aun así, revisamos las TFR y los NOTAM antes de cada vuelo.',
+      unknown: 'Prueba con un pueblo o condado cercano del centro de Texas, o con coordenadas como 30.27, -97.74.',
+    },
+    controlledName: 'espacio aéreo Clase {class} de {name}',
+    airportName: '{name} ({ident})',
+    disclaimer: 'Solo orientativo, basado en datos aproximados; no sirve para planificar vuelos.',
+  },
+
+  lightbox: {
+    dialog: 'Visor de imágenes',
+    open: '{alt}: haz clic para ampliar',
+    openUntitled: 'Ver imagen ampliada',
+    image: 'Imagen en el visor',
+    previous: 'Imagen anterior',
+    next: 'Imagen siguiente',
+    close: 'Cerrar',
+    counter: '{index} de {total}',
+    zoomHint: 'Pulsa + o - para hacer zoom y 0 para restablecer. Con zoom, las flechas mueven la imagen.',
+    expand: 'Ver comparación ampliada',
+    video: 'Video',
+    panorama: 'Panorama de 360°: {alt}. Arrastra o usa las flechas para mirar alrededor.',
+    panoramaUntitled: 'Panorama de 360°. Arrastra o usa las flechas para mirar alrededor.',
+  },
+
+  compare: {
+    label: 'Comparación de antes y después',
+    before: 'Antes',
+    after: 'Después',
+    value: '{before} % antes, {after} % después',
+  },
+};
@@ -4,8 +4,21 @@
  */
 
 import { utils } from './modules/utils.js';
+import { i18n } from './modules/i18n.js';
 import { lazyLoading } from './modules/lazy-loading.js';
 import { formValidation } from './modules/form-validation.js';
+import { phoneInput } from './modules/phone-input.js';
+import { attachments } from './modules/attachments.js';
+import { offlineQueue } from './modules/offline-queue.js';
+import { quoteWizard } from './modules/quote-wizard.js';
+import { formDrafts } from './modules/form-drafts.js';
+import { priceEstimator } from './modules/price-estimator.js';
+import { serviceArea } from './modules/service-area.js';
+import { airspace } from './modules/airspace.js';
+import { boundary } from './modules/boundary.js';
+import { siteDraw } from './modules/site-draw.js';
+import { booking } from './modules/booking.js';
+import { compare } from './modules/compare.js';
 import { lightbox } from './modules/lightbox.js';
 import { analytics } from './modules/analytics.js';
 import { smoothScroll } from './modules/smooth-scroll.js';
@@ -56,8 +69,24 @@ class App {
     }
 
     // Initialize all modules with error boundaries
+    // i18n first, so other modules render in the detected language
+    this.initModule(i18n, 'i18n');
     this.initModule(lazyLoading, 'Lazy Loading');
     this.initModule(formValidation, 'Form Validation');
+    this.initModule(phoneInput, 'Phone Input');
+    this.initModule(attachments, 'Attachments');
+    this.initModule(offlineQueue, 'Offline Queue');
+    this.initModule(quoteWizard, 'Quote Wizard');
+    this.initModule(formDrafts, 'Form Drafts');
+    this.initModule(priceEstimator, 'Price Estimator');
+    this.initModule(serviceArea, 'Service Area');
+    this.initModule(airspace, 'Airspace Advisory');
+    // After the estimator, whose acres field it fills
+    this.initModule(boundary, 'Property Boundary');
+    this.initModule(siteDraw, 'Site Drawing');
+    this.initModule(booking, 'Booking Calendar');
+    // Before the lightbox, which shows sliders from galleries
+    this.initModule(compare, 'Compare Slider');
     this.initModule(lightbox, 'Lightbox');
     this.initModule(smoothScroll, 'Smooth Scroll');
     this.initModule(mobileCTA, 'Mobile CTA');
@@ -0,0 +1,263 @@
+/**
+ * Airspace Advisory Module
+ * Checks an entered location against a local GeoJSON of Class B/C/D airspace
+ * and airport 5-mile rings, and shows a Part 107 pre-flight advisory
+ * Markup: <div class="airspace-advisory" data-airspace="<input id>" data-airspace-src="<json url>">
+ * Polygon features are tested with point-in-polygon; Point features with a
+ * radiusMiles property are treated as circles
+ * Copy comes from the i18n catalogs; shown advisories are re-rendered when the language changes
+ */
+
+import { serviceArea } from './service-area.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+const CONTROLLED_CLASSES = ['B', 'C', 'D'];
+
+// "30.27, -97.74" or "30.27 -97.74"
+const COORDINATE_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+
+export const airspace = {
+  // Data requests keyed by URL, shared by every advisory on the page
+  requests: new Map(),
+
+  /**
+   * Initialize every advisory element on the page
+   */
+  init() {
+    document.querySelectorAll('[data-airspace]').forEach(output => this._setupAdvisory(output));
+  },
+
+  /**
+   * Load an airspace GeoJSON file once
+   * @param {string} url - Data URL
+   * @returns {Promise<Object>} FeatureCollection
+   */
+  load(url) {
+    if (!this.requests.has(url)) {
+      const request = fetch(url, { headers: { Accept: 'application/json' } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Airspace data failed to load with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          // Allow a retry on the next check
+          this.requests.delete(url);
+          throw error;
+        });
+      this.requests.set(url, request);
+    }
+    return this.requests.get(url);
+  },
+
+  /**
+   * Turn an entered location into coordinates
+   * Accepts "lat, lon" or a place from the service-area gazetteer
+   * @param {string} value - Entered location
+   * @returns {{name: string, lat: number, lon: number}|null} Location, or null if unknown
+   */
+  resolveLocation(value) {
+    const match = COORDINATE_PATTERN.exec(String(value || ''));
+    if (match) {
+      const lat = Number(match[1]);
+      const lon = Number(match[2]);
+      if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        return { name: `${lat}, ${lon}`, lat, lon };
+      }
+      return null;
+    }
+
+    const place = serviceArea.lookup(value);
+    return place ? { name: place.name, lat: place.lat, lon: place.lon } : null;
+  },
+
+  /**
+   * Check whether a feature covers a point
+   * @param {Object} feature - GeoJSON feature (Polygon, MultiPolygon, or Point with radiusMiles)
+   * @param {{lat: number, lon: number}} point - Location
+   * @returns {boolean} True if the point is inside
+   */
+  containsPoint(feature, point) {
+    const { geometry, properties = {} } = feature;
+    if (!geometry) return false;
+
+    switch (geometry.type) {
+      case 'Point': {
+        const [lon, lat] = geometry.coordinates;
+        return Number(properties.radiusMiles) > 0 &&
+               serviceArea.distanceMiles({ lat, lon }, point) <= properties.radiusMiles;
+      }
+      case 'Polygon':
+        return this._inPolygon(geometry.coordinates, point);
+      case 'MultiPolygon':
+        return geometry.coordinates.some(polygon => this._inPolygon(polygon, point));
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Find the airspace covering a point
+   * @param {{lat: number, lon: number}} point - Location
+   * @param {Object} collection - GeoJSON FeatureCollection
+   * @returns {{level: string, features: Object[]}} level is "controlled", "airport" or "clear";
+   *   features are the ones that set the level
+   */
+  check(point, collection) {
+    const hits = (collection.features || []).filter(feature => this.containsPoint(feature, point));
+    const controlled = hits.filter(feature => CONTROLLED_CLASSES.includes(feature.properties?.class));
+    if (controlled.length > 0) {
+      return { level: 'controlled', features: controlled };
+    }
+
+    const airports = hits.filter(feature => feature.properties?.class === 'airport');
+    if (airports.length > 0) {
+      return { level: 'airport', features: airports };
+    }
+
+    return { level: 'clear', features: [] };
+  },
+
+  /**
+   * Get the advisory text for a check result
+   * @param {{name: string}} place - Checked location
+   * @param {{level: string, features: Object[]}} result - Result from check()
+   * @returns {string} Advisory message
+   */
+  formatAdvisory(place, result) {
+    const names = result.features.map(({ properties }) => (
+      CONTROLLED_CLASSES.includes(properties.class)
+        ? i18n.t('airspace.controlledName', { name: properties.name, class: properties.class })
+        : i18n.t('airspace.airportName', { name: properties.name, ident: properties.ident })
+    ));
+
+    return i18n.t(`airspace.messages.${result.level}`, { place: place.name, airspace: names.join(', ') });
+  },
+
+  /**
+   * Connect an advisory element to its input
+   * @param {HTMLElement} output - Element with data-airspace
+   * @private
+   */
+  _setupAdvisory(output) {
+    const input = document.getElementById(output.dataset.airspace);
+    if (!input) return;
+
+    const url = output.dataset.airspaceSrc || config.airspace.dataUrl;
+    const check = utils.debounce(() => this._update(input, output, url, false), config.airspace.inputDelay);
+
+    input.addEventListener('input', check, { passive: true });
+    input.addEventListener('change', () => this._update(input, output, url, true), { passive: true });
+
+    // Anything shown is for a resolved place or a committed unknown one
+    document.addEventListener('i18n:change', () => {
+      if (output.dataset.level) this._update(input, output, url, true);
+    });
+
+    if (input.value) {
+      this._update(input, output, url, true);
+    }
+  },
+
+  /**
+   * Check the input's current value and render the advisory
+   * @param {HTMLInputElement} input - Location input
+   * @param {HTMLElement} output - Advisory element
+   * @param {string} url - Data URL
+   * @param {boolean} final - True once the value is committed; unknown places are only reported then
+   * @returns {Promise<void>} Resolves when rendered
+   * @private
+   */
+  async _update(input, output, url, final) {
+    const value = input.value;
+    const place = this.resolveLocation(value);
+
+    if (!place) {
+      if (final && value.trim()) {
+        this._render(output, 'unknown', i18n.t('airspace.messages.unknown'));
+      } else if (!final) {
+        this._render(output, '', '');
+      }
+      return;
+    }
+
+    let collection;
+    try {
+      collection = await this.load(url);
+    } catch {
+      // Without data there is nothing useful to say
+      this._render(output, '', '');
+      return;
+    }
+
+    // The value changed while the data loaded; a newer check will render
+    if (input.value !== value) return;
+
+    const result = this.check(place, collection);
+    this._render(output, result.level, this.formatAdvisory(place, result));
+  },
+
+  /**
+   * Render an advisory, or clear it when text is empty
+   * @param {HTMLElement} output - Advisory element
+   * @param {string} level - Advisory level
+   * @param {string} text - Advisory message
+   * @private
+   */
+  _render(output, level, text) {
+    output.replaceChildren();
+    output.dataset.level = level;
+    if (!text) return;
+
+    const title = document.createElement('strong');
+    title.className = 'airspace-title';
+    title.textContent = i18n.t(`airspace.titles.${level}`);
+
+    const message = document.createElement('span');
+    message.className = 'airspace-message';
+    message.textContent = text;
+
+    output.append(title, message);
+
+    if (level !== 'unknown') {
+      const disclaimer = document.createElement('small');
+      disclaimer.className = 'airspace-disclaimer';
+      disclaimer.textContent = i18n.t('airspace.disclaimer');
+      output.append(disclaimer);
+    }
+  },
+
+  /**
+   * Point-in-polygon test with holes (ray casting on [lon, lat] rings)
+   * @param {Array<Array<number[]>>} rings - Outer ring followed by holes
+   * @param {{lat: number, lon: number}} point - Location
+   * @returns {boolean} True if inside the outer ring and outside every hole
+   * @private
+   */
+  _inPolygon(rings, point) {
+    const [outer, ...holes] = rings;
+    return this._inRing(outer, point) && !holes.some(hole => this._inRing(hole, point));
+  },
+
+  /**
+   * Ray-casting test against one ring
+   * @param {number[][]} ring - Closed ring of [lon, lat] positions
+   * @param {{lat: number, lon: number}} point - Location
+   * @returns {boolean} True if inside
+   * @private
+   */
+  _inRing(ring, { lat, lon }) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+};
@@ -0,0 +1,232 @@
+/**
+ * Anti-Spam Module
+ * Invisible bot signals for forms, checked by the relay (server/relay.js):
+ * - _elapsed: milliseconds from page load to submit
+ * - _interactions: focus, key and pointer counts as JSON
+ * - _pow: a hashcash-style proof-of-work stamp minted in a Web Worker on a
+ *   challenge fetched from the relay, which dates the stamp by the relay's clock
+ * Each signal is only filled if the form has a hidden field with that name,
+ * so forms opt in through markup. Forms that don't post to a relay listed in
+ * config.antiSpam.relayUrls leave the fields out, since any other service would
+ * only pass them on. No third-party CAPTCHA is involved.
+ */
+
+import { config } from './config.js';
+
+// Resolved against this module rather than the page, so pages in subfolders find it too
+const WORKER_URL = new URL('../workers/proof-of-work.js', import.meta.url);
+
+export const antiSpam = {
+  // Signal field names, in the order they are described above
+  fields: ['_elapsed', '_interactions', '_pow'],
+
+  // Per-form state: { start, focus, keys, pointer, token, stamp }
+  // stamp is undefined while solving, null if solving failed
+  forms: new WeakMap(),
+
+  /**
+   * Start collecting signals for a form, or leave its signal fields out if it doesn't post to a relay
+   * The proof of work starts on the first focus, so visitors who never touch the form pay nothing
+   * @param {HTMLFormElement} form - Form to watch
+   */
+  watch(form) {
+    if (!this.postsToRelay(form)) {
+      // Disabled fields aren't submitted
+      this.fields.forEach(name => {
+        const field = this._field(form, name);
+        if (field) field.disabled = true;
+      });
+      return;
+    }
+
+    const state = { start: Date.now(), focus: 0, keys: 0, pointer: 0, token: null, stamp: undefined };
+    this.forms.set(form, state);
+
+    form.addEventListener('focusin', () => {
+      state.focus++;
+      this._startSolving(form);
+    }, { passive: true });
+    form.addEventListener('keydown', () => { state.keys++; }, { passive: true });
+    form.addEventListener('pointerdown', () => { state.pointer++; }, { passive: true });
+  },
+
+  /**
+   * Check whether a form posts to a relay that checks the signals
+   * @param {HTMLFormElement} form - Form
+   * @returns {boolean} True if the form's action is under one of config.antiSpam.relayUrls
+   */
+  postsToRelay(form) {
+    return this._findRelay(form.action) !== null;
+  },
+
+  /**
+   * Check whether submitting now would go out without a stamp that is still being minted
+   * @param {HTMLFormElement} form - Form being submitted
+   * @returns {boolean} True if the form wants a stamp that isn't ready
+   */
+  isPending(form) {
+    const state = this.forms.get(form);
+    return Boolean(state && this._field(form, '_pow') && state.stamp === undefined);
+  },
+
+  /**
+   * Wait until the form's stamp is minted (or has failed)
+   * @param {HTMLFormElement} form - Form being submitted
+   * @returns {Promise<void>} Resolves when stamp() can run
+   */
+  async ready(form) {
+    if (!this.isPending(form)) return;
+    this._startSolving(form);
+    await this.forms.get(form).token;
+  },
+
+  /**
+   * Write the collected signals into the form's hidden fields
+   * A stamp is spent once written, and a fresh one is started for the next submission
+   * @param {HTMLFormElement} form - Form being submitted
+   */
+  stamp(form) {
+    const state = this.forms.get(form);
+    if (!state) return;
+
+    this._setField(form, '_elapsed', String(Date.now() - state.start));
+    this._setField(form, '_interactions', JSON.stringify({
+      focus: state.focus,
+      keys: state.keys,
+      pointer: state.pointer,
+    }));
+
+    if (this._field(form, '_pow') && state.stamp !== undefined) {
+      this._setField(form, '_pow', state.stamp || '');
+      state.token = null;
+      state.stamp = undefined;
+      this._startSolving(form);
+    }
+  },
+
+  /**
+   * Refresh the signals of a submission sent later than it was made (by the offline queue)
+   * The timing and interaction signals are kept as measured; the stamp is minted again,
+   * since the one from the page may have expired by now. The relay times a submission from
+   * the new stamp's challenge, so this resolves config.antiSpam.minElapsedMs after the stamp is in
+   * @param {Object<string, string>} signals - Signal fields saved with the submission
+   * @param {string} resource - Form name the stamp is for
+   * @param {string} action - Where the submission goes
+   * @returns {Promise<Array<string[]>>} [name, value] pairs to send
+   */
+  async restamp(signals, resource, action) {
+    const fields = Object.entries(signals).filter(([name]) => name !== '_pow');
+    if ('_pow' in signals) {
+      const stamp = await this.solve(resource, action);
+      if (stamp) {
+        await new Promise(resolve => setTimeout(resolve, config.antiSpam.minElapsedMs));
+      }
+      fields.push(['_pow', stamp || '']);
+    }
+    return fields;
+  },
+
+  /**
+   * Fetch a challenge from the relay and mint a stamp on it in a worker
+   * @param {string} resource - Form name the stamp is for
+   * @param {string} action - Relay URL the stamp will be sent to
+   * @returns {Promise<string|null>} Stamp, or null if the action isn't a relay, the challenge
+   *   can't be fetched, without Worker support, on error or timeout
+   */
+  solve(resource, action) {
+    const { bits, solveTimeout } = config.antiSpam;
+    const relay = this._findRelay(action);
+    if (!relay) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const controller = new AbortController();
+      let worker = null;
+      let done = false;
+
+      const finish = (stamp) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timeoutId);
+        controller.abort();
+        worker?.terminate();
+        resolve(stamp);
+      };
+      const timeoutId = setTimeout(() => finish(null), solveTimeout);
+
+      fetch(new URL('challenge', relay), {
+        headers: { Accept: 'application/json' },
+        cache: 'no-store',
+        signal: controller.signal,
+      })
+        .then(response => (response.ok ? response.json() : null))
+        .then(challenge => {
+          if (done) return;
+          if (!Number.isInteger(challenge?.timestamp) || typeof challenge.nonce !== 'string') {
+            finish(null);
+            return;
+          }
+
+          try {
+            worker = new Worker(WORKER_URL, { type: 'module' });
+          } catch {
+            // No workers (or blocked by CSP): submit without a stamp
+            finish(null);
+            return;
+          }
+          worker.addEventListener('message', (e) => finish(e.data.stamp || null));
+          worker.addEventListener('error', () => finish(null));
+          worker.postMessage({ resource, bits, timestamp: challenge.timestamp, nonce: challenge.nonce });
+        })
+        .catch(() => finish(null));
+    });
+  },
+
+  /**
+   * Start minting a stamp if the form wants one and none is in progress
+   * @param {HTMLFormElement} form - Watched form
+   * @private
+   */
+  _startSolving(form) {
+    const state = this.forms.get(form);
+    if (!state || state.token || !this._field(form, '_pow')) return;
+
+    state.token = this.solve(form.getAttribute('name') || 'form', form.action).then(stamp => {
+      state.stamp = stamp;
+    });
+  },
+
+  /**
+   * Find the relay a URL posts to
+   * @param {string} action - Form action or queued submission URL
+   * @returns {URL|null} Matching entry of config.antiSpam.relayUrls, or null
+   * @private
+   */
+  _findRelay(action) {
+    const target = new URL(action, document.baseURI);
+    const relays = config.antiSpam.relayUrls.map(url => new URL(url, document.baseURI));
+    return relays.find(relay => target.origin === relay.origin && target.pathname.startsWith(relay.pathname)) || null;
+  },
+
+  /**
+   * Find one of the form's signal fields
+   * @param {HTMLFormElement} form - Form
+   * @param {string} name - Field name
+   * @returns {HTMLInputElement|null} Field
+   * @private
+   */
+  _field(form, name) {
+    return form.querySelector(`input[name="${name}"]`);
+  },
+
+  /**
+   * Fill a signal field if the form has it
+   * @param {HTMLFormElement} form - Form
+   * @param {string} name - Field name
+   * @param {string} value - Value
+   * @private
+   */
+  _setField(form, name, value) {
+    const field = this._field(form, name);
+    if (field) field.value = value;
+  },
+};
@@ -0,0 +1,355 @@
+/**
+ * Attachments Module
+ * Enhances input[type="file"][data-attachments] with a drop zone, a list of
+ * attached files with image thumbnails and remove buttons, and downscaling of
+ * large photos before upload
+ * Files picked or dropped in several goes are merged into the input's FileList,
+ * so both AJAX and normal submissions send them; a "change" event is dispatched
+ * after every update so formValidation checks type, size and count
+ * While photos are being downscaled the input is pending (see isPending/ready), and
+ * formValidation holds back its checks and the submission until the list is final
+ * Browsers that can't build a FileList (no DataTransfer constructor) keep the plain input
+ */
+
+import { validationRules } from './validation-rules.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+// Types the browser can decode and re-encode on a canvas
+const SCALABLE_TYPES = ['image/jpeg', 'image/png'];
+
+export const attachments = {
+  // Attached entries per input: { key, file, url }
+  files: new WeakMap(),
+
+  // Additions still being downscaled per input
+  pending: new WeakMap(),
+
+  /**
+   * Initialize every attachment input on the page
+   */
+  init() {
+    if (!this.isSupported()) return;
+
+    const inputs = document.querySelectorAll('input[type="file"][data-attachments]');
+    inputs.forEach(input => this._setupInput(input));
+
+    document.addEventListener('i18n:change', () => inputs.forEach(input => this._render(input)));
+  },
+
+  /**
+   * Check whether the browser lets scripts set an input's files
+   * @returns {boolean} True if supported
+   */
+  isSupported() {
+    try {
+      return typeof DataTransfer === 'function' && Boolean(new DataTransfer().items);
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Check whether files are still being added to an input, or to any input in a form
+   * @param {HTMLInputElement|HTMLFormElement} target - Attachment input or its form
+   * @returns {boolean} True while downscaling is in progress
+   */
+  isPending(target) {
+    const inputs = target.tagName === 'FORM'
+      ? Array.from(target.querySelectorAll('input[type="file"]'))
+      : [target];
+    return inputs.some(input => this.pending.get(input)?.size > 0);
+  },
+
+  /**
+   * Wait until every pending addition to an input, or to any input in a form, is attached
+   * @param {HTMLInputElement|HTMLFormElement} target - Attachment input or its form
+   * @returns {Promise<void>} Resolves once isPending() is false
+   */
+  async ready(target) {
+    const inputs = target.tagName === 'FORM'
+      ? Array.from(target.querySelectorAll('input[type="file"]'))
+      : [target];
+    // Files picked while waiting add to the wait
+    while (this.isPending(target)) {
+      await Promise.allSettled(inputs.flatMap(input => Array.from(this.pending.get(input) || [])));
+    }
+  },
+
+  /**
+   * Check whether a change event on an input is the user's own pick, which this module
+   * replaces with the merged, downscaled list and a change event of its own
+   * @param {HTMLInputElement} input - File input
+   * @returns {boolean} True if the input's files aren't final yet
+   */
+  willSync(input) {
+    return this.files.has(input) && !input.dataset.syncing;
+  },
+
+  /**
+   * Add files to an input, downscaling large photos first
+   * Files already attached (same name, size and date) are skipped
+   * @param {HTMLInputElement} input - Attachment input
+   * @param {FileList|File[]} fileList - Files to add
+   * @returns {Promise<void>} Resolves once the input is updated
+   */
+  add(input, fileList) {
+    const task = this._add(input, fileList);
+    const tasks = this.pending.get(input) || new Set();
+    tasks.add(task);
+    this.pending.set(input, tasks);
+
+    const settle = () => tasks.delete(task);
+    task.then(settle, settle);
+    return task;
+  },
+
+  /**
+   * Merge, downscale and attach files; see add()
+   * @param {HTMLInputElement} input - Attachment input
+   * @param {FileList|File[]} fileList - Files to add
+   * @returns {Promise<void>} Resolves once the input is updated
+   * @private
+   */
+  async _add(input, fileList) {
+    const entries = this.files.get(input) || [];
+    const keys = new Set(entries.map(entry => entry.key));
+    const added = Array.from(fileList).filter(file => {
+      const key = this._getKey(file);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    });
+    if (added.length === 0) {
+      // A pick of only duplicates still replaced the input's files
+      this._sync(input);
+      return;
+    }
+
+    const scaled = await Promise.all(added.map(file => this.downscale(file)));
+    const current = this.files.get(input) || [];
+    this.files.set(input, [
+      ...current,
+      ...scaled.map((file, index) => ({
+        key: this._getKey(added[index]),
+        file,
+        url: file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+      })),
+    ]);
+    this._sync(input);
+  },
+
+  /**
+   * Remove an attached file
+   * @param {HTMLInputElement} input - Attachment input
+   * @param {string} key - Entry key
+   */
+  remove(input, key) {
+    const entries = this.files.get(input) || [];
+    const entry = entries.find(item => item.key === key);
+    if (!entry) return;
+
+    if (entry.url) URL.revokeObjectURL(entry.url);
+    this.files.set(input, entries.filter(item => item !== entry));
+    this._sync(input);
+  },
+
+  /**
+   * Shrink a photo so its longest side fits config.attachments.maxImageDimension
+   * The original is kept if it already fits, can't be decoded, or wouldn't get smaller
+   * @param {File} file - File to shrink
+   * @returns {Promise<File>} Downscaled file, or the original
+   */
+  async downscale(file) {
+    if (!SCALABLE_TYPES.includes(file.type) || typeof createImageBitmap !== 'function') {
+      return file;
+    }
+
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      return file;
+    }
+
+    const { maxImageDimension, imageQuality } = config.attachments;
+    const scale = maxImageDimension / Math.max(bitmap.width, bitmap.height);
+    if (scale >= 1) {
+      bitmap.close?.();
+      return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext('2d');
+    if (!context) {
+      bitmap.close?.();
+      return file;
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, file.type, imageQuality));
+    if (!blob || blob.size >= file.size) return file;
+
+    return new File([blob], file.name, { type: file.type, lastModified: file.lastModified });
+  },
+
+  /**
+   * Wrap an input in a drop zone and take over its file list
+   * @param {HTMLInputElement} input - Attachment input
+   * @private
+   */
+  _setupInput(input) {
+    const dropzone = document.createElement('div');
+    dropzone.className = 'attachment-dropzone';
+    input.parentNode.insertBefore(dropzone, input);
+
+    const hint = document.createElement('p');
+    hint.className = 'attachment-drop';
+
+    const list = document.createElement('ul');
+    list.className = 'attachment-list';
+    list.hidden = true;
+
+    const status = document.createElement('p');
+    status.className = 'attachment-status visually-hidden';
+    status.setAttribute('aria-live', 'polite');
+
+    dropzone.append(input, hint, list, status);
+    this.files.set(input, []);
+
+    input.addEventListener('change', () => {
+      // Ignore the event _sync dispatches for validation
+      if (input.dataset.syncing) return;
+      this.add(input, input.files);
+    });
+
+    dropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropzone.classList.add('is-dragover');
+    });
+    dropzone.addEventListener('dragleave', (e) => {
+      if (!dropzone.contains(e.relatedTarget)) {
+        dropzone.classList.remove('is-dragover');
+      }
+    });
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropzone.classList.remove('is-dragover');
+      if (!input.disabled && e.dataTransfer?.files.length) {
+        this.add(input, e.dataTransfer.files);
+      }
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.attachment-remove');
+      if (!button) return;
+      this.remove(input, button.closest('.attachment-item').dataset.key);
+      input.focus();
+    });
+
+    input.form?.addEventListener('reset', () => this._clear(input));
+
+    this._render(input);
+  },
+
+  /**
+   * Copy the attached files into the input and let validation know
+   * @param {HTMLInputElement} input - Attachment input
+   * @private
+   */
+  _sync(input) {
+    const transfer = new DataTransfer();
+    (this.files.get(input) || []).forEach(entry => transfer.items.add(entry.file));
+    input.files = transfer.files;
+
+    this._render(input);
+
+    input.dataset.syncing = 'true';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    delete input.dataset.syncing;
+  },
+
+  /**
+   * Drop every attached file, e.g. after the form is reset
+   * @param {HTMLInputElement} input - Attachment input
+   * @private
+   */
+  _clear(input) {
+    (this.files.get(input) || []).forEach(entry => {
+      if (entry.url) URL.revokeObjectURL(entry.url);
+    });
+    this.files.set(input, []);
+    this._render(input);
+  },
+
+  /**
+   * Render the drop hint, file list and status for the current locale
+   * @param {HTMLInputElement} input - Attachment input
+   * @private
+   */
+  _render(input) {
+    const dropzone = input.closest('.attachment-dropzone');
+    const entries = this.files.get(input) || [];
+
+    dropzone.querySelector('.attachment-drop').textContent = i18n.t('attachments.drop');
+
+    const list = dropzone.querySelector('.attachment-list');
+    list.setAttribute('aria-label', i18n.t('attachments.list'));
+    list.replaceChildren(...entries.map(entry => this._createItem(entry)));
+    list.hidden = entries.length === 0;
+
+    dropzone.querySelector('.attachment-status').textContent = entries.length > 0
+      ? i18n.t('attachments.status', { count: entries.length })
+      : i18n.t('attachments.none');
+  },
+
+  /**
+   * Create a list item for an attached file
+   * @param {{key: string, file: File, url: string|null}} entry - Attached file
+   * @returns {HTMLLIElement} List item
+   * @private
+   */
+  _createItem({ key, file, url }) {
+    const item = document.createElement('li');
+    item.className = 'attachment-item';
+    item.dataset.key = key;
+
+    if (url) {
+      const thumb = document.createElement('img');
+      thumb.className = 'attachment-thumb';
+      thumb.src = url;
+      thumb.alt = '';
+      item.append(thumb);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = file.name;
+
+    const size = document.createElement('span');
+    size.className = 'attachment-size';
+    size.textContent = validationRules.formatSize(file.size);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'attachment-remove';
+    button.setAttribute('aria-label', i18n.t('attachments.remove', { name: file.name }));
+    button.textContent = '×';
+
+    item.append(name, size, button);
+    return item;
+  },
+
+  /**
+   * Identify a file as picked, before any downscaling
+   * @param {File} file - File
+   * @returns {string} Key
+   * @private
+   */
+  _getKey(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+  },
+};
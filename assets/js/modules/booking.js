@@ -0,0 +1,795 @@
+/**
+ * Booking Calendar Module
+ * Lets visitors pick a preferred shoot date and time window on the contact form
+ * Availability (blocked dates, booked windows) comes from a local JSON file; golden-hour
+ * windows follow sunrise and sunset at the job site, and dates inside the lead time
+ * can't be picked
+ * Markup: <div data-booking data-booking-date="<date input id>"> with an optional
+ * data-booking-window, -start and -end (field ids for the window and its times),
+ * data-booking-location and -centroid (fields the site location is read from) and
+ * data-booking-src (availability URL). Without JavaScript the date input is a plain date picker
+ */
+
+import { airspace } from './airspace.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grid keys: days to move focus by ("week" keys are handled separately)
+const DAY_KEYS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  ArrowUp: -7,
+  ArrowDown: 7,
+};
+
+export const booking = {
+  // Availability requests keyed by URL, shared by every calendar on the page
+  requests: new Map(),
+
+  // Calendar state per container: availability, shown month, focused and selected date, window
+  calendars: new WeakMap(),
+
+  /**
+   * Initialize every calendar on the page
+   */
+  init() {
+    const containers = Array.from(document.querySelectorAll('[data-booking]'));
+    containers.forEach(container => this._setup(container));
+
+    document.addEventListener('i18n:change', () => {
+      containers.filter(container => this.calendars.has(container)).forEach(container => this._render(container));
+    });
+  },
+
+  /**
+   * Load an availability file once
+   * @param {string} url - Data URL
+   * @returns {Promise<Object>} Availability data
+   */
+  load(url) {
+    if (!this.requests.has(url)) {
+      const request = fetch(url, { headers: { Accept: 'application/json' } })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Availability failed to load with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch(error => {
+          // Allow a retry on the next page load
+          this.requests.delete(url);
+          throw error;
+        });
+      this.requests.set(url, request);
+    }
+    return this.requests.get(url);
+  },
+
+  /**
+   * Index availability data for lookups
+   * @param {Object} data - Parsed availability JSON
+   * @returns {{blockedDates: Set<string>, booked: Map<string, Set<string>>}} Availability
+   */
+  normalize(data) {
+    const booked = new Map();
+    (Array.isArray(data?.booked) ? data.booked : []).forEach(({ date, window: id }) => {
+      if (!booked.has(date)) booked.set(date, new Set());
+      booked.get(date).add(id);
+    });
+
+    return {
+      blockedDates: new Set(Array.isArray(data?.blockedDates) ? data.blockedDates : []),
+      booked,
+    };
+  },
+
+  /**
+   * Get today's date in the business's time zone
+   * @returns {string} YYYY-MM-DD
+   */
+  today() {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.booking.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).formatToParts(new Date());
+    const part = (type) => parts.find(entry => entry.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+  },
+
+  /**
+   * Add days to a date
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} days - Days to add (may be negative)
+   * @returns {string} YYYY-MM-DD
+   */
+  addDays(date, days) {
+    return new Date(this._toTime(date) + days * DAY_MS).toISOString().slice(0, 10);
+  },
+
+  /**
+   * Check whether a date can be picked: inside the booking range, not blocked,
+   * and with at least one window left
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object} availability - Result of normalize()
+   * @param {string} [today] - Today's date, YYYY-MM-DD
+   * @returns {boolean} True if bookable
+   */
+  isAvailable(date, availability, today = this.today()) {
+    const { leadDays, maxDays, windows } = config.booking;
+    if (date < this.addDays(today, leadDays) || date > this.addDays(today, maxDays)) return false;
+    if (availability.blockedDates.has(date)) return false;
+
+    const booked = availability.booked.get(date);
+    return !booked || windows.some(slot => !booked.has(slot.id));
+  },
+
+  /**
+   * Work out sunrise and sunset (NOAA solar equations, accurate to a minute or two)
+   * @param {string} date - YYYY-MM-DD
+   * @param {{lat: number, lon: number}} point - Location
+   * @returns {{sunrise: number, sunset: number}|null} Minutes after local midnight in
+   *   config.booking.timeZone, or null when the sun doesn't rise or set
+   */
+  sunTimes(date, { lat, lon }) {
+    const [year] = date.split('-').map(Number);
+    const dayOfYear = Math.round((this._toTime(date) - Date.UTC(year, 0, 1)) / DAY_MS) + 1;
+    const gamma = ((2 * Math.PI) / 365) * (dayOfYear - 1);
+
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+      0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+    const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+      0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+      0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+    // 90.833° allows for refraction and the size of the sun's disc
+    const latitude = (lat * Math.PI) / 180;
+    const cosHourAngle = Math.cos((90.833 * Math.PI) / 180) / (Math.cos(latitude) * Math.cos(declination)) -
+      Math.tan(latitude) * Math.tan(declination);
+    if (Math.abs(cosHourAngle) > 1) return null;
+
+    const hourAngle = (Math.acos(cosHourAngle) * 180) / Math.PI;
+    const offset = this._timeZoneOffset(date);
+    return {
+      sunrise: Math.round(720 - 4 * (lon + hourAngle) - equationOfTime + offset),
+      sunset: Math.round(720 - 4 * (lon - hourAngle) - equationOfTime + offset),
+    };
+  },
+
+  /**
+   * Get the time windows for a date
+   * @param {string} date - YYYY-MM-DD
+   * @param {{lat: number, lon: number}} point - Job site, for the sun-relative windows
+   * @param {Object} availability - Result of normalize()
+   * @returns {Array<{id: string, start: number, end: number, golden: boolean, booked: boolean}>}
+   *   Windows with start and end in minutes after local midnight
+   */
+  getWindows(date, point, availability) {
+    const sun = this.sunTimes(date, point);
+    const booked = availability.booked.get(date);
+
+    return config.booking.windows
+      .map(slot => ({
+        id: slot.id,
+        start: this._resolveTime(slot.start, sun),
+        end: this._resolveTime(slot.end, sun),
+        golden: Boolean(slot.golden),
+        booked: Boolean(booked?.has(slot.id)),
+      }))
+      .filter(slot => slot.start !== null && slot.end !== null && slot.start < slot.end);
+  },
+
+  /**
+   * Format minutes after midnight as a field value
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} HH:MM
+   */
+  formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  },
+
+  /**
+   * Build the calendar for a container
+   * @param {HTMLElement} container - Element with data-booking
+   * @private
+   */
+  _setup(container) {
+    const dateInput = document.getElementById(container.dataset.bookingDate);
+    if (!dateInput) return;
+
+    const first = this.addDays(this.today(), config.booking.leadDays);
+    const state = {
+      availability: this.normalize(null),
+      loading: true,
+      failed: false,
+      first,
+      last: this.addDays(this.today(), config.booking.maxDays),
+      month: first.slice(0, 7),
+      focused: first,
+      selected: null,
+      window: null,
+    };
+    this.calendars.set(container, state);
+
+    // The date becomes a hidden field filled by the calendar; its label titles the grid
+    const label = container.querySelector(`label[for="${dateInput.id}"]`);
+    if (label) {
+      label.removeAttribute('for');
+      label.id = label.id || `${dateInput.id}-label`;
+    }
+    dateInput.type = 'hidden';
+    dateInput.value = '';
+
+    const header = document.createElement('div');
+    header.className = 'booking-header';
+    const previous = this._createButton('booking-previous', '‹');
+    const month = document.createElement('p');
+    month.className = 'booking-month';
+    month.id = `${dateInput.id}-month`;
+    month.setAttribute('aria-live', 'polite');
+    const next = this._createButton('booking-next', '›');
+    header.append(previous, month, next);
+
+    const grid = document.createElement('table');
+    grid.className = 'booking-grid';
+    grid.setAttribute('role', 'grid');
+    grid.setAttribute('aria-labelledby', [label?.id, month.id].filter(Boolean).join(' '));
+    grid.setAttribute('aria-busy', 'true');
+    grid.append(document.createElement('thead'), document.createElement('tbody'));
+
+    const windows = document.createElement('div');
+    windows.className = 'booking-windows';
+    windows.setAttribute('role', 'group');
+
+    const sun = document.createElement('p');
+    sun.className = 'booking-sun';
+
+    const note = document.createElement('p');
+    note.className = 'booking-note';
+
+    const status = document.createElement('p');
+    status.className = 'booking-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const clear = this._createButton('booking-clear', '');
+
+    const calendar = document.createElement('div');
+    calendar.className = 'booking-calendar';
+    calendar.append(header, grid, windows, sun, note, status, clear);
+    container.append(calendar);
+
+    previous.addEventListener('click', () => this._showMonth(container, -1));
+    next.addEventListener('click', () => this._showMonth(container, 1));
+    grid.addEventListener('click', (e) => {
+      const day = e.target.closest('.booking-day');
+      if (day) this._selectDate(container, day.dataset.date);
+    });
+    grid.addEventListener('keydown', (e) => this._handleGridKeydown(container, e));
+    windows.addEventListener('click', (e) => {
+      const button = e.target.closest('.booking-window');
+      if (button && !button.disabled) this._selectWindow(container, button.dataset.window);
+    });
+    clear.addEventListener('click', () => this._clear(container));
+
+    // Sun times follow the job site
+    [container.dataset.bookingLocation, container.dataset.bookingCentroid]
+      .map(id => (id ? document.getElementById(id) : null))
+      .filter(Boolean)
+      .forEach(field => field.addEventListener('change', () => this._update(container)));
+
+    const form = container.closest('form');
+    form?.addEventListener('reset', () => this._clear(container));
+
+    this._render(container);
+
+    this.load(container.dataset.bookingSrc || config.booking.dataUrl)
+      .then(data => { state.availability = this.normalize(data); })
+      .catch(() => { state.failed = true; })
+      .finally(() => {
+        state.loading = false;
+        // A picked date or window may have been booked in the meantime
+        if (state.selected && !this.isAvailable(state.selected, state.availability)) {
+          state.selected = null;
+          state.window = null;
+        } else if (state.availability.booked.get(state.selected)?.has(state.window)) {
+          state.window = null;
+        }
+        this._update(container);
+      });
+  },
+
+  /**
+   * Move the calendar by whole months, keeping it inside the booking range
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {number} step - Months to move
+   * @private
+   */
+  _showMonth(container, step) {
+    const state = this.calendars.get(container);
+    const month = this._addMonths(state.month, step);
+    if (month < state.first.slice(0, 7) || month > state.last.slice(0, 7)) return;
+
+    state.month = month;
+    state.focused = this._clampDate(state, this._sameDay(month, state.focused));
+    this._render(container);
+  },
+
+  /**
+   * Roving focus through the grid: arrows move by day and week, Home/End to the
+   * start/end of the week, Page Up/Down by month
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {KeyboardEvent} e - Keyboard event
+   * @private
+   */
+  _handleGridKeydown(container, e) {
+    const state = this.calendars.get(container);
+    const weekday = new Date(this._toTime(state.focused)).getUTCDay();
+    let target;
+
+    if (DAY_KEYS[e.key]) {
+      target = this.addDays(state.focused, DAY_KEYS[e.key]);
+    } else if (e.key === 'Home') {
+      target = this.addDays(state.focused, -weekday);
+    } else if (e.key === 'End') {
+      target = this.addDays(state.focused, 6 - weekday);
+    } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+      const month = this._addMonths(state.focused.slice(0, 7), e.key === 'PageUp' ? -1 : 1);
+      target = this._sameDay(month, state.focused);
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    state.focused = this._clampDate(state, target);
+    state.month = state.focused.slice(0, 7);
+    this._render(container);
+  },
+
+  /**
+   * Pick a date; the window is kept if it's still free that day
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {string} date - YYYY-MM-DD
+   * @private
+   */
+  _selectDate(container, date) {
+    const state = this.calendars.get(container);
+    state.focused = date;
+    if (!this.isAvailable(date, state.availability)) {
+      this._render(container);
+      return;
+    }
+
+    state.selected = date;
+    if (state.availability.booked.get(date)?.has(state.window)) {
+      state.window = null;
+    }
+    this._update(container);
+  },
+
+  /**
+   * Pick a time window on the selected date
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {string} id - Window id
+   * @private
+   */
+  _selectWindow(container, id) {
+    this.calendars.get(container).window = id;
+    this._update(container);
+  },
+
+  /**
+   * Clear the selection
+   * @param {HTMLElement} container - Element with data-booking
+   * @private
+   */
+  _clear(container) {
+    const state = this.calendars.get(container);
+    state.selected = null;
+    state.window = null;
+    this._update(container);
+  },
+
+  /**
+   * Render, then write the selection to the form fields
+   * @param {HTMLElement} container - Element with data-booking
+   * @private
+   */
+  _update(container) {
+    const state = this.calendars.get(container);
+    this._render(container);
+
+    const slot = state.selected
+      ? this.getWindows(state.selected, this._getLocation(container), state.availability)
+        .find(entry => entry.id === state.window)
+      : null;
+    const { bookingDate, bookingWindow, bookingStart, bookingEnd } = container.dataset;
+
+    this._setField(bookingDate, state.selected || '');
+    this._setField(bookingWindow, slot?.id || '');
+    this._setField(bookingStart, slot ? this.formatTime(slot.start) : '');
+    this._setField(bookingEnd, slot ? this.formatTime(slot.end) : '');
+  },
+
+  /**
+   * Draw the month, the windows for the selected date and the status text
+   * @param {HTMLElement} container - Element with data-booking
+   * @private
+   */
+  _render(container) {
+    const state = this.calendars.get(container);
+    const [year, month] = state.month.split('-').map(Number);
+
+    container.querySelector('.booking-month').textContent = new Intl.DateTimeFormat(i18n.locale, {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    }).format(new Date(Date.UTC(year, month - 1, 1)));
+
+    const previous = container.querySelector('.booking-previous');
+    previous.setAttribute('aria-label', i18n.t('booking.previous'));
+    previous.disabled = state.month <= state.first.slice(0, 7);
+    const next = container.querySelector('.booking-next');
+    next.setAttribute('aria-label', i18n.t('booking.next'));
+    next.disabled = state.month >= state.last.slice(0, 7);
+
+    // Days and windows are rebuilt, so focus moves to their replacements
+    const grid = container.querySelector('.booking-grid');
+    const focusedDay = grid.contains(document.activeElement);
+    const focusedWindow = document.activeElement?.closest?.('.booking-window')?.dataset.window;
+
+    grid.setAttribute('aria-busy', String(state.loading));
+    grid.tHead.replaceChildren(this._renderWeekdays());
+    grid.tBodies[0].replaceChildren(...this._renderWeeks(state));
+    if (focusedDay) {
+      grid.querySelector(`.booking-day[data-date="${state.focused}"]`)?.focus();
+    }
+
+    this._renderWindows(container, state);
+    if (focusedWindow) {
+      container.querySelector(`.booking-window[data-window="${focusedWindow}"]`)?.focus();
+    }
+
+    const note = container.querySelector('.booking-note');
+    note.textContent = state.failed ? i18n.t('booking.loadError') : '';
+    note.hidden = !state.failed;
+
+    container.querySelector('.booking-status').textContent = this._getStatus(container, state);
+
+    const clear = container.querySelector('.booking-clear');
+    clear.textContent = i18n.t('booking.clear');
+    clear.hidden = !state.selected;
+  },
+
+  /**
+   * Build the weekday header row (weeks start on Sunday)
+   * @returns {HTMLTableRowElement} Header row
+   * @private
+   */
+  _renderWeekdays() {
+    const row = document.createElement('tr');
+    const short = new Intl.DateTimeFormat(i18n.locale, { weekday: 'short', timeZone: 'UTC' });
+    const long = new Intl.DateTimeFormat(i18n.locale, { weekday: 'long', timeZone: 'UTC' });
+
+    // 2023-01-01 was a Sunday
+    for (let day = 0; day < 7; day++) {
+      const date = new Date(Date.UTC(2023, 0, 1 + day));
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.abbr = long.format(date);
+      cell.textContent = short.format(date);
+      row.append(cell);
+    }
+    return row;
+  },
+
+  /**
+   * Build the week rows for the shown month
+   * @param {Object} state - Calendar state
+   * @returns {HTMLTableRowElement[]} Week rows
+   * @private
+   */
+  _renderWeeks(state) {
+    const rows = [];
+    const start = new Date(this._toTime(`${state.month}-01`)).getUTCDay();
+    const days = this._daysInMonth(state.month);
+    let row;
+
+    for (let cell = 0; cell < Math.ceil((start + days) / 7) * 7; cell++) {
+      if (cell % 7 === 0) {
+        row = document.createElement('tr');
+        rows.push(row);
+      }
+
+      const td = document.createElement('td');
+      td.setAttribute('role', 'gridcell');
+      const day = cell - start + 1;
+      if (day >= 1 && day <= days) {
+        td.append(this._renderDay(state, `${state.month}-${String(day).padStart(2, '0')}`));
+      }
+      row.append(td);
+    }
+
+    return rows;
+  },
+
+  /**
+   * Build one day button
+   * @param {Object} state - Calendar state
+   * @param {string} date - YYYY-MM-DD
+   * @returns {HTMLButtonElement} Day button
+   * @private
+   */
+  _renderDay(state, date) {
+    const available = this.isAvailable(date, state.availability);
+    const label = this._formatDate(date);
+    const button = this._createButton('booking-day', String(Number(date.slice(8))));
+
+    button.dataset.date = date;
+    button.tabIndex = date === state.focused ? 0 : -1;
+    button.setAttribute('aria-pressed', String(date === state.selected));
+    button.setAttribute('aria-label', available ? label : i18n.t('booking.unavailable', { date: label }));
+    if (!available) {
+      button.setAttribute('aria-disabled', 'true');
+      button.classList.add('is-unavailable');
+    }
+    return button;
+  },
+
+  /**
+   * Show the windows for the selected date, with golden hours highlighted
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {Object} state - Calendar state
+   * @private
+   */
+  _renderWindows(container, state) {
+    const group = container.querySelector('.booking-windows');
+    const sun = container.querySelector('.booking-sun');
+    group.hidden = !state.selected;
+    sun.hidden = !state.selected;
+    if (!state.selected) {
+      group.replaceChildren();
+      return;
+    }
+
+    const place = this._getLocation(container);
+    const date = this._formatDate(state.selected);
+    group.setAttribute('aria-label', i18n.t('booking.windowsFor', { date }));
+    group.replaceChildren(...this.getWindows(state.selected, place, state.availability).map(slot => {
+      const button = this._createButton('booking-window', '');
+      button.dataset.window = slot.id;
+      button.setAttribute('aria-pressed', String(slot.id === state.window));
+      button.disabled = slot.booked;
+      button.classList.toggle('is-golden', slot.golden);
+
+      const name = document.createElement('span');
+      name.className = 'booking-window-name';
+      name.textContent = this._getWindowLabel(slot.id);
+      const time = document.createElement('span');
+      time.className = 'booking-window-time';
+      time.textContent = `${this._formatClock(slot.start)}–${this._formatClock(slot.end)}`;
+      button.append(name, time);
+
+      if (slot.booked || slot.golden) {
+        const badge = document.createElement('span');
+        badge.className = 'booking-window-badge';
+        badge.textContent = i18n.t(slot.booked ? 'booking.windowBooked' : 'booking.golden');
+        button.append(badge);
+      }
+      return button;
+    }));
+
+    const times = this.sunTimes(state.selected, place);
+    sun.textContent = times
+      ? i18n.t('booking.sun', {
+        sunrise: this._formatClock(times.sunrise),
+        sunset: this._formatClock(times.sunset),
+        place: place.name,
+      })
+      : '';
+  },
+
+  /**
+   * Describe the current selection
+   * @param {HTMLElement} container - Element with data-booking
+   * @param {Object} state - Calendar state
+   * @returns {string} Status text
+   * @private
+   */
+  _getStatus(container, state) {
+    if (!state.selected) return i18n.t('booking.none');
+
+    const date = this._formatDate(state.selected);
+    const slot = this.getWindows(state.selected, this._getLocation(container), state.availability)
+      .find(entry => entry.id === state.window);
+    if (!slot) return i18n.t('booking.selectedDate', { date });
+
+    return i18n.t('booking.selected', {
+      date,
+      window: this._getWindowLabel(slot.id),
+      start: this._formatClock(slot.start),
+      end: this._formatClock(slot.end),
+    });
+  },
+
+  /**
+   * Work out where the shoot is: the boundary centroid, then the location field,
+   * then the home base
+   * @param {HTMLElement} container - Element with data-booking
+   * @returns {{name: string, lat: number, lon: number}} Location
+   * @private
+   */
+  _getLocation(container) {
+    const place = [container.dataset.bookingCentroid, container.dataset.bookingLocation]
+      .map(id => (id ? document.getElementById(id)?.value : ''))
+      .filter(Boolean)
+      .map(value => airspace.resolveLocation(value))
+      .find(Boolean);
+
+    return place || { ...config.serviceArea.base };
+  },
+
+  /**
+   * Resolve a window time from config
+   * @param {string} spec - "HH:MM", or "sunrise"/"sunset" with an optional offset in minutes
+   * @param {{sunrise: number, sunset: number}|null} sun - Sun times for the day
+   * @returns {number|null} Minutes after midnight, or null if it can't be worked out
+   * @private
+   */
+  _resolveTime(spec, sun) {
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(spec);
+    if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+    const relative = /^(sunrise|sunset)([+-]\d+)?$/.exec(spec);
+    if (!relative || !sun) return null;
+    return sun[relative[1]] + Number(relative[2] || 0);
+  },
+
+  /**
+   * Find the business time zone's UTC offset at noon on a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {number} Offset in minutes (negative west of UTC)
+   * @private
+   */
+  _timeZoneOffset(date) {
+    const noon = this._toTime(date) + DAY_MS / 2;
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: config.booking.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }).formatToParts(new Date(noon));
+    const part = (type) => Number(parts.find(entry => entry.type === type).value);
+    const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+
+    return Math.round((local - noon) / 60000);
+  },
+
+  /**
+   * Keep a date inside the booking range
+   * @param {Object} state - Calendar state
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD
+   * @private
+   */
+  _clampDate(state, date) {
+    if (date < state.first) return state.first;
+    if (date > state.last) return state.last;
+    return date;
+  },
+
+  /**
+   * Add months to a YYYY-MM month
+   * @param {string} month - YYYY-MM
+   * @param {number} step - Months to add
+   * @returns {string} YYYY-MM
+   * @private
+   */
+  _addMonths(month, step) {
+    const [year, index] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, index - 1 + step, 1)).toISOString().slice(0, 7);
+  },
+
+  /**
+   * Move a date into another month, keeping the day where the month has it
+   * @param {string} month - YYYY-MM
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD
+   * @private
+   */
+  _sameDay(month, date) {
+    const day = Math.min(Number(date.slice(8)), this._daysInMonth(month));
+    return `${month}-${String(day).padStart(2, '0')}`;
+  },
+
+  /**
+   * Count the days in a month
+   * @param {string} month - YYYY-MM
+   * @returns {number} Days
+   * @private
+   */
+  _daysInMonth(month) {
+    const [year, index] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, index, 0)).getUTCDate();
+  },
+
+  /**
+   * Get the UTC timestamp of a date's midnight
+   * @param {string} date - YYYY-MM-DD
+   * @returns {number} Milliseconds
+   * @private
+   */
+  _toTime(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  },
+
+  /**
+   * Format a date in full for the current locale
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} e.g. "Saturday, November 7, 2026"
+   * @private
+   */
+  _formatDate(date) {
+    return new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'full', timeZone: 'UTC' })
+      .format(new Date(this._toTime(date)));
+  },
+
+  /**
+   * Format minutes after midnight as a clock time for the current locale
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} e.g. "6:42 PM"
+   * @private
+   */
+  _formatClock(minutes) {
+    return new Intl.DateTimeFormat(i18n.locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(2000, 0, 1, 0, minutes)));
+  },
+
+  /**
+   * Get a window's label, falling back to its id
+   * @param {string} id - Window id
+   * @returns {string} Label
+   * @private
+   */
+  _getWindowLabel(id) {
+    const key = `booking.windows.${id}`;
+    return i18n.has(key) ? i18n.t(key) : id;
+  },
+
+  /**
+   * Set a field's value, firing input and change events if it changed
+   * @param {string|undefined} id - Field id
+   * @param {string} value - New value
+   * @private
+   */
+  _setField(id, value) {
+    const field = id ? document.getElementById(id) : null;
+    if (!field || field.value === value) return;
+
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  /**
+   * Create a plain button
+   * @param {string} className - Class name
+   * @param {string} text - Text
+   * @returns {HTMLButtonElement} Button
+   * @private
+   */
+  _createButton(className, text) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    return button;
+  },
+};
@@ -0,0 +1,585 @@
+/**
+ * Property Boundary Module
+ * Reads a KML, KMZ or GeoJSON property outline in the browser, measures its
+ * area in acres and its centroid, and shows an SVG preview of the outline
+ * Markup: <div data-boundary> containing an input[type="file"]; the results are
+ * written to the fields named by data-boundary-acres, data-boundary-centroid
+ * and data-boundary-size (a property-size select, see config.estimator.propertySizes)
+ * Only Polygon and MultiPolygon geometry is used; points and lines are ignored
+ */
+
+import { validationRules } from './validation-rules.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+// WGS 84 equatorial radius, as used by GeoJSON area calculations
+const EARTH_RADIUS_METERS = 6378137;
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+
+// Zip record signatures
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+// Preview size (SVG user units)
+const PREVIEW_SIZE = 200;
+const PREVIEW_PADDING = 10;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const boundary = {
+  // Last result shown per container: { polygons, point, acres, centroid } or { error, params }
+  results: new WeakMap(),
+
+  /**
+   * Initialize every boundary upload on the page
+   */
+  init() {
+    const containers = Array.from(document.querySelectorAll('[data-boundary]'));
+    containers.forEach(container => this._setupUpload(container));
+
+    document.addEventListener('i18n:change', () => {
+      containers.filter(container => this.results.has(container)).forEach(container => this._render(container));
+    });
+  },
+
+  /**
+   * Read a boundary file
+   * @param {File} file - KML, KMZ or GeoJSON file
+   * @returns {Promise<Array<Array<number[][]>>>} Polygons, each an outer ring followed by holes, in [lon, lat]
+   * @throws {Error} If the file has no polygons
+   */
+  async read(file) {
+    const extension = this._getExtension(file.name);
+    const buffer = await file.arrayBuffer();
+
+    let polygons;
+    if (extension === 'kmz') {
+      polygons = this.parseKml(await this._unzipKml(buffer));
+    } else if (extension === 'kml') {
+      polygons = this.parseKml(new TextDecoder().decode(buffer));
+    } else {
+      polygons = this.parseGeoJson(JSON.parse(new TextDecoder().decode(buffer)));
+    }
+
+    if (polygons.length === 0) {
+      throw new Error('No polygons found');
+    }
+    return polygons;
+  },
+
+  /**
+   * Collect the polygons from GeoJSON
+   * Accepts a FeatureCollection, Feature, GeometryCollection or bare geometry
+   * @param {Object} geojson - Parsed GeoJSON
+   * @returns {Array<Array<number[][]>>} Polygons
+   */
+  parseGeoJson(geojson) {
+    if (!geojson || typeof geojson !== 'object') return [];
+
+    switch (geojson.type) {
+      case 'FeatureCollection':
+        return (geojson.features || []).flatMap(feature => this.parseGeoJson(feature));
+      case 'Feature':
+        return this.parseGeoJson(geojson.geometry);
+      case 'GeometryCollection':
+        return (geojson.geometries || []).flatMap(geometry => this.parseGeoJson(geometry));
+      case 'Polygon':
+        return [this._cleanPolygon(geojson.coordinates)].filter(Boolean);
+      case 'MultiPolygon':
+        return (geojson.coordinates || []).map(polygon => this._cleanPolygon(polygon)).filter(Boolean);
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Collect the polygons from a KML document
+   * @param {string} text - KML source
+   * @returns {Array<Array<number[][]>>} Polygons
+   * @throws {Error} If the XML can't be parsed
+   */
+  parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid KML');
+    }
+
+    const rings = (polygon, boundaryName) => Array.from(polygon.getElementsByTagNameNS('*', boundaryName))
+      .map(element => element.getElementsByTagNameNS('*', 'coordinates')[0])
+      .filter(Boolean)
+      .map(coordinates => this._parseKmlCoordinates(coordinates.textContent));
+
+    return Array.from(doc.getElementsByTagNameNS('*', 'Polygon'))
+      .map(polygon => this._cleanPolygon([
+        ...rings(polygon, 'outerBoundaryIs'),
+        ...rings(polygon, 'innerBoundaryIs'),
+      ]))
+      .filter(Boolean);
+  },
+
+  /**
+   * Measure the area of polygons on the sphere, minus their holes
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @returns {number} Area in acres
+   */
+  area(polygons) {
+    const squareMeters = polygons.reduce((total, [outer, ...holes]) => (
+      total + this._ringArea(outer) - holes.reduce((sum, hole) => sum + this._ringArea(hole), 0)
+    ), 0);
+    return squareMeters / SQUARE_METERS_PER_ACRE;
+  },
+
+  /**
+   * Find the area-weighted centroid of polygons
+   * Uses a local flat projection, which is accurate at property scale
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @returns {{lat: number, lon: number}} Centroid
+   */
+  centroid(polygons) {
+    const scale = Math.cos(toRadians(this._meanLatitude(polygons)));
+    let weight = 0;
+    let x = 0;
+    let y = 0;
+
+    polygons.forEach(rings => rings.forEach((ring, index) => {
+      const { area, cx, cy } = this._planarCentroid(ring.map(([lon, lat]) => [lon * scale, lat]));
+      // Holes count against the polygon they cut
+      const signed = index === 0 ? Math.abs(area) : -Math.abs(area);
+      weight += signed;
+      x += cx * signed;
+      y += cy * signed;
+    }));
+
+    if (weight === 0) {
+      // Degenerate outline: fall back to the average vertex
+      const points = polygons.flatMap(rings => rings[0]);
+      return {
+        lat: points.reduce((sum, point) => sum + point[1], 0) / points.length,
+        lon: points.reduce((sum, point) => sum + point[0], 0) / points.length,
+      };
+    }
+    return { lat: y / weight, lon: x / weight / scale };
+  },
+
+  /**
+   * Measure the length of every ring's edges
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @returns {number} Perimeter in meters
+   */
+  perimeter(polygons) {
+    return polygons.flat().reduce((total, ring) => {
+      let length = 0;
+      for (let i = 0; i < ring.length; i++) {
+        length += this._distance(ring[i], ring[(i + 1) % ring.length]);
+      }
+      return total + length;
+    }, 0);
+  },
+
+  /**
+   * Write measurements into form fields, firing input and change events
+   * The property size is only set, never cleared, since the visitor may have picked it
+   * @param {{acres?: string, centroid?: string, size?: string}} targets - Field ids
+   * @param {{acres: number, centroid: string}|null} measurements - Rounded acres and formatted centroid, or null to clear
+   */
+  applyMeasurements(targets, measurements) {
+    if (!measurements) {
+      this._setField(targets.acres, '');
+      this._setField(targets.centroid, '');
+      return;
+    }
+
+    this._setField(targets.acres, String(measurements.acres));
+    this._setField(targets.centroid, measurements.centroid);
+
+    const size = config.estimator.propertySizes.find(option => measurements.acres <= option.maxAcres);
+    this._setField(targets.size, size?.value);
+  },
+
+  /**
+   * Format a centroid as "lat, lon" (the format the airspace check accepts)
+   * @param {{lat: number, lon: number}} point - Centroid
+   * @returns {string} Coordinates
+   */
+  formatCentroid(point) {
+    const { precision } = config.boundary;
+    return `${point.lat.toFixed(precision)}, ${point.lon.toFixed(precision)}`;
+  },
+
+  /**
+   * Draw polygons as an SVG outline with the centroid marked
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @param {{lat: number, lon: number}} [point] - Centroid to mark
+   * @returns {SVGSVGElement} Preview
+   */
+  renderPreview(polygons, point = null) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const project = this._getProjection(polygons);
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'boundary-preview');
+    svg.setAttribute('viewBox', `0 0 ${PREVIEW_SIZE} ${PREVIEW_SIZE}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', i18n.t('boundary.preview'));
+
+    const path = document.createElementNS(svgNs, 'path');
+    path.setAttribute('class', 'boundary-outline');
+    path.setAttribute('fill-rule', 'evenodd');
+    path.setAttribute('d', polygons.flat().map(ring => {
+      const commands = ring.map((position, index) => {
+        const [x, y] = project(position);
+        return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`;
+      });
+      return `${commands.join(' ')} Z`;
+    }).join(' '));
+    svg.append(path);
+
+    if (point) {
+      const [cx, cy] = project([point.lon, point.lat]);
+      const marker = document.createElementNS(svgNs, 'circle');
+      marker.setAttribute('class', 'boundary-centroid');
+      marker.setAttribute('cx', cx.toFixed(1));
+      marker.setAttribute('cy', cy.toFixed(1));
+      marker.setAttribute('r', '3');
+      svg.append(marker);
+    }
+
+    return svg;
+  },
+
+  /**
+   * Wire up one upload and its result area
+   * @param {HTMLElement} container - Element with data-boundary
+   * @private
+   */
+  _setupUpload(container) {
+    const input = container.querySelector('input[type="file"]');
+    if (!input) return;
+
+    const result = document.createElement('div');
+    result.className = 'boundary-result';
+    result.setAttribute('aria-live', 'polite');
+    container.append(result);
+
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (file) {
+        this._handleFile(container, file);
+      } else {
+        this._clear(container);
+      }
+    });
+
+    input.form?.addEventListener('reset', () => this._clear(container));
+  },
+
+  /**
+   * Check, read and measure a file, then show and apply the result
+   * @param {HTMLElement} container - Element with data-boundary
+   * @param {File} file - Chosen file
+   * @returns {Promise<void>} Resolves once the result is shown
+   * @private
+   */
+  async _handleFile(container, file) {
+    const { types, maxFileBytes } = config.boundary;
+
+    if (!types.includes(this._getExtension(file.name))) {
+      this._showError(container, 'validation.fileType', {
+        name: file.name,
+        types: types.map(type => type.toUpperCase()).join(', '),
+      });
+      return;
+    }
+    if (file.size > maxFileBytes) {
+      this._showError(container, 'validation.fileTooLarge', {
+        name: file.name,
+        size: validationRules.formatSize(maxFileBytes),
+      });
+      return;
+    }
+
+    let polygons;
+    try {
+      polygons = await this.read(file);
+    } catch {
+      this._showError(container, 'boundary.invalid', { name: file.name });
+      return;
+    }
+
+    const acres = Math.round(this.area(polygons) * 10) / 10;
+    const point = this.centroid(polygons);
+    const centroid = this.formatCentroid(point);
+
+    this.results.set(container, { polygons, point, acres, centroid });
+    this._render(container);
+
+    this.applyMeasurements(this._getTargets(container), { acres, centroid });
+  },
+
+  /**
+   * Show why a file couldn't be used and clear any earlier result
+   * @param {HTMLElement} container - Element with data-boundary
+   * @param {string} key - Message key
+   * @param {Object} params - Message placeholders
+   * @private
+   */
+  _showError(container, key, params) {
+    this._clear(container);
+    this.results.set(container, { error: key, params });
+    this._render(container);
+  },
+
+  /**
+   * Show a container's last result in the current language
+   * @param {HTMLElement} container - Element with data-boundary
+   * @private
+   */
+  _render(container) {
+    const result = container.querySelector('.boundary-result');
+    const shown = this.results.get(container);
+    if (!shown) return;
+
+    const text = document.createElement('p');
+    if (shown.error) {
+      text.textContent = i18n.t(shown.error, shown.params);
+      result.classList.add('boundary-error');
+      result.replaceChildren(text);
+      return;
+    }
+
+    text.className = 'boundary-summary';
+    text.textContent = i18n.t('boundary.summary', { count: shown.acres, centroid: shown.centroid });
+    result.classList.remove('boundary-error');
+    result.replaceChildren(this.renderPreview(shown.polygons, shown.point), text);
+  },
+
+  /**
+   * Remove the result and empty the acreage and centroid fields
+   * The property size is left alone, since the visitor may have picked it
+   * @param {HTMLElement} container - Element with data-boundary
+   * @private
+   */
+  _clear(container) {
+    const result = container.querySelector('.boundary-result');
+    result.classList.remove('boundary-error');
+    result.replaceChildren();
+    this.results.delete(container);
+
+    this.applyMeasurements(this._getTargets(container), null);
+  },
+
+  /**
+   * Read a container's target field ids
+   * @param {HTMLElement} container - Element with data-boundary
+   * @returns {{acres?: string, centroid?: string, size?: string}} Field ids
+   * @private
+   */
+  _getTargets(container) {
+    return {
+      acres: container.dataset.boundaryAcres,
+      centroid: container.dataset.boundaryCentroid,
+      size: container.dataset.boundarySize,
+    };
+  },
+
+  /**
+   * Set a target field's value and let its listeners know
+   * Selects are only changed to options they offer
+   * @param {string|undefined} id - Target field id
+   * @param {string|undefined} value - New value
+   * @private
+   */
+  _setField(id, value) {
+    const field = id ? document.getElementById(id) : null;
+    if (!field || value === undefined || field.value === value) return;
+    if (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === value)) return;
+
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  /**
+   * Extract the KML document from a KMZ (zip) archive
+   * Prefers doc.kml, then the first .kml entry; entries are stored or deflated
+   * @param {ArrayBuffer} buffer - KMZ contents
+   * @returns {Promise<string>} KML source
+   * @throws {Error} If there is no readable KML entry
+   * @private
+   */
+  async _unzipKml(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // The end-of-directory record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+      if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY) {
+        end = offset;
+        break;
+      }
+    }
+    if (end === -1) throw new Error('Not a zip archive');
+
+    const entries = [];
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+      if (view.getUint32(offset, true) !== ZIP_DIRECTORY_ENTRY) throw new Error('Corrupt zip directory');
+      const nameLength = view.getUint16(offset + 28, true);
+      entries.push({
+        name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        headerOffset: view.getUint32(offset + 42, true),
+      });
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    const kmlEntries = entries.filter(entry => entry.name.toLowerCase().endsWith('.kml'));
+    const entry = kmlEntries.find(item => item.name.toLowerCase() === 'doc.kml') || kmlEntries[0];
+    if (!entry) throw new Error('No KML in archive');
+
+    const header = entry.headerOffset;
+    if (view.getUint32(header, true) !== ZIP_LOCAL_HEADER) throw new Error('Corrupt zip entry');
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      return new TextDecoder().decode(data);
+    }
+    if (entry.method === 8 && typeof DecompressionStream === 'function') {
+      const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+  },
+
+  /**
+   * Parse a KML coordinates string ("lon,lat[,alt] lon,lat[,alt] ...")
+   * @param {string} text - Coordinates text
+   * @returns {number[][]} Ring of [lon, lat]
+   * @private
+   */
+  _parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/)
+      .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+      .filter(position => position.length === 2 && position.every(Number.isFinite));
+  },
+
+  /**
+   * Drop altitudes and invalid positions, and polygons without a usable outer ring
+   * @param {Array<number[][]>} rings - Outer ring followed by holes
+   * @returns {Array<number[][]>|null} Cleaned polygon, or null
+   * @private
+   */
+  _cleanPolygon(rings) {
+    if (!Array.isArray(rings)) return null;
+
+    const [outer, ...holes] = rings.map(ring => (Array.isArray(ring) ? ring : [])
+      .map(position => (Array.isArray(position) ? position.slice(0, 2).map(Number) : []))
+      .filter(position => position.length === 2 && position.every(Number.isFinite)));
+
+    if (!outer || outer.length < 3) return null;
+    return [outer, ...holes.filter(hole => hole.length >= 3)];
+  },
+
+  /**
+   * Spherical area of a ring (Chamberlain & Duquette)
+   * @param {number[][]} ring - Ring of [lon, lat]
+   * @returns {number} Area in square meters
+   * @private
+   */
+  _ringArea(ring) {
+    let total = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const [lon1, lat1] = ring[i];
+      const [lon2, lat2] = ring[(i + 1) % ring.length];
+      total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    return Math.abs((total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS) / 2);
+  },
+
+  /**
+   * Great-circle distance between two positions (haversine)
+   * @param {number[]} from - [lon, lat]
+   * @param {number[]} to - [lon, lat]
+   * @returns {number} Distance in meters
+   * @private
+   */
+  _distance([lon1, lat1], [lon2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  },
+
+  /**
+   * Signed area and centroid of a flat ring (shoelace formula)
+   * @param {number[][]} ring - Ring of [x, y]
+   * @returns {{area: number, cx: number, cy: number}} Area and centroid
+   * @private
+   */
+  _planarCentroid(ring) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < ring.length; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      const cross = x1 * y2 - x2 * y1;
+      area += cross;
+      cx += (x1 + x2) * cross;
+      cy += (y1 + y2) * cross;
+    }
+    area /= 2;
+    return area === 0 ? { area: 0, cx: 0, cy: 0 } : { area, cx: cx / (6 * area), cy: cy / (6 * area) };
+  },
+
+  /**
+   * Average latitude of the outer rings' vertices
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @returns {number} Latitude
+   * @private
+   */
+  _meanLatitude(polygons) {
+    const points = polygons.flatMap(rings => rings[0]);
+    return points.reduce((sum, point) => sum + point[1], 0) / points.length;
+  },
+
+  /**
+   * Build a function that maps [lon, lat] into the preview box, north up and centered, keeping proportions
+   * @param {Array<Array<number[][]>>} polygons - Polygons
+   * @returns {Function} Projection returning [x, y]
+   * @private
+   */
+  _getProjection(polygons) {
+    const scale = Math.cos(toRadians(this._meanLatitude(polygons)));
+    const points = polygons.flat(2);
+    const xs = points.map(([lon]) => lon * scale);
+    const ys = points.map(([, lat]) => lat);
+    const minX = Math.min(...xs);
+    const maxY = Math.max(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = maxY - Math.min(...ys);
+    const factor = (PREVIEW_SIZE - PREVIEW_PADDING * 2) / (Math.max(width, height) || 1);
+    const offsetX = (PREVIEW_SIZE - width * factor) / 2;
+    const offsetY = (PREVIEW_SIZE - height * factor) / 2;
+
+    return ([lon, lat]) => [
+      offsetX + (lon * scale - minX) * factor,
+      offsetY + (maxY - lat) * factor,
+    ];
+  },
+
+  /**
+   * Get a file's lowercase extension
+   * @param {string} name - File name
+   * @returns {string} Extension, or an empty string
+   * @private
+   */
+  _getExtension(name) {
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  },
+};
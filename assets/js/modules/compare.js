@@ -0,0 +1,243 @@
+/**
+ * Compare Module
+ * Before/after slider: two stacked images with a divider that reveals one or the other
+ * Markup: <div data-compare> holding the before image then the after image; optional
+ * data-compare-position (percent from the left, default config.compare.start),
+ * data-compare-label (slider name) and data-compare-before/-after (visible tags)
+ * Drag anywhere on the images to move the divider; the divider is an ARIA slider that
+ * takes the arrow keys, Page Up/Down, Home and End
+ * Images waiting in data-src are loaded through the lazy-loading module
+ */
+
+import { lazyLoading } from './lazy-loading.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+export const compare = {
+  // Slider state per container: position (percent), handle, tags and any drag in progress
+  sliders: new WeakMap(),
+
+  /**
+   * Initialize every compare slider on the page
+   */
+  init() {
+    const containers = Array.from(document.querySelectorAll('[data-compare]'));
+    containers.forEach(container => {
+      if (this.setup(container)) {
+        lazyLoading.observe(this.getImages(container));
+      }
+    });
+
+    // Sliders built later (such as in the lightbox) are in the document too
+    document.addEventListener('i18n:change', () => {
+      document.querySelectorAll('[data-compare]').forEach(container => {
+        if (this.sliders.has(container)) this._applyLabels(container);
+      });
+    });
+  },
+
+  /**
+   * Build the slider inside a container
+   * @param {HTMLElement} container - Element with data-compare holding two images
+   * @returns {boolean} True if the container is (now) a slider
+   */
+  setup(container) {
+    if (this.sliders.has(container)) return true;
+
+    const images = this.getImages(container);
+    if (images.length < 2) return false;
+
+    const [before, after] = images;
+    container.classList.add('compare');
+    before.classList.add('compare-before');
+    after.classList.add('compare-after');
+
+    const handle = document.createElement('div');
+    handle.className = 'compare-handle';
+    handle.setAttribute('role', 'slider');
+    handle.setAttribute('tabindex', '0');
+    handle.setAttribute('aria-orientation', 'horizontal');
+    handle.setAttribute('aria-valuemin', '0');
+    handle.setAttribute('aria-valuemax', '100');
+
+    const beforeTag = this._createTag('compare-tag compare-tag-before');
+    const afterTag = this._createTag('compare-tag compare-tag-after');
+    container.append(handle, beforeTag, afterTag);
+
+    const slider = { position: config.compare.start, handle, beforeTag, afterTag, dragging: null };
+    this.sliders.set(container, slider);
+    this._applyLabels(container);
+
+    const start = parseFloat(container.dataset.comparePosition);
+    this.setPosition(container, Number.isFinite(start) ? start : config.compare.start);
+
+    handle.addEventListener('keydown', (e) => this._handleKeydown(container, e));
+    container.addEventListener('pointerdown', (e) => this._handlePointerDown(container, e));
+    container.addEventListener('pointermove', (e) => {
+      if (slider.dragging === e.pointerId) this._moveTo(container, e.clientX);
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+      container.addEventListener(type, () => {
+        slider.dragging = null;
+        container.classList.remove('is-dragging');
+      });
+    });
+
+    // The browser's own image drag would take over the pointer
+    container.addEventListener('dragstart', (e) => e.preventDefault());
+
+    return true;
+  },
+
+  /**
+   * Get a slider's before and after images
+   * @param {HTMLElement} container - Element with data-compare
+   * @returns {HTMLImageElement[]} Before then after (more than two are ignored)
+   */
+  getImages(container) {
+    return Array.from(container.querySelectorAll('img')).slice(0, 2);
+  },
+
+  /**
+   * Get where a slider's divider is
+   * @param {HTMLElement} container - Element with data-compare
+   * @returns {number|null} Percent from the left, or null if the container isn't a slider
+   */
+  getPosition(container) {
+    const slider = this.sliders.get(container);
+    return slider ? slider.position : null;
+  },
+
+  /**
+   * Move a slider's divider
+   * @param {HTMLElement} container - Element with data-compare
+   * @param {number} position - Percent from the left, clamped to 0-100
+   */
+  setPosition(container, position) {
+    const slider = this.sliders.get(container);
+    if (!slider) return;
+
+    slider.position = Math.min(Math.max(Math.round(position * 10) / 10, 0), 100);
+    container.style.setProperty('--compare-position', `${slider.position}%`);
+    slider.handle.setAttribute('aria-valuenow', String(Math.round(slider.position)));
+    slider.handle.setAttribute('aria-valuetext', this._getValueText(slider.position));
+  },
+
+  /**
+   * Build a copy of a slider, at the same position, with its images loaded
+   * Used to show a slider in the lightbox
+   * @param {HTMLElement} container - Element with data-compare
+   * @returns {HTMLElement} New slider, not yet in the document
+   */
+  clone(container) {
+    const copy = document.createElement('div');
+    ['compareLabel', 'compareBefore', 'compareAfter'].forEach(key => {
+      if (container.dataset[key]) copy.dataset[key] = container.dataset[key];
+    });
+    copy.dataset.compare = '';
+    copy.dataset.comparePosition = String(this.getPosition(container) ?? config.compare.start);
+
+    this.getImages(container).forEach(img => {
+      const image = document.createElement('img');
+      image.src = img.dataset.src || img.currentSrc || img.src;
+      image.alt = img.alt;
+      copy.append(image);
+    });
+
+    this.setup(copy);
+    return copy;
+  },
+
+  /**
+   * Start dragging the divider from wherever the slider was pressed
+   * @param {HTMLElement} container - Slider
+   * @param {PointerEvent} e - Pointer down
+   * @private
+   */
+  _handlePointerDown(container, e) {
+    // Buttons placed in the slider (like the lightbox's expand button) keep their clicks
+    if (e.button > 0 || e.target.closest('button')) return;
+    const slider = this.sliders.get(container);
+
+    e.preventDefault();
+    slider.dragging = e.pointerId;
+    container.setPointerCapture?.(e.pointerId);
+    container.classList.add('is-dragging');
+    slider.handle.focus({ preventScroll: true });
+    this._moveTo(container, e.clientX);
+  },
+
+  /**
+   * Move the divider with the keyboard
+   * @param {HTMLElement} container - Slider
+   * @param {KeyboardEvent} e - Keydown on the divider
+   * @private
+   */
+  _handleKeydown(container, e) {
+    const { keyStep, keyStepLarge } = config.compare;
+    const position = this.getPosition(container);
+    const targets = {
+      ArrowLeft: position - keyStep,
+      ArrowDown: position - keyStep,
+      ArrowRight: position + keyStep,
+      ArrowUp: position + keyStep,
+      PageDown: position - keyStepLarge,
+      PageUp: position + keyStepLarge,
+      Home: 0,
+      End: 100,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    this.setPosition(container, targets[e.key]);
+  },
+
+  /**
+   * Put the divider under a pointer
+   * @param {HTMLElement} container - Slider
+   * @param {number} clientX - Pointer position
+   * @private
+   */
+  _moveTo(container, clientX) {
+    const rect = container.getBoundingClientRect();
+    if (!rect.width) return;
+    this.setPosition(container, ((clientX - rect.left) / rect.width) * 100);
+  },
+
+  /**
+   * Name the slider and its tags in the current language
+   * @param {HTMLElement} container - Slider
+   * @private
+   */
+  _applyLabels(container) {
+    const slider = this.sliders.get(container);
+    slider.handle.setAttribute('aria-label', container.dataset.compareLabel || i18n.t('compare.label'));
+    slider.beforeTag.textContent = container.dataset.compareBefore || i18n.t('compare.before');
+    slider.afterTag.textContent = container.dataset.compareAfter || i18n.t('compare.after');
+    slider.handle.setAttribute('aria-valuetext', this._getValueText(slider.position));
+  },
+
+  /**
+   * Describe a position as how much of each image shows
+   * @param {number} position - Percent from the left
+   * @returns {string} e.g. "30% before, 70% after"
+   * @private
+   */
+  _getValueText(position) {
+    const before = Math.round(position);
+    return i18n.t('compare.value', { before, after: 100 - before });
+  },
+
+  /**
+   * Create a visible before/after tag
+   * @param {string} className - Class names
+   * @returns {HTMLSpanElement} Tag, hidden from screen readers (the slider value says the same)
+   * @private
+   */
+  _createTag(className) {
+    const tag = document.createElement('span');
+    tag.className = className;
+    tag.setAttribute('aria-hidden', 'true');
+    return tag;
+  },
+};
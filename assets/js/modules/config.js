@@ -39,6 +39,18 @@ export const config = {
     threshold: 0.01,
   },
 
+  /**
+   * Localization (see i18n.js)
+   * Form, wizard, draft, lightbox and compare slider copy lives in the catalogs in assets/js/i18n/
+   */
+  i18n: {
+    // Used when neither a saved choice nor <html lang> matches a catalog
+    defaultLocale: 'en',
+    
+    // localStorage key for the language switcher's choice
+    storageKey: 'sss_locale',
+  },
+
   /**
    * Form validation patterns and rules
    * Enhanced with RFC 5322 compliant email and E.164 phone validation
@@ -70,15 +82,291 @@ export const config = {
     nameMinLength: 2,
     nameMaxLength: 100,
     
-    // Error messages
-    messages: {
-      required: 'This field is required',
-      invalidEmail: 'Please enter a valid email address',
-      invalidPhone: 'Please enter a valid phone number',
-      invalidName: 'Please enter a valid name (2-100 characters)',
-      tooShort: 'This field is too short',
-      tooLong: 'This field is too long',
+    // Async (remote) validators give up after this long and let the field pass
+    asyncTimeout: 8000,
+
+    // "Did you mean …?" for email domain typos (see email-suggest.js); never blocks submission
+    emailSuggestion: {
+      // Edits allowed between the entered domain and a known provider: one per
+      // lettersPerEdit letters of the provider's name, so "me" or "aol" must match exactly
+      maxDistance: 2,
+      lettersPerEdit: 4,
+    },
+
+    // Per-form rule schemas, keyed by form name (or id) then field name
+    // Same syntax as the data-validate attribute: "rule|rule:param"
+    // Rules: required, email, phone, phoneStrict, name, minlength, maxlength, pattern,
+    // remote:<url> (async, expects JSON { "valid": boolean })
+    schemas: {
+      'contact-form': {
+        name: 'name',
+        phone: 'phoneStrict',
+        location: 'minlength:2|maxlength:100',
+        details: 'maxlength:5000',
+      },
+    },
+  },
+
+  /**
+   * Phone input mask (input[type="tel"], see phone-input.js)
+   */
+  phone: {
+    // Country code assumed for 10-digit numbers
+    countryCode: '1',
+    
+    // The E.164 copy is submitted as <field name> + this suffix, e.g. phone_e164
+    e164Suffix: '_e164',
+  },
+
+  /**
+   * File attachments (input[type="file"][data-attachments], see attachments.js)
+   * Also checked by the file rules in validation-rules.js
+   */
+  attachments: {
+    // Allowed extensions and the MIME types browsers report for them
+    // Files with no type (or application/octet-stream) pass if the extension matches
+    types: {
+      pdf: ['application/pdf'],
+      jpg: ['image/jpeg'],
+      jpeg: ['image/jpeg'],
+      png: ['image/png'],
+      kml: ['application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml'],
+      kmz: ['application/vnd.google-earth.kmz', 'application/zip'],
+    },
+
+    // Files per input
+    maxFiles: 5,
+
+    // Per file and combined limits (bytes), checked after downscaling
+    maxFileBytes: 10 * 1024 * 1024,
+    maxTotalBytes: 20 * 1024 * 1024,
+
+    // Photos wider or taller than this are downscaled before upload (pixels)
+    maxImageDimension: 2560,
+
+    // JPEG quality for downscaled photos (0–1)
+    imageQuality: 0.85,
+  },
+
+  /**
+   * Property boundary upload ([data-boundary], see boundary.js)
+   * Files are parsed in the browser and never uploaded
+   */
+  boundary: {
+    // Accepted extensions (.json is read as GeoJSON)
+    types: ['kml', 'kmz', 'geojson', 'json'],
+
+    // Largest file read (bytes)
+    maxFileBytes: 5 * 1024 * 1024,
+
+    // Decimal places for the centroid (5 is about 1 m)
+    precision: 5,
+  },
+
+  /**
+   * Draw-your-site tool ([data-site-draw], see site-draw.js)
+   * Without data-site-draw-bounds the canvas is a blank grid centered on
+   * data-site-draw-center or the entered job location (serviceArea.base until then)
+   */
+  siteDraw: {
+    // Width and height of the blank grid before a property size is picked (meters)
+    spanMeters: 800,
+
+    // With a size picked: its largest acreage as a square, times spanFactor, within these limits (meters)
+    spanFactor: 2,
+    minSpanMeters: 200,
+    maxSpanMeters: 6000,
+
+    // About this many grid lines across, at a round spacing
+    gridLines: 8,
+
+    // Drawing width in SVG units; the height follows the map's proportions
+    width: 400,
+
+    // Crosshair and corner movement per arrow key press (SVG units), and with Shift
+    keyStep: 4,
+    keyStepLarge: 20,
+  },
+
+  /**
+   * Shoot date and time window picker ([data-booking], see booking.js)
+   * Availability is a local JSON file: { "blockedDates": ["YYYY-MM-DD"],
+   * "booked": [{ "date": "YYYY-MM-DD", "window": "<window id>" }] }
+   */
+  booking: {
+    // Used when the element has no data-booking-src
+    dataUrl: '/assets/data/availability.json',
+
+    // Dates, windows and sun times are all in the business's time zone
+    timeZone: 'America/Chicago',
+
+    // Earliest bookable date, in days from today
+    leadDays: 3,
+
+    // Latest bookable date, in days from today
+    maxDays: 90,
+
+    // start/end: "HH:MM", or "sunrise"/"sunset" with an optional offset in minutes ("sunset-60")
+    // Golden-hour windows are highlighted; labels are i18n keys booking.windows.<id>
+    windows: [
+      { id: 'sunrise', start: 'sunrise', end: 'sunrise+60', golden: true },
+      { id: 'morning', start: '09:00', end: '12:00' },
+      { id: 'afternoon', start: '12:00', end: '16:00' },
+      { id: 'sunset', start: 'sunset-60', end: 'sunset', golden: true },
+    ],
+  },
+
+  /**
+   * Submission rate limit
+   * The defaults are shared by the browser's localStorage limit and the Node relay
+   * (server/relay.js), which applies them per IP address and per email address
+   */
+  rateLimit: {
+    // Submissions allowed per sliding window
+    maxSubmissions: 3,
+    
+    // Window length (milliseconds)
+    windowMs: 10 * 60 * 1000,
+    
+    // Per-form policies keyed by form name or id; missing settings fall back to the defaults above
+    // Every named form gets its own budget; unnamed forms share one
+    policies: {
+      'contact-form': { maxSubmissions: 3, windowMs: 10 * 60 * 1000 },
+    },
+  },
+
+  /**
+   * Invisible anti-spam signals (see anti-spam.js and server/relay.js)
+   * Forms opt in with hidden _elapsed, _interactions and _pow fields
+   */
+  antiSpam: {
+    // Required leading zero bits of the proof-of-work hash (each bit doubles the work)
+    bits: 16,
+    
+    // How long a stamp stays valid (milliseconds)
+    maxAgeMs: 60 * 60 * 1000,
+    
+    // Give up waiting for the worker and submit without a stamp (milliseconds)
+    solveTimeout: 10000,
+    
+    // The relay rejects submissions sent sooner than this after their stamp was minted
+    // (or after page load, without a stamp) (milliseconds)
+    minElapsedMs: 3000,
+    
+    // Endpoints that check the signals (server/relay.js); the contact form posts to the first
+    // Forms posting anywhere else, such as straight to Formspree, don't send them
+    relayUrls: ['https://forms.yourdomain.com/'],
+  },
+
+  /**
+   * Form submission configuration
+   * Forms with a data-ajax attribute submit via fetch and stay on the page
+   */
+  submission: {
+    // Abort the request after this long (milliseconds)
+    timeout: 15000,
+  },
+
+  /**
+   * Draft autosave configuration (form[data-autosave], see form-drafts.js)
+   */
+  drafts: {
+    // Delay before saving after typing (milliseconds)
+    saveDelay: 500,
+    
+    // Drafts older than this are discarded (milliseconds)
+    maxAgeMs: 3 * 24 * 60 * 60 * 1000,
+  },
+
+  /**
+   * Price estimator configuration ([data-estimator] on service pages)
+   * Prices are in US dollars; estimates are shown as a low–high range
+   */
+  estimator: {
+    // Base price covers includedAcres and one deliverable; keys match the contact form's service values
+    // Names are i18n keys estimator.services.<key>
+    pricing: {
+      'real-estate': { base: 250, includedAcres: 1, perAcre: 20 },
+      construction: { base: 350, includedAcres: 5, perAcre: 15 },
+      inspections: { base: 300, includedAcres: 1, perAcre: 25 },
+      'ranch-farm': { base: 400, includedAcres: 40, perAcre: 4 },
+      mapping: { base: 450, includedAcres: 10, perAcre: 8 },
+      events: { base: 300, includedAcres: 2, perAcre: 30 },
+    },
+    
+    // Deliverables offered, matching the contact form's deliverables[] values
+    // Names are i18n keys estimator.deliverableNames.<key>
+    deliverables: ['photo', 'video', 'orthomosaic', '3d-model'],
+    
+    // Price of each deliverable after the first
+    perDeliverable: 100,
+    
+    // Travel beyond freeMiles from our base is charged per mile
+    travel: {
+      freeMiles: 25,
+      perMile: 1.5,
+    },
+    
+    // Multiplier on the work (not travel) for rush jobs
+    rushMultiplier: 1.5,
+    
+    // Range around the computed price (0.15 = ±15%), rounded out to this many dollars
+    spread: 0.15,
+    rounding: 25,
+    
+    // Input limits
+    maxAcres: 5000,
+    maxMiles: 500,
+    
+    // Contact form options pre-selected from an estimate
+    // propertySizes: first entry whose maxAcres covers the estimate's acreage
+    propertySizes: [
+      { maxAcres: 1, value: 'under-1-acre' },
+      { maxAcres: 10, value: '1-10-acres' },
+      { maxAcres: 50, value: '10-50-acres' },
+      { maxAcres: 200, value: '50-200-acres' },
+      { maxAcres: Infinity, value: '200-plus-acres' },
+    ],
+    rushTimeline: 'within-1-week',
+  },
+
+  /**
+   * Service area configuration (#location on the contact form)
+   * Places come from assets/js/data/gazetteer.js; distances are straight-line miles
+   * Result messages are i18n keys serviceArea.*
+   */
+  serviceArea: {
+    // Home base that distances and travel fees are measured from
+    base: {
+      name: 'Austin',
+      lat: 30.2672,
+      lon: -97.7431,
     },
+    
+    // First tier whose maxMiles covers the distance applies; beyond the last tier is out of area
+    feeTiers: [
+      { maxMiles: 30, fee: 0 },
+      { maxMiles: 60, fee: 50 },
+      { maxMiles: 100, fee: 100 },
+      { maxMiles: 150, fee: 175 },
+    ],
+    
+    // Autocomplete
+    minQueryLength: 2,
+    maxSuggestions: 6,
+  },
+
+  /**
+   * Airspace advisory configuration ([data-airspace] elements)
+   * Data is a local GeoJSON file refreshed by scripts/update-airspace.js
+   * Titles and messages are i18n keys airspace.*
+   */
+  airspace: {
+    // Used when the element has no data-airspace-src
+    dataUrl: '/assets/data/airspace.json',
+    
+    // Delay before checking while typing (milliseconds)
+    inputDelay: 300,
   },
 
   /**
@@ -115,7 +403,7 @@ export const config = {
    * Lightbox configuration
    */
   lightbox: {
-    // Animation duration (milliseconds)
+    // Open/close fade length (milliseconds); skipped when the visitor prefers reduced motion
     animationDuration: 300,
     
     // Close on overlay click
@@ -123,6 +411,63 @@ export const config = {
     
     // Close on escape key
     closeOnEscape: true,
+
+    // Horizontal travel that counts as a swipe to the next/previous image (pixels)
+    swipeThreshold: 50,
+
+    // Deep links are #<group>-<n>; groups are named by data-lightbox-group or id, else this
+    defaultGroup: 'gallery',
+
+    // Largest zoom factor, and the factor each wheel notch or +/- press zooms by
+    maxZoom: 4,
+    zoomStep: 1.5,
+
+    // Zoom factor a double-tap or double-click jumps to
+    doubleTapZoom: 2.5,
+
+    // Distance the arrow keys pan a zoomed image (pixels)
+    panStep: 60,
+
+    // Longest gap between the taps of a double-tap (milliseconds), and how far a tap may move (pixels)
+    doubleTapDelay: 300,
+    tapSlop: 10,
+
+    // data-lightbox-type="video" items with a YouTube link play in this player;
+    // the host must stay allowed by frame-src in _headers
+    youtubeEmbed: 'https://www.youtube.com/embed/',
+  },
+
+  /**
+   * 360° panorama viewer (see panorama.js)
+   */
+  panorama: {
+    // Canvas resolution the view is drawn at; CSS scales it to fit
+    renderWidth: 960,
+    renderHeight: 540,
+
+    // Panoramas are scaled down to this width before viewing, to bound memory
+    maxSourceWidth: 4096,
+
+    // Starting, narrowest and widest horizontal field of view (degrees)
+    fov: 90,
+    minFov: 30,
+    maxFov: 110,
+
+    // Degrees the arrow keys turn the view, and the field-of-view factor per wheel notch or +/- press
+    keyStep: 10,
+    zoomStep: 1.2,
+  },
+
+  /**
+   * Before/after compare sliders (see compare.js)
+   */
+  compare: {
+    // Where the divider starts (percent from the left) unless data-compare-position is set
+    start: 50,
+
+    // Divider movement per arrow key, and per Page Up/Down (percent)
+    keyStep: 2,
+    keyStepLarge: 10,
   },
 
   /**
@@ -0,0 +1,136 @@
+/**
+ * Email Suggest Module
+ * Suggests a corrected address for likely domain typos, such as "gmial.com" or "yahoo.con"
+ * Domains are compared with the bundled providers and TLDs (data/email-domains.js) by edit
+ * distance, counting a swap of two neighbouring letters as one edit
+ * Provider names (the part before the TLD) are matched more strictly the shorter they are,
+ * and a valid TLD is never swapped for a provider's, so real domains like ibm.com or
+ * yahoo.ca are left alone
+ * Suggestions are advisory only; they never make a field invalid
+ */
+
+import { emailDomains } from '../data/email-domains.js';
+import { config } from './config.js';
+
+export const emailSuggest = {
+  /**
+   * Suggest a correction for an email address
+   * @param {string} email - Entered address
+   * @returns {string|null} Corrected address, or null if the domain looks fine
+   */
+  suggest(email) {
+    const value = String(email || '').trim();
+    const at = value.lastIndexOf('@');
+    if (at < 1) return null;
+
+    const local = value.slice(0, at);
+    const domain = value.slice(at + 1).toLowerCase();
+    if (!domain || emailDomains.providers.includes(domain)) return null;
+
+    const provider = this._closestProvider(domain);
+    if (provider) {
+      return `${local}@${provider}`;
+    }
+
+    // Unknown domain: only check its last label, since we can't know the rest
+    const labels = domain.split('.');
+    const tld = labels.pop();
+    if (labels.length === 0 || !tld || emailDomains.tlds.includes(tld)) return null;
+
+    const closestTld = this._closest(tld, emailDomains.tlds, 1);
+    return closestTld ? `${local}@${[...labels, closestTld].join('.')}` : null;
+  },
+
+  /**
+   * Edit distance between two strings (optimal string alignment:
+   * insertions, deletions, substitutions and adjacent swaps each cost 1)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Distance
+   */
+  distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  },
+
+  /**
+   * Split a domain into its name and public suffix: "yahoo.co.uk" is ["yahoo", "co.uk"],
+   * "austin.rr.com" is ["austin.rr", "com"]
+   * @param {string} domain - Lowercase domain
+   * @returns {string[]} [name, suffix]; the name is empty for a bare label
+   * @private
+   */
+  _split(domain) {
+    const labels = domain.split('.');
+    const size = labels.length > 2 && ['co', 'com'].includes(labels[labels.length - 2]) &&
+      labels[labels.length - 1].length === 2 ? 2 : 1;
+    return [labels.slice(0, -size).join('.'), labels.slice(-size).join('.')];
+  },
+
+  /**
+   * Find the provider an entered domain is most likely a typo of
+   * The name may be off by one edit per config lettersPerEdit letters of the provider's
+   * name (up to maxDistance), so short names like "me" or "aol" must match exactly;
+   * the suffix must match unless it isn't a known TLD at all (such as "con")
+   * @param {string} domain - Entered domain, lowercase
+   * @returns {string|null} Provider domain
+   * @private
+   */
+  _closestProvider(domain) {
+    const { maxDistance, lettersPerEdit } = config.validation.emailSuggestion;
+    const [name, suffix] = this._split(domain);
+    if (!name) return null;
+    const suffixIsValid = emailDomains.tlds.includes(suffix.split('.').pop());
+
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    emailDomains.providers.forEach(provider => {
+      const [providerName, providerSuffix] = this._split(provider);
+      const nameDistance = this.distance(name, providerName);
+      const suffixDistance = suffix === providerSuffix ? 0 : this.distance(suffix, providerSuffix);
+      const allowed = Math.min(maxDistance, Math.floor(providerName.length / lettersPerEdit));
+
+      if (nameDistance > allowed) return;
+      if (suffixDistance > 0 && (suffixIsValid || suffixDistance > 1)) return;
+
+      const distance = nameDistance + suffixDistance;
+      if (distance > 0 && distance < bestDistance) {
+        best = provider;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Find the nearest candidate within a distance; ties go to the earlier candidate
+   * @param {string} value - Entered text
+   * @param {string[]} candidates - Known values, most common first
+   * @param {number} maxDistance - Largest distance still treated as a typo
+   * @returns {string|null} Closest candidate
+   * @private
+   */
+  _closest(value, candidates, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    candidates.forEach(candidate => {
+      const distance = this.distance(value, candidate);
+      if (distance > 0 && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  },
+};
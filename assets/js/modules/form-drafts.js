@@ -0,0 +1,303 @@
+/**
+ * Form Drafts Module
+ * Autosaves form[data-autosave] fields to localStorage as the visitor types,
+ * and offers to restore the draft on their next visit
+ * Hidden, "_"-prefixed, password, file and payment fields are never stored;
+ * mark any other field data-no-autosave to skip it
+ * Drafts expire after config.drafts.maxAgeMs and are cleared once a submission
+ * is confirmed (form:success, or offline-queue:sent for queued requests)
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'file', 'password', 'image'];
+
+export const formDrafts = {
+  storagePrefix: 'sss_draft:',
+
+  // Drafts offered in the banner but not restored yet
+  pending: new WeakMap(),
+
+  // Forms edited since their last save or clear
+  dirty: new WeakSet(),
+
+  /**
+   * Initialize autosave on every form[data-autosave]
+   */
+  init() {
+    document.querySelectorAll('form[data-autosave]').forEach(form => this._setupForm(form));
+
+    document.addEventListener('offline-queue:sent', (e) => {
+      if (e.detail.entry.formName) this.clear(e.detail.entry.formName);
+    });
+  },
+
+  /**
+   * Get a form's storage key
+   * @param {HTMLFormElement|string} form - Form, or its name
+   * @returns {string} Storage key
+   */
+  getKey(form) {
+    const name = typeof form === 'string' ? form : form.getAttribute('name') || form.id || 'form';
+    return this.storagePrefix + name;
+  },
+
+  /**
+   * Check whether a field's value may be stored
+   * @param {HTMLElement} field - Form control
+   * @returns {boolean} True for named, user-editable, non-sensitive fields
+   */
+  isPersistable(field) {
+    const autocomplete = field.getAttribute('autocomplete') || '';
+    return Boolean(field.name) &&
+           !field.name.startsWith('_') &&
+           !SKIPPED_TYPES.includes(field.type) &&
+           !field.hasAttribute('data-no-autosave') &&
+           !autocomplete.startsWith('cc-') &&
+           autocomplete !== 'one-time-code';
+  },
+
+  /**
+   * Read a form's persistable values
+   * Checkbox groups become arrays of checked values
+   * @param {HTMLFormElement} form - Form
+   * @returns {Object} Values keyed by field name
+   */
+  serialize(form) {
+    const values = {};
+    Array.from(form.elements).forEach(field => {
+      if (!this.isPersistable(field)) return;
+
+      if (field.type === 'checkbox') {
+        values[field.name] = values[field.name] || [];
+        if (field.checked) values[field.name].push(field.value);
+      } else if (field.type === 'radio') {
+        if (field.checked) values[field.name] = field.value;
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+    return values;
+  },
+
+  /**
+   * Write saved values into a form
+   * Each changed field gets a bubbling change event so dependent widgets update
+   * @param {HTMLFormElement} form - Form
+   * @param {Object} values - Values from serialize()
+   * @returns {HTMLElement[]} Fields that were changed
+   */
+  apply(form, values) {
+    const changed = [];
+    Array.from(form.elements).forEach(field => {
+      if (!this.isPersistable(field) || !(field.name in values)) return;
+      const value = values[field.name];
+
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        const checked = field.type === 'checkbox'
+          ? Array.isArray(value) && value.includes(field.value)
+          : field.value === value;
+        if (field.checked === checked) return;
+        field.checked = checked;
+      } else {
+        if (field.value === value) return;
+        field.value = value;
+      }
+      changed.push(field);
+    });
+
+    changed.forEach(field => field.dispatchEvent(new Event('change', { bubbles: true })));
+    return changed;
+  },
+
+  /**
+   * Load a form's saved draft, dropping it if expired or unreadable
+   * @param {HTMLFormElement} form - Form
+   * @returns {{savedAt: number, values: Object}|null} Draft
+   */
+  load(form) {
+    let draft;
+    try {
+      draft = JSON.parse(localStorage.getItem(this.getKey(form)) || 'null');
+    } catch {
+      draft = null;
+    }
+
+    const valid = draft && draft.values && Date.now() - draft.savedAt < config.drafts.maxAgeMs;
+    if (draft && !valid) this.clear(form);
+    return valid ? draft : null;
+  },
+
+  /**
+   * Save a form's current values, or remove the draft if every field is empty
+   * @param {HTMLFormElement} form - Form
+   */
+  save(form) {
+    const values = this.serialize(form);
+    this.dirty.delete(form);
+    try {
+      if (this._hasContent(values)) {
+        localStorage.setItem(this.getKey(form), JSON.stringify({ savedAt: Date.now(), values }));
+      } else {
+        localStorage.removeItem(this.getKey(form));
+      }
+    } catch {
+      // Silently fail if localStorage is unavailable
+    }
+  },
+
+  /**
+   * Remove a form's draft and its banner
+   * @param {HTMLFormElement|string} form - Form, or its name
+   */
+  clear(form) {
+    try {
+      localStorage.removeItem(this.getKey(form));
+    } catch {
+      // Silently fail if localStorage is unavailable
+    }
+
+    if (typeof form === 'string') return;
+    this.dirty.delete(form);
+    this.pending.delete(form);
+    this._removeBanner(form);
+  },
+
+  /**
+   * Restore the draft offered in the banner
+   * Dispatches "draft:restored" on the form (the quote wizard reopens the right step)
+   * @param {HTMLFormElement} form - Form
+   */
+  restore(form) {
+    const draft = this.pending.get(form);
+    this.pending.delete(form);
+    this._removeBanner(form);
+    if (!draft) return;
+
+    this.apply(form, draft.values);
+    this.save(form);
+    form.dispatchEvent(new CustomEvent('draft:restored', { detail: { draft } }));
+    this._focusFirstField(form);
+  },
+
+  /**
+   * Decline the draft offered in the banner and keep whatever was typed since
+   * @param {HTMLFormElement} form - Form
+   */
+  discard(form) {
+    this.pending.delete(form);
+    this._removeBanner(form);
+    this.save(form);
+    this._focusFirstField(form);
+  },
+
+  /**
+   * Offer any saved draft and start autosaving
+   * @param {HTMLFormElement} form - Form with data-autosave
+   * @private
+   */
+  _setupForm(form) {
+    const draft = this.load(form);
+    if (draft && this._hasContent(draft.values)) {
+      this.pending.set(form, draft);
+      this._showBanner(form, draft);
+    }
+
+    const save = utils.debounce(() => {
+      // A save queued before the draft was cleared must not bring it back, and the
+      // draft offered in the banner is kept until the visitor restores or discards it
+      if (this.dirty.has(form) && !this.pending.has(form)) this.save(form);
+    }, config.drafts.saveDelay);
+    const edit = () => {
+      this.dirty.add(form);
+      save();
+    };
+
+    form.addEventListener('input', edit, { passive: true });
+    form.addEventListener('change', edit, { passive: true });
+    form.addEventListener('form:success', () => this.clear(form));
+  },
+
+  /**
+   * Show the "restore your draft?" banner above the form
+   * @param {HTMLFormElement} form - Form
+   * @param {{savedAt: number}} draft - Saved draft
+   * @private
+   */
+  _showBanner(form, draft) {
+    const banner = document.createElement('div');
+    banner.className = 'draft-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', i18n.t('drafts.region'));
+
+    const text = document.createElement('p');
+    text.textContent = i18n.t('drafts.prompt', { age: this._formatAge(Date.now() - draft.savedAt) });
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'draft-restore';
+    restoreButton.textContent = i18n.t('drafts.restore');
+    restoreButton.addEventListener('click', () => this.restore(form));
+
+    const discardButton = document.createElement('button');
+    discardButton.type = 'button';
+    discardButton.className = 'draft-discard';
+    discardButton.textContent = i18n.t('drafts.discard');
+    discardButton.addEventListener('click', () => this.discard(form));
+
+    banner.append(text, restoreButton, discardButton);
+    form.before(banner);
+  },
+
+  /**
+   * Remove the banner above a form, if shown
+   * @param {HTMLFormElement} form - Form
+   * @private
+   */
+  _removeBanner(form) {
+    const banner = form.previousElementSibling;
+    if (banner && banner.classList.contains('draft-banner')) {
+      banner.remove();
+    }
+  },
+
+  /**
+   * Move focus to the first visible field once the banner is gone
+   * @param {HTMLFormElement} form - Form
+   * @private
+   */
+  _focusFirstField(form) {
+    const field = Array.from(form.elements)
+      .find(element => this.isPersistable(element) && !element.disabled && !element.closest('[hidden]'));
+    if (field) field.focus();
+  },
+
+  /**
+   * Check whether saved values hold anything worth restoring
+   * @param {Object} values - Values from serialize()
+   * @returns {boolean} True if any field is non-empty
+   * @private
+   */
+  _hasContent(values) {
+    return Object.values(values).some(value => (
+      Array.isArray(value) ? value.length > 0 : String(value).trim() !== ''
+    ));
+  },
+
+  /**
+   * Describe how long ago a draft was saved
+   * @param {number} ms - Age in milliseconds
+   * @returns {string} e.g. "5 minutes ago", "yesterday"
+   * @private
+   */
+  _formatAge(ms) {
+    const format = new Intl.RelativeTimeFormat(i18n.locale, { numeric: 'auto' });
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return format.format(-minutes, 'minute');
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return format.format(-hours, 'hour');
+    return format.format(-Math.round(hours / 24), 'day');
+  },
+};
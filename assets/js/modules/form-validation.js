@@ -1,35 +1,65 @@
 /**
  * Form Validation Module
  * Handles client-side form validation with accessibility support
- * Includes rate limiting to prevent spam submissions
+ * Rules are declarative (see validation-rules.js) and drive both blur and submit
+ * Async rules run on blur with a pending state and are awaited before submit, as are
+ * attachments still being downscaled
+ * Forms marked data-ajax submit via fetch and show the result in-page;
+ * submissions that fail for network reasons go to the offline queue
+ * Includes rate limiting to prevent spam submissions, plus the invisible
+ * anti-spam signals from anti-spam.js
+ * Email fields get a non-blocking "Did you mean …?" suggestion for domain typos
+ * Invalid fields are marked aria-invalid and described by their message; on submit an
+ * error summary at the top of the form links to every invalid field
+ * Copy comes from the i18n catalogs; shown errors are re-rendered when the language changes
  */
 
-import { utils } from './utils.js';
+import { validationRules } from './validation-rules.js';
+import { offlineQueue } from './offline-queue.js';
+import { antiSpam } from './anti-spam.js';
+import { attachments } from './attachments.js';
+import { emailSuggest } from './email-suggest.js';
+import { i18n } from './i18n.js';
 import { config } from './config.js';
 
 /**
  * Rate limiting configuration and tracking
  * Prevents spam by limiting form submissions per time window
+ * Each form has its own policy and budget, keyed by its name or id (see config.rateLimit.policies);
+ * calls without a form use the shared default budget
  */
 const rateLimit = {
-  maxSubmissions: 3,
-  windowMs: 10 * 60 * 1000, // 10 minutes
   storageKey: 'sss_form_submissions',
 
+  /**
+   * Get the policy that applies to a form
+   * @param {HTMLFormElement|string} [form] - Form, or its policy name
+   * @returns {{name: string, maxSubmissions: number, windowMs: number, storageKey: string}} Policy
+   */
+  getPolicy(form) {
+    const { maxSubmissions, windowMs, policies } = config.rateLimit;
+    const name = typeof form === 'string'
+      ? form
+      : (form && (form.getAttribute('name') || form.id)) || '';
+
+    return {
+      maxSubmissions,
+      windowMs,
+      ...(name && policies[name]),
+      name,
+      storageKey: name ? `${this.storageKey}:${name}` : this.storageKey,
+    };
+  },
+
   /**
    * Check if user can submit the form
+   * @param {HTMLFormElement|string} [form] - Form, or its policy name
    * @returns {boolean} True if submission is allowed
    */
-  canSubmit() {
+  canSubmit(form) {
+    const policy = this.getPolicy(form);
     try {
-      const submissions = JSON.parse(
-        localStorage.getItem(this.storageKey) || '[]'
-      );
-      const now = Date.now();
-      const recentSubmissions = submissions.filter(
-        (time) => now - time < this.windowMs
-      );
-      return recentSubmissions.length < this.maxSubmissions;
+      return this._recent(policy).length < policy.maxSubmissions;
     } catch {
       return true; // Allow if localStorage fails
     }
@@ -37,55 +67,68 @@ const rateLimit = {
 
   /**
    * Record a form submission
+   * @param {HTMLFormElement|string} [form] - Form, or its policy name
    */
-  recordSubmission() {
+  recordSubmission(form) {
+    const policy = this.getPolicy(form);
     try {
-      const submissions = JSON.parse(
-        localStorage.getItem(this.storageKey) || '[]'
-      );
-      const now = Date.now();
-
-      // Add new submission
-      submissions.push(now);
-
-      // Clean old submissions
-      const cleaned = submissions.filter(
-        (time) => now - time < this.windowMs
-      );
-
-      localStorage.setItem(this.storageKey, JSON.stringify(cleaned));
+      // Old submissions are dropped as the new one is added
+      const submissions = [...this._recent(policy), Date.now()];
+      localStorage.setItem(policy.storageKey, JSON.stringify(submissions));
     } catch {
       // Silently fail if localStorage is unavailable
     }
   },
 
   /**
-   * Get remaining time until rate limit resets (in seconds)
+   * Get remaining time until the oldest recent submission leaves the window (in seconds)
+   * @param {HTMLFormElement|string} [form] - Form, or its policy name
    * @returns {number} Seconds until reset, or 0 if not rate limited
    */
-  getRemainingTime() {
+  getRemainingTime(form) {
+    const policy = this.getPolicy(form);
     try {
-      const submissions = JSON.parse(
-        localStorage.getItem(this.storageKey) || '[]'
-      );
+      const submissions = this._recent(policy);
       if (submissions.length === 0) return 0;
 
       const oldest = Math.min(...submissions);
-      const elapsed = Date.now() - oldest;
-      return Math.max(0, Math.ceil((this.windowMs - elapsed) / 1000));
+      return Math.max(0, Math.ceil((policy.windowMs - (Date.now() - oldest)) / 1000));
     } catch {
       return 0;
     }
   },
+
+  /**
+   * Read a policy's submissions that are still inside its window
+   * @param {Object} policy - Policy from getPolicy()
+   * @returns {number[]} Submission timestamps
+   * @throws {Error} If localStorage is unavailable or holds invalid JSON
+   * @private
+   */
+  _recent(policy) {
+    const submissions = JSON.parse(localStorage.getItem(policy.storageKey) || '[]');
+    const now = Date.now();
+    return submissions.filter(time => now - time < policy.windowMs);
+  },
 };
 
 export const formValidation = {
+  // In-flight or settled async validation per field: { value, controller, promise }
+  asyncValidations: new WeakMap(),
+  
+  // Running rate-limit countdowns per form: { intervalId, message }
+  countdowns: new WeakMap(),
+
   /**
    * Initialize form validation for all forms on the page
    */
   init() {
     const forms = document.querySelectorAll('form');
     forms.forEach(form => this._setupFormValidation(form));
+    
+    document.addEventListener('offline-queue:sent', (e) => this._handleQueuedSent(e.detail.entry));
+    document.addEventListener('offline-queue:failed', (e) => this._handleQueuedFailed(e.detail.entry, e.detail.response));
+    document.addEventListener('i18n:change', () => forms.forEach(form => this._retranslate(form)));
   },
 
   /**
@@ -94,77 +137,568 @@ export const formValidation = {
    * @private
    */
   _setupFormValidation(form) {
+    antiSpam.watch(form);
     form.addEventListener('submit', (e) => this._handleSubmit(e, form));
     
-    const inputs = form.querySelectorAll('input, textarea');
+    // Still limited from an earlier visit: show the countdown straight away
+    if (!rateLimit.canSubmit(form)) {
+      this._startCountdown(form);
+    }
+    
+    const inputs = form.querySelectorAll('input, textarea, select');
     inputs.forEach(input => {
-      input.addEventListener('blur', () => this._validateField(input), { passive: true });
-      input.addEventListener('input', () => this._clearFieldError(input), { passive: true });
+      input.addEventListener('blur', () => this._handleBlur(input), { passive: true });
+      input.addEventListener('input', () => {
+        this._cancelAsyncValidation(input);
+        this._clearFieldError(input);
+        this._clearEmailSuggestion(input);
+      }, { passive: true });
+      
+      // File inputs don't blur when the picker closes; check the selection straight away,
+      // or once attachments has merged and downscaled it
+      if (input.type === 'file') {
+        input.addEventListener('change', () => {
+          if (!attachments.willSync(input)) this._validateField(input);
+        }, { passive: true });
+      }
     });
   },
 
+  /**
+   * Validate a field when it loses focus, then start its async rules
+   * @param {HTMLElement} field - Field that lost focus
+   * @private
+   */
+  _handleBlur(field) {
+    const valid = this._validateField(field);
+    if (valid && field.type === 'email') {
+      this._showEmailSuggestion(field);
+    }
+    if (valid && validationRules.hasAsyncRules(field)) {
+      this._runAsyncValidation(field);
+    }
+  },
+
+  /**
+   * Validate every field inside a container, such as one wizard step
+   * Only synchronous rules run; async rules are awaited on submit
+   * @param {HTMLElement} container - Form or element holding the fields
+   * @returns {boolean} True if every field passed
+   */
+  validateFields(container) {
+    const invalidFields = this._getValidatableFields(container)
+      .filter(field => !this._validateField(field));
+    
+    if (invalidFields.length > 0) {
+      this._focusField(invalidFields[0]);
+    }
+    return invalidFields.length === 0;
+  },
+
+  /**
+   * Focus a field, first letting hidden containers reveal it
+   * Dispatches a bubbling "field:reveal" event (the quote wizard listens for it)
+   * @param {HTMLElement} field - Field to focus
+   * @private
+   */
+  _focusField(field) {
+    field.dispatchEvent(new CustomEvent('field:reveal', { bubbles: true }));
+    field.focus();
+  },
+
   /**
    * Handle form submission
+   * Submission is held back while async rules or the proof-of-work stamp are pending, then completed
+   * via fetch (data-ajax forms) or native form.submit()
    * @param {Event} e - Submit event
    * @param {HTMLFormElement} form - Form being submitted
+   * @returns {Promise<boolean>|undefined} Resolves once the deferred submission settles, if deferred
    * @private
    */
   _handleSubmit(e, form) {
-    let isValid = true;
-    const requiredFields = form.querySelectorAll('[required]');
-    
     // Clear previous error messages
+    this._stopCountdown(form);
+    this._removeErrorSummary(form);
+    form.querySelectorAll('[aria-invalid="true"]').forEach(field => this._clearFieldError(field));
     form.querySelectorAll('.error-message').forEach(msg => msg.remove());
     form.querySelectorAll('.rate-limit-message').forEach(msg => msg.remove());
 
     // Check rate limiting first
-    if (!rateLimit.canSubmit()) {
+    if (!rateLimit.canSubmit(form)) {
       e.preventDefault();
-      const remainingTime = rateLimit.getRemainingTime();
-      const minutes = Math.ceil(remainingTime / 60);
-      this._showRateLimitError(form, 
-        `Too many submissions. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
-      );
+      this._startCountdown(form);
       return;
     }
     
-    requiredFields.forEach(field => {
-      if (!field.value.trim()) {
-        isValid = false;
-        this._showError(field, config.validation.messages.required);
-      } else if (field.type === 'email' && !utils.isValidEmail(field.value)) {
-        isValid = false;
-        this._showError(field, config.validation.messages.invalidEmail);
-      } else if (field.type === 'tel' && !utils.isValidPhone(field.value)) {
-        isValid = false;
-        this._showError(field, config.validation.messages.invalidPhone);
-      }
-    });
+    // Validate and send the downscaled files, not the originals still being replaced
+    if (attachments.isPending(form)) {
+      e.preventDefault();
+      return this._resubmitWhenAttached(form, e.submitter);
+    }
+    
+    const fields = this._getValidatableFields(form);
+    const invalidFields = fields.filter(field => !this._validateField(field));
     
-    if (!isValid) {
+    if (invalidFields.length > 0) {
       e.preventDefault();
+      this._showErrorSummary(form, invalidFields);
       
       // Focus first error field
-      const firstError = form.querySelector('.error-message');
-      if (firstError && firstError.previousElementSibling) {
-        firstError.previousElementSibling.focus();
+      this._focusField(invalidFields[0]);
+      return;
+    }
+    
+    const asyncFields = fields.filter(field => validationRules.hasAsyncRules(field));
+    if (asyncFields.length > 0 || this._usesAjax(form) || antiSpam.isPending(form)) {
+      e.preventDefault();
+      return this._completeSubmission(form, asyncFields);
+    }
+    
+    antiSpam.stamp(form);
+    
+    // Record successful submission attempt
+    rateLimit.recordSubmission(form);
+  },
+
+  /**
+   * Wait for pending attachments, then submit the form again from the top
+   * @param {HTMLFormElement} form - Form being submitted
+   * @param {HTMLElement|null} [submitter] - Button that submitted it
+   * @returns {Promise<void>} Resolves once the form is resubmitted
+   * @private
+   */
+  async _resubmitWhenAttached(form, submitter) {
+    form.setAttribute('aria-busy', 'true');
+    await attachments.ready(form);
+    form.removeAttribute('aria-busy');
+    form.requestSubmit(submitter?.form === form ? submitter : undefined);
+  },
+
+  /**
+   * Wait for async rules on the given fields and the anti-spam stamp, then submit if all passed
+   * @param {HTMLFormElement} form - Form being submitted
+   * @param {HTMLElement[]} asyncFields - Fields with async rules
+   * @returns {Promise<boolean>} True if the form was submitted
+   * @private
+   */
+  async _completeSubmission(form, asyncFields) {
+    if (asyncFields.length > 0) {
+      form.setAttribute('aria-busy', 'true');
+      const results = await Promise.all(asyncFields.map(field => this._runAsyncValidation(field)));
+      form.removeAttribute('aria-busy');
+      
+      // A null result means the user edited the field mid-check; let them resubmit
+      if (results.some(valid => valid === null)) {
+        return false;
+      }
+      
+      const invalidFields = asyncFields.filter((field, index) => !results[index]);
+      if (invalidFields.length > 0) {
+        this._showErrorSummary(form, invalidFields);
+        this._focusField(invalidFields[0]);
+        return false;
+      }
+    }
+    
+    if (antiSpam.isPending(form)) {
+      form.setAttribute('aria-busy', 'true');
+      await antiSpam.ready(form);
+      form.removeAttribute('aria-busy');
+    }
+    antiSpam.stamp(form);
+    
+    if (this._usesAjax(form)) {
+      return this._submitWithAjax(form);
+    }
+    
+    rateLimit.recordSubmission(form);
+    // Native submit() does not fire the submit event again
+    form.submit();
+    return true;
+  },
+
+  /**
+   * Check whether a form should submit via fetch
+   * Forms opt in with data-ajax; without fetch/FormData the native POST is used
+   * @param {HTMLFormElement} form - Form being submitted
+   * @returns {boolean} True if the fetch path applies
+   * @private
+   */
+  _usesAjax(form) {
+    return form.hasAttribute('data-ajax') &&
+           typeof fetch === 'function' &&
+           typeof FormData === 'function';
+  },
+
+  /**
+   * Submit a form via fetch and show the outcome in-page
+   * The rate limit is only recorded after the endpoint confirms with a 2xx
+   * @param {HTMLFormElement} form - Form to submit
+   * @returns {Promise<boolean>} True if the endpoint accepted the submission
+   * @private
+   */
+  async _submitWithAjax(form) {
+    const { timeout } = config.submission;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    this._setSubmitting(form, true);
+    try {
+      const response = await fetch(form.action, {
+        method: (form.getAttribute('method') || 'POST').toUpperCase(),
+        body: new FormData(form),
+        headers: { Accept: 'application/json' },
+        signal: controller.signal,
+      });
+      const data = await response.json().catch(() => ({}));
+      
+      if (!response.ok) {
+        this._showSubmissionErrors(form, data);
+        return false;
+      }
+      
+      rateLimit.recordSubmission(form);
+      this._showSuccess(form);
+      form.dispatchEvent(new CustomEvent('form:success', { bubbles: true, detail: { response: data } }));
+      return true;
+    } catch (error) {
+      // Timeouts may have reached the server, so only clear network failures are queued
+      const isNetworkFailure = !controller.signal.aborted &&
+        (error instanceof TypeError || navigator.onLine === false);
+      const entry = isNetworkFailure ? offlineQueue.enqueue(form) : null;
+      
+      if (entry) {
+        this._showQueued(form, entry);
+      } else {
+        this._showFormError(form, i18n.t('submission.networkError'));
       }
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+      this._setSubmitting(form, false);
+    }
+  },
+
+  /**
+   * Toggle the busy state of a form while a submission is in flight
+   * @param {HTMLFormElement} form - Form being submitted
+   * @param {boolean} isSubmitting - Whether a request is in flight
+   * @private
+   */
+  _setSubmitting(form, isSubmitting) {
+    const submitButton = form.querySelector('[type="submit"]');
+    
+    if (isSubmitting) {
+      form.setAttribute('aria-busy', 'true');
     } else {
-      // Record successful submission attempt
-      rateLimit.recordSubmission();
+      form.removeAttribute('aria-busy');
+    }
+    
+    if (!submitButton) return;
+    // A running rate-limit countdown keeps the button disabled
+    submitButton.disabled = isSubmitting || this.countdowns.has(form);
+    
+    if (isSubmitting) {
+      submitButton.dataset.label = submitButton.textContent;
+      submitButton.textContent = i18n.t('submission.sending');
+    } else if (submitButton.dataset.label) {
+      submitButton.textContent = submitButton.dataset.label;
+      delete submitButton.dataset.label;
     }
   },
 
   /**
-   * Show rate limit error message on form
+   * Map endpoint errors back onto fields
+   * Understands the Formspree shape: { errors: [{ field, message }] } or { error }
+   * @param {HTMLFormElement} form - Form that was submitted
+   * @param {Object} data - Parsed JSON error response
+   * @private
+   */
+  _showSubmissionErrors(form, data) {
+    const errors = Array.isArray(data.errors) ? data.errors : [];
+    const formMessages = [];
+    const invalidFields = [];
+    
+    errors.forEach(({ field, message }) => {
+      const element = field ? form.elements.namedItem(field) : null;
+      if (element && element.nodeType === Node.ELEMENT_NODE && element.type !== 'hidden') {
+        this._showError(element, message || i18n.t('submission.error'));
+        invalidFields.push(element);
+      } else if (message) {
+        formMessages.push(message);
+      }
+    });
+    
+    if (formMessages.length > 0 || invalidFields.length === 0) {
+      const message = formMessages.join(' ') || data.error || i18n.t('submission.error');
+      this._showFormError(form, message);
+    }
+    
+    if (invalidFields.length > 0) {
+      this._showErrorSummary(form, invalidFields);
+      this._focusField(invalidFields[0]);
+    }
+  },
+
+  /**
+   * Show a form-level submission error above the submit button
    * @param {HTMLFormElement} form - Form to show error on
    * @param {string} message - Error message to display
    * @private
    */
+  _showFormError(form, message) {
+    form.querySelectorAll('.submission-error').forEach(msg => msg.remove());
+    
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'submission-error error-message';
+    errorDiv.textContent = message;
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.setAttribute('aria-live', 'assertive');
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    if (submitButton) {
+      submitButton.parentNode.insertBefore(errorDiv, submitButton);
+    } else {
+      form.append(errorDiv);
+    }
+  },
+
+  /**
+   * Replace the form with a success panel
+   * @param {HTMLFormElement} form - Form that was submitted
+   * @private
+   */
+  _showSuccess(form) {
+    this._showResultPanel(form, i18n.t('submission.successTitle'), i18n.t('submission.success'));
+  },
+
+  /**
+   * Replace the form with a "queued" panel until the offline queue sends it
+   * @param {HTMLFormElement} form - Form that was queued
+   * @param {Object} entry - Offline queue entry
+   * @private
+   */
+  _showQueued(form, entry) {
+    const panel = this._showResultPanel(form, i18n.t('submission.queuedTitle'), i18n.t('submission.queued'));
+    panel.classList.add('form-queued');
+    panel.dataset.queueId = entry.id;
+  },
+
+  /**
+   * Record a queued submission once delivered and update its panel
+   * @param {Object} entry - Offline queue entry that was sent
+   * @private
+   */
+  _handleQueuedSent(entry) {
+    rateLimit.recordSubmission(entry.formName);
+    
+    const panel = document.querySelector(`.form-queued[data-queue-id="${entry.id}"]`);
+    if (!panel) return;
+    
+    panel.classList.remove('form-queued');
+    panel.querySelector('h3').textContent = i18n.t('submission.successTitle');
+    panel.querySelector('p').textContent = i18n.t('submission.success');
+  },
+
+  /**
+   * Bring back a queued submission the endpoint rejected
+   * The queued panel gives way to the form, refilled with the queued values,
+   * and the endpoint's errors are shown so the visitor can fix and resend it
+   * @param {Object} entry - Offline queue entry that was dropped
+   * @param {Object} [response] - Parsed JSON error response
+   * @private
+   */
+  _handleQueuedFailed(entry, response = {}) {
+    const panel = document.querySelector(`.form-queued[data-queue-id="${entry.id}"]`);
+    const form = panel
+      ? panel.previousElementSibling
+      : document.querySelector(`form[name="${entry.formName}"], form[id="${entry.formName}"]`);
+    if (form?.tagName !== 'FORM') return;
+
+    if (panel) {
+      this._restoreFields(form, entry.fields);
+      panel.remove();
+      form.hidden = false;
+    }
+
+    // Field errors point at what to fix; anything else gets the queued-specific message
+    this._showSubmissionErrors(form, { errors: response.errors, error: i18n.t('submission.queuedFailed') });
+    // The focused panel is gone; without a field to fix, resending is the next step
+    if (panel && !form.contains(document.activeElement)) {
+      form.querySelector('[type="submit"]')?.focus();
+    }
+  },
+
+  /**
+   * Write queued [name, value] pairs back into a form
+   * Files and "_"-prefixed anti-spam fields are left alone; the next submit restamps them
+   * @param {HTMLFormElement} form - Form to refill
+   * @param {Array<string[]>} fields - Queued fields
+   * @private
+   */
+  _restoreFields(form, fields) {
+    const values = new Map();
+    fields.forEach(([name, value]) => values.set(name, [...(values.get(name) || []), value]));
+
+    Array.from(form.elements).forEach(field => {
+      if (!field.name || field.type === 'file' || field.name.startsWith('_') || !values.has(field.name)) return;
+      const queued = values.get(field.name);
+
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = queued.includes(field.value);
+      } else if (field.multiple) {
+        Array.from(field.options).forEach(option => {
+          option.selected = queued.includes(option.value);
+        });
+      } else {
+        // Repeated names (like several text inputs) take their values in order
+        field.value = queued.shift() ?? '';
+      }
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  },
+
+  /**
+   * Hide a form and show a status panel in its place
+   * @param {HTMLFormElement} form - Form to replace
+   * @param {string} titleText - Panel heading
+   * @param {string} messageText - Panel body
+   * @returns {HTMLElement} The inserted panel
+   * @private
+   */
+  _showResultPanel(form, titleText, messageText) {
+    const panel = document.createElement('div');
+    panel.className = 'form-success';
+    panel.setAttribute('role', 'status');
+    panel.setAttribute('tabindex', '-1');
+    
+    const title = document.createElement('h3');
+    title.textContent = titleText;
+    const text = document.createElement('p');
+    text.textContent = messageText;
+    panel.append(title, text);
+    
+    form.reset();
+    form.hidden = true;
+    form.parentNode.insertBefore(panel, form.nextSibling);
+    panel.focus();
+    return panel;
+  },
+
+  /**
+   * Run async rules for a field, reusing the check for an unchanged value
+   * Failures of the validator itself (network errors, timeouts) let the field pass
+   * @param {HTMLElement} field - Field to validate
+   * @returns {Promise<boolean|null>} Validity, or null if the check was cancelled
+   * @private
+   */
+  _runAsyncValidation(field) {
+    const existing = this.asyncValidations.get(field);
+    if (existing && existing.value === field.value) {
+      // Settled checks re-apply their result, since sync validation cleared it
+      if (existing.result) {
+        this._applyValidationResult(field, existing.result);
+      }
+      return existing.promise;
+    }
+    this._cancelAsyncValidation(field);
+    
+    const controller = new AbortController();
+    const state = { value: field.value, controller, promise: null, result: null };
+    const timeoutId = setTimeout(() => controller.abort(), config.validation.asyncTimeout);
+    
+    this._setPending(field, true);
+    state.promise = validationRules.validateAsync(field, controller.signal)
+      .catch(() => ({ valid: true, rule: null, message: null }))
+      .then((result) => {
+        clearTimeout(timeoutId);
+        if (this.asyncValidations.get(field) !== state) {
+          return null;
+        }
+        
+        state.result = result;
+        this._setPending(field, false);
+        this._applyValidationResult(field, result);
+        return result.valid;
+      });
+    
+    this.asyncValidations.set(field, state);
+    return state.promise;
+  },
+
+  /**
+   * Cancel any async validation for a field
+   * @param {HTMLElement} field - Field whose check should stop
+   * @private
+   */
+  _cancelAsyncValidation(field) {
+    const existing = this.asyncValidations.get(field);
+    if (!existing) return;
+    
+    this.asyncValidations.delete(field);
+    existing.controller.abort();
+    this._setPending(field, false);
+  },
+
+  /**
+   * Toggle the pending state shown while async rules run
+   * @param {HTMLElement} field - Field being checked
+   * @param {boolean} isPending - Whether a check is in flight
+   * @private
+   */
+  _setPending(field, isPending) {
+    field.classList.toggle('field-pending', isPending);
+    if (isPending) {
+      field.setAttribute('aria-busy', 'true');
+    } else {
+      field.removeAttribute('aria-busy');
+    }
+  },
+
+  /**
+   * Get the fields of a form that take part in validation
+   * @param {HTMLFormElement} form - Form to collect fields from
+   * @returns {HTMLElement[]} Enabled, user-editable fields
+   * @private
+   */
+  _getValidatableFields(form) {
+    const skippedTypes = ['hidden', 'submit', 'button', 'reset'];
+    const seenGroups = new Set();
+    
+    return Array.from(form.querySelectorAll('input, textarea, select'))
+      .filter(field => {
+        if (field.disabled || skippedTypes.includes(field.type)) return false;
+        if (!this._isGrouped(field)) return true;
+        
+        // Validate each radio/checkbox group once, through its first input
+        const groupKey = `${field.type}:${field.name}`;
+        if (seenGroups.has(groupKey)) return false;
+        seenGroups.add(groupKey);
+        return true;
+      });
+  },
+
+  /**
+   * Check whether a field is part of a named radio/checkbox group
+   * @param {HTMLElement} field - Field to check
+   * @returns {boolean} True for named radios and checkboxes
+   * @private
+   */
+  _isGrouped(field) {
+    return (field.type === 'radio' || field.type === 'checkbox') && Boolean(field.name);
+  },
+
+  /**
+   * Show rate limit error message on form
+   * @param {HTMLFormElement} form - Form to show error on
+   * @param {string|Array<string|Node>} message - Error message to display
+   * @returns {HTMLElement} Message element
+   * @private
+   */
   _showRateLimitError(form, message) {
     const errorDiv = document.createElement('div');
     errorDiv.className = 'rate-limit-message error-message';
-    errorDiv.textContent = message;
+    errorDiv.append(...[].concat(message));
     errorDiv.setAttribute('role', 'alert');
     errorDiv.setAttribute('aria-live', 'assertive');
     
@@ -174,21 +708,182 @@ export const formValidation = {
     } else {
       form.prepend(errorDiv);
     }
+    return errorDiv;
   },
 
   /**
-   * Validate a single field
+   * Show the rate-limit message with a live countdown and disable the submit button
+   * The button is re-enabled and the message removed once the form's window frees up
+   * @param {HTMLFormElement} form - Rate-limited form
+   * @private
+   */
+  _startCountdown(form) {
+    this._stopCountdown(form);
+    
+    const countdown = document.createElement('span');
+    countdown.className = 'rate-limit-countdown';
+    // The alert announces the starting time once; the ticking stays silent
+    countdown.setAttribute('aria-live', 'off');
+    
+    const tick = () => {
+      if (rateLimit.canSubmit(form)) {
+        this._stopCountdown(form);
+        return;
+      }
+      countdown.textContent = this._formatCountdown(rateLimit.getRemainingTime(form));
+    };
+    tick();
+    
+    const [before, after = ''] = i18n.t('rateLimit.limited').split('{time}');
+    const message = this._showRateLimitError(form, [before, countdown, after]);
+    message.id = `${form.id || form.getAttribute('name') || 'form'}-rate-limit`;
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = true;
+      submitButton.setAttribute('aria-disabled', 'true');
+      this._addDescribedBy(submitButton, message.id);
+    }
+    
+    this.countdowns.set(form, { intervalId: setInterval(tick, 1000), message });
+  },
+
+  /**
+   * Stop a form's countdown, remove its message and re-enable the submit button
+   * @param {HTMLFormElement} form - Form
+   * @private
+   */
+  _stopCountdown(form) {
+    const countdown = this.countdowns.get(form);
+    if (!countdown) return;
+    
+    clearInterval(countdown.intervalId);
+    countdown.message.remove();
+    this.countdowns.delete(form);
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = false;
+      submitButton.removeAttribute('aria-disabled');
+      this._removeDescribedBy(submitButton, countdown.message.id);
+    }
+  },
+
+  /**
+   * Add an id to an element's aria-describedby
+   * @param {HTMLElement} element - Described element
+   * @param {string} id - Id of the describing element
+   * @private
+   */
+  _addDescribedBy(element, id) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!ids.includes(id)) {
+      element.setAttribute('aria-describedby', [...ids, id].join(' '));
+    }
+  },
+
+  /**
+   * Remove an id from an element's aria-describedby
+   * @param {HTMLElement} element - Described element
+   * @param {string} id - Id to remove
+   * @private
+   */
+  _removeDescribedBy(element, id) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(' ').filter(token => token && token !== id);
+    if (ids.length > 0) {
+      element.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      element.removeAttribute('aria-describedby');
+    }
+  },
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} seconds - Seconds left
+   * @returns {string} Countdown text
+   * @private
+   */
+  _formatCountdown(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  },
+
+  /**
+   * Offer a corrected address below an email field when its domain looks like a typo
+   * The suggestion is a button that applies the fix; it doesn't affect validity
+   * @param {HTMLInputElement} field - Email field
+   * @private
+   */
+  _showEmailSuggestion(field) {
+    this._clearEmailSuggestion(field);
+    const suggestion = emailSuggest.suggest(field.value);
+    if (!suggestion) return;
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'email-suggestion-apply';
+    button.textContent = suggestion;
+    button.addEventListener('click', () => {
+      field.value = suggestion;
+      // Lets autosave and other listeners see the change; also clears the suggestion
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+      this._validateField(field);
+      field.focus();
+    });
+    
+    const message = document.createElement('p');
+    message.id = `${field.id || field.name}-suggestion`;
+    message.className = 'email-suggestion';
+    message.setAttribute('aria-live', 'polite');
+    const [before, after = ''] = i18n.t('validation.emailSuggestion').split('{email}');
+    message.append(before, button, after);
+    
+    // After any error message, so _clearFieldError still finds it next to the field
+    const anchor = this._getErrorAnchor(field);
+    const error = anchor.nextElementSibling;
+    (error && error.classList.contains('error-message') ? error : anchor).after(message);
+    this._addDescribedBy(field, message.id);
+  },
+
+  /**
+   * Remove an email field's suggestion
+   * @param {HTMLElement} field - Field
+   * @private
+   */
+  _clearEmailSuggestion(field) {
+    const id = `${field.id || field.name}-suggestion`;
+    const message = field.form?.querySelector(`[id="${id}"]`);
+    if (!message) return;
+    
+    message.remove();
+    this._removeDescribedBy(field, id);
+  },
+
+  /**
+   * Validate a single field against its declared rules
    * @param {HTMLInputElement|HTMLTextAreaElement} field - Field to validate
+   * @returns {boolean} True if the field passed every rule
    * @private
    */
   _validateField(field) {
-    if (field.hasAttribute('required') && !field.value.trim()) {
-      this._showError(field, config.validation.messages.required);
-    } else if (field.type === 'email' && field.value && !utils.isValidEmail(field.value)) {
-      this._showError(field, config.validation.messages.invalidEmail);
-    } else {
+    const result = validationRules.validate(field);
+    this._applyValidationResult(field, result);
+    return result.valid;
+  },
+
+  /**
+   * Show or clear a field's error from a validation result
+   * @param {HTMLElement} field - Field that was validated
+   * @param {{valid: boolean, message: string|null}} result - Validation result
+   * @private
+   */
+  _applyValidationResult(field, result) {
+    if (result.valid) {
       this._clearFieldError(field);
+    } else {
+      this._showError(field, result.message);
     }
+    this._updateErrorSummary(field, result.valid ? null : result.message);
   },
 
   /**
@@ -201,13 +896,55 @@ export const formValidation = {
     this._clearFieldError(field);
     
     const errorDiv = document.createElement('div');
+    errorDiv.id = this._getErrorId(field);
     errorDiv.className = 'error-message';
     errorDiv.textContent = message;
     errorDiv.setAttribute('role', 'alert');
     errorDiv.setAttribute('aria-live', 'polite');
     
-    field.classList.add('field-error');
-    field.parentNode.insertBefore(errorDiv, field.nextSibling);
+    const anchor = this._getErrorAnchor(field);
+    anchor.classList.add('field-error');
+    anchor.parentNode.insertBefore(errorDiv, anchor.nextSibling);
+    
+    this._getGroupFields(field).forEach(input => {
+      input.setAttribute('aria-invalid', 'true');
+      this._addDescribedBy(input, errorDiv.id);
+    });
+  },
+
+  /**
+   * Get the id of a field's error message
+   * @param {HTMLElement} field - Field
+   * @returns {string} Element id
+   * @private
+   */
+  _getErrorId(field) {
+    return `${(!this._isGrouped(field) && field.id) || field.name}-error`;
+  },
+
+  /**
+   * Get the inputs that share a field's error: the whole radio/checkbox group, or just the field
+   * @param {HTMLElement} field - Field
+   * @returns {HTMLElement[]} Inputs
+   * @private
+   */
+  _getGroupFields(field) {
+    if (!this._isGrouped(field) || !field.form) return [field];
+    return Array.from(field.form.querySelectorAll(`input[type="${field.type}"]`))
+      .filter(input => input.name === field.name);
+  },
+
+  /**
+   * Get the element an error message is placed after
+   * Radio/checkbox groups wrapped in .choice-group share one message, and
+   * attachment inputs put theirs after the drop zone
+   * @param {HTMLElement} field - Field with error
+   * @returns {HTMLElement} Field or its wrapper
+   * @private
+   */
+  _getErrorAnchor(field) {
+    if (field.type === 'file') return field.closest('.attachment-dropzone') || field;
+    return (this._isGrouped(field) && field.closest('.choice-group')) || field;
   },
 
   /**
@@ -216,11 +953,151 @@ export const formValidation = {
    * @private
    */
   _clearFieldError(field) {
-    const errorMsg = field.nextElementSibling;
+    const anchor = this._getErrorAnchor(field);
+    const errorMsg = anchor.nextElementSibling;
     if (errorMsg && errorMsg.classList.contains('error-message')) {
       errorMsg.remove();
     }
-    field.classList.remove('field-error');
+    anchor.classList.remove('field-error');
+    
+    const errorId = this._getErrorId(field);
+    this._getGroupFields(field).forEach(input => {
+      input.removeAttribute('aria-invalid');
+      this._removeDescribedBy(input, errorId);
+    });
+  },
+
+  /**
+   * Show a summary of every invalid field at the top of the form
+   * Each entry links to its field; the summary is announced as an alert
+   * @param {HTMLFormElement} form - Form with errors
+   * @param {HTMLElement[]} fields - Invalid fields, in form order
+   * @private
+   */
+  _showErrorSummary(form, fields) {
+    this._removeErrorSummary(form);
+    
+    const key = form.id || form.getAttribute('name') || 'form';
+    const summary = document.createElement('div');
+    summary.id = `${key}-error-summary`;
+    summary.className = 'error-summary';
+    summary.setAttribute('role', 'alert');
+    summary.setAttribute('aria-labelledby', `${key}-error-summary-title`);
+    
+    const title = document.createElement('h3');
+    title.id = `${key}-error-summary-title`;
+    title.className = 'error-summary-title';
+    title.textContent = i18n.t('validation.summaryTitle', { count: fields.length });
+    
+    const list = document.createElement('ul');
+    list.className = 'error-summary-list';
+    fields.forEach(field => {
+      const errorId = this._getErrorId(field);
+      const message = document.getElementById(errorId);
+      
+      const link = document.createElement('a');
+      link.href = `#${(!this._isGrouped(field) && field.id) || errorId}`;
+      link.textContent = this._getSummaryText(field, message ? message.textContent : i18n.t('validation.invalidFormat'));
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this._focusField(field);
+      });
+      
+      const item = document.createElement('li');
+      item.dataset.error = errorId;
+      item.append(link);
+      list.append(item);
+    });
+    
+    summary.append(title, list);
+    form.prepend(summary);
+  },
+
+  /**
+   * Name the field in its summary entry, so repeated messages can be told apart
+   * @param {HTMLElement} field - Invalid field
+   * @param {string} message - Its error
+   * @returns {string} e.g. "Email: Please enter a valid email address"
+   * @private
+   */
+  _getSummaryText(field, message) {
+    const label = this._getFieldLabel(field);
+    return label ? i18n.t('validation.summaryEntry', { label, message }) : message;
+  },
+
+  /**
+   * Find a field's visible name: the group's legend for radios and checkboxes,
+   * otherwise its label or aria-label, without the required marker
+   * @param {HTMLElement} field - Field
+   * @returns {string} Name, or an empty string if it has none
+   * @private
+   */
+  _getFieldLabel(field) {
+    let text = '';
+    if (this._isGrouped(field)) {
+      text = field.closest('fieldset')?.querySelector('legend')?.textContent || '';
+    } else if (field.labels?.length) {
+      const label = field.labels[0].cloneNode(true);
+      label.querySelectorAll('abbr, .field-hint').forEach(element => element.remove());
+      text = label.textContent;
+    } else {
+      text = field.getAttribute('aria-label') || '';
+    }
+    return text.replace(/\s+/g, ' ').trim().replace(/[\s*:]+$/, '');
+  },
+
+  /**
+   * Keep a field's error summary entry in step with its latest validation
+   * Fields that pass are dropped, and the summary is removed once it is empty
+   * @param {HTMLElement} field - Field that was validated
+   * @param {string|null} message - Current error, or null if the field is valid
+   * @private
+   */
+  _updateErrorSummary(field, message) {
+    const summary = field.form?.querySelector('.error-summary');
+    if (!summary) return;
+    
+    const item = summary.querySelector(`[data-error="${this._getErrorId(field)}"]`);
+    if (!item) return;
+    
+    if (message) {
+      item.firstElementChild.textContent = this._getSummaryText(field, message);
+      return;
+    }
+    item.remove();
+    if (!summary.querySelector('li')) {
+      summary.remove();
+    }
+  },
+
+  /**
+   * Re-render a form's shown errors and summary heading in the current language
+   * @param {HTMLFormElement} form - Form
+   * @private
+   */
+  _retranslate(form) {
+    // Endpoint errors have no client-side rule to re-run, so they stay as sent
+    this._getValidatableFields(form)
+      .filter(field => field.getAttribute('aria-invalid') === 'true')
+      .forEach(field => {
+        const result = validationRules.validate(field);
+        if (!result.valid) this._applyValidationResult(field, result);
+      });
+    
+    const summary = form.querySelector('.error-summary');
+    if (summary) {
+      summary.querySelector('.error-summary-title').textContent =
+        i18n.t('validation.summaryTitle', { count: summary.querySelectorAll('li').length });
+    }
+  },
+
+  /**
+   * Remove a form's error summary
+   * @param {HTMLFormElement} form - Form
+   * @private
+   */
+  _removeErrorSummary(form) {
+    form.querySelectorAll('.error-summary').forEach(summary => summary.remove());
   }
 };
 
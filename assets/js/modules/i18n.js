@@ -0,0 +1,138 @@
+/**
+ * i18n Module
+ * Message catalogs for the form, quote wizard, drafts, estimator, service-area and airspace
+ * checks and lightbox (assets/js/i18n/)
+ * The locale comes from a saved switcher choice, then <html lang>, then config.i18n.defaultLocale
+ * Switchers are <select data-locale-switcher> elements; changing one dispatches "i18n:change"
+ * on document so modules can refresh text they have already rendered
+ */
+
+import { en } from '../i18n/en.js';
+import { es } from '../i18n/es.js';
+import { config } from './config.js';
+
+export const i18n = {
+  catalogs: { en, es },
+
+  // Current locale; modules read it at render time
+  locale: 'en',
+
+  /**
+   * Detect the locale and wire up any switchers on the page
+   */
+  init() {
+    this.locale = this.detect();
+
+    document.querySelectorAll('[data-locale-switcher]').forEach(switcher => {
+      switcher.value = this.locale;
+      switcher.addEventListener('change', () => this.setLocale(switcher.value));
+    });
+  },
+
+  /**
+   * Work out which locale to use
+   * @returns {string} Supported locale
+   */
+  detect() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(config.i18n.storageKey);
+    } catch {
+      // Storage unavailable; fall through to the page language
+    }
+
+    const candidates = [saved, document.documentElement.lang];
+    const match = candidates
+      .map(tag => this.resolve(tag))
+      .find(Boolean);
+    return match || config.i18n.defaultLocale;
+  },
+
+  /**
+   * Match a language tag to a supported locale ("es-MX" → "es")
+   * @param {string} tag - BCP 47 language tag
+   * @returns {string|null} Supported locale, or null
+   */
+  resolve(tag) {
+    const language = String(tag || '').toLowerCase().split('-')[0];
+    return Object.hasOwn(this.catalogs, language) ? language : null;
+  },
+
+  /**
+   * Switch locale, remember the choice and tell modules to refresh
+   * @param {string} tag - Language tag
+   * @returns {boolean} True if the locale is supported
+   */
+  setLocale(tag) {
+    const locale = this.resolve(tag);
+    if (!locale) return false;
+
+    this.locale = locale;
+    try {
+      localStorage.setItem(config.i18n.storageKey, locale);
+    } catch {
+      // The choice just won't survive a reload
+    }
+
+    document.querySelectorAll('[data-locale-switcher]').forEach(switcher => {
+      switcher.value = locale;
+    });
+    document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale } }));
+    return true;
+  },
+
+  /**
+   * Check whether a message key exists
+   * @param {string} key - Dotted key, e.g. "validation.required"
+   * @returns {boolean} True if the current or default catalog has it
+   */
+  has(key) {
+    return this._lookup(this.locale, key) !== undefined ||
+           this._lookup(config.i18n.defaultLocale, key) !== undefined;
+  },
+
+  /**
+   * Translate a message key
+   * Missing keys fall back to the default catalog, then to the key itself
+   * Placeholders without a matching param are left in place for the caller
+   * @param {string} key - Dotted key, e.g. "validation.tooShort"
+   * @param {Object} [params] - Placeholder values; a numeric count also picks the plural form
+   * @returns {string} Message
+   */
+  t(key, params = {}) {
+    const entry = this._lookup(this.locale, key) ?? this._lookup(config.i18n.defaultLocale, key);
+    if (entry === undefined) return key;
+
+    const template = typeof entry === 'object' ? this._plural(entry, params.count) : entry;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!Object.hasOwn(params, name)) return placeholder;
+      const value = params[name];
+      return typeof value === 'number' ? value.toLocaleString(this.locale) : String(value);
+    });
+  },
+
+  /**
+   * Pick the plural form for a count
+   * @param {Object} forms - Forms keyed by plural category (one, few, many, other...)
+   * @param {number} count - Count
+   * @returns {string} Template
+   * @private
+   */
+  _plural(forms, count) {
+    const category = Number.isFinite(count) ? new Intl.PluralRules(this.locale).select(count) : 'other';
+    return forms[category] ?? forms.other;
+  },
+
+  /**
+   * Find an entry in a catalog
+   * @param {string} locale - Locale
+   * @param {string} key - Dotted key
+   * @returns {string|Object|undefined} Entry
+   * @private
+   */
+  _lookup(locale, key) {
+    return key.split('.').reduce((node, part) => (
+      node && typeof node === 'object' && Object.hasOwn(node, part) ? node[part] : undefined
+    ), this.catalogs[locale]);
+  },
+};
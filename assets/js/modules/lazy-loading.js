@@ -18,6 +18,30 @@ export const lazyLoading = {
     }
   },
 
+  /**
+   * Lazy-load images enhanced after page load, such as the pair in a compare slider
+   * Images waiting in data-src get it natively deferred with loading="lazy" where
+   * supported, else as they near the viewport
+   * @param {HTMLImageElement[]} images - Images to load
+   */
+  observe(images) {
+    const deferred = images.filter(img => img.dataset.src && !img.getAttribute('src'));
+
+    if ('loading' in HTMLImageElement.prototype) {
+      images.forEach(img => {
+        img.loading = 'lazy';
+        img.addEventListener('load', function() {
+          this.classList.add('loaded');
+        }, { once: true, passive: true });
+      });
+      deferred.forEach(img => {
+        img.src = img.dataset.src;
+      });
+    } else {
+      this._loadWhenVisible(deferred);
+    }
+  },
+
   /**
    * Initialize native lazy loading
    * @private
@@ -36,8 +60,17 @@ export const lazyLoading = {
    * @private
    */
   _initFallbackLazyLoading() {
-    const lazyImages = document.querySelectorAll('img[data-src]');
-    
+    this._loadWhenVisible(Array.from(document.querySelectorAll('img[data-src]')));
+  },
+
+  /**
+   * Swap in data-src as images near the viewport, or at once without IntersectionObserver
+   * @param {HTMLImageElement[]} lazyImages - Images waiting in data-src
+   * @private
+   */
+  _loadWhenVisible(lazyImages) {
+    if (lazyImages.length === 0) return;
+
     if ('IntersectionObserver' in window) {
       const imageObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
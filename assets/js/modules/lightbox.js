@@ -1,12 +1,67 @@
 /**
  * Lightbox Module
  * Handles image lightbox functionality with keyboard navigation
+ * Images in the same .gallery (or [data-lightbox-group]) open as a group that can be
+ * stepped through with the arrow buttons, the Left/Right keys or a swipe, wrapping at the ends
+ * Deep links: #<group>-<n> (e.g. #gallery-3) opens the group at its nth image
+ * While open, focus cycles through the close/previous/next buttons and the rest of the page is inert
+ * Captions come from the image's .gallery-caption (or figcaption)
+ * Zoom with the wheel, a pinch, a double-tap/double-click or the +/- keys (0 resets); while zoomed,
+ * drag or use the arrow keys to pan. The first zoom swaps in data-full-src, else the largest srcset candidate
+ * Compare sliders ([data-compare]) in a group open through an expand button and show as a slider
+ * data-lightbox-type="video" items play data-lightbox-src (an MP4, or a YouTube link shown in an embed)
+ * with the image as poster; "panorama" items open data-lightbox-src (else the image) in a 360° viewer
+ * Media pauses when the lightbox closes
+ * Labels come from the i18n catalogs and follow language changes
  */
 
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+import { compare } from './compare.js';
+import { panorama } from './panorama.js';
+
+const TRIGGER_SELECTOR = '.gallery img, [data-lightbox]';
+const GROUP_SELECTOR = '[data-lightbox-group], .gallery';
+
 export const lightbox = {
   lightboxElement: null,
   lightboxImg: null,
   previouslyFocusedElement: null,
+  closeButton: null,
+  prevButton: null,
+  nextButton: null,
+  counter: null,
+  caption: null,
+
+  // Compare slider, video, YouTube embed or panorama viewer shown in place of the image
+  mediaView: null,
+
+  // Page elements made inert while open, and the pending hide after the close animation
+  inertElements: [],
+  closeTimer: null,
+
+  // Images in the open group, and the one shown
+  group: [],
+  index: 0,
+
+  // Sources already fetched for neighboring images
+  preloaded: new Set(),
+
+  // Where the current touch started, the pinch in progress and the last tap (for double-tap)
+  touchStart: null,
+  pinch: null,
+  lastTap: 0,
+
+  // Zoom factor and pan offset (pixels) of the shown image
+  zoom: { scale: 1, x: 0, y: 0 },
+
+  // Mouse drag in progress, and whether it should swallow the click that ends it
+  drag: null,
+  suppressClick: false,
+
+  // Image whose high-resolution source was requested, and the element loading it
+  fullSourceFor: null,
+  fullLoader: null,
 
   /**
    * Initialize lightbox functionality
@@ -14,10 +69,17 @@ export const lightbox = {
   init() {
     this.lightboxElement = document.getElementById('lightbox');
     if (!this.lightboxElement) return;
-    
+
     this.lightboxImg = this.lightboxElement.querySelector('img');
+    this.group = [];
+    this.index = 0;
     this._setupLightbox();
     this._setupGalleryImages();
+
+    document.addEventListener('i18n:change', () => this._applyLabels());
+
+    window.addEventListener('hashchange', () => this._openFromHash());
+    this._openFromHash();
   },
 
   /**
@@ -28,22 +90,183 @@ export const lightbox = {
     this.lightboxElement.setAttribute('tabindex', '-1');
     this.lightboxElement.setAttribute('role', 'dialog');
     this.lightboxElement.setAttribute('aria-modal', 'true');
-    this.lightboxElement.setAttribute('aria-label', 'Image lightbox');
+    this.lightboxElement.setAttribute('aria-label', i18n.t('lightbox.dialog'));
     this.lightboxElement.setAttribute('aria-hidden', 'true');
-    
-    // Click outside image to close
+
+    this.closeButton = this._createButton('lightbox-close', '×');
+    this.closeButton.hidden = false;
+    this.prevButton = this._createButton('lightbox-prev', '‹');
+    this.nextButton = this._createButton('lightbox-next', '›');
+    this.caption = document.createElement('p');
+    this.caption.className = 'lightbox-caption';
+    this.caption.id = 'lightbox-caption';
+    this.caption.hidden = true;
+    this.hint = document.createElement('p');
+    this.hint.className = 'visually-hidden';
+    this.hint.id = 'lightbox-hint';
+    this.counter = document.createElement('p');
+    this.counter.className = 'lightbox-counter';
+    this.counter.setAttribute('aria-live', 'polite');
+    this.lightboxElement.append(this.closeButton, this.prevButton, this.nextButton, this.caption, this.hint, this.counter);
+    this._applyButtonLabels();
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.prevButton.addEventListener('click', () => this.previous());
+    this.nextButton.addEventListener('click', () => this.next());
+
+    // Click outside image to close (but not at the end of a drag)
     this.lightboxElement.addEventListener('click', (e) => {
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        return;
+      }
       if (e.target === this.lightboxElement) {
         this.close();
       }
     });
-    
-    // ESC key to close
+
+    // ESC key to close, arrow keys to step through the group (or pan when zoomed),
+    // +/- to zoom, Tab kept inside
+    // Keys already handled inside the lightbox (such as by a compare slider) are left alone
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.lightboxElement.style.display === 'flex') {
+      if (!this._isOpen() || e.defaultPrevented) return;
+
+      const { zoomStep, panStep } = config.lightbox;
+      const pans = { ArrowLeft: [panStep, 0], ArrowRight: [-panStep, 0], ArrowUp: [0, panStep], ArrowDown: [0, -panStep] };
+
+      if (e.key === 'Escape') {
         this.close();
+      } else if (e.key === 'Tab') {
+        this._trapFocus(e);
+      } else if (e.key === '+' || e.key === '=') {
+        e.preventDefault();
+        this.zoomTo(this.zoom.scale * zoomStep);
+      } else if (e.key === '-' || e.key === '_') {
+        e.preventDefault();
+        this.zoomTo(this.zoom.scale / zoomStep);
+      } else if (e.key === '0') {
+        e.preventDefault();
+        this.resetZoom();
+      } else if (pans[e.key] && this.zoom.scale > 1) {
+        e.preventDefault();
+        this.pan(...pans[e.key]);
+      } else if (e.key === 'ArrowLeft' && this.group.length > 1) {
+        e.preventDefault();
+        this.previous();
+      } else if (e.key === 'ArrowRight' && this.group.length > 1) {
+        e.preventDefault();
+        this.next();
       }
     });
+
+    this._setupZoom();
+    this._setupTouch();
+  },
+
+  /**
+   * Wheel zoom, double-click zoom and mouse dragging
+   * @private
+   */
+  _setupZoom() {
+    this.lightboxElement.addEventListener('wheel', (e) => {
+      if (!this._isOpen()) return;
+      e.preventDefault();
+      const { zoomStep } = config.lightbox;
+      this.zoomTo(e.deltaY < 0 ? this.zoom.scale * zoomStep : this.zoom.scale / zoomStep, e);
+    }, { passive: false });
+
+    this.lightboxImg.addEventListener('dblclick', (e) => this._toggleZoom(e));
+
+    // The browser's own image drag would fight the pan
+    this.lightboxImg.addEventListener('dragstart', (e) => e.preventDefault());
+
+    // Touch pans go through the touch handlers, so only mouse and pen drag here
+    this.lightboxImg.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch' || e.button > 0 || this.zoom.scale <= 1) return;
+      e.preventDefault();
+      this.drag = { x: e.clientX, y: e.clientY, zoomX: this.zoom.x, zoomY: this.zoom.y, moved: false };
+      this.lightboxElement.classList.add('is-dragging');
+    });
+
+    document.addEventListener('pointermove', (e) => {
+      if (!this.drag) return;
+      this.drag.moved = true;
+      this._setPan(this.drag.zoomX + e.clientX - this.drag.x, this.drag.zoomY + e.clientY - this.drag.y);
+    });
+
+    document.addEventListener('pointerup', () => {
+      if (!this.drag) return;
+      this.suppressClick = this.drag.moved;
+      this.drag = null;
+      this.lightboxElement.classList.remove('is-dragging');
+    });
+  },
+
+  /**
+   * Swipe between images, pinch to zoom, drag to pan and double-tap to toggle zoom
+   * @private
+   */
+  _setupTouch() {
+    this.lightboxElement.addEventListener('touchstart', (e) => {
+      // Dragging a compare slider's divider, a video's scrubber or a panorama isn't a swipe
+      if (this.mediaView?.contains(e.target)) {
+        this.touchStart = null;
+        return;
+      }
+      if (e.touches.length >= 2) {
+        this.pinch = { distance: this._touchDistance(e.touches), scale: this.zoom.scale };
+        this.touchStart = null;
+        return;
+      }
+      const touch = e.touches[0];
+      this.touchStart = { x: touch.clientX, y: touch.clientY, zoomX: this.zoom.x, zoomY: this.zoom.y };
+    }, { passive: true });
+
+    this.lightboxElement.addEventListener('touchmove', (e) => {
+      if (this.pinch && e.touches.length >= 2) {
+        e.preventDefault();
+        const [a, b] = e.touches;
+        const center = { clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 };
+        this.zoomTo(this.pinch.scale * this._touchDistance(e.touches) / this.pinch.distance, center);
+      } else if (this.touchStart && this.zoom.scale > 1) {
+        e.preventDefault();
+        const touch = e.touches[0];
+        this._setPan(this.touchStart.zoomX + touch.clientX - this.touchStart.x, this.touchStart.zoomY + touch.clientY - this.touchStart.y);
+      }
+    }, { passive: false });
+
+    this.lightboxElement.addEventListener('touchend', (e) => {
+      // Lifting a finger ends the pinch; the one left down shouldn't count as a swipe or tap
+      if (this.pinch) {
+        if (e.touches.length < 2) this.pinch = null;
+        return;
+      }
+      if (!this.touchStart) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - this.touchStart.x;
+      const dy = touch.clientY - this.touchStart.y;
+      this.touchStart = null;
+
+      if (Math.abs(dx) < config.lightbox.tapSlop && Math.abs(dy) < config.lightbox.tapSlop) {
+        const now = Date.now();
+        if (now - this.lastTap <= config.lightbox.doubleTapDelay) {
+          this.lastTap = 0;
+          this._toggleZoom(touch);
+        } else {
+          this.lastTap = now;
+        }
+        return;
+      }
+
+      // Swipe left for the next image, right for the previous one; a zoomed image pans instead
+      if (this.zoom.scale > 1) return;
+      if (Math.abs(dx) < config.lightbox.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+      if (dx < 0) {
+        this.next();
+      } else {
+        this.previous();
+      }
+    }, { passive: true });
   },
 
   /**
@@ -51,19 +274,27 @@ export const lightbox = {
    * @private
    */
   _setupGalleryImages() {
-    const galleryImages = document.querySelectorAll('.gallery img, [data-lightbox]');
-    
+    const galleryImages = this._collectImages(document);
+
     galleryImages.forEach(img => {
+      // Pressing a compare slider moves its divider, so it opens from a button instead
+      const slider = img.closest('[data-compare]');
+      if (slider) {
+        const button = this._createButton('lightbox-expand', '⤢');
+        button.hidden = false;
+        button.setAttribute('aria-label', i18n.t('lightbox.expand'));
+        button.addEventListener('click', () => this.open(img));
+        slider.append(button);
+        return;
+      }
+
       img.style.cursor = 'pointer';
       img.setAttribute('role', 'button');
       img.setAttribute('tabindex', '0');
-      
-      const currentAlt = img.alt || '';
-      const enhancedAlt = currentAlt ? `${currentAlt} - Click to view larger` : 'View image in lightbox';
-      img.setAttribute('aria-label', enhancedAlt);
-      
+      img.setAttribute('aria-label', this._getOpenLabel(img));
+
       img.addEventListener('click', () => this.open(img), { passive: true });
-      
+
       img.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
@@ -73,31 +304,634 @@ export const lightbox = {
     });
   },
 
+  /**
+   * Find the images that open the lightbox, in page order
+   * [data-lightbox] may be the image itself or a wrapper around it
+   * A compare slider counts once, as its before image
+   * @param {ParentNode} root - Document or group element
+   * @returns {HTMLImageElement[]} Images, without duplicates
+   * @private
+   */
+  _collectImages(root) {
+    const images = Array.from(root.querySelectorAll(TRIGGER_SELECTOR))
+      .map(trigger => (trigger.tagName === 'IMG' ? trigger : trigger.querySelector('img')))
+      .filter(Boolean)
+      .map(img => {
+        const slider = img.closest('[data-compare]');
+        return slider ? compare.getImages(slider)[0] : img;
+      });
+    return [...new Set(images)];
+  },
+
+  /**
+   * Get the label for an image that opens the lightbox
+   * @param {HTMLImageElement} img - Gallery image
+   * @returns {string} Accessible label
+   * @private
+   */
+  _getOpenLabel(img) {
+    return img.alt ? i18n.t('lightbox.open', { alt: img.alt }) : i18n.t('lightbox.openUntitled');
+  },
+
+  /**
+   * Re-apply translated labels after a language change
+   * @private
+   */
+  _applyLabels() {
+    this.lightboxElement.setAttribute('aria-label', i18n.t('lightbox.dialog'));
+    this._collectImages(document).forEach(img => {
+      if (!img.closest('[data-compare]')) {
+        img.setAttribute('aria-label', this._getOpenLabel(img));
+      }
+    });
+    document.querySelectorAll('.lightbox-expand').forEach(button => {
+      button.setAttribute('aria-label', i18n.t('lightbox.expand'));
+    });
+    this._applyButtonLabels();
+    if (this.group.length > 0) {
+      this._updateCounter();
+    }
+  },
+
+  /**
+   * Label the close/next/previous buttons and the zoom hint
+   * @private
+   */
+  _applyButtonLabels() {
+    this.closeButton?.setAttribute('aria-label', i18n.t('lightbox.close'));
+    this.prevButton?.setAttribute('aria-label', i18n.t('lightbox.previous'));
+    this.nextButton?.setAttribute('aria-label', i18n.t('lightbox.next'));
+    if (this.hint) {
+      this.hint.textContent = i18n.t('lightbox.zoomHint');
+    }
+  },
+
   /**
    * Open lightbox with specified image
    * @param {HTMLImageElement} img - Image to display in lightbox
    */
   open(img) {
-    this.previouslyFocusedElement = document.activeElement;
-    this.lightboxImg.src = img.src;
-    this.lightboxImg.alt = img.alt || 'Image in lightbox view';
+    // Following a deep link while open keeps the original focus to return to
+    if (!this._isOpen()) {
+      this.previouslyFocusedElement = document.activeElement;
+    }
+    clearTimeout(this.closeTimer);
+    this.closeTimer = null;
+
+    this.group = this._getGroup(img);
+    this._show(this.group.indexOf(img));
+    this.lightboxElement.style.setProperty('--lightbox-duration', `${this._getAnimationDuration()}ms`);
     this.lightboxElement.style.display = 'flex';
     this.lightboxElement.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
-    
+    this._setBackgroundInert(true);
+
+    // Apply display before the class so the fade-in transition runs
+    void this.lightboxElement.offsetWidth;
+    this.lightboxElement.classList.add('is-open');
+
     this.lightboxElement.focus();
   },
 
+  /**
+   * Show the next image in the group, wrapping to the first
+   */
+  next() {
+    this._show(this.index + 1);
+  },
+
+  /**
+   * Show the previous image in the group, wrapping to the last
+   */
+  previous() {
+    this._show(this.index - 1);
+  },
+
   /**
    * Close the lightbox
    */
   close() {
-    this.lightboxElement.style.display = 'none';
+    this.resetZoom();
+    this._pauseMedia();
+    this.lightboxElement.classList.remove('is-open');
     this.lightboxElement.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
-    
+    this._setBackgroundInert(false);
+
+    // Hide once the fade-out has run
+    const duration = this._getAnimationDuration();
+    const hide = () => {
+      this.closeTimer = null;
+      this.lightboxElement.style.display = 'none';
+    };
+    clearTimeout(this.closeTimer);
+    if (duration > 0) {
+      this.closeTimer = setTimeout(hide, duration);
+    } else {
+      hide();
+    }
+
+    // Drop the deep link so a reload doesn't reopen the image
+    if (this._parseHash(window.location.hash)) {
+      window.history.replaceState(window.history.state, '', window.location.pathname + window.location.search);
+    }
+
     if (this.previouslyFocusedElement) {
       this.previouslyFocusedElement.focus();
     }
-  }
+  },
+
+  /**
+   * Zoom the shown image, keeping the point under the cursor or fingers in place
+   * @param {number} scale - Zoom factor, clamped between 1 and config.lightbox.maxZoom
+   * @param {{clientX: number, clientY: number}} [point] - Point to zoom around; the center if omitted
+   */
+  zoomTo(scale, point = null) {
+    // Only plain images zoom
+    if (this.mediaView) return;
+
+    const next = Math.min(Math.max(scale, 1), config.lightbox.maxZoom);
+    const { scale: current, x, y } = this.zoom;
+
+    // The unzoomed image sits in the middle of the lightbox
+    let px = 0;
+    let py = 0;
+    if (point) {
+      const rect = this.lightboxElement.getBoundingClientRect();
+      px = point.clientX - (rect.left + rect.width / 2);
+      py = point.clientY - (rect.top + rect.height / 2);
+    }
+
+    const ratio = next / current;
+    this.zoom.scale = next;
+    this._setPan(px - (px - x) * ratio, py - (py - y) * ratio);
+
+    if (next > 1) {
+      this._loadFullSource();
+    }
+  },
+
+  /**
+   * Move a zoomed image
+   * @param {number} dx - Horizontal distance (pixels)
+   * @param {number} dy - Vertical distance (pixels)
+   */
+  pan(dx, dy) {
+    this._setPan(this.zoom.x + dx, this.zoom.y + dy);
+  },
+
+  /**
+   * Return the shown image to its unzoomed size
+   */
+  resetZoom() {
+    this.drag = null;
+    this.pinch = null;
+    this.zoom = { scale: 1, x: 0, y: 0 };
+    this._applyZoom();
+  },
+
+  /**
+   * Zoom in to config.lightbox.doubleTapZoom, or back out if already zoomed
+   * @param {{clientX: number, clientY: number}} point - Tapped point
+   * @private
+   */
+  _toggleZoom(point) {
+    if (this.zoom.scale > 1) {
+      this.resetZoom();
+    } else {
+      this.zoomTo(config.lightbox.doubleTapZoom, point);
+    }
+  },
+
+  /**
+   * Set the pan offset, keeping the zoomed image's edges from moving inside the view
+   * @param {number} x - Horizontal offset (pixels)
+   * @param {number} y - Vertical offset (pixels)
+   * @private
+   */
+  _setPan(x, y) {
+    const { scale } = this.zoom;
+    const maxX = Math.max(0, (this.lightboxImg.offsetWidth * scale - this.lightboxElement.clientWidth) / 2);
+    const maxY = Math.max(0, (this.lightboxImg.offsetHeight * scale - this.lightboxElement.clientHeight) / 2);
+    this.zoom.x = Math.min(Math.max(x, -maxX), maxX);
+    this.zoom.y = Math.min(Math.max(y, -maxY), maxY);
+    this._applyZoom();
+  },
+
+  /**
+   * Apply the zoom and pan to the image
+   * @private
+   */
+  _applyZoom() {
+    const { scale, x, y } = this.zoom;
+    const zoomed = scale > 1;
+    this.lightboxImg.style.transform = zoomed ? `translate(${x}px, ${y}px) scale(${scale})` : '';
+    this.lightboxElement.classList.toggle('is-zoomed', zoomed);
+  },
+
+  /**
+   * Distance between the first two touches
+   * @param {TouchList} touches - Active touches
+   * @returns {number} Pixels
+   * @private
+   */
+  _touchDistance(touches) {
+    return Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY);
+  },
+
+  /**
+   * Swap in the shown image's high-resolution source once it has loaded
+   * Only requested on the first zoom, so visitors who just browse don't download it
+   * @private
+   */
+  _loadFullSource() {
+    const img = this.group[this.index];
+    if (!img || this.fullSourceFor === img) return;
+    this.fullSourceFor = img;
+
+    const source = this._getFullSource(img);
+    if (!source) return;
+
+    const loader = document.createElement('img');
+    loader.decoding = 'async';
+    loader.src = source;
+    if (loader.src === this.lightboxImg.src) return;
+
+    this.fullLoader = loader;
+    loader.addEventListener('load', () => {
+      if (this.fullLoader === loader) {
+        this.lightboxImg.src = loader.src;
+      }
+    }, { once: true });
+  },
+
+  /**
+   * Get the high-resolution source of an image: data-full-src, else the largest srcset candidate
+   * @param {HTMLImageElement} img - Gallery image
+   * @returns {string|null} Image URL, or null if the image has none
+   * @private
+   */
+  _getFullSource(img) {
+    if (img.dataset.fullSrc) return img.dataset.fullSrc;
+
+    let best = null;
+    let bestSize = 0;
+    (img.getAttribute('srcset') || '').split(/,\s+/).forEach(candidate => {
+      const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+      const size = parseFloat(descriptor);
+      if (url && size > bestSize) {
+        best = url;
+        bestSize = size;
+      }
+    });
+    return best;
+  },
+
+  /**
+   * Show an image from the open group
+   * @param {number} index - Position in the group; wraps around at either end
+   * @private
+   */
+  _show(index) {
+    const total = this.group.length;
+    if (total === 0) return;
+
+    this.index = ((index % total) + total) % total;
+    const img = this.group[this.index];
+    this.resetZoom();
+    this.fullSourceFor = null;
+    this.fullLoader = null;
+    this.lightboxImg.src = this._getSource(img);
+    this.lightboxImg.alt = img.alt || i18n.t('lightbox.image');
+    this._showMedia(img);
+    this._updateCaption(img);
+
+    const single = total < 2;
+    if (this.prevButton) this.prevButton.hidden = single;
+    if (this.nextButton) this.nextButton.hidden = single;
+    this._updateCounter();
+
+    if (!single) {
+      this._preload(this.group[(this.index + 1) % total]);
+      this._preload(this.group[(this.index - 1 + total) % total]);
+    }
+
+    const id = this._getGroupId(img);
+    if (id && !single) {
+      window.history.replaceState(window.history.state, '', `#${id}-${this.index + 1}`);
+    }
+  },
+
+  /**
+   * Show the item's slider, video or panorama in place of the image, replacing the last one
+   * @param {HTMLImageElement} img - Shown image
+   * @private
+   */
+  _showMedia(img) {
+    if (this.mediaView) {
+      panorama.destroy(this.mediaView);
+      // Detached videos and embeds stop playing
+      this.mediaView.remove();
+      this.mediaView = null;
+    }
+
+    const item = img.closest('[data-lightbox-type]');
+    const type = item?.dataset.lightboxType;
+    const source = item?.dataset.lightboxSrc;
+    const slider = img.closest('[data-compare]');
+
+    if (type === 'video' && source) {
+      this.mediaView = this._createVideo(img, source);
+    } else if (type === 'panorama') {
+      this.mediaView = this._createPanorama(img, source || this._getFullSource(img) || this._getSource(img));
+    } else if (slider && compare.getPosition(slider) !== null) {
+      this.mediaView = compare.clone(slider);
+    }
+
+    if (this.mediaView) {
+      this.lightboxImg.after(this.mediaView);
+    }
+    this.lightboxImg.hidden = Boolean(this.mediaView);
+  },
+
+  /**
+   * Build a player for a video item: a YouTube embed for YouTube links, else a <video>
+   * @param {HTMLImageElement} img - Item's image, used as the poster and name
+   * @param {string} source - Video URL
+   * @returns {HTMLVideoElement|HTMLIFrameElement} Player
+   * @private
+   */
+  _createVideo(img, source) {
+    const title = img.alt || i18n.t('lightbox.video');
+    const youtubeId = this._getYouTubeId(source);
+
+    if (youtubeId) {
+      const frame = document.createElement('iframe');
+      frame.className = 'lightbox-video lightbox-embed';
+      // enablejsapi lets close() pause it
+      frame.src = `${config.lightbox.youtubeEmbed}${youtubeId}?autoplay=1&rel=0&enablejsapi=1`;
+      frame.title = title;
+      frame.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+      frame.allowFullscreen = true;
+      return frame;
+    }
+
+    const video = document.createElement('video');
+    video.className = 'lightbox-video';
+    video.src = source;
+    video.poster = this._getSource(img);
+    video.controls = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.preload = 'metadata';
+    video.setAttribute('aria-label', title);
+    // Not every browser lets focus reach a video on its own
+    video.setAttribute('tabindex', '0');
+    return video;
+  },
+
+  /**
+   * Build a panorama viewer, falling back to the flat image if the panorama can't be shown
+   * @param {HTMLImageElement} img - Item's image
+   * @param {string} source - Equirectangular image URL
+   * @returns {HTMLCanvasElement} Viewer
+   * @private
+   */
+  _createPanorama(img, source) {
+    const label = img.alt ? i18n.t('lightbox.panorama', { alt: img.alt }) : i18n.t('lightbox.panoramaUntitled');
+    const viewer = panorama.create(source, label);
+    viewer.classList.add('lightbox-panorama');
+
+    viewer.addEventListener('panorama:error', () => {
+      if (this.mediaView !== viewer) return;
+      panorama.destroy(viewer);
+      viewer.remove();
+      this.mediaView = null;
+      this.lightboxImg.hidden = false;
+    });
+    return viewer;
+  },
+
+  /**
+   * Pause a playing video or YouTube embed
+   * @private
+   */
+  _pauseMedia() {
+    const view = this.mediaView;
+    if (view?.tagName === 'VIDEO') {
+      view.pause();
+    } else if (view?.tagName === 'IFRAME') {
+      // YouTube's player listens for commands posted to the embed
+      const message = JSON.stringify({ event: 'command', func: 'pauseVideo', args: [] });
+      view.contentWindow?.postMessage(message, new URL(config.lightbox.youtubeEmbed).origin);
+    }
+  },
+
+  /**
+   * Pull the video id out of a YouTube watch, share, embed or Shorts link
+   * @param {string} url - Video URL
+   * @returns {string|null} Video id, or null if it isn't a YouTube link
+   * @private
+   */
+  _getYouTubeId(url) {
+    const match = /^https?:\/\/(?:(?:www\.|m\.)?youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/.exec(url);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Show the shown image's gallery caption, and describe the dialog with it and the zoom hint
+   * @param {HTMLImageElement} img - Shown image
+   * @private
+   */
+  _updateCaption(img) {
+    if (!this.caption) return;
+    const source = img.closest('.gallery-item, [data-lightbox], figure')?.querySelector('.gallery-caption, figcaption');
+    const text = source ? source.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    this.caption.textContent = text;
+    this.caption.hidden = !text;
+    const described = [text ? this.caption.id : null, this.hint?.id].filter(Boolean);
+    if (described.length > 0) {
+      this.lightboxElement.setAttribute('aria-describedby', described.join(' '));
+    } else {
+      this.lightboxElement.removeAttribute('aria-describedby');
+    }
+  },
+
+  /**
+   * Keep Tab and Shift+Tab cycling through the visible lightbox buttons and any video, panorama or slider divider
+   * @param {KeyboardEvent} e - Tab keydown
+   * @private
+   */
+  _trapFocus(e) {
+    const media = this.mediaView?.matches('video, iframe, canvas') ? this.mediaView : this.mediaView?.querySelector('[role="slider"]');
+    const controls = [this.closeButton, media, this.prevButton, this.nextButton].filter(button => button && !button.hidden);
+    e.preventDefault();
+    if (controls.length === 0) {
+      this.lightboxElement.focus();
+      return;
+    }
+
+    const index = controls.indexOf(document.activeElement);
+    let target;
+    if (index === -1) {
+      target = e.shiftKey ? controls.length - 1 : 0;
+    } else {
+      target = (index + (e.shiftKey ? -1 : 1) + controls.length) % controls.length;
+    }
+    controls[target].focus();
+  },
+
+  /**
+   * Make everything outside the lightbox inert while it's open
+   * Elements that were already inert are left alone
+   * @param {boolean} inert - True to disable the page, false to restore it
+   * @private
+   */
+  _setBackgroundInert(inert) {
+    if (!inert) {
+      this.inertElements.forEach(element => element.removeAttribute('inert'));
+      this.inertElements = [];
+      return;
+    }
+
+    if (this.inertElements.length > 0) return;
+    this.inertElements = Array.from(document.body.children).filter(element => (
+      !element.contains(this.lightboxElement) && !element.hasAttribute('inert')
+    ));
+    this.inertElements.forEach(element => element.setAttribute('inert', ''));
+  },
+
+  /**
+   * Check whether the lightbox is showing and not on its way out
+   * @returns {boolean} True if open
+   * @private
+   */
+  _isOpen() {
+    return this.lightboxElement.style.display === 'flex' && !this.closeTimer;
+  },
+
+  /**
+   * Get the open/close animation length, or 0 when the visitor prefers reduced motion
+   * @returns {number} Milliseconds
+   * @private
+   */
+  _getAnimationDuration() {
+    const reduced = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    return reduced ? 0 : config.lightbox.animationDuration;
+  },
+
+  /**
+   * Show "3 of 6" for groups of more than one image
+   * @private
+   */
+  _updateCounter() {
+    if (!this.counter) return;
+    const total = this.group.length;
+    this.counter.hidden = total < 2;
+    this.counter.textContent = total < 2 ? '' : i18n.t('lightbox.counter', { index: this.index + 1, total });
+  },
+
+  /**
+   * Find the images an image is shown with
+   * @param {HTMLImageElement} img - Opened image
+   * @returns {HTMLImageElement[]} Group in page order (just the image if it has no group)
+   * @private
+   */
+  _getGroup(img) {
+    const container = img.closest(GROUP_SELECTOR);
+    const images = container ? this._collectImages(container) : [];
+    return images.includes(img) ? images : [img];
+  },
+
+  /**
+   * Name an image's group for deep links
+   * @param {HTMLImageElement} img - Gallery image
+   * @returns {string|null} Group name, or null if the image has no group
+   * @private
+   */
+  _getGroupId(img) {
+    const container = img.closest(GROUP_SELECTOR);
+    return container ? this._getContainerId(container) : null;
+  },
+
+  /**
+   * Name a group element
+   * @param {HTMLElement} container - .gallery or [data-lightbox-group] element
+   * @returns {string} Group name
+   * @private
+   */
+  _getContainerId(container) {
+    return container.dataset.lightboxGroup || container.id || config.lightbox.defaultGroup;
+  },
+
+  /**
+   * Open the image named by the URL hash, if any
+   * @private
+   */
+  _openFromHash() {
+    const link = this._parseHash(window.location.hash);
+    const img = link ? this._collectImages(link.container)[link.position - 1] : null;
+    if (img) {
+      this.open(img);
+    }
+  },
+
+  /**
+   * Match a deep-link hash to a group on the page
+   * @param {string} hash - location.hash
+   * @returns {{container: HTMLElement, position: number}|null} Group and 1-based position,
+   *   or null if the hash doesn't name a group
+   * @private
+   */
+  _parseHash(hash) {
+    const match = /^#(.+)-(\d+)$/.exec(hash || '');
+    if (!match) return null;
+
+    const id = decodeURIComponent(match[1]);
+    const container = Array.from(document.querySelectorAll(GROUP_SELECTOR))
+      .find(element => this._getContainerId(element) === id);
+    return container ? { container, position: Number(match[2]) } : null;
+  },
+
+  /**
+   * Get the full-size source of an image (lazy images keep it in data-src until loaded)
+   * @param {HTMLImageElement} img - Gallery image
+   * @returns {string} Image URL
+   * @private
+   */
+  _getSource(img) {
+    return img.dataset.src || img.src;
+  },
+
+  /**
+   * Fetch an image ahead of time so stepping to it is instant
+   * @param {HTMLImageElement} img - Neighboring image
+   * @private
+   */
+  _preload(img) {
+    const source = this._getSource(img);
+    if (!source || this.preloaded.has(source)) return;
+
+    this.preloaded.add(source);
+    const preloader = document.createElement('img');
+    preloader.decoding = 'async';
+    preloader.src = source;
+  },
+
+  /**
+   * Create a navigation button
+   * @param {string} className - Class name
+   * @param {string} text - Visible arrow
+   * @returns {HTMLButtonElement} Button
+   * @private
+   */
+  _createButton(className, text) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    button.hidden = true;
+    return button;
+  },
 };
@@ -0,0 +1,214 @@
+/**
+ * Offline Queue Module
+ * Persists form submissions that failed for network reasons and retries them
+ * on the "online" event or the next page load
+ * Anti-spam signals are kept apart from the fields and restamped when the entry is sent
+ */
+
+import { antiSpam } from './anti-spam.js';
+
+// Another tab that claimed an entry longer ago than this is assumed to have died
+const CLAIM_TIMEOUT_MS = 30 * 1000;
+
+export const offlineQueue = {
+  storageKey: 'sss_offline_queue',
+  flushing: null,
+
+  /**
+   * Initialize retry triggers and flush anything left from a previous visit
+   */
+  init() {
+    window.addEventListener('online', () => this.flush(), { passive: true });
+
+    if (navigator.onLine !== false) {
+      this.flush();
+    }
+  },
+
+  /**
+   * Get all queued entries
+   * @returns {Array<Object>} Queued entries, oldest first
+   */
+  getQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Queue a form's current values for later delivery
+   * Identical payloads share an id, so a repeated submit is stored once
+   * Forms with attached files aren't queued, since the files can't be stored
+   * @param {HTMLFormElement} form - Form to queue
+   * @returns {Object|null} Queued entry, or null if storage is unavailable or files are attached
+   */
+  enqueue(form) {
+    const fields = [];
+    const signals = {};
+    let hasFiles = false;
+    new FormData(form).forEach((value, name) => {
+      if (typeof value === 'string' && antiSpam.fields.includes(name)) {
+        signals[name] = value;
+      } else if (typeof value === 'string') {
+        fields.push([name, value]);
+      } else if (value.size > 0 || value.name) {
+        hasFiles = true;
+      }
+    });
+    if (hasFiles) return null;
+
+    const action = form.action;
+    const method = (form.getAttribute('method') || 'POST').toUpperCase();
+    const id = this._hash(JSON.stringify([action, fields]));
+
+    try {
+      const queue = this.getQueue();
+      const existing = queue.find(entry => entry.id === id);
+      if (existing) return existing;
+
+      // formName picks the rate-limit policy once the entry is delivered
+      const formName = form.getAttribute('name') || form.id || '';
+      const entry = { id, action, method, fields, signals, formName, queuedAt: Date.now(), claimedAt: null };
+      queue.push(entry);
+      localStorage.setItem(this.storageKey, JSON.stringify(queue));
+      return entry;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Remove an entry from the queue
+   * @param {string} id - Entry id
+   */
+  remove(id) {
+    this._update(queue => queue.filter(entry => entry.id !== id));
+  },
+
+  /**
+   * Send every queued entry; concurrent calls share one run
+   * @returns {Promise<void>} Resolves when the run ends
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this._flushQueue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  },
+
+  /**
+   * Send queued entries in order, stopping at the first network failure
+   * Sent entries dispatch "offline-queue:sent" on document; entries the
+   * endpoint rejects outright are dropped and dispatch "offline-queue:failed"
+   * with the parsed error response, so the page can hand the values back
+   * @private
+   */
+  async _flushQueue() {
+    for (const { id } of this.getQueue()) {
+      const entry = this._claim(id);
+      if (!entry) continue;
+
+      // A stamp minted when the form was filled in may have expired by now
+      const signals = await antiSpam.restamp(entry.signals || {}, entry.formName || 'form', entry.action);
+
+      let response;
+      try {
+        response = await fetch(entry.action, {
+          method: entry.method,
+          body: new URLSearchParams([...entry.fields, ...signals]),
+          headers: { Accept: 'application/json' },
+        });
+      } catch {
+        // Still offline: release the claim and wait for the next trigger
+        this._release(id);
+        return;
+      }
+
+      if (response.ok) {
+        this.remove(id);
+        this._dispatch('offline-queue:sent', entry);
+      } else if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        // Retrying will not change a validation or auth rejection
+        const data = await response.json().catch(() => ({}));
+        this.remove(id);
+        this._dispatch('offline-queue:failed', entry, { response: data });
+      } else {
+        this._release(id);
+        return;
+      }
+    }
+  },
+
+  /**
+   * Mark an entry as being sent so other tabs skip it
+   * @param {string} id - Entry id
+   * @returns {Object|null} Entry if this tab claimed it
+   * @private
+   */
+  _claim(id) {
+    let claimed = null;
+    const now = Date.now();
+
+    this._update(queue => queue.map(entry => {
+      if (entry.id !== id) return entry;
+      if (entry.claimedAt && now - entry.claimedAt < CLAIM_TIMEOUT_MS) return entry;
+      claimed = { ...entry, claimedAt: now };
+      return claimed;
+    }));
+
+    return claimed;
+  },
+
+  /**
+   * Release a claim so the entry is retried later
+   * @param {string} id - Entry id
+   * @private
+   */
+  _release(id) {
+    this._update(queue => queue.map(entry => (
+      entry.id === id ? { ...entry, claimedAt: null } : entry
+    )));
+  },
+
+  /**
+   * Read, transform and write the queue
+   * @param {Function} transform - Receives the queue, returns the new queue
+   * @private
+   */
+  _update(transform) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(transform(this.getQueue())));
+    } catch {
+      // Silently fail if localStorage is unavailable
+    }
+  },
+
+  /**
+   * Dispatch a queue event on document
+   * @param {string} type - Event type
+   * @param {Object} entry - Queue entry
+   * @param {Object} [extra] - More detail properties
+   * @private
+   */
+  _dispatch(type, entry, extra = {}) {
+    document.dispatchEvent(new CustomEvent(type, { detail: { entry, ...extra } }));
+  },
+
+  /**
+   * Hash a string into a short stable id (djb2)
+   * @param {string} str - String to hash
+   * @returns {string} Hex id
+   * @private
+   */
+  _hash(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return `q${(hash >>> 0).toString(16)}`;
+  },
+};
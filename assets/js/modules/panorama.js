@@ -0,0 +1,263 @@
+/**
+ * Panorama Module
+ * Drag-to-look viewer for equirectangular (360° by 180°) panoramas, drawn on a 2D canvas:
+ * each frame maps the canvas pixels to view directions and samples the panorama there
+ * Drag, or use the arrow keys when focused, to look around; the wheel and +/- keys zoom
+ * A canvas fires panorama:error if its image can't be loaded or read, so callers can fall back
+ */
+
+import { config } from './config.js';
+
+const DEG = Math.PI / 180;
+
+// Looking further up or down than this would flip the view
+const MAX_PITCH = 85;
+
+export const panorama = {
+  // Viewer state per canvas: view direction, field of view, panorama pixels and any drag or frame pending
+  viewers: new WeakMap(),
+
+  /**
+   * Create a viewer and start loading its panorama
+   * @param {string} src - Equirectangular image URL
+   * @param {string} label - Accessible name
+   * @returns {HTMLCanvasElement} Viewer canvas
+   */
+  create(src, label) {
+    const { renderWidth, renderHeight, fov } = config.panorama;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'panorama';
+    canvas.width = renderWidth;
+    canvas.height = renderHeight;
+    canvas.setAttribute('tabindex', '0');
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', label);
+
+    const viewer = { yaw: 0, pitch: 0, fov, source: null, drag: null, frame: 0 };
+    this.viewers.set(canvas, viewer);
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (e.button > 0) return;
+      e.preventDefault();
+      canvas.setPointerCapture?.(e.pointerId);
+      canvas.classList.add('is-dragging');
+      viewer.drag = { id: e.pointerId, x: e.clientX, y: e.clientY, yaw: viewer.yaw, pitch: viewer.pitch };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!viewer.drag || viewer.drag.id !== e.pointerId) return;
+      // Degrees per CSS pixel, so the panorama follows the pointer
+      const scale = viewer.fov / (canvas.clientWidth || canvas.width);
+      this.setView(canvas, {
+        yaw: viewer.drag.yaw - (e.clientX - viewer.drag.x) * scale,
+        pitch: viewer.drag.pitch + (e.clientY - viewer.drag.y) * scale,
+      });
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      canvas.addEventListener(type, () => {
+        viewer.drag = null;
+        canvas.classList.remove('is-dragging');
+      });
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.setView(canvas, { fov: viewer.fov * (e.deltaY < 0 ? 1 / config.panorama.zoomStep : config.panorama.zoomStep) });
+    }, { passive: false });
+
+    canvas.addEventListener('keydown', (e) => this._handleKeydown(canvas, e));
+
+    this._load(canvas, src);
+    return canvas;
+  },
+
+  /**
+   * Stop a viewer and release its panorama
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   */
+  destroy(canvas) {
+    const viewer = this.viewers.get(canvas);
+    if (!viewer) return;
+    if (viewer.frame) cancelAnimationFrame(viewer.frame);
+    this.viewers.delete(canvas);
+  },
+
+  /**
+   * Get where a viewer is looking
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @returns {{yaw: number, pitch: number, fov: number}|null} Degrees, or null if not a viewer
+   */
+  getView(canvas) {
+    const viewer = this.viewers.get(canvas);
+    return viewer ? { yaw: viewer.yaw, pitch: viewer.pitch, fov: viewer.fov } : null;
+  },
+
+  /**
+   * Turn or zoom a viewer and redraw it
+   * Yaw wraps around, pitch stops short of straight up or down and the field of view
+   * stays within config.panorama.minFov and maxFov
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @param {{yaw?: number, pitch?: number, fov?: number}} view - Degrees to change
+   */
+  setView(canvas, view) {
+    const viewer = this.viewers.get(canvas);
+    if (!viewer) return;
+    const { minFov, maxFov } = config.panorama;
+
+    if (view.yaw !== undefined) viewer.yaw = ((((view.yaw + 180) % 360) + 360) % 360) - 180;
+    if (view.pitch !== undefined) viewer.pitch = Math.min(Math.max(view.pitch, -MAX_PITCH), MAX_PITCH);
+    if (view.fov !== undefined) viewer.fov = Math.min(Math.max(view.fov, minFov), maxFov);
+    this._scheduleDraw(canvas);
+  },
+
+  /**
+   * Build the mapping from canvas pixels to directions for a view
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {{yaw: number, pitch: number, fov: number}} view - Degrees; fov is horizontal
+   * @returns {function(number, number): number[]} Maps a pixel to [longitude, latitude] in radians,
+   *   with longitude 0 at the middle of the panorama
+   */
+  projector(width, height, view) {
+    const focal = width / 2 / Math.tan((view.fov * DEG) / 2);
+    const sinPitch = Math.sin(view.pitch * DEG);
+    const cosPitch = Math.cos(view.pitch * DEG);
+    const sinYaw = Math.sin(view.yaw * DEG);
+    const cosYaw = Math.cos(view.yaw * DEG);
+
+    return (x, y) => {
+      // Ray through the pixel's center, tilted by the pitch and then turned by the yaw
+      const dx = x + 0.5 - width / 2;
+      const dy = height / 2 - (y + 0.5);
+      const up = dy * cosPitch + focal * sinPitch;
+      const forward = focal * cosPitch - dy * sinPitch;
+      const right = dx * cosYaw + forward * sinYaw;
+      const ahead = forward * cosYaw - dx * sinYaw;
+      return [Math.atan2(right, ahead), Math.atan2(up, Math.hypot(right, ahead))];
+    };
+  },
+
+  /**
+   * Turn with the arrow keys, zoom with +/-
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @param {KeyboardEvent} e - Keydown on the canvas
+   * @private
+   */
+  _handleKeydown(canvas, e) {
+    const viewer = this.viewers.get(canvas);
+    const { keyStep, zoomStep } = config.panorama;
+    const views = {
+      ArrowLeft: { yaw: viewer.yaw - keyStep },
+      ArrowRight: { yaw: viewer.yaw + keyStep },
+      ArrowUp: { pitch: viewer.pitch + keyStep },
+      ArrowDown: { pitch: viewer.pitch - keyStep },
+      '+': { fov: viewer.fov / zoomStep },
+      '=': { fov: viewer.fov / zoomStep },
+      '-': { fov: viewer.fov * zoomStep },
+      _: { fov: viewer.fov * zoomStep },
+    };
+    if (!views[e.key]) return;
+
+    e.preventDefault();
+    this.setView(canvas, views[e.key]);
+  },
+
+  /**
+   * Load the panorama and read its pixels
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @param {string} src - Image URL
+   * @private
+   */
+  _load(canvas, src) {
+    const image = document.createElement('img');
+    image.decoding = 'async';
+    image.addEventListener('load', () => {
+      const viewer = this.viewers.get(canvas);
+      if (!viewer) return;
+
+      viewer.source = this._readPixels(image);
+      if (viewer.source) {
+        this._scheduleDraw(canvas);
+      } else {
+        canvas.dispatchEvent(new CustomEvent('panorama:error'));
+      }
+    }, { once: true });
+    image.addEventListener('error', () => {
+      canvas.dispatchEvent(new CustomEvent('panorama:error'));
+    }, { once: true });
+    image.src = src;
+  },
+
+  /**
+   * Copy an image's pixels, scaled down to config.panorama.maxSourceWidth
+   * @param {HTMLImageElement} image - Loaded panorama
+   * @returns {ImageData|null} Pixels, or null if the browser can't read them (e.g. a cross-origin image)
+   * @private
+   */
+  _readPixels(image) {
+    const scale = Math.min(1, config.panorama.maxSourceWidth / image.naturalWidth);
+    const width = Math.max(1, Math.round(image.naturalWidth * scale));
+    const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    try {
+      context.drawImage(image, 0, 0, width, height);
+      return context.getImageData(0, 0, width, height);
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Redraw on the next frame, once however many changes come before it
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @private
+   */
+  _scheduleDraw(canvas) {
+    const viewer = this.viewers.get(canvas);
+    if (!viewer || viewer.frame || !viewer.source) return;
+
+    viewer.frame = requestAnimationFrame(() => {
+      viewer.frame = 0;
+      this._draw(canvas);
+    });
+  },
+
+  /**
+   * Draw the current view
+   * @param {HTMLCanvasElement} canvas - Viewer canvas
+   * @private
+   */
+  _draw(canvas) {
+    const viewer = this.viewers.get(canvas);
+    const context = canvas.getContext('2d');
+    if (!viewer?.source || !context) return;
+
+    const { width, height } = canvas;
+    const { data: pixels, width: sourceWidth, height: sourceHeight } = viewer.source;
+    const output = context.createImageData(width, height);
+    const project = this.projector(width, height, viewer);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [lon, lat] = project(x, y);
+        const u = Math.floor((lon / (2 * Math.PI) + 0.5) * sourceWidth) % sourceWidth;
+        const v = Math.min(Math.floor((0.5 - lat / Math.PI) * sourceHeight), sourceHeight - 1);
+        const from = (v * sourceWidth + u) * 4;
+        const to = (y * width + x) * 4;
+        output.data[to] = pixels[from];
+        output.data[to + 1] = pixels[from + 1];
+        output.data[to + 2] = pixels[from + 2];
+        output.data[to + 3] = 255;
+      }
+    }
+
+    context.putImageData(output, 0, 0);
+  },
+};
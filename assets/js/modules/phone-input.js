@@ -0,0 +1,205 @@
+/**
+ * Phone Input Module
+ * Masks input[type="tel"] fields as US numbers, "(555) 123-4567", while typing,
+ * keeping the caret next to the digit it was after
+ * Numbers starting with "+" are treated as international and left unmasked
+ * (a leading "+1" or "1" is shown as "+1 (555) 123-4567")
+ * On submit the E.164 form ("+15551234567") is written into a hidden field
+ * named <field name>_e164, created if the form doesn't have one
+ */
+
+import { config } from './config.js';
+
+// US national numbers have 10 digits
+const NATIONAL_LENGTH = 10;
+
+export const phoneInput = {
+  /**
+   * Initialize every phone field on the page
+   */
+  init() {
+    document.querySelectorAll('input[type="tel"]').forEach(field => this._setupField(field));
+  },
+
+  /**
+   * Format a phone number for display
+   * @param {string} value - Raw input
+   * @returns {string} Masked number
+   */
+  format(value) {
+    const raw = String(value || '');
+    const { countryCode } = config.phone;
+
+    if (raw.trim().startsWith('+')) {
+      const digits = raw.replace(/\D/g, '');
+      if (!digits.startsWith(countryCode)) {
+        // International: keep the visitor's spacing, drop anything but digits and separators
+        // the strict phone rule accepts
+        return `+${raw.replace(/[^\d\s\-()]/g, '').trimStart()}`;
+      }
+      return `+${countryCode} ${this._formatNational(digits.slice(countryCode.length))}`.trim();
+    }
+
+    const digits = raw.replace(/\D/g, '');
+    if (digits.startsWith(countryCode)) {
+      return `+${countryCode} ${this._formatNational(digits.slice(countryCode.length))}`.trim();
+    }
+    return this._formatNational(digits);
+  },
+
+  /**
+   * Normalize a phone number to E.164
+   * @param {string} value - Entered number, masked or not
+   * @returns {string} E.164 number ("+15551234567"), or an empty string if incomplete
+   */
+  toE164(value) {
+    const raw = String(value || '').trim();
+    const { countryCode } = config.phone;
+    const digits = raw.replace(/\D/g, '');
+
+    if (!raw.startsWith('+') && digits.length === NATIONAL_LENGTH) {
+      return `+${countryCode}${digits}`;
+    }
+    if (digits.startsWith(countryCode) && digits.length === countryCode.length + NATIONAL_LENGTH) {
+      return `+${digits}`;
+    }
+    if (raw.startsWith('+') && !digits.startsWith(countryCode)) {
+      return config.validation.phonePatternStrict.test(`+${digits}`) && digits.length >= 8 ? `+${digits}` : '';
+    }
+    return '';
+  },
+
+  /**
+   * Mask a field's value and keep the caret after the same digit
+   * @param {HTMLInputElement} field - Phone field
+   * @private
+   */
+  _formatField(field) {
+    const caret = field.selectionStart ?? field.value.length;
+    const digitsBefore = this._countDigits(field.value.slice(0, caret));
+
+    const formatted = this.format(field.value);
+    if (formatted === field.value) return;
+    field.value = formatted;
+
+    if (document.activeElement === field) {
+      const position = this._positionAfterDigits(formatted, digitsBefore);
+      field.setSelectionRange(position, position);
+    }
+  },
+
+  /**
+   * Format up to 10 national digits progressively: "(555", "(555) 123", "(555) 123-4567"
+   * @param {string} digits - National digits
+   * @returns {string} Masked number
+   * @private
+   */
+  _formatNational(digits) {
+    const d = digits.slice(0, NATIONAL_LENGTH);
+    if (d.length === 0) return '';
+    if (d.length <= 3) return `(${d}`;
+    if (d.length <= 6) return `(${d.slice(0, 3)}) ${d.slice(3)}`;
+    return `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+  },
+
+  /**
+   * Wire up masking, separator-aware deletion and the E.164 field
+   * @param {HTMLInputElement} field - Phone field
+   * @private
+   */
+  _setupField(field) {
+    field.setAttribute('inputmode', 'tel');
+    field.addEventListener('input', () => this._formatField(field));
+    field.addEventListener('keydown', (e) => this._handleDelete(e, field));
+
+    if (field.value) this._formatField(field);
+
+    const form = field.form;
+    if (!form || !field.name) return;
+
+    // Capture phase, so the value is in place before validation serializes the form
+    form.addEventListener('submit', () => {
+      this._getE164Field(field).value = this.toE164(field.value);
+    }, true);
+  },
+
+  /**
+   * Make Backspace/Delete next to a mask character remove the neighbouring digit,
+   * so the mask doesn't put the character straight back
+   * @param {KeyboardEvent} e - Keydown event
+   * @param {HTMLInputElement} field - Phone field
+   * @private
+   */
+  _handleDelete(e, field) {
+    if (e.key !== 'Backspace' && e.key !== 'Delete') return;
+
+    const { selectionStart: start, selectionEnd: end, value } = field;
+    if (start === null || start !== end) return;
+
+    const backwards = e.key === 'Backspace';
+    const neighbour = backwards ? value[start - 1] : value[start];
+    if (neighbour === undefined || /\d/.test(neighbour)) return;
+
+    // Find the nearest digit past the mask characters
+    let index = backwards ? start - 1 : start;
+    while (index >= 0 && index < value.length && !/\d/.test(value[index])) {
+      index += backwards ? -1 : 1;
+    }
+    if (index < 0 || index >= value.length) return;
+
+    e.preventDefault();
+    const digitsBefore = this._countDigits(value.slice(0, index));
+    field.value = this.format(value.slice(0, index) + value.slice(index + 1));
+    const position = this._positionAfterDigits(field.value, digitsBefore);
+    field.setSelectionRange(position, position);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+  },
+
+  /**
+   * Get (or create) the hidden field holding a phone field's E.164 value
+   * @param {HTMLInputElement} field - Phone field
+   * @returns {HTMLInputElement} Hidden field
+   * @private
+   */
+  _getE164Field(field) {
+    const name = `${field.name}${config.phone.e164Suffix}`;
+    let hidden = field.form.querySelector(`input[name="${name}"]`);
+    if (!hidden) {
+      hidden = document.createElement('input');
+      hidden.type = 'hidden';
+      hidden.name = name;
+      field.after(hidden);
+    }
+    return hidden;
+  },
+
+  /**
+   * Count digits in a string
+   * @param {string} text - Text
+   * @returns {number} Digit count
+   * @private
+   */
+  _countDigits(text) {
+    return text.replace(/\D/g, '').length;
+  },
+
+  /**
+   * Find the caret position just after the nth digit
+   * @param {string} text - Formatted value
+   * @param {number} count - Digits to pass
+   * @returns {number} Caret position
+   * @private
+   */
+  _positionAfterDigits(text, count) {
+    if (count === 0) {
+      // Stay after a leading "+" or "(" so typing continues inside the mask
+      const match = /^[^\d]*/.exec(text);
+      return match[0].length;
+    }
+    let seen = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (/\d/.test(text[i]) && ++seen === count) return i + 1;
+    }
+    return text.length;
+  },
+};
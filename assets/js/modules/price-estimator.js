@@ -0,0 +1,392 @@
+/**
+ * Price Estimator Module
+ * Renders an instant price range on service pages from the pricing table in
+ * config.estimator, and pre-fills the contact form from the chosen configuration
+ * Markup: <div data-estimator="mapping"> containing an a.estimator-request link
+ * to the contact page; the link carries the configuration as query parameters
+ * Copy comes from the i18n catalogs and is re-rendered when the language changes
+ */
+
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+export const priceEstimator = {
+  /**
+   * Initialize estimators on the page and pre-fill the contact form from the URL
+   */
+  init() {
+    const containers = Array.from(document.querySelectorAll('[data-estimator]'))
+      .filter(container => this._setupEstimator(container));
+    this._prefillContactForm();
+
+    document.addEventListener('i18n:change', () => {
+      containers.forEach(container => {
+        this._applyLabels(container);
+        this._update(container);
+      });
+    });
+  },
+
+  /**
+   * Compute the price range for a configuration
+   * @param {Object} selection - Estimator configuration
+   * @param {string} selection.service - Service key in config.estimator.pricing
+   * @param {number} selection.acres - Site size in acres
+   * @param {string[]} selection.deliverables - Deliverable keys
+   * @param {number} selection.miles - Travel distance from our base
+   * @param {boolean} selection.rush - Rush job
+   * @returns {{low: number, high: number, travelFee: number}|null} Range in dollars, or null for unknown services
+   */
+  estimate(selection) {
+    const { pricing, perDeliverable, travel, rushMultiplier, spread, rounding } = config.estimator;
+    const service = pricing[selection.service];
+    if (!service) return null;
+
+    const extraAcres = Math.max(0, selection.acres - service.includedAcres);
+    const extraDeliverables = Math.max(0, selection.deliverables.length - 1);
+    const travelFee = Math.max(0, selection.miles - travel.freeMiles) * travel.perMile;
+
+    let work = service.base + extraAcres * service.perAcre + extraDeliverables * perDeliverable;
+    if (selection.rush) {
+      work *= rushMultiplier;
+    }
+    const price = work + travelFee;
+
+    return {
+      low: Math.floor((price * (1 - spread)) / rounding) * rounding,
+      high: Math.ceil((price * (1 + spread)) / rounding) * rounding,
+      travelFee: Math.round(travelFee),
+    };
+  },
+
+  /**
+   * Format a dollar amount without cents
+   * @param {number} amount - Amount in dollars
+   * @returns {string} Formatted price, e.g. "$1,250"
+   */
+  formatPrice(amount) {
+    return `$${Math.round(amount).toLocaleString('en-US')}`;
+  },
+
+  /**
+   * Format an estimate as display text
+   * @param {{low: number, high: number}} estimate - Estimated range
+   * @returns {string} Range text, e.g. "$450 – $650"
+   */
+  formatRange(estimate) {
+    return i18n.t('estimator.range', {
+      low: this.formatPrice(estimate.low),
+      high: this.formatPrice(estimate.high),
+    });
+  },
+
+  /**
+   * Serialize a configuration as query parameters for the contact page
+   * @param {Object} selection - Estimator configuration
+   * @returns {string} Query string without the leading "?"
+   */
+  toQuery(selection) {
+    const params = new URLSearchParams({
+      service: selection.service,
+      acres: String(selection.acres),
+      deliverables: selection.deliverables.join(','),
+      miles: String(selection.miles),
+    });
+    if (selection.rush) {
+      params.set('rush', '1');
+    }
+    return params.toString();
+  },
+
+  /**
+   * Read a configuration from query parameters
+   * Numbers are clamped to config limits and unknown deliverables are dropped
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object|null} Estimator configuration, or null if no known service is given
+   */
+  fromQuery(params) {
+    const { pricing, deliverables } = config.estimator;
+    const service = params.get('service');
+    if (!service || !Object.hasOwn(pricing, service)) return null;
+
+    return this._normalize({
+      service,
+      acres: Number(params.get('acres')),
+      deliverables: (params.get('deliverables') || '')
+        .split(',')
+        .filter(key => deliverables.includes(key)),
+      miles: Number(params.get('miles')),
+      rush: params.get('rush') === '1',
+    });
+  },
+
+  /**
+   * Describe a configuration and its estimate for the contact form's details field
+   * @param {Object} selection - Estimator configuration
+   * @returns {string} Multi-line summary
+   */
+  describe(selection) {
+    const estimate = this.estimate(selection);
+    const names = selection.deliverables.map(key => i18n.t(`estimator.deliverableNames.${key}`));
+
+    return [
+      `${i18n.t('estimator.summaryTitle')}: ${i18n.t(`estimator.services.${selection.service}`)}`,
+      `${i18n.t('estimator.acres')}: ${selection.acres}`,
+      `${i18n.t('estimator.deliverables')}: ${names.join(', ')}`,
+      `${i18n.t('estimator.miles')}: ${selection.miles}`,
+      `${i18n.t('estimator.rush')}: ${i18n.t(selection.rush ? 'estimator.yes' : 'estimator.no')}`,
+      `${i18n.t('estimator.summaryRange')}: ${this.formatRange(estimate)}`,
+    ].join('\n');
+  },
+
+  /**
+   * Build the controls for one estimator and keep its result and link in sync
+   * @param {HTMLElement} container - Element with data-estimator
+   * @returns {boolean} True if the container names a known service
+   * @private
+   */
+  _setupEstimator(container) {
+    const service = config.estimator.pricing[container.dataset.estimator];
+    if (!service) return false;
+
+    const link = container.querySelector('.estimator-request');
+    const controls = this._buildControls(container.dataset.estimator, service);
+    container.insertBefore(controls, link);
+    this._applyLabels(container);
+
+    const update = () => this._update(container);
+    container.addEventListener('input', update, { passive: true });
+    container.addEventListener('change', update, { passive: true });
+    update();
+    return true;
+  },
+
+  /**
+   * Create the estimator inputs and result output
+   * @param {string} key - Service key
+   * @param {Object} service - Service pricing entry
+   * @returns {HTMLElement} Controls wrapper
+   * @private
+   */
+  _buildControls(key, service) {
+    const { deliverables, maxAcres, maxMiles } = config.estimator;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'estimator-controls';
+
+    wrapper.append(
+      this._buildNumberField(`estimator-${key}-acres`, 'acres', service.includedAcres, maxAcres),
+      this._buildNumberField(`estimator-${key}-miles`, 'miles', 0, maxMiles)
+    );
+
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    const group = document.createElement('div');
+    group.className = 'choice-group';
+    deliverables.forEach((value, index) => {
+      group.append(this._buildCheckbox('deliverable', value, index === 0));
+    });
+    fieldset.append(legend, group);
+
+    const rush = this._buildCheckbox('rush', '1', false);
+    rush.classList.add('estimator-rush');
+
+    const output = document.createElement('output');
+    output.className = 'estimator-result';
+    output.setAttribute('aria-live', 'polite');
+
+    wrapper.append(fieldset, rush, output);
+    return wrapper;
+  },
+
+  /**
+   * Name the controls in the current language
+   * @param {HTMLElement} container - Element with data-estimator
+   * @private
+   */
+  _applyLabels(container) {
+    const controls = container.querySelector('.estimator-controls');
+    const key = container.dataset.estimator;
+
+    controls.querySelector(`label[for="estimator-${key}-acres"]`).textContent = i18n.t('estimator.acres');
+    controls.querySelector(`label[for="estimator-${key}-miles"]`).textContent = i18n.t('estimator.miles');
+    controls.querySelector('legend').textContent = i18n.t('estimator.deliverables');
+    controls.querySelectorAll('input[name="deliverable"]').forEach(input => {
+      input.nextElementSibling.textContent = i18n.t(`estimator.deliverableNames.${input.value}`);
+    });
+    controls.querySelector('input[name="rush"]').nextElementSibling.textContent = i18n.t('estimator.rush');
+  },
+
+  /**
+   * Create a labelled number input; the label text is set by _applyLabels
+   * @param {string} id - Input id
+   * @param {string} name - Input name
+   * @param {number} value - Initial value
+   * @param {number} max - Maximum value
+   * @returns {HTMLElement} Wrapper with label and input
+   * @private
+   */
+  _buildNumberField(id, name, value, max) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'estimator-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.name = name;
+    input.min = '0';
+    input.max = String(max);
+    input.step = 'any';
+    input.inputMode = 'decimal';
+    input.value = String(value);
+
+    wrapper.append(label, input);
+    return wrapper;
+  },
+
+  /**
+   * Create a checkbox wrapped in its label; the text span after it is filled by _applyLabels
+   * @param {string} name - Input name
+   * @param {string} value - Input value
+   * @param {boolean} checked - Initial state
+   * @returns {HTMLLabelElement} Label containing the checkbox
+   * @private
+   */
+  _buildCheckbox(name, value, checked) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = name;
+    input.value = value;
+    input.checked = checked;
+    label.append(input, ' ', document.createElement('span'));
+    return label;
+  },
+
+  /**
+   * Recompute the estimate and update the result and request link
+   * @param {HTMLElement} container - Element with data-estimator
+   * @private
+   */
+  _update(container) {
+    const selection = this._readControls(container);
+    const estimate = this.estimate(selection);
+    const output = container.querySelector('.estimator-result');
+
+    output.textContent = this.formatRange(estimate);
+    if (estimate.travelFee > 0) {
+      const travel = document.createElement('small');
+      travel.textContent = i18n.t('estimator.travel', { travel: this.formatPrice(estimate.travelFee) });
+      output.append(' ', travel);
+    }
+
+    const link = container.querySelector('.estimator-request');
+    if (link) {
+      const base = link.getAttribute('href').split('?')[0];
+      link.setAttribute('href', `${base}?${this.toQuery(selection)}`);
+    }
+  },
+
+  /**
+   * Read the configuration from an estimator's controls
+   * @param {HTMLElement} container - Element with data-estimator
+   * @returns {Object} Estimator configuration
+   * @private
+   */
+  _readControls(container) {
+    return this._normalize({
+      service: container.dataset.estimator,
+      acres: Number(container.querySelector('input[name="acres"]').value),
+      deliverables: Array.from(container.querySelectorAll('input[name="deliverable"]:checked'))
+        .map(input => input.value),
+      miles: Number(container.querySelector('input[name="miles"]').value),
+      rush: container.querySelector('input[name="rush"]').checked,
+    });
+  },
+
+  /**
+   * Clamp numbers to config limits and default to one deliverable
+   * @param {Object} selection - Raw configuration
+   * @returns {Object} Normalized configuration
+   * @private
+   */
+  _normalize(selection) {
+    const { maxAcres, maxMiles } = config.estimator;
+    const clamp = (value, max) => (Number.isFinite(value) ? Math.min(Math.max(value, 0), max) : 0);
+
+    return {
+      ...selection,
+      acres: clamp(selection.acres, maxAcres),
+      miles: clamp(selection.miles, maxMiles),
+      deliverables: selection.deliverables.length > 0 ? selection.deliverables : ['photo'],
+    };
+  },
+
+  /**
+   * Pre-fill the contact form from estimate query parameters
+   * The parameters are then removed so a reload does not apply them again.
+   * A draft restored afterwards would overwrite the estimate, so it is applied again on top
+   * @private
+   */
+  _prefillContactForm() {
+    const details = document.getElementById('details');
+    const form = details?.form;
+    if (!form) return;
+
+    const selection = this.fromQuery(new URLSearchParams(window.location.search));
+    if (!selection) return;
+
+    this._applyToContactForm(form, details, selection);
+    form.addEventListener('draft:restored', () => this._applyToContactForm(form, details, selection));
+
+    history.replaceState(history.state, '', window.location.pathname + window.location.hash);
+  },
+
+  /**
+   * Set the contact form's service, deliverables, size and timeline from an estimate,
+   * and put its summary above whatever the details field already says
+   * @param {HTMLFormElement} form - Contact form
+   * @param {HTMLTextAreaElement} details - Details field
+   * @param {Object} selection - Estimate configuration
+   * @private
+   */
+  _applyToContactForm(form, details, selection) {
+    const { propertySizes, rushTimeline } = config.estimator;
+    const summary = this.describe(selection);
+
+    form.querySelectorAll('input[name="service"]').forEach(input => {
+      input.checked = input.value === selection.service;
+    });
+    form.querySelectorAll('input[name="deliverables[]"]').forEach(input => {
+      input.checked = selection.deliverables.includes(input.value);
+    });
+
+    const size = propertySizes.find(option => selection.acres <= option.maxAcres);
+    this._selectOption(form.elements.namedItem('property_size'), size?.value);
+    if (selection.rush) {
+      this._selectOption(form.elements.namedItem('timeline'), rushTimeline);
+    }
+
+    if (!details.value.includes(summary)) {
+      details.value = details.value.trim() ? `${summary}\n\n${details.value}` : summary;
+    }
+
+    // Let listeners such as the quote wizard's autosave see the new values
+    details.dispatchEvent(new Event('input', { bubbles: true }));
+  },
+
+  /**
+   * Select an option if the select element offers it
+   * @param {HTMLSelectElement|null} select - Select element
+   * @param {string} [value] - Option value
+   * @private
+   */
+  _selectOption(select, value) {
+    if (!select || !value) return;
+    if (Array.from(select.options).some(option => option.value === value)) {
+      select.value = value;
+    }
+  },
+};
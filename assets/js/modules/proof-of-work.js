@@ -0,0 +1,135 @@
+/**
+ * Proof-of-Work Module
+ * Hashcash-style stamps: "1:<bits>:<timestamp>:<resource>:<nonce>:<counter>"
+ * whose SHA-256 starts with at least <bits> zero bits
+ * The timestamp and nonce normally come from a challenge the relay issued, so the
+ * relay can tell when minting started; without one they are the local time and random
+ * Cheap to verify, costly to mint in bulk. Shared by the browser worker and
+ * the Node relay, so it only relies on Web Crypto
+ */
+
+const VERSION = '1';
+
+export const proofOfWork = {
+  /**
+   * Build the part of a stamp before the counter
+   * @param {string} resource - What the stamp is for (the form name)
+   * @param {number} bits - Required leading zero bits
+   * @param {number} [timestamp] - Creation time (milliseconds)
+   * @param {string} [nonce] - Challenge nonce (random if omitted)
+   * @returns {string} Stamp prefix ending in ":"
+   */
+  createPrefix(resource, bits, timestamp = Date.now(), nonce = this._random()) {
+    return [VERSION, bits, timestamp, this._clean(resource), this._clean(nonce), ''].join(':');
+  },
+
+  /**
+   * SHA-256 a stamp
+   * @param {string} stamp - Stamp
+   * @returns {Promise<Uint8Array>} Digest
+   */
+  async hash(stamp) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stamp));
+    return new Uint8Array(digest);
+  },
+
+  /**
+   * Count leading zero bits in a digest
+   * @param {Uint8Array} bytes - Digest
+   * @returns {number} Zero bits before the first 1
+   */
+  leadingZeroBits(bytes) {
+    let count = 0;
+    for (const byte of bytes) {
+      if (byte === 0) {
+        count += 8;
+        continue;
+      }
+      return count + Math.clz32(byte) - 24;
+    }
+    return count;
+  },
+
+  /**
+   * Mint a stamp by trying counters until the hash has enough zero bits
+   * @param {string} resource - What the stamp is for
+   * @param {number} bits - Required leading zero bits
+   * @param {number} [timestamp] - Creation time (milliseconds)
+   * @param {string} [nonce] - Challenge nonce (random if omitted)
+   * @returns {Promise<string>} Stamp
+   */
+  async solve(resource, bits, timestamp = Date.now(), nonce) {
+    const prefix = this.createPrefix(resource, bits, timestamp, nonce);
+    for (let counter = 0; ; counter++) {
+      const stamp = prefix + counter.toString(36);
+      if (this.leadingZeroBits(await this.hash(stamp)) >= bits) {
+        return stamp;
+      }
+    }
+  },
+
+  /**
+   * Split a stamp into its parts
+   * @param {string} stamp - Stamp
+   * @returns {{bits: number, timestamp: number, resource: string, nonce: string}|null} Parts, or null if malformed
+   */
+  parse(stamp) {
+    const parts = String(stamp || '').split(':');
+    if (parts.length !== 6 || parts[0] !== VERSION) return null;
+
+    const bits = Number(parts[1]);
+    const timestamp = Number(parts[2]);
+    if (!Number.isInteger(bits) || !Number.isInteger(timestamp) || !parts[4] || !parts[5]) return null;
+
+    return { bits, timestamp, resource: parts[3], nonce: parts[4] };
+  },
+
+  /**
+   * Check a stamp
+   * @param {string} stamp - Stamp from the form
+   * @param {Object} options - Requirements
+   * @param {number} options.bits - Minimum zero bits
+   * @param {number} options.maxAgeMs - How old a stamp may be
+   * @param {string[]} [options.resources] - Accepted resources (any if omitted)
+   * @param {number} [options.now] - Current time (milliseconds)
+   * @returns {Promise<{valid: boolean, reason?: string}>} Result; reason is
+   *   "malformed", "weak", "expired", "resource" or "hash"
+   */
+  async verify(stamp, { bits, maxAgeMs, resources, now = Date.now() }) {
+    const parts = this.parse(stamp);
+    if (!parts) return { valid: false, reason: 'malformed' };
+    if (parts.bits < bits) return { valid: false, reason: 'weak' };
+
+    // Allow a little clock skew into the future
+    const age = now - parts.timestamp;
+    if (age > maxAgeMs || age < -60 * 1000) return { valid: false, reason: 'expired' };
+
+    if (resources && !resources.includes(parts.resource)) return { valid: false, reason: 'resource' };
+
+    if (this.leadingZeroBits(await this.hash(stamp)) < bits) {
+      return { valid: false, reason: 'hash' };
+    }
+    return { valid: true };
+  },
+
+  /**
+   * Keep the stamp separator out of a stamp part
+   * @param {string} part - Resource name or nonce
+   * @returns {string} Part without colons
+   * @private
+   */
+  _clean(part) {
+    return String(part || '').replace(/:/g, '');
+  },
+
+  /**
+   * Make a random nonce for stamps minted without a challenge
+   * @returns {string} 16 hex digits
+   * @private
+   */
+  _random() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(8)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  },
+};
@@ -0,0 +1,338 @@
+/**
+ * Quote Wizard Module
+ * Turns a form[data-wizard] into an accessible multi-step flow
+ * Each .wizard-step fieldset is validated before advancing, steps are tracked
+ * in history state, and the current step is kept in localStorage across reloads
+ * (field values are saved by form-drafts.js)
+ * Without JavaScript every step is shown as one long form
+ */
+
+import { formValidation } from './form-validation.js';
+import { validationRules } from './validation-rules.js';
+import { i18n } from './i18n.js';
+
+export const quoteWizard = {
+  storageKey: 'sss_quote_wizard',
+  form: null,
+  steps: [],
+  currentIndex: 0,
+  statusElement: null,
+  progressItems: [],
+  // Step saved by the previous visit; a restored draft resumes there
+  savedStep: 0,
+
+  /**
+   * Initialize the wizard on the page's wizard form, if any
+   */
+  init() {
+    this.form = document.querySelector('form[data-wizard]');
+    if (!this.form) return;
+
+    this.steps = Array.from(this.form.querySelectorAll('.wizard-step'));
+    if (this.steps.length === 0) return;
+
+    // Hidden steps cannot show native validation bubbles; formValidation handles it
+    this.form.noValidate = true;
+
+    this._buildProgress();
+    this._buildNavigation();
+    this._setupListeners();
+
+    this.savedStep = this._readSavedStep();
+    const startIndex = this._getResumeStep();
+    this._initHistory(startIndex);
+    this.showStep(startIndex, { focus: false });
+  },
+
+  /**
+   * Show one step and hide the others
+   * @param {number} index - Step index
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.focus=true] - Move focus into the step
+   */
+  showStep(index, { focus = true } = {}) {
+    this.currentIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== this.currentIndex;
+    });
+
+    this.progressItems.forEach((item, i) => {
+      item.classList.toggle('complete', i < this.currentIndex);
+      if (i === this.currentIndex) {
+        item.setAttribute('aria-current', 'step');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    this._updateStatus();
+
+    if (focus) {
+      const firstField = this.steps[this.currentIndex].querySelector('input, select, textarea');
+      if (firstField) firstField.focus();
+    }
+
+    this._saveProgress();
+  },
+
+  /**
+   * Validate the current step and advance, adding a history entry
+   * @returns {boolean} True if the wizard advanced
+   */
+  next() {
+    if (this.currentIndex >= this.steps.length - 1) return false;
+    if (!formValidation.validateFields(this.steps[this.currentIndex])) return false;
+
+    const nextIndex = this.currentIndex + 1;
+    history.pushState({ wizardStep: nextIndex }, '');
+    this.showStep(nextIndex);
+    return true;
+  },
+
+  /**
+   * Go back one step through browser history, so Back/Forward stay in sync
+   */
+  back() {
+    if (this.currentIndex > 0) {
+      history.back();
+    }
+  },
+
+  /**
+   * Show the step stored in a history entry
+   * Moving forward past a step that no longer validates stops at that step
+   * @param {PopStateEvent} e - Popstate event
+   * @private
+   */
+  _handlePopState(e) {
+    const target = e.state?.wizardStep;
+    if (typeof target !== 'number') return;
+
+    let index = target;
+    for (let i = this.currentIndex; i < target; i++) {
+      if (!formValidation.validateFields(this.steps[i])) {
+        index = i;
+        history.replaceState({ wizardStep: i }, '');
+        break;
+      }
+    }
+
+    this.showStep(index);
+  },
+
+  /**
+   * Seed history so Back walks through earlier steps when the wizard opens part way
+   * A reload keeps the current entry's state and the step entries before it, so those
+   * are reused rather than pushed again
+   * @param {number} startIndex - Step the wizard opens on
+   * @private
+   */
+  _initHistory(startIndex) {
+    if (typeof history.state?.wizardStep === 'number') {
+      history.replaceState({ wizardStep: startIndex }, '');
+      return;
+    }
+
+    history.replaceState({ wizardStep: 0 }, '');
+    for (let i = 1; i <= startIndex; i++) {
+      history.pushState({ wizardStep: i }, '');
+    }
+  },
+
+  /**
+   * Insert the step status line and progress list at the top of the form
+   * @private
+   */
+  _buildProgress() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'wizard-progress';
+
+    this.statusElement = document.createElement('p');
+    this.statusElement.className = 'wizard-status';
+    this.statusElement.setAttribute('aria-live', 'polite');
+
+    const list = document.createElement('ol');
+    this.progressItems = this.steps.map(step => {
+      const item = document.createElement('li');
+      item.textContent = this._getStepTitle(step);
+      list.append(item);
+      return item;
+    });
+
+    wrapper.append(this.statusElement, list);
+    this.steps[0].parentNode.insertBefore(wrapper, this.steps[0]);
+  },
+
+  /**
+   * Add Back/Next buttons to each step
+   * The last step keeps the form's own submit button
+   * @private
+   */
+  _buildNavigation() {
+    this.steps.forEach((step, index) => {
+      const nav = document.createElement('div');
+      nav.className = 'wizard-nav';
+
+      if (index > 0) {
+        const backButton = document.createElement('button');
+        backButton.type = 'button';
+        backButton.className = 'wizard-back';
+        backButton.textContent = i18n.t('wizard.back');
+        backButton.addEventListener('click', () => this.back());
+        nav.append(backButton);
+      }
+
+      if (index < this.steps.length - 1) {
+        const nextButton = document.createElement('button');
+        nextButton.type = 'button';
+        nextButton.className = 'wizard-next';
+        nextButton.textContent = i18n.t('wizard.next');
+        nextButton.addEventListener('click', () => this.next());
+        nav.append(nextButton);
+      }
+
+      const submitButton = step.querySelector('[type="submit"]');
+      if (submitButton) {
+        step.insertBefore(nav, submitButton);
+      } else {
+        step.append(nav);
+      }
+    });
+  },
+
+  /**
+   * Wire up history, draft restore, Enter-to-advance, submit-error handling and language changes
+   * @private
+   */
+  _setupListeners() {
+    window.addEventListener('popstate', (e) => this._handlePopState(e));
+
+    // Enter in a single-line field advances instead of submitting early
+    this.form.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || e.defaultPrevented || e.target.tagName !== 'INPUT') return;
+      if (this.currentIndex < this.steps.length - 1) {
+        e.preventDefault();
+        this.next();
+      }
+    });
+
+    // Submit-time errors in an earlier step: jump to that step
+    this.form.addEventListener('field:reveal', (e) => {
+      const index = this.steps.findIndex(step => step.contains(e.target));
+      if (index !== -1 && index !== this.currentIndex) {
+        history.replaceState({ wizardStep: index }, '');
+        this.showStep(index, { focus: false });
+      }
+    });
+
+    // A restored draft fills earlier steps; reopen where the visitor left off
+    this.form.addEventListener('draft:restored', () => {
+      const index = this._getResumeStep();
+      history.replaceState({ wizardStep: index }, '');
+      this.showStep(index, { focus: false });
+    });
+
+    this.form.addEventListener('form:success', () => this.clearProgress());
+
+    document.addEventListener('i18n:change', () => this._updateLabels());
+  },
+
+  /**
+   * Persist the current step
+   * @private
+   */
+  _saveProgress() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ step: this.currentIndex }));
+    } catch {
+      // Silently fail if localStorage is unavailable
+    }
+  },
+
+  /**
+   * Read the step saved by the previous visit
+   * @returns {number} Saved step index, or 0
+   * @private
+   */
+  _readSavedStep() {
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    } catch {
+      saved = null;
+    }
+    return saved ? Math.min(Number(saved.step) || 0, this.steps.length - 1) : 0;
+  },
+
+  /**
+   * Work out which step to open from the saved step and the current field values
+   * @returns {number} The saved step, or the first earlier step that is incomplete
+   * @private
+   */
+  _getResumeStep() {
+    for (let i = 0; i < this.savedStep; i++) {
+      if (!this._isStepComplete(this.steps[i])) return i;
+    }
+    return this.savedStep;
+  },
+
+  /**
+   * Remove saved progress and return to the first step
+   */
+  clearProgress() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch {
+      // Silently fail if localStorage is unavailable
+    }
+    this.currentIndex = 0;
+    this.savedStep = 0;
+    history.replaceState({ wizardStep: 0 }, '');
+  },
+
+  /**
+   * Check a step without showing errors
+   * @param {HTMLElement} step - Step fieldset
+   * @returns {boolean} True if every field in the step is valid
+   * @private
+   */
+  _isStepComplete(step) {
+    return Array.from(step.querySelectorAll('input, select, textarea'))
+      .filter(field => !field.disabled && field.type !== 'hidden')
+      .every(field => validationRules.validate(field).valid);
+  },
+
+  /**
+   * Announce the current step in the status line
+   * @private
+   */
+  _updateStatus() {
+    this.statusElement.textContent = i18n.t('wizard.status', {
+      current: this.currentIndex + 1,
+      total: this.steps.length,
+      title: this._getStepTitle(this.steps[this.currentIndex]),
+    });
+  },
+
+  /**
+   * Re-translate the navigation buttons and status after a language change
+   * @private
+   */
+  _updateLabels() {
+    this.form.querySelectorAll('.wizard-back').forEach(button => { button.textContent = i18n.t('wizard.back'); });
+    this.form.querySelectorAll('.wizard-next').forEach(button => { button.textContent = i18n.t('wizard.next'); });
+    this._updateStatus();
+  },
+
+  /**
+   * Get a step's display title from its legend
+   * @param {HTMLElement} step - Step fieldset
+   * @returns {string} Step title
+   * @private
+   */
+  _getStepTitle(step) {
+    const legend = step.querySelector('legend');
+    return legend ? legend.textContent.trim() : '';
+  },
+};
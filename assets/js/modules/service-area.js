@@ -0,0 +1,345 @@
+/**
+ * Service Area Module
+ * Checks the contact form's #location against a bundled Central Texas gazetteer,
+ * shows the straight-line distance from our base and the travel-fee tier inline,
+ * and offers autocomplete suggestions (ARIA combobox pattern)
+ * Out-of-area and unknown places only show a soft warning; submission is never blocked
+ * Result copy comes from the i18n catalogs and is re-rendered when the language changes
+ */
+
+import { gazetteer } from '../data/gazetteer.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+export const serviceArea = {
+  input: null,
+  listbox: null,
+  resultElement: null,
+  suggestions: [],
+  activeIndex: -1,
+  selecting: false,
+
+  /**
+   * Initialize the checker on the #location field, if present
+   */
+  init() {
+    this.input = document.getElementById('location');
+    if (!this.input) return;
+
+    this._buildWidgets();
+    this._setupListeners();
+
+    // Only a shown result needs redoing; unknown places are shown only once committed
+    document.addEventListener('i18n:change', () => {
+      if (this.resultElement.textContent) this._showResult(true);
+    });
+
+    // A restored or pre-filled value gets its result straight away
+    if (this.input.value) {
+      this._showResult(true);
+    }
+  },
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {{lat: number, lon: number}} from - Start point in decimal degrees
+   * @param {{lat: number, lon: number}} to - End point in decimal degrees
+   * @returns {number} Distance in miles
+   */
+  distanceMiles(from, to) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+  },
+
+  /**
+   * Get the travel-fee tier for a distance
+   * @param {number} miles - Distance from base
+   * @returns {{maxMiles: number, fee: number}|null} Tier, or null when out of area
+   */
+  getTier(miles) {
+    return config.serviceArea.feeTiers.find(tier => miles <= tier.maxMiles) || null;
+  },
+
+  /**
+   * Normalize a place name for matching
+   * "  Round Rock, TX " and "round rock, texas" both become "round rock"
+   * @param {string} value - Place name
+   * @returns {string} Normalized name
+   */
+  normalize(value) {
+    return String(value || '')
+      .toLowerCase()
+      .trim()
+      .replace(/,?\s*(tx|texas)\.?$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Find the place a value names exactly
+   * Cities win over counties of the same name; "Travis" also matches "Travis County"
+   * @param {string} value - Entered location
+   * @returns {Object|null} Gazetteer entry
+   */
+  lookup(value) {
+    const query = this.normalize(value);
+    if (!query) return null;
+
+    return gazetteer.find(place => this.normalize(place.name) === query) ||
+           gazetteer.find(place => place.type === 'county' &&
+             this.normalize(place.name).replace(/ county$/, '') === query) ||
+           null;
+  },
+
+  /**
+   * Find autocomplete suggestions for a partial value
+   * Names starting with the query come first, then names with a word starting with it
+   * @param {string} value - Partial location
+   * @returns {Object[]} Matching gazetteer entries
+   */
+  search(value) {
+    const { minQueryLength, maxSuggestions } = config.serviceArea;
+    const query = this.normalize(value);
+    if (query.length < minQueryLength) return [];
+
+    const rank = (name) => {
+      if (name.startsWith(query)) return 0;
+      if (name.split(' ').some(word => word.startsWith(query))) return 1;
+      return name.includes(query) ? 2 : -1;
+    };
+
+    return gazetteer
+      .map(place => ({ place, score: rank(this.normalize(place.name)) }))
+      .filter(({ score }) => score !== -1)
+      .sort((a, b) => a.score - b.score || a.place.name.localeCompare(b.place.name))
+      .slice(0, maxSuggestions)
+      .map(({ place }) => place);
+  },
+
+  /**
+   * Check a location against the service area
+   * @param {string} value - Entered location
+   * @returns {{status: string, place: Object|null, miles: number|null, fee: number|null}}
+   *   status is "empty", "unknown", "in-area" or "out-of-area"
+   */
+  check(value) {
+    if (!this.normalize(value)) {
+      return { status: 'empty', place: null, miles: null, fee: null };
+    }
+
+    const place = this.lookup(value);
+    if (!place) {
+      return { status: 'unknown', place: null, miles: null, fee: null };
+    }
+
+    const miles = Math.round(this.distanceMiles(config.serviceArea.base, place));
+    const tier = this.getTier(miles);
+    return {
+      status: tier ? 'in-area' : 'out-of-area',
+      place,
+      miles,
+      fee: tier ? tier.fee : null,
+    };
+  },
+
+  /**
+   * Get the message for a check result
+   * @param {Object} result - Result from check()
+   * @returns {string} Message, or an empty string for empty values
+   */
+  formatResult(result) {
+    let key;
+
+    if (result.status === 'unknown') {
+      return i18n.t('serviceArea.unknown');
+    } else if (result.status === 'out-of-area') {
+      key = 'serviceArea.outOfArea';
+    } else if (result.status === 'in-area') {
+      key = result.fee > 0 ? 'serviceArea.fee' : 'serviceArea.noFee';
+    } else {
+      return '';
+    }
+
+    return i18n.t(key, { place: result.place.name, miles: result.miles, fee: `$${result.fee}` });
+  },
+
+  /**
+   * Add combobox semantics, the suggestion list and the result line
+   * @private
+   */
+  _buildWidgets() {
+    const listId = `${this.input.id}-suggestions`;
+    const resultId = `${this.input.id}-service-area`;
+
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-controls', listId);
+    this.input.setAttribute('autocomplete', 'off');
+
+    const describedBy = this.input.getAttribute('aria-describedby');
+    this.input.setAttribute('aria-describedby', describedBy ? `${describedBy} ${resultId}` : resultId);
+
+    this.listbox = document.createElement('ul');
+    this.listbox.id = listId;
+    this.listbox.className = 'location-suggestions';
+    this.listbox.setAttribute('role', 'listbox');
+    this.listbox.hidden = true;
+
+    this.resultElement = document.createElement('p');
+    this.resultElement.id = resultId;
+    this.resultElement.className = 'service-area-result';
+    this.resultElement.setAttribute('aria-live', 'polite');
+
+    this.input.after(this.listbox, this.resultElement);
+  },
+
+  /**
+   * Wire up typing, keyboard navigation and pointer selection
+   * @private
+   */
+  _setupListeners() {
+    this.input.addEventListener('input', () => {
+      if (this.selecting) return;
+      this._openSuggestions(this.search(this.input.value));
+      this._showResult(false);
+    }, { passive: true });
+
+    this.input.addEventListener('change', () => this._showResult(true), { passive: true });
+    this.input.addEventListener('keydown', (e) => this._handleKeydown(e));
+    this.input.addEventListener('blur', () => this._closeSuggestions(), { passive: true });
+
+    // Keep focus in the input so blur doesn't close the list before the click lands
+    this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    this.listbox.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) {
+        this.selectSuggestion(Number(option.dataset.index));
+      }
+    });
+  },
+
+  /**
+   * Handle arrow, Enter and Escape keys on the input
+   * @param {KeyboardEvent} e - Keydown event
+   * @private
+   */
+  _handleKeydown(e) {
+    const open = !this.listbox.hidden;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        this._openSuggestions(this.search(this.input.value));
+        return;
+      }
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const count = this.suggestions.length;
+      this._setActive((this.activeIndex + step + count) % count);
+    } else if (e.key === 'Enter' && open && this.activeIndex !== -1) {
+      e.preventDefault();
+      this.selectSuggestion(this.activeIndex);
+    } else if (e.key === 'Escape' && open) {
+      e.preventDefault();
+      this._closeSuggestions();
+    }
+  },
+
+  /**
+   * Fill the input with a suggestion and show its result
+   * @param {number} index - Index in the current suggestions
+   */
+  selectSuggestion(index) {
+    const place = this.suggestions[index];
+    if (!place) return;
+
+    this.input.value = place.name;
+    this._closeSuggestions();
+
+    // Let validation and autosave see the new value without reopening the list
+    this.selecting = true;
+    this.input.dispatchEvent(new Event('input', { bubbles: true }));
+    this.selecting = false;
+    this.input.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  /**
+   * Render suggestions into the listbox
+   * @param {Object[]} places - Gazetteer entries
+   * @private
+   */
+  _openSuggestions(places) {
+    this.suggestions = places;
+    this.activeIndex = -1;
+    this.input.removeAttribute('aria-activedescendant');
+    this.listbox.replaceChildren();
+
+    // Nothing to suggest once the value is already an exact match
+    const exact = places.length === 1 && places[0] === this.lookup(this.input.value);
+    if (places.length === 0 || exact) {
+      this._closeSuggestions();
+      return;
+    }
+
+    places.forEach((place, index) => {
+      const option = document.createElement('li');
+      option.id = `${this.listbox.id}-${index}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = String(index);
+      option.textContent = place.county ? `${place.name} (${place.county} County)` : place.name;
+      this.listbox.append(option);
+    });
+
+    this.listbox.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+  },
+
+  /**
+   * Hide the suggestion list
+   * @private
+   */
+  _closeSuggestions() {
+    this.listbox.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  },
+
+  /**
+   * Highlight a suggestion
+   * @param {number} index - Suggestion index
+   * @private
+   */
+  _setActive(index) {
+    this.activeIndex = index;
+    Array.from(this.listbox.children).forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === index));
+    });
+    this.input.setAttribute('aria-activedescendant', `${this.listbox.id}-${index}`);
+  },
+
+  /**
+   * Show the service-area result for the current value
+   * @param {boolean} final - True once the user has committed the value;
+   *   unknown places are only reported then, not while typing
+   * @private
+   */
+  _showResult(final) {
+    const result = this.check(this.input.value);
+    const text = result.status === 'unknown' && !final ? '' : this.formatResult(result);
+
+    this.resultElement.textContent = text;
+    this.resultElement.dataset.status = text ? result.status : '';
+    this.resultElement.classList.toggle(
+      'service-area-warning',
+      Boolean(text) && (result.status === 'out-of-area' || result.status === 'unknown')
+    );
+  },
+};
@@ -0,0 +1,629 @@
+/**
+ * Site Drawing Module
+ * An SVG drawing tool for outlining a site when there is no boundary file:
+ * click to add corners, drag them to adjust, and see the acreage and perimeter live
+ * Markup: <div data-site-draw hidden> (shown once the tool is built), with
+ * data-site-draw-output naming the hidden field that receives the GeoJSON, and
+ * data-site-draw-acres, -centroid and -size naming fields filled like boundary.js does
+ * The canvas is a blank grid around data-site-draw-center ("lat, lon"), or around
+ * the place entered in the field named by data-site-draw-location (moving with it),
+ * sized for the property size picked in the data-site-draw-size select; or a basemap
+ * image from data-site-draw-image placed at data-site-draw-bounds ("west, south, east, north")
+ * Until the canvas has a known position the shape is only measured: the GeoJSON and
+ * centroid are written once it does
+ * Keyboard: arrow keys move a crosshair and Enter adds a corner; corners can be
+ * tabbed to, moved with the arrow keys and removed with Delete
+ */
+
+import { boundary } from './boundary.js';
+import { airspace } from './airspace.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Meters per degree of latitude (and of longitude at the equator)
+const METERS_PER_DEGREE = 111320;
+
+const FEET_PER_METER = 3.28084;
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+const MIN_CORNERS = 3;
+
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+export const siteDraw = {
+  // Drawing state per container: bounds, size, corners and crosshair in SVG units
+  drawings: new WeakMap(),
+
+  /**
+   * Initialize every drawing tool on the page
+   */
+  init() {
+    const containers = Array.from(document.querySelectorAll('[data-site-draw]'));
+    containers.forEach((container, index) => this._setup(container, index));
+
+    document.addEventListener('i18n:change', () => {
+      containers.filter(container => this.drawings.has(container)).forEach(container => this._render(container));
+    });
+  },
+
+  /**
+   * Work out the area a drawing covers
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {{west: number, south: number, east: number, north: number}} Bounds in degrees
+   */
+  getBounds(container) {
+    const bounds = this._getFixedBounds(container);
+    if (bounds) return bounds;
+
+    const { lat, lon } = this._getCenter(container) || config.serviceArea.base;
+    const span = this.drawings.get(container)?.spanMeters ?? this.getSpan(container);
+    const halfLat = span / 2 / METERS_PER_DEGREE;
+    const halfLon = halfLat / Math.cos((lat * Math.PI) / 180);
+    return { west: lon - halfLon, south: lat - halfLat, east: lon + halfLon, north: lat + halfLat };
+  },
+
+  /**
+   * Work out how wide a blank grid should be for the chosen property size
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {number} Meters across; config.siteDraw.spanMeters when no size is chosen
+   */
+  getSpan(container) {
+    const { spanMeters, minSpanMeters, maxSpanMeters, spanFactor } = config.siteDraw;
+    const select = container.dataset.siteDrawSize ? document.getElementById(container.dataset.siteDrawSize) : null;
+    const size = config.estimator.propertySizes.find(option => option.value === select?.value);
+    if (!size) return spanMeters;
+
+    // A square of the size's largest acreage, with room around it
+    const side = Math.sqrt(size.maxAcres * SQUARE_METERS_PER_ACRE) * spanFactor;
+    return Math.min(Math.max(side, minSpanMeters), maxSpanMeters);
+  },
+
+  /**
+   * Check whether the canvas is tied to a real position
+   * Blank grids only are once data-site-draw-center is given or the location field resolves
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {boolean} True if drawn coordinates can be trusted
+   */
+  isPlaced(container) {
+    return Boolean(this._getFixedBounds(container) || this._getCenter(container));
+  },
+
+  /**
+   * Get the drawn corners as coordinates
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {number[][]} Corners as [lon, lat], in drawing order
+   */
+  getRing(container) {
+    const drawing = this.drawings.get(container);
+    return drawing ? drawing.corners.map(corner => this._toLonLat(drawing, corner)) : [];
+  },
+
+  /**
+   * Serialize corners as a GeoJSON Polygon feature with a closed ring
+   * @param {number[][]} ring - Corners as [lon, lat]
+   * @returns {Object} GeoJSON Feature
+   */
+  toGeoJson(ring) {
+    const factor = 10 ** config.boundary.precision;
+    const round = (value) => Math.round(value * factor) / factor;
+    const closed = [...ring, ring[0]].map(([lon, lat]) => [round(lon), round(lat)]);
+
+    return {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Polygon', coordinates: [closed] },
+    };
+  },
+
+  /**
+   * Build the drawing tool inside a container
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {number} index - Position on the page, for element ids
+   * @private
+   */
+  _setup(container, index) {
+    const { width } = config.siteDraw;
+    const drawing = {
+      spanMeters: this.getSpan(container),
+      width,
+      corners: [],
+      dragging: null,
+    };
+    this._measure(container, drawing);
+    const { height } = drawing;
+    drawing.cursor = [width / 2, height / 2];
+    this.drawings.set(container, drawing);
+
+    const id = container.id || `site-draw-${index}`;
+    const instructions = document.createElement('p');
+    instructions.className = 'site-draw-instructions';
+    instructions.id = `${id}-instructions`;
+
+    const svg = this._createSvg('svg', {
+      class: 'site-draw-canvas',
+      viewBox: `0 0 ${width} ${height}`,
+      tabindex: '0',
+      role: 'application',
+      'aria-describedby': instructions.id,
+    });
+    if (container.dataset.siteDrawImage && container.dataset.siteDrawBounds) {
+      svg.append(this._createSvg('image', {
+        href: container.dataset.siteDrawImage,
+        width: String(width),
+        height: String(height),
+        preserveAspectRatio: 'none',
+      }));
+    }
+    svg.append(
+      this._buildGrid(container, drawing),
+      this._createSvg('polygon', { class: 'site-draw-shape' }),
+      this._createSvg('g', { class: 'site-draw-corners' }),
+      this._buildCrosshair()
+    );
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'site-draw-toolbar';
+    const undo = document.createElement('button');
+    undo.type = 'button';
+    undo.className = 'site-draw-undo';
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'site-draw-clear';
+    toolbar.append(undo, clear);
+
+    const position = document.createElement('p');
+    position.className = 'site-draw-position';
+    position.setAttribute('aria-live', 'polite');
+
+    const status = document.createElement('p');
+    status.className = 'site-draw-status';
+    status.setAttribute('aria-live', 'polite');
+
+    container.append(instructions, svg, toolbar, position, status);
+    container.hidden = false;
+
+    svg.addEventListener('pointerdown', (e) => this._handlePointerDown(container, e));
+    svg.addEventListener('pointermove', (e) => this._handlePointerMove(container, e));
+    svg.addEventListener('pointerup', () => { drawing.dragging = null; });
+    svg.addEventListener('pointercancel', () => { drawing.dragging = null; });
+    svg.addEventListener('keydown', (e) => this._handleKeydown(container, e));
+
+    undo.addEventListener('click', () => {
+      drawing.corners.pop();
+      this._update(container);
+    });
+    clear.addEventListener('click', () => this._clear(container));
+
+    const form = container.closest('form');
+    form?.addEventListener('reset', () => this._clear(container));
+
+    // A blank grid follows the job location and, until drawn on, the property size
+    if (!this._getFixedBounds(container)) {
+      const location = container.dataset.siteDrawLocation
+        ? document.getElementById(container.dataset.siteDrawLocation)
+        : null;
+      location?.addEventListener('change', () => this._relayout(container));
+
+      const size = container.dataset.siteDrawSize ? document.getElementById(container.dataset.siteDrawSize) : null;
+      size?.addEventListener('change', () => {
+        if (drawing.corners.length > 0) return;
+        drawing.spanMeters = this.getSpan(container);
+        this._relayout(container);
+      });
+    }
+
+    this._render(container);
+  },
+
+  /**
+   * Work out a drawing's bounds, proportions and scale
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {Object} drawing - Drawing state, updated in place
+   * @private
+   */
+  _measure(container, drawing) {
+    const bounds = this.getBounds(container);
+    const midLat = ((bounds.north + bounds.south) / 2) * (Math.PI / 180);
+    const widthMeters = (bounds.east - bounds.west) * METERS_PER_DEGREE * Math.cos(midLat);
+    const heightMeters = (bounds.north - bounds.south) * METERS_PER_DEGREE;
+
+    drawing.bounds = bounds;
+    drawing.height = Math.round((drawing.width * heightMeters) / widthMeters);
+    drawing.metersPerUnit = widthMeters / drawing.width;
+  },
+
+  /**
+   * Move or resize a blank grid after the location or size changes
+   * Corners keep their place on the canvas, so the shape moves with the grid
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @private
+   */
+  _relayout(container) {
+    const drawing = this.drawings.get(container);
+    this._measure(container, drawing);
+    container.querySelector('.site-draw-grid').replaceWith(this._buildGrid(container, drawing));
+    this._update(container);
+  },
+
+  /**
+   * Start dragging a corner, or add one where the pointer went down and drag that
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {PointerEvent} e - Pointer event
+   * @private
+   */
+  _handlePointerDown(container, e) {
+    if (e.button > 0) return;
+    const drawing = this.drawings.get(container);
+    const svg = e.currentTarget;
+    const point = this._toSvgPoint(drawing, svg, e);
+    if (!point) return;
+
+    e.preventDefault();
+    const corner = e.target.closest('.site-draw-corner');
+    if (corner) {
+      drawing.dragging = Number(corner.dataset.index);
+      corner.focus();
+    } else {
+      drawing.corners.push(point);
+      drawing.dragging = drawing.corners.length - 1;
+      svg.focus();
+      this._update(container);
+    }
+    svg.setPointerCapture?.(e.pointerId);
+  },
+
+  /**
+   * Move the corner being dragged
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {PointerEvent} e - Pointer event
+   * @private
+   */
+  _handlePointerMove(container, e) {
+    const drawing = this.drawings.get(container);
+    if (drawing.dragging === null) return;
+
+    const point = this._toSvgPoint(drawing, e.currentTarget, e);
+    if (!point) return;
+    drawing.corners[drawing.dragging] = point;
+    this._update(container);
+  },
+
+  /**
+   * Keyboard drawing: arrows move the crosshair or the focused corner,
+   * Enter/Space adds a corner at the crosshair, Delete removes the focused corner
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {KeyboardEvent} e - Keyboard event
+   * @private
+   */
+  _handleKeydown(container, e) {
+    const drawing = this.drawings.get(container);
+    const corner = e.target.closest('.site-draw-corner');
+    const index = corner ? Number(corner.dataset.index) : null;
+
+    if (ARROW_KEYS[e.key]) {
+      e.preventDefault();
+      const step = e.shiftKey ? config.siteDraw.keyStepLarge : config.siteDraw.keyStep;
+      const [dx, dy] = ARROW_KEYS[e.key];
+      const from = index === null ? drawing.cursor : drawing.corners[index];
+      const moved = this._clamp(drawing, [from[0] + dx * step, from[1] + dy * step]);
+
+      if (index === null) {
+        drawing.cursor = moved;
+        this._render(container);
+      } else {
+        drawing.corners[index] = moved;
+        this._update(container);
+      }
+      return;
+    }
+
+    if (index === null && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      drawing.corners.push([...drawing.cursor]);
+      this._update(container);
+      return;
+    }
+
+    if (index !== null && (e.key === 'Delete' || e.key === 'Backspace')) {
+      e.preventDefault();
+      drawing.corners.splice(index, 1);
+      this._update(container);
+      container.querySelector('.site-draw-canvas').focus();
+    }
+  },
+
+  /**
+   * Remove every corner
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @private
+   */
+  _clear(container) {
+    this.drawings.get(container).corners = [];
+    this._update(container);
+  },
+
+  /**
+   * Re-render and write the shape to the form after the corners change
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @private
+   */
+  _update(container) {
+    this._render(container);
+
+    const ring = this.getRing(container);
+    const complete = ring.length >= MIN_CORNERS;
+    const placed = complete && this.isPlaced(container);
+    const targets = {
+      acres: container.dataset.siteDrawAcres,
+      centroid: container.dataset.siteDrawCentroid,
+      size: container.dataset.siteDrawSize,
+    };
+
+    // Acreage doesn't depend on where the canvas is, the coordinates do
+    this._setOutput(container, placed ? JSON.stringify(this.toGeoJson(ring)) : '');
+    boundary.applyMeasurements(targets, complete
+      ? {
+        acres: this._roundAcres(boundary.area([[ring]])),
+        centroid: placed ? boundary.formatCentroid(boundary.centroid([[ring]])) : '',
+      }
+      : null);
+  },
+
+  /**
+   * Draw the shape, corners, crosshair and text for the current state and locale
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @private
+   */
+  _render(container) {
+    const drawing = this.drawings.get(container);
+    const svg = container.querySelector('.site-draw-canvas');
+    const ring = this.getRing(container);
+
+    container.querySelector('.site-draw-instructions').textContent = i18n.t('siteDraw.instructions');
+    svg.setAttribute('aria-label', i18n.t('siteDraw.label'));
+
+    svg.querySelector('.site-draw-shape')
+      .setAttribute('points', drawing.corners.map(([x, y]) => `${x},${y}`).join(' '));
+
+    // Rebuilding the corners loses focus, so put it back on the same corner
+    const focused = document.activeElement?.closest?.('.site-draw-corner');
+    const focusedIndex = focused && svg.contains(focused) ? Number(focused.dataset.index) : null;
+    const group = svg.querySelector('.site-draw-corners');
+    group.replaceChildren(...drawing.corners.map(([x, y], index) => this._createSvg('circle', {
+      class: 'site-draw-corner',
+      cx: String(x),
+      cy: String(y),
+      r: '6',
+      tabindex: '0',
+      'data-index': String(index),
+      'aria-label': i18n.t('siteDraw.corner', {
+        index: index + 1,
+        total: drawing.corners.length,
+        coordinates: this._formatPoint(ring[index]),
+      }),
+    })));
+    if (focusedIndex !== null) {
+      group.children[Math.min(focusedIndex, group.children.length - 1)]?.focus();
+    }
+
+    const [cx, cy] = drawing.cursor;
+    svg.querySelector('.site-draw-crosshair').setAttribute('transform', `translate(${cx} ${cy})`);
+    container.querySelector('.site-draw-position').textContent = i18n.t('siteDraw.crosshair', {
+      coordinates: this._formatPoint(this._toLonLat(drawing, drawing.cursor)),
+    });
+
+    const undo = container.querySelector('.site-draw-undo');
+    undo.textContent = i18n.t('siteDraw.undo');
+    undo.disabled = drawing.corners.length === 0;
+    const clear = container.querySelector('.site-draw-clear');
+    clear.textContent = i18n.t('siteDraw.clear');
+    clear.disabled = drawing.corners.length === 0;
+
+    container.querySelector('.site-draw-status').textContent = ring.length >= MIN_CORNERS
+      ? i18n.t('siteDraw.summary', {
+        count: this._roundAcres(boundary.area([[ring]])),
+        perimeter: Math.round(boundary.perimeter([[ring]]) * FEET_PER_METER),
+      })
+      : i18n.t('siteDraw.needMore', { count: MIN_CORNERS - ring.length });
+  },
+
+  /**
+   * Draw about config.siteDraw.gridLines grid lines across at a round spacing,
+   * with the corner coordinates labelled once the canvas is placed
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {Object} drawing - Drawing state
+   * @returns {SVGGElement} Grid group
+   * @private
+   */
+  _buildGrid(container, drawing) {
+    const { width, height, bounds } = drawing;
+    const spacing = this._gridMeters(width * drawing.metersPerUnit) / drawing.metersPerUnit;
+    const grid = this._createSvg('g', { class: 'site-draw-grid', 'aria-hidden': 'true' });
+
+    for (let x = spacing; x < width; x += spacing) {
+      grid.append(this._createSvg('line', { x1: String(x), y1: '0', x2: String(x), y2: String(height) }));
+    }
+    for (let y = spacing; y < height; y += spacing) {
+      grid.append(this._createSvg('line', { x1: '0', y1: String(y), x2: String(width), y2: String(y) }));
+    }
+
+    const northWest = this._createSvg('text', { x: '4', y: '12', class: 'site-draw-label' });
+    northWest.textContent = this._formatPoint([bounds.west, bounds.north]);
+    const southEast = this._createSvg('text', {
+      x: String(width - 4),
+      y: String(height - 4),
+      class: 'site-draw-label',
+      'text-anchor': 'end',
+    });
+    southEast.textContent = this._formatPoint([bounds.east, bounds.south]);
+    if (this.isPlaced(container)) grid.append(northWest, southEast);
+
+    return grid;
+  },
+
+  /**
+   * Pick a round grid spacing: 1, 2.5 or 5 times a power of ten meters
+   * @param {number} spanMeters - Canvas width in meters
+   * @returns {number} Meters between grid lines
+   * @private
+   */
+  _gridMeters(spanMeters) {
+    const target = spanMeters / config.siteDraw.gridLines;
+    const power = 10 ** Math.floor(Math.log10(target));
+    return [1, 2.5, 5, 10].map(step => step * power).find(step => step >= target);
+  },
+
+  /**
+   * Build the keyboard crosshair (shown while the canvas has focus)
+   * @returns {SVGGElement} Crosshair group
+   * @private
+   */
+  _buildCrosshair() {
+    const crosshair = this._createSvg('g', { class: 'site-draw-crosshair', 'aria-hidden': 'true' });
+    crosshair.append(
+      this._createSvg('line', { x1: '-8', y1: '0', x2: '8', y2: '0' }),
+      this._createSvg('line', { x1: '0', y1: '-8', x2: '0', y2: '8' })
+    );
+    return crosshair;
+  },
+
+  /**
+   * Write the GeoJSON into the output field
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @param {string} value - Serialized GeoJSON, or an empty string
+   * @private
+   */
+  _setOutput(container, value) {
+    const output = container.dataset.siteDrawOutput
+      ? document.getElementById(container.dataset.siteDrawOutput)
+      : null;
+    if (!output || output.value === value) return;
+
+    output.value = value;
+    output.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  /**
+   * Convert a pointer position to SVG units
+   * @param {Object} drawing - Drawing state
+   * @param {SVGSVGElement} svg - Canvas
+   * @param {PointerEvent} e - Pointer event
+   * @returns {number[]|null} [x, y], or null if the canvas has no size
+   * @private
+   */
+  _toSvgPoint(drawing, svg, e) {
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    return this._clamp(drawing, [
+      ((e.clientX - rect.left) / rect.width) * drawing.width,
+      ((e.clientY - rect.top) / rect.height) * drawing.height,
+    ]);
+  },
+
+  /**
+   * Keep a point inside the canvas, rounded to a tenth of a unit
+   * @param {Object} drawing - Drawing state
+   * @param {number[]} point - [x, y]
+   * @returns {number[]} Clamped point
+   * @private
+   */
+  _clamp(drawing, [x, y]) {
+    const clamp = (value, max) => Math.round(Math.min(Math.max(value, 0), max) * 10) / 10;
+    return [clamp(x, drawing.width), clamp(y, drawing.height)];
+  },
+
+  /**
+   * Convert SVG units to coordinates
+   * @param {Object} drawing - Drawing state
+   * @param {number[]} point - [x, y]
+   * @returns {number[]} [lon, lat]
+   * @private
+   */
+  _toLonLat({ bounds, width, height }, [x, y]) {
+    return [
+      bounds.west + (x / width) * (bounds.east - bounds.west),
+      bounds.north - (y / height) * (bounds.north - bounds.south),
+    ];
+  },
+
+  /**
+   * Format [lon, lat] as "lat, lon"
+   * @param {number[]} position - [lon, lat]
+   * @returns {string} Coordinates
+   * @private
+   */
+  _formatPoint([lon, lat]) {
+    return boundary.formatCentroid({ lat, lon });
+  },
+
+  /**
+   * Round acres to one decimal place, as the boundary upload does
+   * @param {number} acres - Acres
+   * @returns {number} Rounded acres
+   * @private
+   */
+  _roundAcres(acres) {
+    return Math.round(acres * 10) / 10;
+  },
+
+  /**
+   * Read valid data-site-draw-bounds
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {{west: number, south: number, east: number, north: number}|null} Bounds in degrees
+   * @private
+   */
+  _getFixedBounds(container) {
+    const bounds = this._parseNumbers(container.dataset.siteDrawBounds, 4);
+    if (!bounds || bounds[0] >= bounds[2] || bounds[1] >= bounds[3]) return null;
+    const [west, south, east, north] = bounds;
+    return { west, south, east, north };
+  },
+
+  /**
+   * Find the middle of a blank grid: data-site-draw-center, then the location field
+   * @param {HTMLElement} container - Element with data-site-draw
+   * @returns {{lat: number, lon: number}|null} Center, or null if neither is known
+   * @private
+   */
+  _getCenter(container) {
+    const center = this._parseNumbers(container.dataset.siteDrawCenter, 2);
+    if (center) return { lat: center[0], lon: center[1] };
+
+    const location = container.dataset.siteDrawLocation
+      ? document.getElementById(container.dataset.siteDrawLocation)
+      : null;
+    return location?.value ? airspace.resolveLocation(location.value) : null;
+  },
+
+  /**
+   * Parse a comma-separated list of numbers
+   * @param {string|undefined} value - Attribute value
+   * @param {number} count - Expected count
+   * @returns {number[]|null} Numbers, or null if missing or malformed
+   * @private
+   */
+  _parseNumbers(value, count) {
+    const numbers = String(value || '').split(',').map(part => Number(part.trim()));
+    return value && numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+  },
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag - Tag name
+   * @param {Object<string, string>} [attributes] - Attributes
+   * @returns {SVGElement} Element
+   * @private
+   */
+  _createSvg(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  },
+};
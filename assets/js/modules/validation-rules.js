@@ -0,0 +1,414 @@
+/**
+ * Validation Rules Module
+ * Declarative rule registry shared by blur and submit validation
+ * Rules are read from data-validate attributes, per-form schemas in
+ * config.validation.schemas, and native attributes (required, type)
+ * Async rules (remote checks) run separately through validateAsync()
+ * Radio and checkbox groups are validated as one value; their rules are
+ * read from the first input of the group
+ * Named file inputs are checked against config.attachments (type, size, count)
+ */
+
+import { utils } from './utils.js';
+import { phoneInput } from './phone-input.js';
+import { i18n } from './i18n.js';
+import { config } from './config.js';
+
+export const validationRules = {
+  // Compiled pattern rule params, keyed by param; null for params that don't compile
+  patterns: new Map(),
+
+  /**
+   * Registered rules keyed by name
+   * Each rule has a test(value, param, field) function and a message key
+   * from the "validation" catalog section (or a literal message); the rule's
+   * param is passed to the message as {count}, or params(value, param, field)
+   * can supply the message's placeholders
+   * Async rules are flagged with async: true and also receive an AbortSignal
+   */
+  rules: {
+    required: {
+      test: (value) => value.trim().length > 0,
+      message: 'required',
+    },
+    email: {
+      test: (value) => utils.isValidEmail(value),
+      message: 'invalidEmail',
+    },
+    phone: {
+      test: (value) => utils.isValidPhone(value),
+      message: 'invalidPhone',
+    },
+    // Must also normalize to E.164, so partial US numbers like "(555) 123-4" fail
+    phoneStrict: {
+      test: (value) => utils.isValidPhoneStrict(value) && phoneInput.toE164(value) !== '',
+      message: 'invalidPhone',
+    },
+    name: {
+      test: (value) => utils.isValidName(value),
+      message: 'invalidName',
+    },
+    minlength: {
+      test: (value, param) => value.trim().length >= Number(param),
+      message: 'tooShort',
+    },
+    maxlength: {
+      test: (value, param) => value.trim().length <= Number(param),
+      message: 'tooLong',
+    },
+    pattern: {
+      // A param that doesn't compile is skipped, like an unknown rule
+      test: (value, param) => validationRules._getPattern(param)?.test(value.trim()) ?? true,
+      message: 'invalidFormat',
+    },
+    remote: {
+      async: true,
+      // GET <param>?value=... and expect JSON { "valid": boolean }
+      test: async (value, param, field, signal) => {
+        const separator = param.includes('?') ? '&' : '?';
+        const response = await fetch(`${param}${separator}value=${encodeURIComponent(value.trim())}`, {
+          headers: { Accept: 'application/json' },
+          signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Remote validation failed with status ${response.status}`);
+        }
+        const data = await response.json();
+        return data.valid === true;
+      },
+      message: 'remoteInvalid',
+    },
+    // File rules read field.files; params override config.attachments
+    fileType: {
+      test: (value, param, field) => validationRules._getFiles(field)
+        .every(file => validationRules.isAllowedFile(file, param)),
+      message: 'fileType',
+      params: (value, param, field) => ({
+        name: validationRules._getFiles(field).find(file => !validationRules.isAllowedFile(file, param)).name,
+        types: validationRules._getFileTypes(param).map(type => type.toUpperCase()).join(', '),
+      }),
+    },
+    fileSize: {
+      test: (value, param, field) => validationRules._getFiles(field)
+        .every(file => file.size <= validationRules._getByteLimit(param, config.attachments.maxFileBytes)),
+      message: 'fileTooLarge',
+      params: (value, param, field) => {
+        const limit = validationRules._getByteLimit(param, config.attachments.maxFileBytes);
+        return {
+          name: validationRules._getFiles(field).find(file => file.size > limit).name,
+          size: validationRules.formatSize(limit),
+        };
+      },
+    },
+    totalSize: {
+      test: (value, param, field) => validationRules._getFiles(field)
+        .reduce((total, file) => total + file.size, 0) <= validationRules._getByteLimit(param, config.attachments.maxTotalBytes),
+      message: 'filesTooLarge',
+      params: (value, param) => ({
+        size: validationRules.formatSize(validationRules._getByteLimit(param, config.attachments.maxTotalBytes)),
+      }),
+    },
+    maxFiles: {
+      test: (value, param, field) => validationRules._getFiles(field).length <= Number(param || config.attachments.maxFiles),
+      message: 'tooManyFiles',
+      params: (value, param) => ({ count: Number(param || config.attachments.maxFiles) }),
+    },
+  },
+
+  /**
+   * Register a custom rule
+   * @param {string} name - Rule name used in data-validate / schemas
+   * @param {Function} test - Predicate (value, param, field) => boolean
+   * @param {string} message - Message key in the "validation" catalog section or literal text
+   */
+  register(name, test, message) {
+    this.rules[name] = { test, message };
+  },
+
+  /**
+   * Register a custom async rule
+   * @param {string} name - Rule name used in data-validate / schemas
+   * @param {Function} test - Async predicate (value, param, field, signal) => Promise<boolean>
+   * @param {string} message - Message key in the "validation" catalog section or literal text
+   */
+  registerAsync(name, test, message) {
+    this.rules[name] = { test, message, async: true };
+  },
+
+  /**
+   * Parse a rule spec string into rule descriptors
+   * Format: "name|minlength:2|maxlength:100"
+   * Use the array form when a pattern param itself contains "|"
+   * @param {string|string[]} spec - Rule spec string or array of rule strings
+   * @returns {Array<{name: string, param: string|null}>} Parsed rules
+   */
+  parse(spec) {
+    if (!spec) return [];
+    const parts = Array.isArray(spec) ? spec : String(spec).split('|');
+
+    return parts
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const separator = part.indexOf(':');
+        if (separator === -1) {
+          return { name: part, param: null };
+        }
+        return {
+          name: part.slice(0, separator).trim(),
+          param: part.slice(separator + 1).trim(),
+        };
+      });
+  },
+
+  /**
+   * Collect the rules that apply to a field
+   * Native attributes come first, then the form schema, then data-validate;
+   * a later rule with the same name replaces an earlier one
+   * @param {HTMLElement} field - Field to collect rules for
+   * @returns {Array<{name: string, param: string|null}>} Ordered rules
+   */
+  getRules(field) {
+    const collected = new Map();
+    const add = (rule) => {
+      collected.delete(rule.name);
+      collected.set(rule.name, rule);
+    };
+
+    if (field.hasAttribute('required')) add({ name: 'required', param: null });
+    if (field.type === 'email') add({ name: 'email', param: null });
+    if (field.type === 'tel') add({ name: 'phone', param: null });
+    // Unnamed file inputs aren't submitted, so attachment limits don't apply
+    if (field.type === 'file' && field.name) {
+      ['fileType', 'fileSize', 'totalSize', 'maxFiles'].forEach(name => add({ name, param: null }));
+    }
+
+    this.parse(this._getSchemaSpec(field)).forEach(add);
+    this.parse(field.getAttribute('data-validate')).forEach(add);
+
+    return Array.from(collected.values());
+  },
+
+  /**
+   * Check whether a field has any async rules
+   * @param {HTMLElement} field - Field to check
+   * @returns {boolean} True if validateAsync() has work to do
+   */
+  hasAsyncRules(field) {
+    return this.getRules(field).some(({ name }) => this.rules[name]?.async);
+  },
+
+  /**
+   * Validate a field against all of its synchronous rules
+   * Empty optional fields skip every rule except "required"
+   * @param {HTMLElement} field - Field to validate
+   * @returns {{valid: boolean, rule: string|null, message: string|null}} Result
+   */
+  validate(field) {
+    const value = this.getValue(field);
+    const rules = this.getRules(field);
+
+    if (!value.trim()) {
+      return rules.some(rule => rule.name === 'required')
+        ? this._failure('required')
+        : { valid: true, rule: null, message: null };
+    }
+
+    for (const { name, param } of rules) {
+      const rule = this.rules[name];
+      if (!rule) {
+        console.warn(`Unknown validation rule "${name}"`);
+        continue;
+      }
+
+      if (!rule.async && !rule.test(value, param, field)) {
+        return this._failure(name, param, value, field);
+      }
+    }
+
+    return { valid: true, rule: null, message: null };
+  },
+
+  /**
+   * Validate a field against its async rules, in order
+   * Call validate() first; this only runs the rules it skips
+   * Rejects if a rule throws or the signal aborts
+   * @param {HTMLElement} field - Field to validate
+   * @param {AbortSignal} [signal] - Signal used to cancel in-flight checks
+   * @returns {Promise<{valid: boolean, rule: string|null, message: string|null}>} Result
+   */
+  async validateAsync(field, signal) {
+    const value = this.getValue(field);
+    if (!value.trim()) {
+      return { valid: true, rule: null, message: null };
+    }
+
+    for (const { name, param } of this.getRules(field)) {
+      const rule = this.rules[name];
+      if (!rule?.async) continue;
+
+      const passed = await rule.test(value, param, field, signal);
+      signal?.throwIfAborted();
+
+      if (!passed) {
+        return this._failure(name, param, value, field);
+      }
+    }
+
+    return { valid: true, rule: null, message: null };
+  },
+
+  /**
+   * Get the value a field's rules are checked against
+   * Radio and checkbox groups yield their checked values joined with ", ",
+   * and file inputs their file names
+   * @param {HTMLElement} field - Field to read
+   * @returns {string} Value to validate
+   */
+  getValue(field) {
+    if (field.type === 'file') {
+      return this._getFiles(field).map(file => file.name).join(', ');
+    }
+    if (field.type === 'radio' || field.type === 'checkbox') {
+      return this.getGroup(field)
+        .filter(input => input.checked)
+        .map(input => input.value)
+        .join(', ');
+    }
+    return typeof field.value === 'string' ? field.value : '';
+  },
+
+  /**
+   * Get every input in a field's radio/checkbox group
+   * @param {HTMLElement} field - Radio or checkbox input
+   * @returns {HTMLInputElement[]} Inputs sharing the field's name and type
+   */
+  getGroup(field) {
+    if (!field.name || !field.form) return [field];
+    return Array.from(field.form.elements)
+      .filter(input => input.name === field.name && input.type === field.type);
+  },
+
+  /**
+   * Resolve a message key to display text in the current locale
+   * @param {string} key - Key in the "validation" catalog section or literal message
+   * @param {Object} [params] - Placeholder values, e.g. { count: 2 }
+   * @returns {string} Message text
+   */
+  getMessage(key, params) {
+    return i18n.has(`validation.${key}`) ? i18n.t(`validation.${key}`, params) : key;
+  },
+
+  /**
+   * Check a file's extension and type against the allowlist
+   * An empty or generic type passes when the extension matches, since browsers
+   * often report none for KML/KMZ
+   * @param {File} file - File to check
+   * @param {string|null} [param] - Comma-separated extensions; defaults to config.attachments.types
+   * @returns {boolean} True if allowed
+   */
+  isAllowedFile(file, param = null) {
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    if (!this._getFileTypes(param).includes(extension)) return false;
+
+    const types = config.attachments.types[extension] || [];
+    return !file.type || file.type === 'application/octet-stream' || types.includes(file.type);
+  },
+
+  /**
+   * Format a byte count for messages, e.g. "10 MB"
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size in the current locale
+   */
+  formatSize(bytes) {
+    const [unit, divisor] = bytes >= 1024 * 1024 ? ['megabyte', 1024 * 1024] : ['kilobyte', 1024];
+    return new Intl.NumberFormat(i18n.locale, { style: 'unit', unit, maximumFractionDigits: 1 })
+      .format(bytes / divisor);
+  },
+
+  /**
+   * Build a failed validation result for a rule
+   * @param {string} name - Name of the failing rule
+   * @param {string|null} [param] - The rule's param, used as {count} in the message
+   * @param {string} [value] - Value that failed
+   * @param {HTMLElement} [field] - Field that failed
+   * @returns {{valid: boolean, rule: string, message: string}} Result
+   * @private
+   */
+  _failure(name, param = null, value = '', field = null) {
+    const rule = this.rules[name];
+    let params = param !== null && param !== '' && !Number.isNaN(Number(param)) ? { count: Number(param) } : {};
+    if (rule.params) {
+      params = { ...params, ...rule.params(value, param, field) };
+    }
+    return { valid: false, rule: name, message: this.getMessage(rule.message, params) };
+  },
+
+  /**
+   * Get a file input's selected files
+   * @param {HTMLInputElement} field - File input
+   * @returns {File[]} Files
+   * @private
+   */
+  _getFiles(field) {
+    return Array.from(field.files || []);
+  },
+
+  /**
+   * Compile a pattern rule param once, anchored to the whole value
+   * @param {string} param - Regular expression source
+   * @returns {RegExp|null} Compiled pattern, or null if the param isn't a valid expression
+   * @private
+   */
+  _getPattern(param) {
+    if (!this.patterns.has(param)) {
+      try {
+        this.patterns.set(param, new RegExp(`^(?:${param})$`, 'u'));
+      } catch {
+        console.warn(`Invalid validation pattern "${param}"`);
+        this.patterns.set(param, null);
+      }
+    }
+    return this.patterns.get(param);
+  },
+
+  /**
+   * Get the allowed extensions for a fileType rule
+   * @param {string|null} param - Comma-separated extensions, or null for config.attachments.types
+   * @returns {string[]} Lowercase extensions
+   * @private
+   */
+  _getFileTypes(param) {
+    return param
+      ? param.split(',').map(type => type.trim().toLowerCase().replace(/^\./, '')).filter(Boolean)
+      : Object.keys(config.attachments.types);
+  },
+
+  /**
+   * Get a size limit from a rule param in megabytes, or the default
+   * @param {string|null} param - Limit in MB
+   * @param {number} fallback - Default limit in bytes
+   * @returns {number} Limit in bytes
+   * @private
+   */
+  _getByteLimit(param, fallback) {
+    return param ? Number(param) * 1024 * 1024 : fallback;
+  },
+
+  /**
+   * Look up the schema spec for a field from config.validation.schemas
+   * Schemas are keyed by the form's name (or id), then by field name
+   * @param {HTMLElement} field - Field to look up
+   * @returns {string|string[]|null} Rule spec
+   * @private
+   */
+  _getSchemaSpec(field) {
+    const form = field.form;
+    const schemas = config.validation.schemas;
+    if (!form || !schemas || !field.name) return null;
+
+    const formKey = form.getAttribute('name') || form.id;
+    const schema = schemas[formKey];
+    return schema ? schema[field.name] || null : null;
+  },
+};
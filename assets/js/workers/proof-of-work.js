@@ -0,0 +1,17 @@
+/**
+ * Proof-of-Work Worker
+ * Mints a stamp off the main thread so typing stays smooth
+ * Message in: { resource, bits, timestamp, nonce } (the relay's challenge);
+ * message out: { stamp } or { error }
+ */
+
+import { proofOfWork } from '../modules/proof-of-work.js';
+
+self.addEventListener('message', async (e) => {
+  const { resource, bits, timestamp, nonce } = e.data;
+  try {
+    self.postMessage({ stamp: await proofOfWork.solve(resource, bits, timestamp, nonce) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Update Airspace Script
+ * Refreshes assets/data/airspace.json, the data behind the airspace advisory
+ * Class B/C/D surface areas are downloaded from the FAA Class Airspace
+ * open-data layer for the Central Texas bounding box (or read from a saved
+ * GeoJSON with --input); airport 5-mile rings are kept from the current file
+ *
+ * Usage: node scripts/update-airspace.js [--input saved.geojson] [--dry-run]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const OUTPUT_FILE = path.resolve(__dirname, '../assets/data/airspace.json');
+const SOURCE_URL = 'https://services6.arcgis.com/ssFJjBXIUyZDrSYZ/arcgis/rest/services/Class_Airspace/FeatureServer/0/query';
+
+// Central Texas: [west, south, east, north]
+const BBOX = [-99.6, 29.2, -96.0, 32.0];
+const CONTROLLED_CLASSES = ['B', 'C', 'D'];
+const PAGE_SIZE = 1000;
+
+// Airports without controlled airspace: the FAA asks drone pilots to notify within 5 miles
+const AIRPORT_RADIUS_MILES = 5;
+
+/**
+ * Build one page of the FAA layer query
+ * @param {number} offset - Record offset
+ * @returns {string} Query URL returning GeoJSON
+ */
+export function buildQueryUrl(offset = 0) {
+  const params = new URLSearchParams({
+    where: `CLASS IN (${CONTROLLED_CLASSES.map(c => `'${c}'`).join(',')})`,
+    geometry: BBOX.join(','),
+    geometryType: 'esriGeometryEnvelope',
+    inSR: '4326',
+    spatialRel: 'esriSpatialRelIntersects',
+    outFields: 'IDENT,NAME,CLASS,LOWER_VAL',
+    outSR: '4326',
+    resultOffset: String(offset),
+    resultRecordCount: String(PAGE_SIZE),
+    f: 'geojson',
+  });
+  return `${SOURCE_URL}?${params}`;
+}
+
+/**
+ * Reduce an FAA feature to the fields the advisory uses
+ * Only areas starting at the surface matter below 400 ft AGL, so Class C shelves are dropped
+ * @param {Object} feature - FAA GeoJSON feature
+ * @returns {Object|null} Simplified feature, or null if it doesn't apply
+ */
+export function normalizeFeature(feature) {
+  const props = feature.properties || {};
+  const get = (key) => props[key] ?? props[key.toLowerCase()];
+  const airspaceClass = String(get('CLASS') || '').trim().toUpperCase();
+  const geometry = feature.geometry;
+
+  if (!CONTROLLED_CLASSES.includes(airspaceClass)) return null;
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) return null;
+  if (Number(get('LOWER_VAL') || 0) > 0) return null;
+
+  return {
+    type: 'Feature',
+    properties: {
+      ident: String(get('IDENT') || '').trim(),
+      name: String(get('NAME') || '').trim(),
+      class: airspaceClass,
+    },
+    geometry: {
+      type: geometry.type,
+      coordinates: roundCoordinates(geometry.coordinates),
+    },
+  };
+}
+
+/**
+ * Round nested coordinates to 5 decimal places (about 1 m)
+ * @param {Array} coordinates - GeoJSON coordinates
+ * @returns {Array} Rounded coordinates
+ */
+function roundCoordinates(coordinates) {
+  return typeof coordinates[0] === 'number'
+    ? coordinates.map(value => Math.round(value * 1e5) / 1e5)
+    : coordinates.map(roundCoordinates);
+}
+
+/**
+ * Give an airport ring a usable radius
+ * Hand-edited rings may leave radiusMiles out or write it as a string
+ * @param {Object} feature - Airport feature from the current file
+ * @returns {Object} Feature with a positive numeric radiusMiles
+ */
+function normalizeAirport(feature) {
+  const radius = Number(feature.properties.radiusMiles);
+  return {
+    ...feature,
+    properties: { ...feature.properties, radiusMiles: radius > 0 ? radius : AIRPORT_RADIUS_MILES },
+  };
+}
+
+/**
+ * Combine fresh controlled airspace with the airport rings from the current file
+ * Controlled airspace comes first, ordered by class then identifier, since the FAA layer
+ * returns it in no particular order; airport rings keep their hand-edited order
+ * @param {Object} current - Current FeatureCollection
+ * @param {Object[]} controlled - Normalized controlled airspace features
+ * @param {string} source - Where the controlled airspace came from
+ * @returns {Object} New FeatureCollection
+ */
+export function mergeAirspace(current, controlled, source) {
+  const airports = (current.features || [])
+    .filter(feature => feature.properties?.class === 'airport')
+    .map(normalizeAirport);
+  const ordered = [...controlled].sort((a, b) => (
+    a.properties.class.localeCompare(b.properties.class) ||
+    a.properties.ident.localeCompare(b.properties.ident)
+  ));
+
+  return {
+    type: 'FeatureCollection',
+    metadata: {
+      updated: new Date().toISOString().slice(0, 10),
+      source,
+    },
+    features: [...ordered, ...airports],
+  };
+}
+
+/**
+ * Serialize with one feature per line so refreshes diff cleanly
+ * @param {Object} collection - FeatureCollection
+ * @returns {string} File contents
+ */
+export function serialize(collection) {
+  const features = collection.features.map(feature => `    ${JSON.stringify(feature)}`);
+  return [
+    '{',
+    '  "type": "FeatureCollection",',
+    `  "metadata": ${JSON.stringify(collection.metadata)},`,
+    '  "features": [',
+    features.join(',\n'),
+    '  ]',
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Download every page of the FAA query
+ * @returns {Promise<Object[]>} Raw features
+ */
+async function downloadFeatures() {
+  const features = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const response = await fetch(buildQueryUrl(offset));
+    if (!response.ok) {
+      throw new Error(`FAA request failed with status ${response.status}`);
+    }
+    const page = await response.json();
+    features.push(...(page.features || []));
+    if (!page.properties?.exceededTransferLimit) return features;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const inputIndex = args.indexOf('--input');
+  const inputPath = inputIndex !== -1 ? args[inputIndex + 1] : null;
+  const dryRun = args.includes('--dry-run');
+
+  console.log(inputPath ? `📂 Reading ${inputPath}` : '🛰️  Downloading Class B/C/D airspace from the FAA...');
+  const raw = inputPath
+    ? JSON.parse(await fs.readFile(inputPath, 'utf8')).features || []
+    : await downloadFeatures();
+
+  const controlled = raw.map(normalizeFeature).filter(Boolean);
+  if (controlled.length === 0) {
+    throw new Error('No controlled airspace found; keeping the current file');
+  }
+
+  const current = JSON.parse(await fs.readFile(OUTPUT_FILE, 'utf8'));
+  const source = inputPath
+    ? `FAA Class Airspace (${path.basename(inputPath)}); airport rings curated by hand`
+    : 'FAA Class Airspace open data; airport rings curated by hand';
+  const updated = mergeAirspace(current, controlled, source);
+
+  const airportCount = updated.features.length - controlled.length;
+  console.log(`✅ ${controlled.length} controlled airspace areas, ${airportCount} airport rings`);
+
+  if (dryRun) {
+    console.log('⏭️  Dry run: not writing');
+    return;
+  }
+
+  await fs.writeFile(OUTPUT_FILE, serialize(updated));
+  console.log(`💾 Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('❌ Airspace update failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * Challenges
+ * Signed issue times the browser mints its proof-of-work stamp on
+ * A challenge is { timestamp, nonce } with nonce "<random>.<hmac>", so the relay can
+ * tell from a stamp when it started the clock without trusting the client's own time
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Create a challenge issuer
+ * @param {Object} [options] - Issuer options
+ * @param {string|Buffer} [options.secret] - HMAC key; random if omitted, so challenges
+ *   only verify on the process that issued them
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Issuer with issue() and check()
+ */
+export function createChallenges({ secret = crypto.randomBytes(32), now = Date.now } = {}) {
+  const sign = (timestamp, id) => crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${id}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  return {
+    /**
+     * Issue a challenge stamped with the current time
+     * @returns {{timestamp: number, nonce: string}} Challenge
+     */
+    issue() {
+      const timestamp = now();
+      const id = crypto.randomBytes(8).toString('hex');
+      return { timestamp, nonce: `${id}.${sign(timestamp, id)}` };
+    },
+
+    /**
+     * Check that a timestamp and nonce came from issue()
+     * @param {number} timestamp - Timestamp from the stamp
+     * @param {string} nonce - Nonce from the stamp
+     * @returns {boolean} True if the signature matches
+     */
+    check(timestamp, nonce) {
+      const [id, mac, ...rest] = String(nonce || '').split('.');
+      if (!id || !mac || rest.length > 0) return false;
+
+      const expected = Buffer.from(sign(timestamp, id));
+      const given = Buffer.from(mac);
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+  };
+}
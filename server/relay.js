@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * Form Relay
+ * Small HTTP server the contact form posts to instead of Formspree directly
+ * Enforces what the browser can't: per-IP and per-email sliding-window rate
+ * limits (same maxSubmissions/windowMs as config.rateLimit), the _gotcha
+ * honeypot, a minimum time-to-submit, interaction signals and the
+ * proof-of-work stamp from anti-spam.js, then forwards to a transport
+ * GET /challenge issues the signed timestamp a stamp is minted on
+ *
+ * Usage: RELAY_UPSTREAM=https://formspree.io/f/xxxx node server/relay.js
+ *   PORT             Listen port (default 8787)
+ *   RELAY_UPSTREAM   Formspree endpoint to forward to
+ *   RELAY_TRANSPORT  "log" to print submissions instead of forwarding
+ *   ALLOWED_ORIGINS  Comma-separated origins allowed to post with fetch
+ *   RELAY_REDIRECT   Where plain (non-fetch) POSTs land, e.g. https://yourdomain.com/contact.html?sent=1
+ *   TRUST_PROXY      Number of proxies in front of the relay (usually "1"); the client IP is
+ *                    then read that many entries from the right of X-Forwarded-For
+ *   RELAY_REQUIRE_ELAPSED       "1" to reject submissions with neither a stamp nor _elapsed
+ *   RELAY_REQUIRE_INTERACTIONS  "1" to reject submissions without _interactions
+ *   RELAY_REQUIRE_POW           "1" to reject submissions without a _pow stamp
+ *   RELAY_POW_RESOURCES         Comma-separated form names a stamp may be minted for
+ *   RELAY_SECRET                Key challenges are signed with; set it when running more than one
+ *                               relay, or stamps minted before a restart are rejected
+ * Without the RELAY_REQUIRE_* switches, plain POSTs from browsers without JavaScript get
+ * through, but so do scripts that leave the signals out
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { config } from '../assets/js/modules/config.js';
+import { proofOfWork } from '../assets/js/modules/proof-of-work.js';
+import { createSlidingWindow } from './sliding-window.js';
+import { createChallenges } from './challenges.js';
+import { formspreeTransport, logTransport } from './transports.js';
+
+const DEFAULTS = {
+  maxSubmissions: config.rateLimit.maxSubmissions,
+  windowMs: config.rateLimit.windowMs,
+  // Faster than this (from issuing the stamp's challenge, or page load without one, to submit) is a script, not a person
+  minElapsedMs: config.antiSpam.minElapsedMs,
+  // Reject submissions without a stamp or an _elapsed field (plain POSTs without JS send neither)
+  requireElapsed: false,
+  // Reject submissions without an _interactions field
+  requireInteractions: false,
+  powBits: config.antiSpam.bits,
+  powMaxAgeMs: config.antiSpam.maxAgeMs,
+  // Form names a stamp may be minted for (any if null)
+  powResources: null,
+  // Reject submissions without a _pow stamp (no Worker support, or no JS, sends none)
+  requireProofOfWork: false,
+  // Key challenges are signed with (random per relay if null)
+  secret: null,
+  allowedOrigins: [],
+  // Proxies in front of the relay that append to X-Forwarded-For (true counts as 1)
+  trustProxy: 0,
+  // Room for the largest allowed attachments plus the text fields
+  maxBodyBytes: config.attachments.maxTotalBytes + 1024 * 1024,
+  // Where plain (non-fetch) POSTs land after a successful submission
+  redirect: '/contact.html?sent=1',
+  log: console.error,
+};
+
+// Anti-spam fields that are checked here and not forwarded
+const SIGNAL_FIELDS = ['_elapsed', '_interactions', '_pow'];
+
+const MESSAGES = {
+  rateLimited: 'Too many submissions. Please try again later.',
+  tooFast: 'That was quick! Please take a moment and submit the form again.',
+  unverified: 'We could not verify this submission. Please reload the page and try again.',
+  tooLarge: 'Submission is too large.',
+  badRequest: 'Submission could not be read.',
+  upstream: 'The form service is unavailable. Please try again or call us.',
+};
+
+/**
+ * Create the relay's request handler
+ * @param {Object} options - Relay options (see DEFAULTS); transport is required
+ * @param {{send: Function}} options.transport - Where accepted submissions go
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Function} (req, res) handler with ipLimit/emailLimit attached
+ */
+export function createRelay(options) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.transport) {
+    throw new Error('Relay needs a transport');
+  }
+
+  const limitOptions = { maxHits: settings.maxSubmissions, windowMs: settings.windowMs, now: settings.now };
+  const ipLimit = createSlidingWindow(limitOptions);
+  const emailLimit = createSlidingWindow(limitOptions);
+  const now = settings.now || Date.now;
+  const challenges = createChallenges({ secret: settings.secret || undefined, now });
+
+  // Challenges already used, with when they expire, so each one backs one submission
+  const spentChallenges = new Map();
+
+  const handler = async (req, res) => {
+    const url = new URL(req.url, 'http://relay');
+    const wantsJson = (req.headers.accept || '').includes('application/json');
+
+    setCorsHeaders(req, res, settings.allowedOrigins);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return sendJson(res, 200, { ok: true });
+    }
+    if (req.method === 'GET' && url.pathname === '/challenge') {
+      res.setHeader('Cache-Control', 'no-store');
+      return sendJson(res, 200, challenges.issue());
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST, OPTIONS');
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const reject = (status, error, headers = {}) => {
+      Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+      return wantsJson ? sendJson(res, status, { error }) : sendText(res, status, error);
+    };
+
+    let formData;
+    try {
+      formData = await readForm(req, settings.maxBodyBytes);
+    } catch (error) {
+      return error.code === 'TOO_LARGE'
+        ? reject(413, MESSAGES.tooLarge)
+        : reject(400, MESSAGES.badRequest);
+    }
+
+    // Bots get a success so they don't learn to leave the honeypot empty
+    if (String(formData.get('_gotcha') || '').trim()) {
+      return accept(res, wantsJson, settings.redirect);
+    }
+
+    // A stamp is minted on a challenge this relay signed, so its timestamp is our own clock
+    // and can't be backdated; the client's _elapsed only counts for submissions without a stamp.
+    // Without JS both are left empty, which only requireElapsed rejects
+    const stamp = String(formData.get('_pow') ?? '').trim();
+    const parts = stamp ? proofOfWork.parse(stamp) : null;
+    if (stamp && !(parts && challenges.check(parts.timestamp, parts.nonce))) {
+      return reject(400, MESSAGES.unverified);
+    }
+    const elapsed = parts
+      ? String(now() - parts.timestamp)
+      : String(formData.get('_elapsed') ?? '').trim();
+    if (elapsed === '' ? settings.requireElapsed : !(Number(elapsed) >= settings.minElapsedMs)) {
+      return reject(400, MESSAGES.tooFast);
+    }
+
+    if (!hasInteractions(formData.get('_interactions'), settings.requireInteractions)) {
+      return reject(400, MESSAGES.unverified);
+    }
+
+    if (parts ? !(await spendStamp(stamp, parts)) : settings.requireProofOfWork) {
+      return reject(400, MESSAGES.unverified);
+    }
+
+    const ip = clientIp(req, settings.trustProxy);
+    const email = String(formData.get('email') || '').trim().toLowerCase();
+    const limited = [[ipLimit, ip], [emailLimit, email]]
+      .filter(([limit, key]) => key && !limit.check(key));
+    if (limited.length > 0) {
+      const retryAfter = Math.max(...limited.map(([limit, key]) => limit.retryAfter(key)));
+      return reject(429, MESSAGES.rateLimited, { 'Retry-After': String(retryAfter) });
+    }
+
+    // Count the attempt before forwarding so a failing upstream can't be hammered
+    ipLimit.record(ip);
+    if (email) emailLimit.record(email);
+
+    SIGNAL_FIELDS.forEach(name => formData.delete(name));
+
+    let result;
+    try {
+      result = await settings.transport.send(formData);
+    } catch (error) {
+      settings.log('❌ Relay transport failed:', error.message);
+      return reject(502, MESSAGES.upstream);
+    }
+
+    if (result.status >= 200 && result.status < 300) {
+      return accept(res, wantsJson, settings.redirect, result.body);
+    }
+    return wantsJson
+      ? sendJson(res, result.status, result.body)
+      : sendText(res, result.status, result.body?.error || MESSAGES.upstream);
+  };
+
+  /**
+   * Verify a proof-of-work stamp and mark its challenge spent
+   * @param {string} stamp - Stamp from the form
+   * @param {{timestamp: number, nonce: string}} parts - Parsed stamp
+   * @returns {Promise<boolean>} True if valid and its challenge wasn't used before
+   */
+  const spendStamp = async (stamp, { timestamp, nonce }) => {
+    const challenge = `${timestamp}:${nonce}`;
+    if (spentChallenges.has(challenge)) return false;
+
+    const { valid } = await proofOfWork.verify(stamp, {
+      bits: settings.powBits,
+      maxAgeMs: settings.powMaxAgeMs,
+      resources: settings.powResources || undefined,
+      now: now(),
+    });
+    if (valid) {
+      spentChallenges.set(challenge, timestamp + settings.powMaxAgeMs);
+    }
+    return valid;
+  };
+
+  handler.ipLimit = ipLimit;
+  handler.emailLimit = emailLimit;
+
+  // Drop rate-limit entries and spent challenges that no longer matter
+  handler.prune = () => {
+    ipLimit.prune();
+    emailLimit.prune();
+    spentChallenges.forEach((expires, challenge) => {
+      if (expires < now()) spentChallenges.delete(challenge);
+    });
+  };
+  return handler;
+}
+
+/**
+ * Create an HTTP server running the relay
+ * Idle rate-limit entries and expired challenges are pruned every window
+ * @param {Object} options - Relay options
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createServer(options) {
+  const handler = createRelay(options);
+  const server = http.createServer((req, res) => {
+    handler(req, res).catch(error => {
+      (options.log || DEFAULTS.log)('❌ Relay error:', error.message);
+      if (!res.headersSent) sendJson(res, 500, { error: MESSAGES.upstream });
+    });
+  });
+
+  const timer = setInterval(handler.prune, options.windowMs || DEFAULTS.windowMs);
+  timer.unref();
+  server.on('close', () => clearInterval(timer));
+
+  return server;
+}
+
+/**
+ * Read and parse a urlencoded or multipart request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Body size limit
+ * @returns {Promise<FormData>} Parsed fields
+ */
+async function readForm(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      const error = new Error('Body too large');
+      error.code = 'TOO_LARGE';
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+
+  const request = new Request('http://relay/', {
+    method: 'POST',
+    headers: { 'Content-Type': req.headers['content-type'] || '' },
+    body: Buffer.concat(chunks),
+  });
+  return request.formData();
+}
+
+/**
+ * Check the _interactions signal
+ * A browser that filled the form reports at least one focus, key or pointer event
+ * @param {string|null} value - JSON counts from anti-spam.js, empty without JS
+ * @param {boolean} required - Whether an empty value fails
+ * @returns {boolean} False if the counts are malformed or all zero, or missing when required
+ */
+function hasInteractions(value, required) {
+  if (!value) return !required;
+  try {
+    const { focus = 0, keys = 0, pointer = 0 } = JSON.parse(value);
+    return Number(focus) + Number(keys) + Number(pointer) > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the client's IP address
+ * Each trusted proxy appends the address it saw, so the entry trustProxy places from
+ * the right is the one our outermost proxy recorded; anything left of it came from
+ * the client and can be forged
+ * @param {http.IncomingMessage} req - Request
+ * @param {boolean|number} trustProxy - Number of trusted proxies (true counts as 1)
+ * @returns {string} IP address
+ */
+function clientIp(req, trustProxy) {
+  const hops = Number(trustProxy);
+  const forwarded = hops > 0 && req.headers['x-forwarded-for'];
+  const addresses = forwarded ? forwarded.split(',').map(address => address.trim()).filter(Boolean) : [];
+  if (addresses.length === 0) return req.socket.remoteAddress || '';
+  return addresses[Math.max(addresses.length - hops, 0)];
+}
+
+/**
+ * Allow fetch submissions from configured origins
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string[]} allowedOrigins - Allowed origins
+ */
+function setCorsHeaders(req, res, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || !allowedOrigins.includes(origin)) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Accept, Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+  res.setHeader('Vary', 'Origin');
+}
+
+/**
+ * Respond to an accepted submission: JSON for fetch, a redirect for plain POSTs
+ * @param {http.ServerResponse} res - Response
+ * @param {boolean} wantsJson - Client asked for JSON
+ * @param {string} redirect - Redirect target for plain POSTs
+ * @param {Object} [body] - JSON body
+ */
+function accept(res, wantsJson, redirect, body = { ok: true }) {
+  if (wantsJson) {
+    sendJson(res, 200, body);
+    return;
+  }
+  res.writeHead(303, { Location: redirect });
+  res.end();
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+/**
+ * Read relay options from environment variables (see the file header)
+ * @param {Object<string, string>} env - Environment, usually process.env
+ * @returns {Object} Options for createServer()
+ */
+export function settingsFromEnv(env) {
+  const useLog = env.RELAY_TRANSPORT === 'log';
+  if (!useLog && !env.RELAY_UPSTREAM) {
+    throw new Error('Set RELAY_UPSTREAM to a Formspree endpoint, or RELAY_TRANSPORT=log');
+  }
+
+  const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const flag = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+  const powResources = list(env.RELAY_POW_RESOURCES);
+
+  return {
+    transport: useLog ? logTransport() : formspreeTransport(env.RELAY_UPSTREAM),
+    allowedOrigins: list(env.ALLOWED_ORIGINS),
+    trustProxy: Number(env.TRUST_PROXY) || 0,
+    ...(env.RELAY_REDIRECT && { redirect: env.RELAY_REDIRECT }),
+    requireElapsed: flag(env.RELAY_REQUIRE_ELAPSED),
+    requireInteractions: flag(env.RELAY_REQUIRE_INTERACTIONS),
+    requireProofOfWork: flag(env.RELAY_REQUIRE_POW),
+    powResources: powResources.length > 0 ? powResources : null,
+    secret: env.RELAY_SECRET || null,
+  };
+}
+
+function main() {
+  const env = process.env;
+  const useLog = env.RELAY_TRANSPORT === 'log';
+  const port = Number(env.PORT) || 8787;
+  const server = createServer(settingsFromEnv(env));
+
+  server.listen(port, () => {
+    console.log(`📮 Form relay listening on http://localhost:${port} → ${useLog ? 'log' : env.RELAY_UPSTREAM}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Relay failed to start:', error.message);
+    process.exit(1);
+  }
+}
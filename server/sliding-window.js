@@ -0,0 +1,75 @@
+/**
+ * Sliding Window
+ * In-memory counter of hits per key over a rolling time window
+ * Same semantics as the browser's rateLimit: at most maxHits hits in any windowMs span
+ */
+
+/**
+ * Create a sliding-window limiter
+ * @param {Object} options - Limiter options
+ * @param {number} options.maxHits - Hits allowed per window
+ * @param {number} options.windowMs - Window length (milliseconds)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Limiter with check(), record(), retryAfter() and prune()
+ */
+export function createSlidingWindow({ maxHits, windowMs, now = Date.now }) {
+  // Hit timestamps per key, oldest first
+  const hits = new Map();
+
+  const recent = (key) => {
+    const cutoff = now() - windowMs;
+    const list = (hits.get(key) || []).filter(time => time > cutoff);
+    if (list.length > 0) {
+      hits.set(key, list);
+    } else {
+      hits.delete(key);
+    }
+    return list;
+  };
+
+  return {
+    /**
+     * Check whether a key may hit again
+     * @param {string} key - Client key (IP address, email, ...)
+     * @returns {boolean} True if under the limit
+     */
+    check(key) {
+      return recent(key).length < maxHits;
+    },
+
+    /**
+     * Record a hit for a key
+     * @param {string} key - Client key
+     */
+    record(key) {
+      hits.set(key, [...recent(key), now()]);
+    },
+
+    /**
+     * Seconds until a limited key may hit again
+     * @param {string} key - Client key
+     * @returns {number} Seconds, or 0 if not limited
+     */
+    retryAfter(key) {
+      const list = recent(key);
+      if (list.length < maxHits) return 0;
+      const freesAt = list[list.length - maxHits] + windowMs;
+      return Math.max(1, Math.ceil((freesAt - now()) / 1000));
+    },
+
+    /**
+     * Drop keys with no hits left in the window
+     */
+    prune() {
+      Array.from(hits.keys()).forEach(recent);
+    },
+
+    /**
+     * Number of keys being tracked
+     * @returns {number} Key count
+     */
+    get size() {
+      return hits.size;
+    },
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Relay Transports
+ * Where the relay sends a submission once it passes its checks
+ * A transport is an object with send(formData) resolving to { status, body }
+ */
+
+/**
+ * Forward submissions to a Formspree form (or any endpoint that accepts the same POST)
+ * @param {string} endpoint - Upstream URL, e.g. https://formspree.io/f/xxxx
+ * @returns {{send: Function}} Transport
+ */
+export function formspreeTransport(endpoint) {
+  return {
+    async send(formData) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        body: formData,
+        headers: { Accept: 'application/json' },
+      });
+
+      let body;
+      try {
+        body = await response.json();
+      } catch {
+        body = response.ok ? { ok: true } : { error: `Upstream responded with status ${response.status}` };
+      }
+
+      return { status: response.status, body };
+    },
+  };
+}
+
+/**
+ * Log submissions instead of sending them, for local development
+ * @param {Function} [log] - Logger
+ * @returns {{send: Function}} Transport
+ */
+export function logTransport(log = console.log) {
+  return {
+    async send(formData) {
+      const fields = {};
+      formData.forEach((value, key) => {
+        // Files are summarized rather than dumped
+        const entry = typeof value === 'string' ? value : `${value.name} (${value.size} bytes)`;
+        fields[key] = key in fields ? [].concat(fields[key], entry) : entry;
+      });
+      log('📨 Submission:', fields);
+      return { status: 200, body: { ok: true } };
+    },
+  };
+}
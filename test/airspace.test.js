@@ -0,0 +1,248 @@
+/**
+ * Unit tests for airspace.js module
+ * Tests location parsing, geometry checks against the bundled data, and advisory rendering and translation
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { airspace } from '../assets/js/modules/airspace.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+const bundled = JSON.parse(readFileSync(resolve(process.cwd(), 'assets/data/airspace.json'), 'utf8'));
+
+describe('Airspace Advisory Module', () => {
+  let dom;
+  let document;
+  let fetchMock;
+
+  const square = {
+    type: 'Feature',
+    properties: { name: 'Test', ident: 'TST', class: 'D' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[-98, 30], [-97, 30], [-97, 31], [-98, 31], [-98, 30]],
+        [[-97.6, 30.4], [-97.4, 30.4], [-97.4, 30.6], [-97.6, 30.6], [-97.6, 30.4]],
+      ],
+    },
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <input type="text" id="site">
+          <div class="airspace-advisory" data-airspace="site" data-airspace-src="/data/airspace.json" aria-live="polite"></div>
+        </body>
+      </html>
+    `, { url: 'http://localhost/services/mapping.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+
+    fetchMock = vi.fn(async () => ({ ok: true, json: async () => bundled }));
+    vi.stubGlobal('fetch', fetchMock);
+    airspace.requests.clear();
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('resolveLocation', () => {
+    it('parses coordinates', () => {
+      expect(airspace.resolveLocation('30.27, -97.74')).toEqual({ name: '30.27, -97.74', lat: 30.27, lon: -97.74 });
+      expect(airspace.resolveLocation(' 30.27 -97.74 ')).toMatchObject({ lat: 30.27, lon: -97.74 });
+    });
+
+    it('rejects out-of-range coordinates', () => {
+      expect(airspace.resolveLocation('95, -97')).toBeNull();
+    });
+
+    it('looks up places in the gazetteer', () => {
+      expect(airspace.resolveLocation('Burnet')).toMatchObject({ name: 'Burnet', lat: 30.7582 });
+      expect(airspace.resolveLocation('Amarillo')).toBeNull();
+    });
+  });
+
+  describe('containsPoint', () => {
+    it('treats points with radiusMiles as circles', () => {
+      const ring = { properties: { radiusMiles: 5 }, geometry: { type: 'Point', coordinates: [-97.74, 30.27] } };
+      expect(airspace.containsPoint(ring, { lat: 30.3, lon: -97.74 })).toBe(true);
+      expect(airspace.containsPoint(ring, { lat: 30.4, lon: -97.74 })).toBe(false);
+    });
+
+    it('ignores points without a radius', () => {
+      const point = { properties: {}, geometry: { type: 'Point', coordinates: [-97.74, 30.27] } };
+      expect(airspace.containsPoint(point, { lat: 30.27, lon: -97.74 })).toBe(false);
+    });
+
+    it('tests polygons and respects holes', () => {
+      expect(airspace.containsPoint(square, { lat: 30.2, lon: -97.8 })).toBe(true);
+      expect(airspace.containsPoint(square, { lat: 30.5, lon: -97.5 })).toBe(false);
+      expect(airspace.containsPoint(square, { lat: 31.5, lon: -97.5 })).toBe(false);
+    });
+
+    it('tests multipolygons', () => {
+      const multi = {
+        properties: {},
+        geometry: { type: 'MultiPolygon', coordinates: [square.geometry.coordinates] },
+      };
+      expect(airspace.containsPoint(multi, { lat: 30.2, lon: -97.8 })).toBe(true);
+    });
+
+    it('returns false for unsupported geometry', () => {
+      expect(airspace.containsPoint({ geometry: { type: 'LineString', coordinates: [] } }, { lat: 0, lon: 0 })).toBe(false);
+      expect(airspace.containsPoint({}, { lat: 0, lon: 0 })).toBe(false);
+    });
+  });
+
+  describe('check with the bundled data', () => {
+    it('flags controlled airspace near Austin-Bergstrom', () => {
+      const result = airspace.check({ lat: 30.2, lon: -97.67 }, bundled);
+      expect(result.level).toBe('controlled');
+      expect(result.features[0].properties.ident).toBe('AUS');
+    });
+
+    it('flags airport rings outside controlled airspace', () => {
+      const result = airspace.check(airspace.resolveLocation('Burnet'), bundled);
+      expect(result.level).toBe('airport');
+      expect(result.features[0].properties.ident).toBe('BMQ');
+    });
+
+    it('reports clear skies away from airports', () => {
+      expect(airspace.check(airspace.resolveLocation('Dripping Springs'), bundled).level).toBe('clear');
+    });
+
+    it('prefers controlled airspace over airport rings', () => {
+      const collection = {
+        features: [
+          { properties: { class: 'airport', name: 'Strip', ident: 'X1', radiusMiles: 50 }, geometry: { type: 'Point', coordinates: [-97.5, 30.5] } },
+          square,
+        ],
+      };
+      expect(airspace.check({ lat: 30.2, lon: -97.8 }, collection).level).toBe('controlled');
+    });
+  });
+
+  describe('formatAdvisory', () => {
+    it('names controlled airspace by class', () => {
+      const text = airspace.formatAdvisory({ name: 'Somewhere' }, { level: 'controlled', features: [square] });
+      expect(text).toContain('Somewhere is inside Test Class D airspace.');
+    });
+
+    it('names airports with their identifier', () => {
+      const result = airspace.check(airspace.resolveLocation('Burnet'), bundled);
+      expect(airspace.formatAdvisory({ name: 'Burnet' }, result))
+        .toBe('Burnet is within 5 miles of Burnet Municipal (BMQ). We coordinate with the airport before flying.');
+    });
+  });
+
+  describe('load', () => {
+    it('fetches each URL once', async () => {
+      await Promise.all([airspace.load('/a.json'), airspace.load('/a.json')]);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('allows a retry after a failed load', async () => {
+      fetchMock.mockResolvedValueOnce({ ok: false, status: 404 });
+      await expect(airspace.load('/a.json')).rejects.toThrow('404');
+
+      await expect(airspace.load('/a.json')).resolves.toBe(bundled);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('advisory element', () => {
+    const input = () => document.getElementById('site');
+    const output = () => document.querySelector('.airspace-advisory');
+    const commit = async (value) => {
+      input().value = value;
+      input().dispatchEvent(new dom.window.Event('change'));
+      await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    beforeEach(() => {
+      airspace.init();
+    });
+
+    it('renders a LAANC advisory with a disclaimer', async () => {
+      await commit('30.2, -97.67');
+
+      expect(output().dataset.level).toBe('controlled');
+      expect(output().querySelector('.airspace-title').textContent).toBe('LAANC authorization likely needed');
+      expect(output().querySelector('.airspace-disclaimer').textContent)
+        .toBe('Advisory only, based on approximate data — not for flight planning.');
+      expect(fetchMock).toHaveBeenCalledWith('/data/airspace.json', expect.any(Object));
+    });
+
+    it('reports unknown places once the value is committed', async () => {
+      input().value = 'Amarillo';
+      input().dispatchEvent(new dom.window.Event('change'));
+
+      expect(output().dataset.level).toBe('unknown');
+      expect(output().querySelector('.airspace-message').textContent)
+        .toBe('Try a nearby Central Texas town or county, or coordinates like 30.27, -97.74.');
+      expect(output().querySelector('.airspace-disclaimer')).toBeNull();
+    });
+
+    it('re-renders a shown advisory when the language changes', async () => {
+      await commit('30.2, -97.67');
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+      await vi.waitFor(() => expect(output().querySelector('.airspace-title').textContent)
+        .toBe('Probablemente se necesite autorización LAANC'));
+      i18n.locale = 'en';
+
+      expect(output().querySelector('.airspace-message').textContent).toMatch(/^30\.2, -97\.67 está dentro del espacio aéreo Clase [BCD] de /);
+    });
+
+    it('checks while typing after a pause', async () => {
+      vi.useFakeTimers();
+      input().value = 'Burnet';
+      input().dispatchEvent(new dom.window.Event('input'));
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(config.airspace.inputDelay);
+
+      expect(output().dataset.level).toBe('airport');
+    });
+
+    it('clears the advisory if the data cannot load', async () => {
+      fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      await commit('Burnet');
+
+      expect(output().children).toHaveLength(0);
+    });
+
+    it('ignores results for a value that has since changed', async () => {
+      input().value = 'Burnet';
+      input().dispatchEvent(new dom.window.Event('change'));
+      input().value = 'Bur';
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(output().children).toHaveLength(0);
+    });
+  });
+
+  it('checks a pre-filled value on init', async () => {
+    document.getElementById('site').value = 'Dripping Springs';
+    airspace.init();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.querySelector('.airspace-advisory').dataset.level).toBe('clear');
+  });
+
+  it('skips advisories whose input is missing', () => {
+    document.getElementById('site').remove();
+    expect(() => airspace.init()).not.toThrow();
+  });
+});
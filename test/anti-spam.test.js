@@ -0,0 +1,271 @@
+/**
+ * Unit tests for anti-spam.js module
+ * Tests signal collection, fetching challenges, worker solving and stamping hidden fields
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { antiSpam } from '../assets/js/modules/anti-spam.js';
+import { config } from '../assets/js/modules/config.js';
+
+/**
+ * Stand-in for a module worker that answers with a fixed stamp
+ */
+class FakeWorker extends EventTarget {
+  static instances = [];
+  static reply = null;
+
+  constructor(url, options) {
+    super();
+    this.url = url;
+    this.options = options;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.posted = data;
+    const reply = FakeWorker.reply(data);
+    if (reply) {
+      queueMicrotask(() => this.dispatchEvent(Object.assign(new Event('message'), { data: reply })));
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('Anti-Spam Module', () => {
+  let dom;
+  let document;
+  let form;
+  let fetchMock;
+  const { relayUrls } = config.antiSpam;
+
+  const field = (name) => form.querySelector(`[name="${name}"]`);
+  const fire = (type, target = form.querySelector('#name')) => {
+    target.dispatchEvent(new dom.window.Event(type, { bubbles: true }));
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form" action="https://relay.example/submit">
+            <input type="hidden" name="_elapsed" value="">
+            <input type="hidden" name="_interactions" value="">
+            <input type="hidden" name="_pow" value="">
+            <input type="text" id="name" name="name">
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    FakeWorker.instances = [];
+    FakeWorker.reply = (data) => ({ stamp: `1:${data.bits}:${data.timestamp}:${data.resource}:${data.nonce}:1` });
+    vi.stubGlobal('Worker', FakeWorker);
+    fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ timestamp: 5000, nonce: 'ab.cd' }) }));
+    vi.stubGlobal('fetch', fetchMock);
+    form = document.querySelector('form');
+    config.antiSpam.relayUrls = ['https://relay.example/'];
+  });
+
+  afterEach(() => {
+    config.antiSpam.relayUrls = relayUrls;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('counts focus, key and pointer events', () => {
+    antiSpam.watch(form);
+    fire('focusin');
+    fire('keydown');
+    fire('keydown');
+    fire('pointerdown');
+
+    antiSpam.stamp(form);
+
+    expect(JSON.parse(field('_interactions').value)).toEqual({ focus: 1, keys: 2, pointer: 1 });
+  });
+
+  it('stamps the time since the form was watched', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    antiSpam.watch(form);
+    now.mockReturnValue(7500);
+
+    antiSpam.stamp(form);
+
+    expect(field('_elapsed').value).toBe('6500');
+  });
+
+  it('fetches a challenge from the relay and starts the worker on first focus only', async () => {
+    antiSpam.watch(form);
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    fire('focusin');
+    fire('focusin');
+    await antiSpam.ready(form);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(String(fetchMock.mock.calls[0][0])).toBe('https://relay.example/challenge');
+    expect(FakeWorker.instances).toHaveLength(1);
+    expect(String(FakeWorker.instances[0].url)).toMatch(/\/assets\/js\/workers\/proof-of-work\.js$/);
+    expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+    expect(FakeWorker.instances[0].posted).toEqual({
+      resource: 'contact-form',
+      bits: config.antiSpam.bits,
+      timestamp: 5000,
+      nonce: 'ab.cd',
+    });
+  });
+
+  it('submits without a stamp when the challenge cannot be fetched', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ ok: false, json: async () => ({}) });
+    antiSpam.watch(form);
+    await antiSpam.ready(form);
+    antiSpam.stamp(form);
+    expect(field('_pow').value).toBe('');
+
+    await antiSpam.ready(form);
+    antiSpam.stamp(form);
+    expect(field('_pow').value).toBe('');
+    expect(FakeWorker.instances).toHaveLength(0);
+  });
+
+  it('is pending until the stamp arrives, then writes it once', async () => {
+    antiSpam.watch(form);
+    expect(antiSpam.isPending(form)).toBe(true);
+
+    await antiSpam.ready(form);
+    expect(antiSpam.isPending(form)).toBe(false);
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+
+    antiSpam.stamp(form);
+    expect(field('_pow').value).toBe(`1:${config.antiSpam.bits}:5000:contact-form:ab.cd:1`);
+
+    // The spent stamp is replaced by a fresh solve
+    expect(antiSpam.isPending(form)).toBe(true);
+    await vi.waitFor(() => expect(FakeWorker.instances).toHaveLength(2));
+  });
+
+  it('gives up after the solve timeout', async () => {
+    vi.useFakeTimers();
+    FakeWorker.reply = () => null;
+    antiSpam.watch(form);
+
+    const ready = antiSpam.ready(form);
+    await vi.advanceTimersByTimeAsync(config.antiSpam.solveTimeout);
+    await ready;
+
+    antiSpam.stamp(form);
+    expect(field('_pow').value).toBe('');
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+
+  it('submits without a stamp when workers are unavailable', async () => {
+    vi.stubGlobal('Worker', undefined);
+    antiSpam.watch(form);
+
+    await antiSpam.ready(form);
+    antiSpam.stamp(form);
+
+    expect(field('_pow').value).toBe('');
+  });
+
+  it('treats worker errors as no stamp', async () => {
+    FakeWorker.reply = () => null;
+    antiSpam.watch(form);
+
+    const ready = antiSpam.ready(form);
+    await vi.waitFor(() => expect(FakeWorker.instances).toHaveLength(1));
+    FakeWorker.instances[0].dispatchEvent(new Event('error'));
+    await ready;
+
+    expect(antiSpam.isPending(form)).toBe(false);
+  });
+
+  it('leaves forms without signal fields alone', () => {
+    form.querySelectorAll('input[type="hidden"]').forEach(input => input.remove());
+    antiSpam.watch(form);
+    fire('focusin');
+
+    expect(antiSpam.isPending(form)).toBe(false);
+    expect(FakeWorker.instances).toHaveLength(0);
+    expect(() => antiSpam.stamp(form)).not.toThrow();
+  });
+
+  it('restamps a late submission with a new stamp and the measured signals', async () => {
+    const solve = vi.spyOn(antiSpam, 'solve').mockResolvedValue('fresh-stamp');
+
+    vi.useFakeTimers();
+    const restamped = antiSpam.restamp(
+      { _elapsed: '9000', _interactions: '{"focus":1}', _pow: 'old-stamp' },
+      'contact-form',
+      'https://relay.example/submit',
+    );
+    await vi.advanceTimersByTimeAsync(config.antiSpam.minElapsedMs);
+    const fields = await restamped;
+    vi.useRealTimers();
+
+    expect(solve).toHaveBeenCalledWith('contact-form', 'https://relay.example/submit');
+    expect(fields).toEqual([['_elapsed', '9000'], ['_interactions', '{"focus":1}'], ['_pow', 'fresh-stamp']]);
+
+    solve.mockResolvedValue(null);
+    expect(await antiSpam.restamp({ _pow: '' }, 'contact-form')).toEqual([['_pow', '']]);
+    expect(await antiSpam.restamp({}, 'contact-form')).toEqual([]);
+    expect(solve).toHaveBeenCalledTimes(2);
+  });
+
+  it('holds a restamped submission until its new stamp is old enough for the relay', async () => {
+    vi.useFakeTimers();
+    try {
+      const stamp = '1:8:5000:contact-form:ab.cd:1f';
+      vi.spyOn(antiSpam, 'solve').mockResolvedValue(stamp);
+
+      let fields;
+      antiSpam.restamp({ _pow: '' }, 'contact-form', 'https://relay.example/submit').then(result => { fields = result; });
+      await vi.advanceTimersByTimeAsync(config.antiSpam.minElapsedMs - 1);
+      expect(fields).toBeUndefined();
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fields).toEqual([['_pow', stamp]]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('leaves the signals out of forms that post somewhere other than a relay', () => {
+    form.action = 'https://formspree.io/f/test';
+    antiSpam.watch(form);
+    fire('focusin');
+    antiSpam.stamp(form);
+
+    expect(antiSpam.postsToRelay(form)).toBe(false);
+    expect(antiSpam.isPending(form)).toBe(false);
+    expect(FakeWorker.instances).toHaveLength(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(Array.from(new dom.window.FormData(form).keys())).toEqual(['name']);
+  });
+
+  it('matches relays by origin and path', () => {
+    config.antiSpam.relayUrls = ['/relay/', 'https://relay.example/'];
+
+    form.action = '/relay/contact';
+    expect(antiSpam.postsToRelay(form)).toBe(true);
+    form.action = '/contact';
+    expect(antiSpam.postsToRelay(form)).toBe(false);
+    form.action = 'https://relay.example.net/';
+    expect(antiSpam.postsToRelay(form)).toBe(false);
+  });
+
+  it('ignores forms it is not watching', () => {
+    antiSpam.stamp(document.createElement('form'));
+    expect(antiSpam.isPending(form)).toBe(false);
+  });
+});
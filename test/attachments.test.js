@@ -0,0 +1,301 @@
+/**
+ * Unit tests for attachments.js module
+ * Tests the drop zone, merging and removing files, previews, downscaling and validation wiring
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { attachments } from '../assets/js/modules/attachments.js';
+import { formValidation } from '../assets/js/modules/form-validation.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+// jsdom has no DataTransfer constructor; this covers what attachments.js uses
+class FakeDataTransfer {
+  constructor() {
+    this.files = [];
+    this.items = { add: (file) => this.files.push(file) };
+  }
+}
+
+describe('Attachments Module', () => {
+  let dom;
+  let document;
+  let input;
+
+  const file = (name, type, size = 10) => new dom.window.File(['x'.repeat(size)], name, { type, lastModified: 1 });
+  const pick = async (...files) => {
+    input.files = files;
+    input.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    await vi.waitFor(() => expect(attachments.files.get(input).length).toBeGreaterThan(0));
+  };
+  const items = () => Array.from(document.querySelectorAll('.attachment-item'));
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <label for="attachments">Attachments</label>
+            <input type="file" id="attachments" name="attachment" multiple data-attachments>
+            <button type="submit">Send</button>
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+    vi.stubGlobal('File', dom.window.File);
+    vi.stubGlobal('DataTransfer', FakeDataTransfer);
+    // Not implemented in the test environment
+    URL.createObjectURL = vi.fn(() => 'blob:preview');
+    URL.revokeObjectURL = vi.fn();
+
+    input = document.getElementById('attachments');
+    // jsdom only accepts a real FileList here
+    Object.defineProperty(input, 'files', { value: [], writable: true });
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('setup', () => {
+    beforeEach(() => {
+      attachments.init();
+    });
+
+    it('wraps the input in a drop zone with a hint and status', () => {
+      const dropzone = input.closest('.attachment-dropzone');
+
+      expect(dropzone).not.toBeNull();
+      expect(dropzone.querySelector('.attachment-drop').textContent).toBe('Drag files here or choose them');
+      expect(dropzone.querySelector('.attachment-list').hidden).toBe(true);
+      expect(dropzone.querySelector('.attachment-status').getAttribute('aria-live')).toBe('polite');
+    });
+
+    it('translates its text when the language changes', () => {
+      i18n.setLocale('es');
+      expect(document.querySelector('.attachment-drop').textContent).toBe('Arrastra los archivos aquí o selecciónalos');
+    });
+  });
+
+  it('keeps the plain input without DataTransfer support', () => {
+    vi.stubGlobal('DataTransfer', undefined);
+    attachments.init();
+    expect(document.querySelector('.attachment-dropzone')).toBeNull();
+  });
+
+  describe('file list', () => {
+    beforeEach(() => {
+      attachments.init();
+    });
+
+    it('lists picked files with size, preview and a remove button', async () => {
+      await pick(file('plan.pdf', 'application/pdf', 2048), file('roof.png', 'image/png'));
+
+      expect(items()).toHaveLength(2);
+      expect(items()[0].querySelector('.attachment-name').textContent).toBe('plan.pdf');
+      expect(items()[0].querySelector('.attachment-size').textContent).toBe('2 kB');
+      expect(items()[0].querySelector('.attachment-thumb')).toBeNull();
+      expect(items()[1].querySelector('.attachment-thumb').getAttribute('src')).toBe('blob:preview');
+      expect(items()[1].querySelector('.attachment-remove').getAttribute('aria-label')).toBe('Remove roof.png');
+      expect(document.querySelector('.attachment-status').textContent).toBe('2 files attached');
+    });
+
+    it('merges later picks and skips duplicates', async () => {
+      await pick(file('a.pdf', 'application/pdf'));
+      input.files = [file('a.pdf', 'application/pdf'), file('b.pdf', 'application/pdf')];
+      input.dispatchEvent(new dom.window.Event('change'));
+      await vi.waitFor(() => expect(items()).toHaveLength(2));
+
+      expect(input.files.map(f => f.name)).toEqual(['a.pdf', 'b.pdf']);
+    });
+
+    it('adds dropped files', async () => {
+      const dropzone = document.querySelector('.attachment-dropzone');
+      const over = new dom.window.Event('dragover', { cancelable: true });
+      dropzone.dispatchEvent(over);
+      expect(over.defaultPrevented).toBe(true);
+      expect(dropzone.classList.contains('is-dragover')).toBe(true);
+
+      const drop = new dom.window.Event('drop', { cancelable: true });
+      drop.dataTransfer = { files: [file('area.kml', '')] };
+      dropzone.dispatchEvent(drop);
+
+      await vi.waitFor(() => expect(items()).toHaveLength(1));
+      expect(dropzone.classList.contains('is-dragover')).toBe(false);
+      expect(input.files[0].name).toBe('area.kml');
+    });
+
+    it('removes a file and revokes its preview', async () => {
+      await pick(file('a.png', 'image/png'), file('b.pdf', 'application/pdf'));
+      items()[0].querySelector('.attachment-remove').click();
+
+      expect(input.files.map(f => f.name)).toEqual(['b.pdf']);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:preview');
+      expect(document.activeElement).toBe(input);
+    });
+
+    it('clears the list when the form is reset', async () => {
+      await pick(file('a.pdf', 'application/pdf'));
+      input.form.reset();
+
+      expect(items()).toHaveLength(0);
+      expect(document.querySelector('.attachment-list').hidden).toBe(true);
+      expect(document.querySelector('.attachment-status').textContent).toBe('No files attached');
+    });
+  });
+
+  describe('validation', () => {
+    beforeEach(() => {
+      formValidation.init();
+      attachments.init();
+    });
+
+    it('shows errors after the drop zone and clears them once fixed', async () => {
+      await pick(file('notes.docx', 'application/msword'));
+
+      const error = document.querySelector('.attachment-dropzone').nextElementSibling;
+      expect(error.classList.contains('error-message')).toBe(true);
+      expect(error.textContent).toContain('notes.docx isn’t a supported file');
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+
+      items()[0].querySelector('.attachment-remove').click();
+      expect(document.querySelector('.error-message')).toBeNull();
+      expect(input.hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    describe('while photos are downscaled', () => {
+      let decode;
+      const maxFileBytes = config.attachments.maxFileBytes;
+
+      beforeEach(() => {
+        decode = undefined;
+        vi.stubGlobal('createImageBitmap', vi.fn(() => new Promise(resolve => {
+          decode = () => resolve({ width: 5120, height: 2560, close: vi.fn() });
+        })));
+        vi.spyOn(dom.window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage: vi.fn() });
+        vi.spyOn(dom.window.HTMLCanvasElement.prototype, 'toBlob').mockImplementation((callback, type) => {
+          callback(new dom.window.Blob(['x'.repeat(100)], { type }));
+        });
+        // Too big as picked, fine once downscaled
+        config.attachments.maxFileBytes = 500;
+      });
+
+      afterEach(() => {
+        config.attachments.maxFileBytes = maxFileBytes;
+      });
+
+      it('checks the files once they are downscaled, not as picked', async () => {
+        input.files = [file('roof.jpg', 'image/jpeg', 1000)];
+        input.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+
+        expect(attachments.isPending(input.form)).toBe(true);
+        expect(document.querySelector('.error-message')).toBeNull();
+
+        await vi.waitFor(() => expect(decode).toBeTypeOf('function'));
+        decode();
+        await attachments.ready(input.form);
+
+        expect(attachments.isPending(input.form)).toBe(false);
+        expect(input.files[0].size).toBe(100);
+        expect(document.querySelector('.error-message')).toBeNull();
+      });
+
+      it('holds the submission until the downscaled files are attached', async () => {
+        const sent = [];
+        input.form.addEventListener('submit', (e) => {
+          if (e.defaultPrevented) return;
+          e.preventDefault();
+          sent.push(input.files.map(f => f.size));
+        });
+
+        input.files = [file('roof.jpg', 'image/jpeg', 1000)];
+        input.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+        const submit = new dom.window.Event('submit', { cancelable: true });
+        input.form.dispatchEvent(submit);
+
+        expect(submit.defaultPrevented).toBe(true);
+        expect(input.form.getAttribute('aria-busy')).toBe('true');
+        expect(sent).toEqual([]);
+
+        await vi.waitFor(() => expect(decode).toBeTypeOf('function'));
+        decode();
+        await vi.waitFor(() => expect(sent).toEqual([[100]]));
+        expect(input.form.hasAttribute('aria-busy')).toBe(false);
+      });
+    });
+
+    it('flags too many files', async () => {
+      const files = Array.from({ length: config.attachments.maxFiles + 1 }, (_, i) => file(`${i}.pdf`, 'application/pdf'));
+      await pick(...files);
+
+      expect(document.querySelector('.error-message').textContent)
+        .toBe(`Please attach no more than ${config.attachments.maxFiles} files`);
+    });
+  });
+
+  describe('downscale', () => {
+    let bitmap;
+
+    beforeEach(() => {
+      bitmap = { width: 5120, height: 2560, close: vi.fn() };
+      vi.stubGlobal('createImageBitmap', vi.fn(async () => bitmap));
+      vi.spyOn(dom.window.HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage: vi.fn() });
+      vi.spyOn(dom.window.HTMLCanvasElement.prototype, 'toBlob').mockImplementation((callback, type) => {
+        callback(new dom.window.Blob(['x'.repeat(100)], { type }));
+      });
+    });
+
+    it('shrinks large photos to the maximum dimension', async () => {
+      const photo = file('roof.jpg', 'image/jpeg', 1000);
+      const result = await attachments.downscale(photo);
+      const canvas = dom.window.HTMLCanvasElement.prototype.toBlob.mock.contexts[0];
+
+      expect(canvas.width).toBe(config.attachments.maxImageDimension);
+      expect(canvas.height).toBe(config.attachments.maxImageDimension / 2);
+      expect(dom.window.HTMLCanvasElement.prototype.toBlob)
+        .toHaveBeenCalledWith(expect.any(Function), 'image/jpeg', config.attachments.imageQuality);
+      expect(result).not.toBe(photo);
+      expect(result.name).toBe('roof.jpg');
+      expect(result.size).toBe(100);
+      expect(bitmap.close).toHaveBeenCalled();
+    });
+
+    it('keeps photos that already fit', async () => {
+      bitmap = { width: 800, height: 600, close: vi.fn() };
+      const photo = file('roof.jpg', 'image/jpeg', 1000);
+      expect(await attachments.downscale(photo)).toBe(photo);
+    });
+
+    it('keeps the original if re-encoding does not make it smaller', async () => {
+      const photo = file('roof.png', 'image/png', 50);
+      expect(await attachments.downscale(photo)).toBe(photo);
+    });
+
+    it('leaves other files and undecodable images alone', async () => {
+      const pdf = file('plan.pdf', 'application/pdf');
+      expect(await attachments.downscale(pdf)).toBe(pdf);
+
+      createImageBitmap.mockRejectedValueOnce(new Error('decode failed'));
+      const photo = file('broken.jpg', 'image/jpeg');
+      expect(await attachments.downscale(photo)).toBe(photo);
+    });
+
+    it('attaches the downscaled photo with a preview', async () => {
+      attachments.init();
+      await pick(file('roof.jpg', 'image/jpeg', 1000));
+
+      expect(input.files[0].size).toBe(100);
+      expect(items()[0].querySelector('.attachment-size').textContent).toBe('0.1 kB');
+    });
+  });
+});
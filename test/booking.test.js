@@ -0,0 +1,331 @@
+/**
+ * Unit tests for booking.js module
+ * Tests availability rules, sun times and windows, and the calendar's fields and keyboard use
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { booking } from '../assets/js/modules/booking.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+const availability = {
+  blockedDates: ['2026-10-24'],
+  booked: [
+    { date: '2026-10-22', window: 'sunset' },
+    ...config.booking.windows.map(({ id }) => ({ date: '2026-10-23', window: id })),
+  ],
+};
+
+const austin = { lat: 30.2672, lon: -97.7431 };
+
+describe('Booking Module', () => {
+  let dom;
+  let document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <input type="text" id="location" name="location">
+            <input type="hidden" id="boundary-centroid" name="boundary_centroid">
+            <div class="booking" data-booking data-booking-date="shoot-date" data-booking-window="shoot-window"
+                 data-booking-start="shoot-start" data-booking-end="shoot-end"
+                 data-booking-location="location" data-booking-centroid="boundary-centroid">
+              <label for="shoot-date">Preferred shoot date (optional)</label>
+              <input type="date" id="shoot-date" name="shoot_date">
+            </div>
+            <input type="hidden" id="shoot-window" name="shoot_window">
+            <input type="hidden" id="shoot-start" name="shoot_start">
+            <input type="hidden" id="shoot-end" name="shoot_end">
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(availability) })));
+    vi.useFakeTimers({ toFake: ['Date'] });
+    // Mid-morning in Austin
+    vi.setSystemTime(new Date('2026-10-18T15:00:00Z'));
+    booking.requests.clear();
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('dates', () => {
+    it('uses the business time zone for today', () => {
+      expect(booking.today()).toBe('2026-10-18');
+
+      // Still the evening of the 18th in Austin
+      vi.setSystemTime(new Date('2026-10-19T03:00:00Z'));
+      expect(booking.today()).toBe('2026-10-18');
+    });
+
+    it('adds days across months and years', () => {
+      expect(booking.addDays('2026-10-30', 3)).toBe('2026-11-02');
+      expect(booking.addDays('2027-01-01', -1)).toBe('2026-12-31');
+    });
+
+    it('formats window times for fields', () => {
+      expect(booking.formatTime(425)).toBe('07:05');
+      expect(booking.formatTime(1110)).toBe('18:30');
+    });
+  });
+
+  describe('isAvailable', () => {
+    const data = booking.normalize(availability);
+
+    it('enforces the lead time and the booking horizon', () => {
+      expect(booking.isAvailable(booking.addDays('2026-10-18', config.booking.leadDays - 1), data, '2026-10-18')).toBe(false);
+      expect(booking.isAvailable(booking.addDays('2026-10-18', config.booking.leadDays), data, '2026-10-18')).toBe(true);
+      expect(booking.isAvailable(booking.addDays('2026-10-18', config.booking.maxDays + 1), data, '2026-10-18')).toBe(false);
+    });
+
+    it('rules out blocked and fully booked dates, but not partly booked ones', () => {
+      expect(booking.isAvailable('2026-10-22', data, '2026-10-18')).toBe(true);
+      expect(booking.isAvailable('2026-10-23', data, '2026-10-18')).toBe(false);
+      expect(booking.isAvailable('2026-10-24', data, '2026-10-18')).toBe(false);
+    });
+
+    it('tolerates missing or malformed data', () => {
+      const empty = booking.normalize({ blockedDates: 'soon', booked: null });
+      expect(empty.blockedDates.size).toBe(0);
+      expect(booking.isAvailable('2026-10-24', empty, '2026-10-18')).toBe(true);
+    });
+  });
+
+  describe('sunTimes', () => {
+    it('matches published Austin sunrise and sunset within a few minutes', () => {
+      // Summer solstice (CDT): about 6:29 AM and 8:36 PM
+      const summer = booking.sunTimes('2026-06-21', austin);
+      expect(Math.abs(summer.sunrise - (6 * 60 + 29))).toBeLessThanOrEqual(3);
+      expect(Math.abs(summer.sunset - (20 * 60 + 36))).toBeLessThanOrEqual(3);
+
+      // Winter solstice (CST): about 7:24 AM and 5:34 PM
+      const winter = booking.sunTimes('2026-12-21', austin);
+      expect(Math.abs(winter.sunrise - (7 * 60 + 24))).toBeLessThanOrEqual(3);
+      expect(Math.abs(winter.sunset - (17 * 60 + 34))).toBeLessThanOrEqual(3);
+    });
+
+    it('returns null when the sun does not set', () => {
+      expect(booking.sunTimes('2026-06-21', { lat: 80, lon: 15 })).toBeNull();
+    });
+  });
+
+  describe('getWindows', () => {
+    it('places golden-hour windows against sunrise and sunset and marks booked ones', () => {
+      const sun = booking.sunTimes('2026-10-22', austin);
+      const windows = booking.getWindows('2026-10-22', austin, booking.normalize(availability));
+
+      const sunrise = windows.find(({ id }) => id === 'sunrise');
+      expect(sunrise).toMatchObject({ start: sun.sunrise, end: sun.sunrise + 60, golden: true, booked: false });
+      expect(windows.find(({ id }) => id === 'sunset')).toMatchObject({ end: sun.sunset, golden: true, booked: true });
+      expect(windows.find(({ id }) => id === 'morning')).toMatchObject({ start: 540, end: 720, golden: false });
+    });
+
+    it('drops sun-relative windows without a sunrise or sunset', () => {
+      const windows = booking.getWindows('2026-06-21', { lat: 80, lon: 15 }, booking.normalize(null));
+      expect(windows.map(({ id }) => id)).toEqual(['morning', 'afternoon']);
+    });
+  });
+
+  describe('calendar', () => {
+    const grid = () => document.querySelector('.booking-grid');
+    const day = (date) => document.querySelector(`.booking-day[data-date="${date}"]`);
+    const windowButton = (id) => document.querySelector(`.booking-window[data-window="${id}"]`);
+    const value = (id) => document.getElementById(id).value;
+
+    const init = async () => {
+      booking.init();
+      await vi.waitFor(() => expect(grid().getAttribute('aria-busy')).toBe('false'));
+    };
+
+    const press = (target, key) => {
+      target.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true }));
+    };
+
+    it('replaces the date input with a month grid starting after the lead time', async () => {
+      await init();
+
+      expect(document.getElementById('shoot-date').type).toBe('hidden');
+      expect(document.querySelector('label').hasAttribute('for')).toBe(false);
+      expect(grid().getAttribute('aria-labelledby')).toBe('shoot-date-label shoot-date-month');
+      expect(document.querySelector('.booking-month').textContent).toBe('October 2026');
+      expect(grid().querySelectorAll('th')).toHaveLength(7);
+
+      expect(day('2026-10-20').getAttribute('aria-disabled')).toBe('true');
+      expect(day('2026-10-20').getAttribute('aria-label')).toBe('Tuesday, October 20, 2026, unavailable');
+      expect(day('2026-10-21').hasAttribute('aria-disabled')).toBe(false);
+      expect(day('2026-10-21').tabIndex).toBe(0);
+      expect(day('2026-10-22').tabIndex).toBe(-1);
+      expect(day('2026-10-23').classList.contains('is-unavailable')).toBe(true);
+      expect(day('2026-10-24').classList.contains('is-unavailable')).toBe(true);
+      expect(document.querySelector('.booking-previous').disabled).toBe(true);
+      expect(document.querySelector('.booking-status').textContent).toBe('No date picked yet (optional)');
+    });
+
+    it('fills the date, window and times as structured fields', async () => {
+      await init();
+
+      day('2026-10-22').click();
+      expect(value('shoot-date')).toBe('2026-10-22');
+      expect(value('shoot-window')).toBe('');
+      expect(day('2026-10-22').getAttribute('aria-pressed')).toBe('true');
+      expect(document.querySelector('.booking-status').textContent)
+        .toBe('Selected: Thursday, October 22, 2026. Pick a time window, or leave it open.');
+
+      expect(windowButton('sunrise').classList.contains('is-golden')).toBe(true);
+      expect(windowButton('sunset').disabled).toBe(true);
+      expect(windowButton('sunset').textContent).toContain('Booked');
+      expect(document.querySelector('.booking-sun').textContent).toMatch(/^Sunrise 7:\d\d AM, sunset 6:\d\d PM at Austin$/);
+
+      windowButton('sunrise').click();
+      const { sunrise } = booking.sunTimes('2026-10-22', austin);
+      expect(value('shoot-window')).toBe('sunrise');
+      expect(value('shoot-start')).toBe(booking.formatTime(sunrise));
+      expect(value('shoot-end')).toBe(booking.formatTime(sunrise + 60));
+      expect(windowButton('sunrise').getAttribute('aria-pressed')).toBe('true');
+      expect(document.querySelector('.booking-status').textContent).toMatch(/^Selected: Thursday, October 22, 2026, Sunrise \(7:\d\d AM–8:\d\d AM\)$/);
+    });
+
+    it('ignores unavailable dates and booked windows', async () => {
+      await init();
+
+      day('2026-10-23').click();
+      expect(value('shoot-date')).toBe('');
+
+      day('2026-10-22').click();
+      windowButton('sunset').click();
+      expect(value('shoot-window')).toBe('');
+    });
+
+    it('moves through the grid with the keyboard', async () => {
+      await init();
+      day('2026-10-21').focus();
+
+      press(day('2026-10-21'), 'ArrowDown');
+      expect(document.activeElement).toBe(day('2026-10-28'));
+
+      press(document.activeElement, 'PageDown');
+      expect(document.querySelector('.booking-month').textContent).toBe('November 2026');
+      expect(document.activeElement).toBe(day('2026-11-28'));
+      expect(day('2026-11-28').tabIndex).toBe(0);
+
+      press(document.activeElement, 'Home');
+      expect(document.activeElement).toBe(day('2026-11-22'));
+
+      // Focus can't leave the booking range
+      press(document.activeElement, 'PageUp');
+      press(document.activeElement, 'PageUp');
+      expect(document.activeElement).toBe(day('2026-10-21'));
+
+      document.activeElement.click();
+      expect(value('shoot-date')).toBe('2026-10-21');
+      expect(document.activeElement).toBe(day('2026-10-21'));
+    });
+
+    it('pages by month within the booking range', async () => {
+      await init();
+      const next = document.querySelector('.booking-next');
+
+      for (let i = 0; i < 6; i++) next.click();
+      const last = booking.addDays('2026-10-18', config.booking.maxDays);
+      expect(document.querySelector('.booking-month').textContent)
+        .toBe(new Intl.DateTimeFormat('en', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+          .format(new Date(`${last}T00:00:00Z`)));
+      expect(next.disabled).toBe(true);
+
+      document.querySelector('.booking-previous').click();
+      expect(document.querySelector('.booking-previous').disabled).toBe(false);
+    });
+
+    it('follows the job site for sun times', async () => {
+      await init();
+      day('2026-10-22').click();
+      windowButton('sunrise').click();
+      const before = value('shoot-start');
+
+      // Far west Texas: the sun rises about 40 minutes later on the clock
+      const centroid = document.getElementById('boundary-centroid');
+      centroid.value = '30.36, -104.02';
+      centroid.dispatchEvent(new dom.window.Event('change'));
+
+      expect(value('shoot-start')).not.toBe(before);
+      expect(value('shoot-start')).toBe(booking.formatTime(booking.sunTimes('2026-10-22', { lat: 30.36, lon: -104.02 }).sunrise));
+      expect(document.querySelector('.booking-sun').textContent).toContain('at 30.36, -104.02');
+    });
+
+    it('drops a window picked before availability loaded if it is booked', async () => {
+      let respond;
+      fetch.mockImplementation(() => new Promise(resolve => { respond = resolve; }));
+      booking.init();
+
+      day('2026-10-22').click();
+      windowButton('sunset').click();
+      expect(value('shoot-window')).toBe('sunset');
+
+      respond({ ok: true, json: () => Promise.resolve(availability) });
+      await vi.waitFor(() => expect(grid().getAttribute('aria-busy')).toBe('false'));
+
+      expect(value('shoot-date')).toBe('2026-10-22');
+      expect(value('shoot-window')).toBe('');
+      expect(value('shoot-start')).toBe('');
+      expect(windowButton('sunset').getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('still works when availability fails to load', async () => {
+      fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 404 }));
+      await init();
+
+      expect(document.querySelector('.booking-note').hidden).toBe(false);
+      expect(document.querySelector('.booking-note').textContent).toContain('We’ll confirm your date.');
+      day('2026-10-23').click();
+      expect(value('shoot-date')).toBe('2026-10-23');
+    });
+
+    it('clears the selection from the clear button and on form reset', async () => {
+      await init();
+      day('2026-10-22').click();
+      windowButton('morning').click();
+
+      document.querySelector('.booking-clear').click();
+      expect(value('shoot-date')).toBe('');
+      expect(value('shoot-window')).toBe('');
+      expect(document.querySelector('.booking-windows').hidden).toBe(true);
+      expect(document.querySelector('.booking-clear').hidden).toBe(true);
+
+      day('2026-10-22').click();
+      windowButton('morning').click();
+      document.querySelector('form').reset();
+      expect(value('shoot-date')).toBe('');
+      expect(value('shoot-start')).toBe('');
+    });
+
+    it('updates its text when the language changes', async () => {
+      await init();
+      day('2026-10-22').click();
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+
+      expect(document.querySelector('.booking-month').textContent).toBe('octubre de 2026');
+      expect(windowButton('sunrise').textContent).toContain('Amanecer');
+      expect(document.querySelector('.booking-clear').textContent).toBe('Borrar fecha');
+    });
+  });
+
+  it('skips containers without a date field', () => {
+    document.getElementById('shoot-date').remove();
+    expect(() => booking.init()).not.toThrow();
+    expect(document.querySelector('.booking-grid')).toBeNull();
+  });
+});
@@ -0,0 +1,398 @@
+/**
+ * Unit tests for boundary.js module
+ * Tests GeoJSON, KML and KMZ parsing, area, centroid and perimeter, the preview, and filling form fields
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { deflateRawSync } from 'zlib';
+// jsdom's File can't be read with arrayBuffer()
+import { File } from 'buffer';
+import { boundary } from '../assets/js/modules/boundary.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+// 0.01° square just north of 30.5°N, with a hole in the middle
+const outer = [[-98, 30.5], [-97.99, 30.5], [-97.99, 30.51], [-98, 30.51], [-98, 30.5]];
+const hole = [[-97.996, 30.504], [-97.994, 30.504], [-97.994, 30.506], [-97.996, 30.506], [-97.996, 30.504]];
+
+const geojson = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Gate' }, geometry: { type: 'Point', coordinates: [-98, 30.5] } },
+    { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [outer] } },
+  ],
+};
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <name>Ranch</name>
+      <Polygon>
+        <outerBoundaryIs><LinearRing><coordinates>
+          ${outer.map(([lon, lat]) => `${lon},${lat},0`).join(' ')}
+        </coordinates></LinearRing></outerBoundaryIs>
+        <innerBoundaryIs><LinearRing><coordinates>
+          ${hole.map(([lon, lat]) => `${lon},${lat}`).join('\n')}
+        </coordinates></LinearRing></innerBoundaryIs>
+      </Polygon>
+    </Placemark>
+  </Document>
+</kml>`;
+
+/**
+ * Build a zip archive with deflated entries
+ * @param {Object<string, string>} files - Contents keyed by name
+ * @returns {Uint8Array} Archive
+ */
+const zip = (files) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, directoryBytes, end]));
+};
+
+describe('Boundary Module', () => {
+  let dom;
+  let document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <select id="property-size" name="property_size">
+              <option value="">Select a size</option>
+              <option value="1-10-acres">1–10 acres</option>
+              <option value="10-50-acres">10–50 acres</option>
+              <option value="50-200-acres">50–200 acres</option>
+              <option value="200-plus-acres">200+ acres</option>
+            </select>
+            <div class="boundary-upload" data-boundary data-boundary-acres="boundary-acres"
+                 data-boundary-centroid="boundary-centroid" data-boundary-size="property-size">
+              <input type="file" id="boundary-file">
+            </div>
+            <input type="hidden" id="boundary-acres" name="boundary_acres">
+            <input type="hidden" id="boundary-centroid" name="boundary_centroid">
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    vi.stubGlobal('DOMParser', dom.window.DOMParser);
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('parseGeoJson', () => {
+    it('collects polygons and ignores other geometry', () => {
+      expect(boundary.parseGeoJson(geojson)).toEqual([[outer]]);
+    });
+
+    it('reads multipolygons, bare geometry and geometry collections', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [[outer], [outer, hole]] };
+      expect(boundary.parseGeoJson(multi)).toHaveLength(2);
+      expect(boundary.parseGeoJson({ type: 'GeometryCollection', geometries: [multi] })).toHaveLength(2);
+    });
+
+    it('drops altitudes and rings too short to enclose anything', () => {
+      const polygon = { type: 'Polygon', coordinates: [outer.map(([lon, lat]) => [lon, lat, 250]), [[0, 0], [1, 1]]] };
+      expect(boundary.parseGeoJson(polygon)).toEqual([[outer]]);
+      expect(boundary.parseGeoJson({ type: 'Polygon', coordinates: [[[0, 0], [1, 1]]] })).toEqual([]);
+      expect(boundary.parseGeoJson(null)).toEqual([]);
+    });
+  });
+
+  describe('parseKml', () => {
+    it('reads outer and inner boundaries', () => {
+      expect(boundary.parseKml(kml)).toEqual([[outer, hole]]);
+    });
+
+    it('rejects malformed XML', () => {
+      expect(() => boundary.parseKml('<kml><Polygon>')).toThrow('Invalid KML');
+    });
+  });
+
+  describe('read', () => {
+    it('reads GeoJSON and .json files', async () => {
+      const file = new File([JSON.stringify(geojson)], 'ranch.geojson', { type: 'application/geo+json' });
+      expect(await boundary.read(file)).toEqual([[outer]]);
+    });
+
+    it('reads doc.kml from a KMZ archive', async () => {
+      const archive = zip({ 'files/readme.txt': 'hello', 'doc.kml': kml });
+      const file = new File([archive], 'ranch.kmz', { type: 'application/vnd.google-earth.kmz' });
+      expect(await boundary.read(file)).toEqual([[outer, hole]]);
+    });
+
+    it('rejects files without polygons or KMZs without KML', async () => {
+      const points = new File([JSON.stringify({ type: 'Point', coordinates: [0, 0] })], 'gate.json');
+      await expect(boundary.read(points)).rejects.toThrow('No polygons found');
+
+      const archive = new File([zip({ 'photo.txt': 'x' })], 'photos.kmz');
+      await expect(boundary.read(archive)).rejects.toThrow('No KML in archive');
+
+      await expect(boundary.read(new File(['not a zip'], 'broken.kmz'))).rejects.toThrow('Not a zip archive');
+    });
+  });
+
+  describe('area', () => {
+    it('matches the spherical area of a lat/lon box', () => {
+      const radius = 6378137;
+      const toRadians = (degrees) => (degrees * Math.PI) / 180;
+      const expected = radius * radius * toRadians(0.01) *
+        (Math.sin(toRadians(30.51)) - Math.sin(toRadians(30.5))) / 4046.8564224;
+
+      expect(boundary.area([[outer]])).toBeCloseTo(expected, 6);
+      // About 1.11 km × 0.96 km
+      expect(boundary.area([[outer]])).toBeCloseTo(263.8, 0);
+    });
+
+    it('subtracts holes and adds separate polygons', () => {
+      const whole = boundary.area([[outer]]);
+      const cut = boundary.area([[hole]]);
+
+      expect(boundary.area([[outer, hole]])).toBeCloseTo(whole - cut, 6);
+      expect(boundary.area([[outer], [hole]])).toBeCloseTo(whole + cut, 6);
+    });
+
+    it('ignores ring orientation', () => {
+      expect(boundary.area([[[...outer].reverse()]])).toBeCloseTo(boundary.area([[outer]]), 6);
+    });
+  });
+
+  describe('centroid', () => {
+    it('finds the middle of a square', () => {
+      const point = boundary.centroid([[outer]]);
+      expect(point.lat).toBeCloseTo(30.505, 6);
+      expect(point.lon).toBeCloseTo(-97.995, 6);
+    });
+
+    it('shifts away from holes', () => {
+      const offCenter = [[-97.999, 30.501], [-97.997, 30.501], [-97.997, 30.503], [-97.999, 30.503], [-97.999, 30.501]];
+      const point = boundary.centroid([[outer, offCenter]]);
+
+      expect(point.lat).toBeGreaterThan(30.505);
+      expect(point.lon).toBeGreaterThan(-97.995);
+    });
+
+    it('formats the centroid with the configured precision', () => {
+      expect(boundary.formatCentroid({ lat: 30.505, lon: -97.995 }))
+        .toBe(`30.${'505'.padEnd(config.boundary.precision, '0')}, -97.${'995'.padEnd(config.boundary.precision, '0')}`);
+    });
+  });
+
+  describe('perimeter', () => {
+    it('adds up every edge, closing open rings', () => {
+      // 0.01° of latitude is about 1112 m and 0.01° of longitude at 30.5°N about 958 m
+      expect(boundary.perimeter([[outer]])).toBeCloseTo(4140, -1);
+      expect(boundary.perimeter([[outer.slice(0, -1)]])).toBeCloseTo(boundary.perimeter([[outer]]), 6);
+      expect(boundary.perimeter([[outer, hole]])).toBeGreaterThan(boundary.perimeter([[outer]]));
+    });
+  });
+
+  describe('applyMeasurements', () => {
+    const targets = { acres: 'boundary-acres', centroid: 'boundary-centroid', size: 'property-size' };
+
+    it('fills the fields and picks the matching property size', () => {
+      boundary.applyMeasurements(targets, { acres: 12.5, centroid: '30.50500, -97.99500' });
+
+      expect(document.getElementById('boundary-acres').value).toBe('12.5');
+      expect(document.getElementById('boundary-centroid').value).toBe('30.50500, -97.99500');
+      expect(document.getElementById('property-size').value).toBe('10-50-acres');
+    });
+
+    it('clears the measurements but keeps the property size', () => {
+      boundary.applyMeasurements(targets, { acres: 12.5, centroid: '30.50500, -97.99500' });
+      boundary.applyMeasurements(targets, null);
+
+      expect(document.getElementById('boundary-acres').value).toBe('');
+      expect(document.getElementById('boundary-centroid').value).toBe('');
+      expect(document.getElementById('property-size').value).toBe('10-50-acres');
+    });
+  });
+
+  describe('renderPreview', () => {
+    it('draws each ring north up inside the view box', () => {
+      const svg = boundary.renderPreview([[outer, hole]], { lat: 30.505, lon: -97.995 });
+      const path = svg.querySelector('.boundary-outline').getAttribute('d');
+
+      expect(svg.getAttribute('aria-label')).toBe('Property outline');
+      expect(path.match(/M/g)).toHaveLength(2);
+      expect(path).toMatch(/^M\d+\.\d 190\.0 /);
+      expect(svg.querySelector('.boundary-centroid').getAttribute('cx')).toBe('100.0');
+    });
+  });
+
+  describe('upload', () => {
+    const upload = async (file) => {
+      const result = document.querySelector('.boundary-result');
+      const before = result.firstElementChild;
+      const input = document.getElementById('boundary-file');
+      Object.defineProperty(input, 'files', { value: [file], configurable: true });
+      input.dispatchEvent(new dom.window.Event('change'));
+      await vi.waitFor(() => expect(result.firstElementChild).not.toBe(before));
+    };
+
+    beforeEach(() => {
+      boundary.init();
+    });
+
+    it('shows the outline and fills acreage, centroid and size', async () => {
+      const sizeChange = vi.fn();
+      document.getElementById('property-size').addEventListener('change', sizeChange);
+
+      await upload(new File([kml], 'ranch.kml'));
+
+      const acres = Math.round(boundary.area([[outer, hole]]) * 10) / 10;
+      expect(document.querySelector('.boundary-preview')).not.toBeNull();
+      expect(document.querySelector('.boundary-summary').textContent)
+        .toBe(`${acres} acres, centered on ${document.getElementById('boundary-centroid').value}`);
+      expect(document.getElementById('boundary-acres').value).toBe(String(acres));
+      expect(document.getElementById('boundary-centroid').value).toMatch(/^30\.505\d*, -97\.995\d*$/);
+      expect(document.getElementById('property-size').value).toBe('200-plus-acres');
+      expect(sizeChange).toHaveBeenCalled();
+    });
+
+    it('rejects unsupported and oversized files without reading them', async () => {
+      const readSpy = vi.spyOn(boundary, 'read');
+
+      await upload(new File(['x'], 'site.pdf'));
+      expect(document.querySelector('.boundary-result').textContent)
+        .toBe('site.pdf isn’t a supported file. Please attach KML, KMZ, GEOJSON, JSON.');
+
+      const big = new File(['x'], 'huge.kml');
+      Object.defineProperty(big, 'size', { value: config.boundary.maxFileBytes + 1 });
+      await upload(big);
+      expect(document.querySelector('.boundary-result').textContent).toContain('huge.kml is too large.');
+      expect(readSpy).not.toHaveBeenCalled();
+    });
+
+    it('explains files without an outline and clears earlier results', async () => {
+      await upload(new File([kml], 'ranch.kml'));
+      await upload(new File(['{"type":"Point","coordinates":[0,0]}'], 'gate.geojson'));
+
+      const result = document.querySelector('.boundary-result');
+      expect(result.classList.contains('boundary-error')).toBe(true);
+      expect(result.textContent).toContain('We couldn’t find a property outline in gate.geojson.');
+      expect(document.getElementById('boundary-acres').value).toBe('');
+      expect(document.getElementById('boundary-centroid').value).toBe('');
+    });
+
+    it('clears the result when the file is removed or the form is reset', async () => {
+      const input = document.getElementById('boundary-file');
+      await upload(new File([kml], 'ranch.kml'));
+      Object.defineProperty(input, 'files', { value: [], configurable: true });
+      input.dispatchEvent(new dom.window.Event('change'));
+
+      expect(document.querySelector('.boundary-result').children).toHaveLength(0);
+      expect(document.getElementById('boundary-acres').value).toBe('');
+
+      await upload(new File([kml], 'ranch.kml'));
+      document.querySelector('form').reset();
+
+      expect(document.querySelector('.boundary-result').children).toHaveLength(0);
+      expect(document.getElementById('boundary-centroid').value).toBe('');
+    });
+  });
+
+  describe('language change', () => {
+    const upload = async (file) => {
+      const result = document.querySelector('.boundary-result');
+      const input = document.getElementById('boundary-file');
+      Object.defineProperty(input, 'files', { value: [file], configurable: true });
+      input.dispatchEvent(new dom.window.Event('change'));
+      await vi.waitFor(() => expect(result.children.length).toBeGreaterThan(0));
+    };
+
+    const switchTo = (locale) => {
+      i18n.locale = locale;
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+    };
+
+    beforeEach(() => {
+      boundary.init();
+    });
+
+    afterEach(() => {
+      i18n.locale = 'en';
+    });
+
+    it('shows the summary and preview label in the new language', async () => {
+      await upload(new File([kml], 'ranch.kml'));
+      const centroid = document.getElementById('boundary-centroid').value;
+
+      switchTo('es');
+
+      expect(document.querySelector('.boundary-summary').textContent).toContain(`con centro en ${centroid}`);
+      expect(document.querySelector('.boundary-preview').getAttribute('aria-label')).toBe('Contorno de la propiedad');
+    });
+
+    it('shows errors in the new language', async () => {
+      await upload(new File(['{"type":"Point","coordinates":[0,0]}'], 'gate.geojson'));
+
+      switchTo('es');
+
+      const result = document.querySelector('.boundary-result');
+      expect(result.classList.contains('boundary-error')).toBe(true);
+      expect(result.textContent).toContain('No encontramos el contorno de una propiedad en gate.geojson.');
+    });
+
+    it('leaves cleared results empty', async () => {
+      await upload(new File([kml], 'ranch.kml'));
+      document.querySelector('form').reset();
+
+      switchTo('es');
+
+      expect(document.querySelector('.boundary-result').children).toHaveLength(0);
+    });
+  });
+
+  it('skips containers without a file input', () => {
+    document.getElementById('boundary-file').remove();
+    expect(() => boundary.init()).not.toThrow();
+    expect(document.querySelector('.boundary-result')).toBeNull();
+  });
+});
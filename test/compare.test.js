@@ -0,0 +1,214 @@
+/**
+ * Unit tests for compare.js module
+ * Tests building the slider, moving the divider by pointer and keyboard, lazy loading and cloning
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { compare } from '../assets/js/modules/compare.js';
+import { lazyLoading } from '../assets/js/modules/lazy-loading.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Compare Module', () => {
+  let dom;
+  let document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="roof" data-compare>
+            <img data-src="roof-before.jpg" alt="Roof before the storm">
+            <img data-src="roof-after.jpg" alt="Roof after the storm">
+          </div>
+          <div id="site" data-compare data-compare-position="30" data-compare-before="March"
+               data-compare-after="June" data-compare-label="Site progress, March to June">
+            <img src="site-march.jpg" alt="Site in March">
+            <img src="site-june.jpg" alt="Site in June">
+          </div>
+          <div id="single" data-compare><img src="only.jpg" alt="Only one"></div>
+        </body>
+      </html>
+    `, { url: 'http://localhost' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  const roof = () => document.getElementById('roof');
+  const site = () => document.getElementById('site');
+  const handle = (container) => container.querySelector('.compare-handle');
+
+  const pointer = (type, target, x, options = {}) => {
+    target.dispatchEvent(new dom.window.MouseEvent(type, { clientX: x, bubbles: true, cancelable: true, ...options }));
+  };
+
+  const press = (target, key) => {
+    const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  // 400px wide, starting 100px from the left of the viewport
+  const size = (container) => {
+    container.getBoundingClientRect = () => ({ left: 100, top: 0, width: 400, height: 300 });
+  };
+
+  describe('init', () => {
+    it('builds an accessible slider for each pair of images', () => {
+      vi.spyOn(lazyLoading, 'observe').mockImplementation(() => {});
+      compare.init();
+
+      const slider = handle(roof());
+      expect(roof().classList.contains('compare')).toBe(true);
+      expect(roof().querySelector('img').classList.contains('compare-before')).toBe(true);
+      expect(slider.getAttribute('role')).toBe('slider');
+      expect(slider.getAttribute('tabindex')).toBe('0');
+      expect(slider.getAttribute('aria-label')).toBe('Before and after comparison');
+      expect(slider.getAttribute('aria-valuenow')).toBe(String(config.compare.start));
+      expect(slider.getAttribute('aria-valuetext')).toBe('50% before, 50% after');
+      expect(roof().style.getPropertyValue('--compare-position')).toBe('50%');
+      expect(roof().querySelector('.compare-tag-before').textContent).toBe('Before');
+
+      expect(document.querySelector('#single .compare-handle')).toBeNull();
+      expect(compare.getPosition(document.getElementById('single'))).toBeNull();
+    });
+
+    it('uses the starting position and labels from the markup', () => {
+      vi.spyOn(lazyLoading, 'observe').mockImplementation(() => {});
+      compare.init();
+
+      expect(compare.getPosition(site())).toBe(30);
+      expect(handle(site()).getAttribute('aria-label')).toBe('Site progress, March to June');
+      expect(site().querySelector('.compare-tag-before').textContent).toBe('March');
+      expect(site().querySelector('.compare-tag-after').textContent).toBe('June');
+    });
+
+    it('lazy-loads both images of each slider', () => {
+      const observe = vi.spyOn(lazyLoading, 'observe').mockImplementation(() => {});
+      compare.init();
+
+      expect(observe).toHaveBeenCalledTimes(2);
+      expect(observe.mock.calls[0][0].map(img => img.dataset.src)).toEqual(['roof-before.jpg', 'roof-after.jpg']);
+    });
+
+    it('builds each slider once', () => {
+      compare.setup(roof());
+      compare.setup(roof());
+      expect(roof().querySelectorAll('.compare-handle')).toHaveLength(1);
+    });
+
+    it('updates its labels when the language changes', () => {
+      vi.spyOn(lazyLoading, 'observe').mockImplementation(() => {});
+      compare.init();
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+      i18n.locale = 'en';
+
+      expect(handle(roof()).getAttribute('aria-label')).toBe('Comparación de antes y después');
+      expect(handle(roof()).getAttribute('aria-valuetext')).toBe('50 % antes, 50 % después');
+      expect(site().querySelector('.compare-tag-before').textContent).toBe('March');
+    });
+  });
+
+  describe('setPosition', () => {
+    it('clamps to 0-100 and rounds to a tenth', () => {
+      compare.setup(roof());
+
+      compare.setPosition(roof(), 33.333);
+      expect(compare.getPosition(roof())).toBe(33.3);
+      expect(handle(roof()).getAttribute('aria-valuenow')).toBe('33');
+
+      compare.setPosition(roof(), 140);
+      expect(compare.getPosition(roof())).toBe(100);
+      compare.setPosition(roof(), -5);
+      expect(compare.getPosition(roof())).toBe(0);
+      expect(handle(roof()).getAttribute('aria-valuetext')).toBe('0% before, 100% after');
+    });
+  });
+
+  describe('pointer', () => {
+    it('moves the divider to where the slider is pressed and dragged', () => {
+      compare.setup(roof());
+      size(roof());
+
+      pointer('pointerdown', roof().querySelector('img'), 200);
+      expect(compare.getPosition(roof())).toBe(25);
+      expect(roof().classList.contains('is-dragging')).toBe(true);
+      expect(document.activeElement).toBe(handle(roof()));
+
+      pointer('pointermove', roof(), 400);
+      expect(compare.getPosition(roof())).toBe(75);
+
+      pointer('pointermove', roof(), 900);
+      expect(compare.getPosition(roof())).toBe(100);
+
+      pointer('pointerup', roof(), 900);
+      pointer('pointermove', roof(), 100);
+      expect(compare.getPosition(roof())).toBe(100);
+      expect(roof().classList.contains('is-dragging')).toBe(false);
+    });
+
+    it('ignores other buttons and buttons placed in the slider', () => {
+      compare.setup(roof());
+      size(roof());
+      const button = document.createElement('button');
+      roof().append(button);
+
+      pointer('pointerdown', roof(), 200, { button: 2 });
+      pointer('pointerdown', button, 200);
+      pointer('pointermove', roof(), 200);
+      expect(compare.getPosition(roof())).toBe(50);
+    });
+  });
+
+  describe('keyboard', () => {
+    it('steps with the arrow and page keys and jumps with Home and End', () => {
+      compare.setup(roof());
+      const slider = handle(roof());
+      const { keyStep, keyStepLarge } = config.compare;
+
+      expect(press(slider, 'ArrowRight').defaultPrevented).toBe(true);
+      expect(compare.getPosition(roof())).toBe(50 + keyStep);
+      press(slider, 'ArrowDown');
+      press(slider, 'ArrowLeft');
+      expect(compare.getPosition(roof())).toBe(50 - keyStep);
+      press(slider, 'PageUp');
+      expect(compare.getPosition(roof())).toBe(50 - keyStep + keyStepLarge);
+
+      press(slider, 'Home');
+      expect(compare.getPosition(roof())).toBe(0);
+      press(slider, 'ArrowLeft');
+      expect(compare.getPosition(roof())).toBe(0);
+      press(slider, 'End');
+      expect(compare.getPosition(roof())).toBe(100);
+
+      expect(press(slider, 'Enter').defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('clone', () => {
+    it('copies the images, labels and position with the images loaded', () => {
+      compare.setup(roof());
+      compare.setup(site());
+      compare.setPosition(site(), 64);
+
+      const copy = compare.clone(site());
+      expect(compare.getPosition(copy)).toBe(64);
+      expect(copy.querySelector('.compare-tag-after').textContent).toBe('June');
+      expect(copy.querySelector('.compare-handle').getAttribute('aria-label')).toBe('Site progress, March to June');
+
+      const lazy = compare.clone(roof());
+      expect(compare.getImages(lazy).map(img => img.getAttribute('src'))).toEqual(['roof-before.jpg', 'roof-after.jpg']);
+      expect(compare.getImages(lazy)[1].alt).toBe('Roof after the storm');
+    });
+  });
+});
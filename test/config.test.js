@@ -4,6 +4,8 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
 import { config } from '../assets/js/modules/config.js';
 
 describe('Config Module', () => {
@@ -116,13 +118,20 @@ describe('Config Module', () => {
       expect(config.validation.nameMaxLength).toBe(100);
     });
 
-    it('has error messages defined', () => {
-      expect(config.validation.messages.required).toBeDefined();
-      expect(config.validation.messages.invalidEmail).toBeDefined();
-      expect(config.validation.messages.invalidPhone).toBeDefined();
-      expect(config.validation.messages.invalidName).toBeDefined();
-      expect(config.validation.messages.tooShort).toBeDefined();
-      expect(config.validation.messages.tooLong).toBeDefined();
+    it('has async validation timeout defined', () => {
+      expect(config.validation.asyncTimeout).toBeGreaterThan(0);
+    });
+
+    it('has email suggestion settings defined', () => {
+      expect(config.validation.emailSuggestion.maxDistance).toBeGreaterThan(0);
+    });
+
+    it('has a rule schema for the contact form', () => {
+      const schema = config.validation.schemas['contact-form'];
+      expect(schema.name).toBe('name');
+      expect(schema.phone).toBe('phoneStrict');
+      expect(typeof schema.location).toBe('string');
+      expect(typeof schema.details).toBe('string');
     });
 
     it('email pattern matches valid emails', () => {
@@ -166,6 +175,156 @@ describe('Config Module', () => {
     });
   });
 
+  describe('rateLimit configuration', () => {
+    it('allows a few submissions per window', () => {
+      expect(config.rateLimit.maxSubmissions).toBeGreaterThan(0);
+      expect(config.rateLimit.windowMs).toBeGreaterThan(0);
+    });
+
+    it('has a policy for the contact form', () => {
+      expect(config.rateLimit.policies['contact-form'].maxSubmissions).toBeGreaterThan(0);
+    });
+  });
+
+  describe('antiSpam configuration', () => {
+    it('asks for a modest proof of work that stays valid long enough to fill the form', () => {
+      expect(config.antiSpam.bits).toBeGreaterThan(0);
+      expect(config.antiSpam.bits).toBeLessThanOrEqual(24);
+      expect(config.antiSpam.maxAgeMs).toBeGreaterThan(config.antiSpam.solveTimeout);
+    });
+
+    it('lets a stamp be used well before it expires', () => {
+      expect(config.antiSpam.minElapsedMs).toBeGreaterThan(0);
+      expect(config.antiSpam.minElapsedMs).toBeLessThan(config.antiSpam.maxAgeMs);
+    });
+
+    it('lists the relay the contact form posts to, and lets the page reach it', () => {
+      const contact = readFileSync(resolve(process.cwd(), 'contact.html'), 'utf8');
+      const action = contact.match(/<form action="([^"]+)"[^>]*name="contact-form"/)[1];
+      const csp = readFileSync(resolve(process.cwd(), '_headers'), 'utf8').match(/Content-Security-Policy: (.*)/)[1];
+      const origin = new URL(config.antiSpam.relayUrls[0]).origin;
+
+      expect(action.startsWith(config.antiSpam.relayUrls[0])).toBe(true);
+      expect(csp).toMatch(new RegExp(`connect-src [^;]*${origin}`));
+      expect(csp).toMatch(new RegExp(`form-action [^;]*${origin}`));
+    });
+  });
+
+  describe('submission configuration', () => {
+    it('has request timeout defined', () => {
+      expect(config.submission.timeout).toBeGreaterThan(0);
+    });
+  });
+
+  describe('drafts configuration', () => {
+    it('has timings defined', () => {
+      expect(config.drafts.saveDelay).toBeGreaterThan(0);
+      expect(config.drafts.maxAgeMs).toBeGreaterThan(config.drafts.saveDelay);
+    });
+  });
+
+  describe('i18n configuration', () => {
+    it('defaults to a bundled locale', () => {
+      expect(config.i18n.defaultLocale).toBe('en');
+      expect(config.i18n.storageKey).toBeDefined();
+    });
+  });
+
+  describe('phone configuration', () => {
+    it('has a numeric country code and a field suffix', () => {
+      expect(config.phone.countryCode).toMatch(/^[1-9]\d{0,2}$/);
+      expect(config.phone.e164Suffix).toMatch(/^_/);
+    });
+  });
+
+  describe('boundary configuration', () => {
+    it('accepts KML, KMZ and GeoJSON within a size limit', () => {
+      expect(config.boundary.types).toEqual(expect.arrayContaining(['kml', 'kmz', 'geojson']));
+      expect(config.boundary.maxFileBytes).toBeGreaterThan(0);
+      expect(Number.isInteger(config.boundary.precision)).toBe(true);
+    });
+  });
+
+  describe('site drawing configuration', () => {
+    it('draws a grid finer than its span', () => {
+      expect(config.siteDraw.gridLines).toBeGreaterThan(1);
+      expect(config.siteDraw.minSpanMeters).toBeLessThanOrEqual(config.siteDraw.spanMeters);
+      expect(config.siteDraw.maxSpanMeters).toBeGreaterThan(config.siteDraw.spanMeters);
+      expect(config.siteDraw.width).toBeGreaterThan(0);
+      expect(config.siteDraw.keyStep).toBeLessThan(config.siteDraw.keyStepLarge);
+    });
+
+    it('fits the largest estimate on the widest grid', () => {
+      const maxSquareMeters = config.siteDraw.maxSpanMeters ** 2;
+      expect(maxSquareMeters / 4046.8564224).toBeGreaterThanOrEqual(config.estimator.maxAcres);
+    });
+  });
+
+  describe('booking configuration', () => {
+    it('books after the lead time and within the horizon', () => {
+      expect(config.booking.leadDays).toBeGreaterThanOrEqual(0);
+      expect(config.booking.maxDays).toBeGreaterThan(config.booking.leadDays);
+      expect(() => new Intl.DateTimeFormat('en-US', { timeZone: config.booking.timeZone })).not.toThrow();
+    });
+
+    it('defines windows with unique ids and valid times', () => {
+      const time = /^(\d{1,2}:\d{2}|(sunrise|sunset)([+-]\d+)?)$/;
+      const ids = config.booking.windows.map(({ id }) => id);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      config.booking.windows.forEach(({ start, end }) => {
+        expect(start).toMatch(time);
+        expect(end).toMatch(time);
+      });
+    });
+  });
+
+  describe('attachments configuration', () => {
+    it('allows the documented file types', () => {
+      expect(Object.keys(config.attachments.types)).toEqual(['pdf', 'jpg', 'jpeg', 'png', 'kml', 'kmz']);
+    });
+
+    it('keeps the per-file limit within the combined limit', () => {
+      expect(config.attachments.maxFileBytes).toBeLessThanOrEqual(config.attachments.maxTotalBytes);
+      expect(config.attachments.imageQuality).toBeGreaterThan(0);
+      expect(config.attachments.imageQuality).toBeLessThanOrEqual(1);
+    });
+  });
+
+  describe('estimator configuration', () => {
+    it('prices every service page', () => {
+      ['real-estate', 'construction', 'inspections', 'ranch-farm', 'mapping', 'events'].forEach(service => {
+        expect(config.estimator.pricing[service]).toMatchObject({
+          base: expect.any(Number),
+          includedAcres: expect.any(Number),
+          perAcre: expect.any(Number),
+        });
+      });
+    });
+
+    it('has property sizes ending with an open-ended bucket', () => {
+      const sizes = config.estimator.propertySizes;
+      expect(sizes[sizes.length - 1].maxAcres).toBe(Infinity);
+    });
+  });
+
+  describe('serviceArea configuration', () => {
+    it('has a base location', () => {
+      expect(config.serviceArea.base).toMatchObject({ lat: expect.any(Number), lon: expect.any(Number) });
+    });
+
+    it('has fee tiers in ascending distance order', () => {
+      const distances = config.serviceArea.feeTiers.map(tier => tier.maxMiles);
+      expect(distances).toEqual([...distances].sort((a, b) => a - b));
+    });
+  });
+
+  describe('airspace configuration', () => {
+    it('waits for a pause in typing before checking', () => {
+      expect(config.airspace.inputDelay).toBeGreaterThan(0);
+    });
+  });
+
   describe('analytics configuration', () => {
     it('has Google Analytics ID', () => {
       expect(config.analytics.googleId).toBeDefined();
@@ -206,6 +365,34 @@ describe('Config Module', () => {
     it('has close on escape enabled', () => {
       expect(config.lightbox.closeOnEscape).toBe(true);
     });
+
+    it('zooms in from 1x with a double-tap inside the limit', () => {
+      expect(config.lightbox.zoomStep).toBeGreaterThan(1);
+      expect(config.lightbox.doubleTapZoom).toBeGreaterThan(1);
+      expect(config.lightbox.doubleTapZoom).toBeLessThanOrEqual(config.lightbox.maxZoom);
+    });
+  });
+
+  describe('panorama configuration', () => {
+    it('starts within the allowed field of view', () => {
+      expect(config.panorama.fov).toBeGreaterThanOrEqual(config.panorama.minFov);
+      expect(config.panorama.fov).toBeLessThanOrEqual(config.panorama.maxFov);
+    });
+
+    it('embeds videos from a host the CSP allows', () => {
+      expect(new URL(config.lightbox.youtubeEmbed).origin).toBe('https://www.youtube.com');
+    });
+  });
+
+  describe('compare configuration', () => {
+    it('starts the divider inside the slider', () => {
+      expect(config.compare.start).toBeGreaterThanOrEqual(0);
+      expect(config.compare.start).toBeLessThanOrEqual(100);
+    });
+
+    it('takes larger steps with Page Up/Down than with the arrow keys', () => {
+      expect(config.compare.keyStepLarge).toBeGreaterThan(config.compare.keyStep);
+    });
   });
 
   describe('smoothScroll configuration', () => {
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for email-suggest.js module
+ * Tests edit distance and domain/TLD suggestions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { emailSuggest } from '../assets/js/modules/email-suggest.js';
+import { emailDomains } from '../assets/js/data/email-domains.js';
+
+describe('Email Suggest Module', () => {
+  describe('distance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      expect(emailSuggest.distance('gmail.com', 'gmail.com')).toBe(0);
+      expect(emailSuggest.distance('gmai.com', 'gmail.com')).toBe(1);
+      expect(emailSuggest.distance('gmaill.com', 'gmail.com')).toBe(1);
+      expect(emailSuggest.distance('gnail.com', 'gmail.com')).toBe(1);
+      expect(emailSuggest.distance('', 'com')).toBe(3);
+    });
+
+    it('counts a swap of neighbouring letters as one edit', () => {
+      expect(emailSuggest.distance('gmial.com', 'gmail.com')).toBe(1);
+      expect(emailSuggest.distance('cmo', 'com')).toBe(1);
+    });
+  });
+
+  describe('suggest', () => {
+    it('corrects common provider typos', () => {
+      expect(emailSuggest.suggest('jane@gmial.com')).toBe('jane@gmail.com');
+      expect(emailSuggest.suggest('jane@yahoo.con')).toBe('jane@yahoo.com');
+      expect(emailSuggest.suggest('jane@hotmal.com')).toBe('jane@hotmail.com');
+      expect(emailSuggest.suggest('jane@outlok.com')).toBe('jane@outlook.com');
+    });
+
+    it('keeps the local part as typed and lowercases the domain', () => {
+      expect(emailSuggest.suggest(' Jane.Doe+quote@GMAIL.CMO ')).toBe('Jane.Doe+quote@gmail.com');
+    });
+
+    it('corrects the TLD of unknown domains', () => {
+      expect(emailSuggest.suggest('jane@example.con')).toBe('jane@example.com');
+      expect(emailSuggest.suggest('jane@ranch.example.ogr')).toBe('jane@ranch.example.org');
+    });
+
+    it('leaves known providers and plausible domains alone', () => {
+      emailDomains.providers.forEach(domain => {
+        expect(emailSuggest.suggest(`jane@${domain}`)).toBeNull();
+      });
+      expect(emailSuggest.suggest('jane@secondsightsolutions.com')).toBeNull();
+      expect(emailSuggest.suggest('jane@utexas.edu')).toBeNull();
+    });
+
+    it('leaves real domains close to short provider names alone', () => {
+      ['ibm.com', 'hp.com', 'att.com', 'abc.com', 'acme.com', 'aig.com', 'ms.com'].forEach(domain => {
+        expect(emailSuggest.suggest(`jane@${domain}`)).toBeNull();
+      });
+      expect(emailSuggest.suggest('jane@aol.con')).toBe('jane@aol.com');
+    });
+
+    it('keeps a provider\'s valid country domain', () => {
+      ['live.ca', 'yahoo.ca', 'gmail.de', 'hotmail.fr', 'yahoo.com.au'].forEach(domain => {
+        expect(emailSuggest.suggest(`jane@${domain}`)).toBeNull();
+      });
+      expect(emailSuggest.suggest('jane@yaho.co.uk')).toBe('jane@yahoo.co.uk');
+    });
+
+    it('returns null without a usable domain', () => {
+      expect(emailSuggest.suggest('')).toBeNull();
+      expect(emailSuggest.suggest('jane')).toBeNull();
+      expect(emailSuggest.suggest('@gmial.com')).toBeNull();
+      expect(emailSuggest.suggest('jane@')).toBeNull();
+      expect(emailSuggest.suggest('jane@localhostx')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for form-drafts.js module
+ * Tests draft saving, the restore banner, expiry and clearing
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { formDrafts } from '../assets/js/modules/form-drafts.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Form Drafts Module', () => {
+  let dom;
+  let document;
+  let form;
+  let mockLocalStorage;
+
+  const KEY = 'sss_draft:contact-form';
+  const stored = () => JSON.parse(mockLocalStorage.store[KEY] || 'null');
+  const banner = () => document.querySelector('.draft-banner');
+  const type = (selector, value) => {
+    const field = form.querySelector(selector);
+    field.value = value;
+    field.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+  };
+  const storeDraft = (values, ageMs = 5 * 60 * 1000) => {
+    mockLocalStorage.store[KEY] = JSON.stringify({ savedAt: Date.now() - ageMs, values });
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div class="card">
+            <form name="contact-form" data-autosave>
+              <input type="hidden" name="_subject" value="New Quote Request">
+              <input type="text" name="_gotcha">
+              <label><input type="radio" name="service" value="mapping"> Mapping</label>
+              <label><input type="radio" name="service" value="events"> Events</label>
+              <label><input type="checkbox" name="deliverables[]" value="photo"> Photos</label>
+              <label><input type="checkbox" name="deliverables[]" value="video"> Video</label>
+              <input type="text" id="name" name="name">
+              <input type="text" name="card" autocomplete="cc-number">
+              <input type="text" name="secret" data-no-autosave>
+              <textarea id="details" name="details"></textarea>
+              <button type="submit">Send</button>
+            </form>
+          </div>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    form = document.querySelector('form');
+
+    mockLocalStorage = {
+      store: {},
+      getItem: vi.fn((key) => mockLocalStorage.store[key] || null),
+      setItem: vi.fn((key, value) => { mockLocalStorage.store[key] = value; }),
+      removeItem: vi.fn((key) => { delete mockLocalStorage.store[key]; }),
+    };
+
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('localStorage', mockLocalStorage);
+    vi.stubGlobal('Event', dom.window.Event);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('serialize', () => {
+    it('skips hidden, honeypot and sensitive fields', () => {
+      form.querySelector('[value="events"]').checked = true;
+      form.querySelector('[value="video"]').checked = true;
+      form.querySelector('[name="_gotcha"]').value = 'bot';
+      form.querySelector('[name="card"]').value = '4111111111111111';
+      form.querySelector('[name="secret"]').value = 'shh';
+      form.querySelector('#details').value = 'Roof survey';
+
+      expect(formDrafts.serialize(form)).toEqual({
+        service: 'events',
+        'deliverables[]': ['video'],
+        name: '',
+        details: 'Roof survey',
+      });
+    });
+  });
+
+  describe('autosave', () => {
+    beforeEach(() => {
+      formDrafts.init();
+    });
+
+    it('saves after a pause in typing', () => {
+      type('#details', 'Survey of 40 acres');
+      expect(stored()).toBeNull();
+
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+
+      expect(stored().values.details).toBe('Survey of 40 acres');
+      expect(stored().savedAt).toBe(Date.now());
+    });
+
+    it('removes the draft once every field is empty again', () => {
+      type('#details', 'Survey');
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+      type('#details', '');
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+
+      expect(stored()).toBeNull();
+    });
+
+    it('clears the draft after a confirmed submission', () => {
+      type('#details', 'Survey');
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+
+      form.dispatchEvent(new dom.window.CustomEvent('form:success'));
+
+      expect(stored()).toBeNull();
+    });
+
+    it('does not bring a cleared draft back from a pending save', () => {
+      type('#details', 'Survey');
+      form.dispatchEvent(new dom.window.CustomEvent('form:success'));
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+
+      expect(stored()).toBeNull();
+    });
+  });
+
+  it('clears a queued draft once the offline queue sends it', () => {
+    storeDraft({ details: 'Survey' });
+    formDrafts.init();
+
+    document.dispatchEvent(new dom.window.CustomEvent('offline-queue:sent', {
+      detail: { entry: { id: 'q1', formName: 'contact-form' } },
+    }));
+
+    expect(stored()).toBeNull();
+  });
+
+  describe('restore banner', () => {
+    it('offers a saved draft without filling the form', () => {
+      storeDraft({ details: 'Survey' });
+      formDrafts.init();
+
+      expect(banner().textContent).toContain('You have an unsent draft from 5 minutes ago. Restore it?');
+      expect(banner().getAttribute('role')).toBe('region');
+      expect(banner().nextElementSibling).toBe(form);
+      expect(form.querySelector('#details').value).toBe('');
+    });
+
+    it('restores values, announces the restore and focuses the first field', () => {
+      storeDraft({ service: 'mapping', 'deliverables[]': ['photo', 'video'], name: 'Jane', details: 'Survey', _gotcha: 'bot' });
+      formDrafts.init();
+      const changed = vi.fn();
+      const restored = vi.fn();
+      form.addEventListener('change', changed);
+      form.addEventListener('draft:restored', restored);
+
+      banner().querySelector('.draft-restore').click();
+
+      expect(form.querySelector('[value="mapping"]').checked).toBe(true);
+      expect(form.querySelectorAll('[name="deliverables[]"]:checked')).toHaveLength(2);
+      expect(form.querySelector('#details').value).toBe('Survey');
+      expect(form.querySelector('[name="_gotcha"]').value).toBe('');
+      expect(changed).toHaveBeenCalledTimes(5);
+      expect(restored).toHaveBeenCalledTimes(1);
+      expect(banner()).toBeNull();
+      expect(document.activeElement).toBe(form.querySelector('[value="mapping"]'));
+    });
+
+    it('keeps the offered draft while the visitor types, until they choose', () => {
+      storeDraft({ details: 'Old draft' });
+      formDrafts.init();
+
+      type('#name', 'Jane');
+      vi.advanceTimersByTime(config.drafts.saveDelay);
+      // Reloading now would still offer the old draft
+      expect(stored().values).toEqual({ details: 'Old draft' });
+
+      banner().querySelector('.draft-restore').click();
+
+      expect(form.querySelector('#details').value).toBe('Old draft');
+      expect(stored().values).toMatchObject({ name: 'Jane', details: 'Old draft' });
+    });
+
+    it('discards the draft and keeps what was typed since', () => {
+      storeDraft({ details: 'Old draft' });
+      formDrafts.init();
+      form.querySelector('#name').value = 'Jane';
+
+      banner().querySelector('.draft-discard').click();
+
+      expect(banner()).toBeNull();
+      expect(form.querySelector('#details').value).toBe('');
+      expect(stored().values).toMatchObject({ name: 'Jane', details: '' });
+    });
+
+    it('drops expired drafts', () => {
+      storeDraft({ details: 'Survey' }, config.drafts.maxAgeMs + 1);
+      formDrafts.init();
+
+      expect(banner()).toBeNull();
+      expect(stored()).toBeNull();
+    });
+
+    it('ignores corrupt and empty drafts', () => {
+      mockLocalStorage.store[KEY] = '{broken';
+      formDrafts.init();
+      expect(banner()).toBeNull();
+
+      storeDraft({ details: '  ', 'deliverables[]': [] });
+      formDrafts.init();
+      expect(banner()).toBeNull();
+    });
+  });
+
+  describe('_formatAge', () => {
+    it('describes minutes, hours and days', () => {
+      expect(formDrafts._formatAge(10 * 1000)).toBe('1 minute ago');
+      expect(formDrafts._formatAge(3 * 60 * 60 * 1000)).toBe('3 hours ago');
+      expect(formDrafts._formatAge(26 * 60 * 60 * 1000)).toBe('yesterday');
+    });
+  });
+
+  it('survives unavailable storage', () => {
+    mockLocalStorage.getItem = vi.fn(() => { throw new Error('denied'); });
+    mockLocalStorage.setItem = vi.fn(() => { throw new Error('denied'); });
+    mockLocalStorage.removeItem = vi.fn(() => { throw new Error('denied'); });
+
+    expect(() => formDrafts.init()).not.toThrow();
+    type('#details', 'Survey');
+    expect(() => vi.advanceTimersByTime(config.drafts.saveDelay)).not.toThrow();
+  });
+});
@@ -18,15 +18,32 @@ vi.mock('../assets/js/modules/config.js', () => ({
       phoneMaxLength: 20,
       nameMinLength: 2,
       nameMaxLength: 100,
-      messages: {
-        required: 'This field is required',
-        invalidEmail: 'Please enter a valid email address',
-        invalidPhone: 'Please enter a valid phone number',
-        invalidName: 'Please enter a valid name (2-100 characters)',
-        tooShort: 'This field is too short',
-        tooLong: 'This field is too long',
+      asyncTimeout: 8000,
+      emailSuggestion: {
+        maxDistance: 2,
       },
     },
+    i18n: {
+      defaultLocale: 'en',
+      storageKey: 'sss_locale',
+    },
+    rateLimit: {
+      maxSubmissions: 3,
+      windowMs: 10 * 60 * 1000,
+      policies: {
+        newsletter: { maxSubmissions: 1, windowMs: 60 * 60 * 1000 },
+      },
+    },
+    antiSpam: {
+      bits: 8,
+      maxAgeMs: 60 * 60 * 1000,
+      solveTimeout: 1000,
+      minElapsedMs: 3000,
+      relayUrls: ['/'],
+    },
+    submission: {
+      timeout: 15000,
+    },
   },
 }));
 
@@ -41,11 +58,29 @@ vi.mock('../assets/js/modules/utils.js', () => ({
       const trimmed = phone.trim();
       return trimmed.length >= 10 && trimmed.length <= 20 && /^[\d\s\-\(\)\+]+$/.test(trimmed);
     },
+    isValidPhoneStrict: (phone) => {
+      if (!phone || typeof phone !== 'string') return false;
+      return /^\+?[1-9]\d{1,14}$/.test(phone.replace(/[\s\-\(\)]/g, ''));
+    },
+    isValidName: (name) => {
+      if (!name || typeof name !== 'string') return false;
+      return /^[\p{L}\s\-']{2,100}$/u.test(name.trim());
+    },
+  },
+}));
+
+vi.mock('../assets/js/modules/offline-queue.js', () => ({
+  offlineQueue: {
+    enqueue: vi.fn(() => null),
   },
 }));
 
 // Import after mocking
+const { offlineQueue } = await import('../assets/js/modules/offline-queue.js');
 const { formValidation, rateLimit } = await import('../assets/js/modules/form-validation.js');
+const { validationRules } = await import('../assets/js/modules/validation-rules.js');
+const { antiSpam } = await import('../assets/js/modules/anti-spam.js');
+const { i18n } = await import('../assets/js/modules/i18n.js');
 
 describe('Form Validation Module', () => {
   let dom;
@@ -201,6 +236,32 @@ describe('Form Validation Module', () => {
       
       expect(field.classList.contains('field-error')).toBe(false);
     });
+
+    it('shows error for invalid phone on blur', () => {
+      const field = document.querySelector('input[name="phone"]');
+      field.value = '555';
+      
+      formValidation._validateField(field);
+      
+      const errorMsg = field.nextElementSibling;
+      expect(errorMsg?.textContent).toBe('Please enter a valid phone number');
+    });
+
+    it('applies data-validate rules', () => {
+      const field = document.querySelector('input[name="name"]');
+      field.setAttribute('data-validate', 'name|maxlength:5');
+      
+      field.value = 'R2-D2';
+      expect(formValidation._validateField(field)).toBe(false);
+      expect(field.nextElementSibling.textContent).toBe('Please enter a valid name (2-100 characters)');
+      
+      field.value = 'Jonathan';
+      expect(formValidation._validateField(field)).toBe(false);
+      expect(field.nextElementSibling.textContent).toBe('Please keep this to 5 characters or fewer');
+      
+      field.value = 'Jon';
+      expect(formValidation._validateField(field)).toBe(true);
+    });
   });
 
   describe('_handleSubmit', () => {
@@ -241,6 +302,33 @@ describe('Form Validation Module', () => {
       expect(emailError?.classList.contains('error-message')).toBe(true);
     });
 
+    it('validates optional fields with rules on submit', () => {
+      const form = document.querySelector('#test-form');
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      document.querySelector('input[name="email"]').value = 'john@example.com';
+      document.querySelector('textarea[name="message"]').value = 'Test message';
+      const phoneField = document.querySelector('input[name="phone"]');
+      phoneField.value = 'call me';
+      
+      const event = new dom.window.Event('submit', { cancelable: true });
+      const preventDefaultSpy = vi.spyOn(event, 'preventDefault');
+      formValidation._handleSubmit(event, form);
+      
+      expect(preventDefaultSpy).toHaveBeenCalled();
+      expect(phoneField.classList.contains('field-error')).toBe(true);
+    });
+
+    it('focuses the first invalid field', () => {
+      const form = document.querySelector('#test-form');
+      const nameField = document.querySelector('input[name="name"]');
+      const focusSpy = vi.spyOn(nameField, 'focus');
+      
+      const event = new dom.window.Event('submit', { cancelable: true });
+      formValidation._handleSubmit(event, form);
+      
+      expect(focusSpy).toHaveBeenCalled();
+    });
+
     it('clears previous errors before validation', () => {
       const form = document.querySelector('#test-form');
       const field = document.querySelector('input[name="name"]');
@@ -259,6 +347,60 @@ describe('Form Validation Module', () => {
         .filter(e => e.textContent === 'Old error');
       expect(oldErrors.length).toBe(0);
     });
+    it('stamps the time since setup into an _elapsed field', () => {
+      const form = document.querySelector('#test-form');
+      const elapsed = document.createElement('input');
+      elapsed.type = 'hidden';
+      elapsed.name = '_elapsed';
+      form.append(elapsed);
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      document.querySelector('input[name="email"]').value = 'john@example.com';
+      document.querySelector('textarea[name="message"]').value = 'Test message';
+
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+      formValidation._setupFormValidation(form);
+      now.mockReturnValue(9500);
+      formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+
+      expect(elapsed.value).toBe('8500');
+      now.mockRestore();
+    });
+
+    it('leaves _elapsed empty while the form is still invalid', () => {
+      const form = document.querySelector('#test-form');
+      form.insertAdjacentHTML('beforeend', '<input type="hidden" name="_elapsed" value="">');
+      formValidation._setupFormValidation(form);
+
+      formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+
+      expect(form.querySelector('[name="_elapsed"]').value).toBe('');
+    });
+
+    it('holds a native submit until the proof-of-work stamp is ready', async () => {
+      const form = document.querySelector('#test-form');
+      form.insertAdjacentHTML('beforeend', '<input type="hidden" name="_pow" value="">');
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      document.querySelector('input[name="email"]').value = 'john@example.com';
+      document.querySelector('textarea[name="message"]').value = 'Test message';
+      let finish;
+      vi.spyOn(antiSpam, 'solve').mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+      const submitSpy = vi.spyOn(form, 'submit').mockImplementation(() => {});
+      formValidation._setupFormValidation(form);
+
+      const event = new dom.window.Event('submit', { cancelable: true });
+      const result = formValidation._handleSubmit(event, form);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(form.getAttribute('aria-busy')).toBe('true');
+      expect(submitSpy).not.toHaveBeenCalled();
+
+      finish('1:8:1000:test:ab:c');
+      await expect(result).resolves.toBe(true);
+      expect(form.querySelector('[name="_pow"]').value).toBe('1:8:1000:test:ab:c');
+      expect(form.hasAttribute('aria-busy')).toBe(false);
+      expect(submitSpy).toHaveBeenCalled();
+      vi.restoreAllMocks();
+    });
   });
 
   describe('_setupFormValidation', () => {
@@ -390,6 +532,33 @@ describe('Form Validation Module', () => {
       });
     });
 
+    describe('policies', () => {
+      it('keys each named form separately', () => {
+        const form = document.querySelector('#test-form');
+        expect(rateLimit.getPolicy(form)).toMatchObject({
+          name: 'test-form',
+          maxSubmissions: 3,
+          storageKey: 'sss_form_submissions:test-form',
+        });
+
+        form.setAttribute('name', 'newsletter');
+        expect(rateLimit.getPolicy(form)).toMatchObject({ name: 'newsletter', maxSubmissions: 1, windowMs: 60 * 60 * 1000 });
+        expect(rateLimit.getPolicy('newsletter').storageKey).toBe('sss_form_submissions:newsletter');
+      });
+
+      it('uses the shared default budget without a form', () => {
+        expect(rateLimit.getPolicy()).toMatchObject({ name: '', maxSubmissions: 3, storageKey: 'sss_form_submissions' });
+      });
+
+      it('does not let one form use up another form\'s budget', () => {
+        rateLimit.recordSubmission('newsletter');
+
+        expect(rateLimit.canSubmit('newsletter')).toBe(false);
+        expect(rateLimit.canSubmit('contact-form')).toBe(true);
+        expect(rateLimit.canSubmit()).toBe(true);
+      });
+    });
+
     describe('getRemainingTime', () => {
       it('returns 0 when no submissions', () => {
         expect(rateLimit.getRemainingTime()).toBe(0);
@@ -466,4 +635,799 @@ describe('Form Validation Module', () => {
       expect(errorMsg.getAttribute('aria-live')).toBe('assertive');
     });
   });
+
+  describe('rate limit countdown', () => {
+    let form;
+    let button;
+
+    const limit = (ageMs = 0) => {
+      const now = Date.now();
+      localStorage.setItem('sss_form_submissions:test-form', JSON.stringify([now - ageMs, now - ageMs, now - ageMs]));
+    };
+
+    const submit = () => {
+      const event = new dom.window.Event('submit', { cancelable: true });
+      formValidation._handleSubmit(event, form);
+      return event;
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.stubGlobal('localStorage', dom.window.localStorage);
+      form = document.querySelector('#test-form');
+      button = form.querySelector('[type="submit"]');
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('blocks submission and shows a live countdown', () => {
+      limit(60 * 1000);
+
+      expect(submit().defaultPrevented).toBe(true);
+
+      const message = form.querySelector('.rate-limit-message');
+      expect(message.textContent).toBe('Too many submissions. Please try again in 9:00.');
+      expect(message.querySelector('.rate-limit-countdown').getAttribute('aria-live')).toBe('off');
+
+      vi.advanceTimersByTime(5000);
+      expect(message.textContent).toBe('Too many submissions. Please try again in 8:55.');
+    });
+
+    it('disables the submit button and describes why', () => {
+      limit();
+      submit();
+
+      expect(button.disabled).toBe(true);
+      expect(button.getAttribute('aria-disabled')).toBe('true');
+      expect(button.getAttribute('aria-describedby')).toBe('test-form-rate-limit');
+      expect(document.getElementById('test-form-rate-limit')).not.toBeNull();
+    });
+
+    it('re-enables the button when the window expires', () => {
+      limit();
+      submit();
+
+      vi.advanceTimersByTime(10 * 60 * 1000);
+
+      expect(form.querySelector('.rate-limit-message')).toBeNull();
+      expect(button.disabled).toBe(false);
+      expect(button.hasAttribute('aria-disabled')).toBe(false);
+      expect(button.hasAttribute('aria-describedby')).toBe(false);
+    });
+
+    it('stays disabled when an earlier request finishes during the countdown', () => {
+      limit();
+      submit();
+      formValidation._setSubmitting(form, false);
+
+      expect(button.disabled).toBe(true);
+    });
+
+    it('keeps one countdown across repeated attempts', () => {
+      limit();
+      submit();
+      submit();
+
+      expect(form.querySelectorAll('.rate-limit-message')).toHaveLength(1);
+    });
+
+    it('starts on setup when the form is still limited from earlier', () => {
+      limit();
+      formValidation._setupFormValidation(form);
+
+      expect(form.querySelector('.rate-limit-countdown')).not.toBeNull();
+      expect(button.disabled).toBe(true);
+      expect(button.getAttribute('aria-disabled')).toBe('true');
+    });
+
+    it('formats the countdown as m:ss', () => {
+      expect(formValidation._formatCountdown(605)).toBe('10:05');
+      expect(formValidation._formatCountdown(9)).toBe('0:09');
+    });
+  });
+
+  describe('async validation', () => {
+    let resolveCheck;
+    let checkSpy;
+
+    beforeEach(() => {
+      formValidation.asyncValidations = new WeakMap();
+      checkSpy = vi.fn((value, param, field, signal) => new Promise((resolve, reject) => {
+        resolveCheck = resolve;
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      validationRules.registerAsync('serviceArea', checkSpy, 'Outside our service area');
+      document.querySelector('input[name="name"]').setAttribute('data-validate', 'serviceArea');
+    });
+
+    afterEach(() => {
+      delete validationRules.rules.serviceArea;
+      vi.restoreAllMocks();
+    });
+
+    const fillForm = () => {
+      document.querySelector('input[name="name"]').value = 'Burnet';
+      document.querySelector('input[name="email"]').value = 'john@example.com';
+      document.querySelector('textarea[name="message"]').value = 'Test message';
+    };
+
+    it('shows a pending state while the check runs on blur', async () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'Burnet';
+
+      formValidation._handleBlur(field);
+
+      expect(field.classList.contains('field-pending')).toBe(true);
+      expect(field.getAttribute('aria-busy')).toBe('true');
+
+      resolveCheck(true);
+      await formValidation.asyncValidations.get(field).promise;
+
+      expect(field.classList.contains('field-pending')).toBe(false);
+      expect(field.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('shows the rule message when the check fails', async () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'Amarillo';
+
+      formValidation._handleBlur(field);
+      resolveCheck(false);
+      const valid = await formValidation.asyncValidations.get(field).promise;
+
+      expect(valid).toBe(false);
+      expect(field.nextElementSibling.textContent).toBe('Outside our service area');
+    });
+
+    it('does not start async checks when sync rules fail', () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = '';
+
+      formValidation._handleBlur(field);
+
+      expect(checkSpy).not.toHaveBeenCalled();
+    });
+
+    it('cancels the pending check when the user keeps typing', async () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'Amarillo';
+      const promise = formValidation._runAsyncValidation(field);
+      const signal = checkSpy.mock.calls[0][3];
+
+      formValidation._cancelAsyncValidation(field);
+
+      expect(signal.aborted).toBe(true);
+      expect(field.classList.contains('field-pending')).toBe(false);
+      await expect(promise).resolves.toBeNull();
+      expect(field.classList.contains('field-error')).toBe(false);
+    });
+
+    it('reuses the in-flight check for an unchanged value', () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'Burnet';
+
+      const first = formValidation._runAsyncValidation(field);
+      const second = formValidation._runAsyncValidation(field);
+
+      expect(second).toBe(first);
+      expect(checkSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets the field pass when the check times out', async () => {
+      vi.useFakeTimers();
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'Burnet';
+
+      const promise = formValidation._runAsyncValidation(field);
+      vi.advanceTimersByTime(8000);
+      vi.useRealTimers();
+
+      await expect(promise).resolves.toBe(true);
+      expect(field.classList.contains('field-error')).toBe(false);
+    });
+
+    it('holds the submit until async checks pass, then submits', async () => {
+      const form = document.querySelector('#test-form');
+      const submitSpy = vi.spyOn(form, 'submit').mockImplementation(() => {});
+      const recordSpy = vi.spyOn(rateLimit, 'recordSubmission').mockImplementation(() => {});
+      vi.spyOn(rateLimit, 'canSubmit').mockReturnValue(true);
+      fillForm();
+
+      const event = new dom.window.Event('submit', { cancelable: true });
+      const pending = formValidation._handleSubmit(event, form);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(form.getAttribute('aria-busy')).toBe('true');
+      expect(submitSpy).not.toHaveBeenCalled();
+
+      resolveCheck(true);
+      await expect(pending).resolves.toBe(true);
+
+      expect(submitSpy).toHaveBeenCalled();
+      expect(recordSpy).toHaveBeenCalled();
+      expect(form.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('does not submit when an async check fails', async () => {
+      const form = document.querySelector('#test-form');
+      const submitSpy = vi.spyOn(form, 'submit').mockImplementation(() => {});
+      vi.spyOn(rateLimit, 'canSubmit').mockReturnValue(true);
+      fillForm();
+
+      const pending = formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+      resolveCheck(false);
+
+      await expect(pending).resolves.toBe(false);
+      expect(submitSpy).not.toHaveBeenCalled();
+      expect(document.querySelector('input[name="name"]').classList.contains('field-error')).toBe(true);
+    });
+
+    it('re-shows a settled async error on the next submit', async () => {
+      const form = document.querySelector('#test-form');
+      vi.spyOn(form, 'submit').mockImplementation(() => {});
+      vi.spyOn(rateLimit, 'canSubmit').mockReturnValue(true);
+      fillForm();
+      const field = document.querySelector('input[name="name"]');
+
+      formValidation._handleBlur(field);
+      resolveCheck(false);
+      await formValidation.asyncValidations.get(field).promise;
+
+      const result = await formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+
+      expect(result).toBe(false);
+      expect(checkSpy).toHaveBeenCalledTimes(1);
+      expect(field.nextElementSibling.textContent).toBe('Outside our service area');
+    });
+  });
+
+  describe('AJAX submission', () => {
+    let form;
+    let recordSpy;
+
+    const fillForm = () => {
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      document.querySelector('input[name="email"]').value = 'john@example.com';
+      document.querySelector('textarea[name="message"]').value = 'Test message';
+    };
+
+    const submit = () => {
+      const event = new dom.window.Event('submit', { cancelable: true });
+      const result = formValidation._handleSubmit(event, form);
+      return { event, result };
+    };
+
+    const jsonResponse = (status, body) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body,
+    });
+
+    beforeEach(() => {
+      form = document.querySelector('#test-form');
+      form.setAttribute('action', 'https://formspree.io/f/test');
+      form.setAttribute('method', 'post');
+      form.setAttribute('data-ajax', '');
+      vi.stubGlobal('FormData', dom.window.FormData);
+      vi.spyOn(rateLimit, 'canSubmit').mockReturnValue(true);
+      recordSpy = vi.spyOn(rateLimit, 'recordSubmission').mockImplementation(() => {});
+      fillForm();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('posts the serialized form with a JSON Accept header', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200, { ok: true }));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const { event, result } = submit();
+      await result;
+
+      expect(event.defaultPrevented).toBe(true);
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://formspree.io/f/test');
+      expect(options.method).toBe('POST');
+      expect(options.headers).toEqual({ Accept: 'application/json' });
+      expect(options.body.get('email')).toBe('john@example.com');
+    });
+
+    it('shows the success panel and records the submission on 2xx', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(200, { ok: true })));
+      const successListener = vi.fn();
+      form.addEventListener('form:success', successListener);
+
+      await expect(submit().result).resolves.toBe(true);
+
+      const panel = document.querySelector('.form-success');
+      expect(panel).not.toBeNull();
+      expect(panel.getAttribute('role')).toBe('status');
+      expect(panel.textContent).toContain('Request sent');
+      expect(form.hidden).toBe(true);
+      expect(recordSpy).toHaveBeenCalledTimes(1);
+      expect(successListener).toHaveBeenCalled();
+    });
+
+    it('maps endpoint field errors onto the fields', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(422, {
+        errors: [{ field: 'email', code: 'TYPE_EMAIL', message: 'should be an email' }],
+      })));
+      const emailField = document.querySelector('input[name="email"]');
+
+      await expect(submit().result).resolves.toBe(false);
+
+      expect(emailField.nextElementSibling.textContent).toBe('should be an email');
+      expect(form.querySelector('.error-summary a').textContent).toBe('should be an email');
+      expect(document.querySelector('.submission-error')).toBeNull();
+      expect(recordSpy).not.toHaveBeenCalled();
+      expect(form.hidden).toBe(false);
+    });
+
+    it('shows form-level errors that do not name a field', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(400, {
+        errors: [{ code: 'EMPTY', message: 'Form is empty' }],
+      })));
+
+      await submit().result;
+
+      expect(document.querySelector('.submission-error').textContent).toBe('Form is empty');
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    it('falls back to a generic message for unparseable errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => ({
+        ok: false,
+        status: 500,
+        json: async () => { throw new Error('not json'); },
+      })));
+
+      await submit().result;
+
+      expect(document.querySelector('.submission-error').textContent)
+        .toBe('Something went wrong sending your request. Please try again.');
+    });
+
+    it('shows a network error when the request fails and cannot be queued', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+      offlineQueue.enqueue.mockReturnValueOnce(null);
+
+      await expect(submit().result).resolves.toBe(false);
+
+      expect(document.querySelector('.submission-error').textContent).toContain('couldn’t reach the server');
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    it('queues the submission on network failure', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+      offlineQueue.enqueue.mockReturnValueOnce({ id: 'q123' });
+
+      await expect(submit().result).resolves.toBe(false);
+
+      expect(offlineQueue.enqueue).toHaveBeenCalledWith(form);
+      const panel = document.querySelector('.form-queued');
+      expect(panel).not.toBeNull();
+      expect(panel.dataset.queueId).toBe('q123');
+      expect(panel.textContent).toContain('Queued');
+      expect(form.hidden).toBe(true);
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    it('does not queue a submission that timed out', async () => {
+      vi.useFakeTimers();
+      vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      })));
+      offlineQueue.enqueue.mockClear();
+
+      const { result } = submit();
+      await vi.advanceTimersByTimeAsync(15000);
+      vi.useRealTimers();
+      await result;
+
+      expect(offlineQueue.enqueue).not.toHaveBeenCalled();
+      expect(document.querySelector('.submission-error')).not.toBeNull();
+    });
+
+    it('records the submission and updates the panel when the queue sends it', () => {
+      const panel = document.createElement('div');
+      panel.className = 'form-success form-queued';
+      panel.dataset.queueId = 'q123';
+      panel.innerHTML = '<h3></h3><p></p>';
+      document.body.append(panel);
+
+      formValidation._handleQueuedSent({ id: 'q123', formName: 'contact-form' });
+
+      expect(recordSpy).toHaveBeenCalledWith('contact-form');
+      expect(panel.classList.contains('form-queued')).toBe(false);
+      expect(panel.querySelector('h3').textContent).toBe('Request sent');
+    });
+
+    it('restores the form when the endpoint rejects a queued submission', async () => {
+      vi.stubGlobal('Event', dom.window.Event);
+      form.insertAdjacentHTML('beforeend', '<input type="checkbox" name="services" value="roof"><input type="checkbox" name="services" value="solar">');
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+      offlineQueue.enqueue.mockReturnValueOnce({ id: 'q123', formName: 'contact-form' });
+      await submit().result;
+      expect(form.elements.name.value).toBe('');
+
+      formValidation._handleQueuedFailed({
+        id: 'q123',
+        formName: 'contact-form',
+        fields: [['name', 'John Doe'], ['email', 'john@example.com'], ['services', 'solar'], ['_elapsed', '9000']],
+      }, {});
+
+      expect(document.querySelector('.form-queued')).toBeNull();
+      expect(form.hidden).toBe(false);
+      expect(form.elements.name.value).toBe('John Doe');
+      expect(form.elements.email.value).toBe('john@example.com');
+      expect(form.querySelector('[value="solar"]').checked).toBe(true);
+      expect(form.querySelector('[value="roof"]').checked).toBe(false);
+      expect(document.querySelector('.submission-error').textContent)
+        .toBe('Your saved request couldn’t be sent. Please check the details and send it again.');
+      expect(document.activeElement).toBe(form.querySelector('[type="submit"]'));
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    it('marks the rejected fields of a restored queued submission', async () => {
+      vi.stubGlobal('Event', dom.window.Event);
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+      offlineQueue.enqueue.mockReturnValueOnce({ id: 'q123', formName: 'contact-form' });
+      await submit().result;
+
+      formValidation._handleQueuedFailed(
+        { id: 'q123', formName: 'contact-form', fields: [['email', 'john@example']] },
+        { errors: [{ field: 'email', message: 'Email is invalid' }] },
+      );
+
+      expect(form.hidden).toBe(false);
+      expect(form.elements.email.value).toBe('john@example');
+      expect(form.elements.email.getAttribute('aria-invalid')).toBe('true');
+      expect(document.activeElement).toBe(form.elements.email);
+    });
+
+    it('records queued sends even without a panel on the page', () => {
+      formValidation._handleQueuedSent({ id: 'q999' });
+      expect(recordSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('disables the submit button while sending', async () => {
+      let resolveFetch;
+      vi.stubGlobal('fetch', vi.fn(() => new Promise(resolve => { resolveFetch = resolve; })));
+      const button = form.querySelector('[type="submit"]');
+
+      const { result } = submit();
+      await Promise.resolve();
+
+      expect(button.disabled).toBe(true);
+      expect(button.textContent).toBe('Sending…');
+      expect(form.getAttribute('aria-busy')).toBe('true');
+
+      resolveFetch(jsonResponse(500, {}));
+      await result;
+
+      expect(button.disabled).toBe(false);
+      expect(button.textContent).toBe('Submit');
+      expect(form.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('uses the native POST for forms without data-ajax', () => {
+      const fetchMock = vi.fn();
+      vi.stubGlobal('fetch', fetchMock);
+      form.removeAttribute('data-ajax');
+
+      const { event, result } = submit();
+
+      expect(result).toBeUndefined();
+      expect(event.defaultPrevented).toBe(false);
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(recordSpy).toHaveBeenCalled();
+    });
+
+    it('uses the native POST when fetch is unavailable', () => {
+      vi.stubGlobal('fetch', undefined);
+
+      const { event } = submit();
+
+      expect(event.defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('grouped fields', () => {
+    beforeEach(() => {
+      document.querySelector('#test-form').insertAdjacentHTML('afterbegin', `
+        <fieldset id="service-step">
+          <div class="choice-group">
+            <label><input type="radio" name="service" value="mapping" required> Mapping</label>
+            <label><input type="radio" name="service" value="events"> Events</label>
+          </div>
+        </fieldset>
+      `);
+    });
+
+    it('validates a radio group once', () => {
+      const fields = formValidation._getValidatableFields(document.querySelector('#test-form'));
+      expect(fields.filter(field => field.name === 'service')).toHaveLength(1);
+    });
+
+    it('shows one error after the group wrapper', () => {
+      const first = document.querySelector('input[value="mapping"]');
+      const radio = document.querySelector('input[value="events"]');
+      const group = document.querySelector('.choice-group');
+
+      formValidation._validateField(first);
+
+      expect(group.classList.contains('field-error')).toBe(true);
+      expect(group.nextElementSibling.classList.contains('error-message')).toBe(true);
+
+      radio.checked = true;
+      formValidation._validateField(first);
+
+      expect(group.classList.contains('field-error')).toBe(false);
+      expect(group.nextElementSibling).toBeNull();
+    });
+  });
+
+  describe('validateFields', () => {
+    it('validates only the fields inside the container', () => {
+      const form = document.querySelector('#test-form');
+      form.insertAdjacentHTML('afterbegin', '<fieldset id="step"><input type="text" name="city" required></fieldset>');
+      const step = document.querySelector('#step');
+
+      expect(formValidation.validateFields(step)).toBe(false);
+      expect(document.querySelectorAll('.error-message')).toHaveLength(1);
+
+      step.querySelector('input').value = 'Austin';
+      expect(formValidation.validateFields(step)).toBe(true);
+    });
+
+    it('dispatches field:reveal before focusing the first invalid field', () => {
+      const form = document.querySelector('#test-form');
+      const nameField = document.querySelector('input[name="name"]');
+      const order = [];
+      form.addEventListener('field:reveal', (e) => order.push(['reveal', e.target]));
+      vi.spyOn(nameField, 'focus').mockImplementation(() => order.push(['focus', nameField]));
+
+      formValidation.validateFields(form);
+
+      expect(order).toEqual([['reveal', nameField], ['focus', nameField]]);
+    });
+  });
+
+  describe('email suggestions', () => {
+    let form;
+    let field;
+
+    const blur = (value) => {
+      field.value = value;
+      field.dispatchEvent(new dom.window.Event('blur'));
+    };
+
+    beforeEach(() => {
+      vi.stubGlobal('Event', dom.window.Event);
+      form = document.querySelector('#test-form');
+      field = document.querySelector('input[name="email"]');
+      formValidation._setupFormValidation(form);
+    });
+
+    it('offers a correction for a mistyped domain on blur', () => {
+      blur('john@gmial.com');
+
+      const suggestion = document.getElementById('email-suggestion');
+      expect(suggestion.textContent).toBe('Did you mean john@gmail.com?');
+      expect(suggestion.getAttribute('aria-live')).toBe('polite');
+      expect(field.getAttribute('aria-describedby')).toBe('email-suggestion');
+      expect(field.classList.contains('field-error')).toBe(false);
+    });
+
+    it('applies the suggestion in one click', () => {
+      const changed = vi.fn();
+      field.addEventListener('change', changed);
+      blur('john@yahoo.con');
+
+      document.querySelector('.email-suggestion-apply').click();
+
+      expect(field.value).toBe('john@yahoo.com');
+      expect(changed).toHaveBeenCalled();
+      expect(document.getElementById('email-suggestion')).toBeNull();
+      expect(field.hasAttribute('aria-describedby')).toBe(false);
+    });
+
+    it('removes the suggestion when the visitor keeps typing', () => {
+      blur('john@gmial.com');
+      field.dispatchEvent(new dom.window.Event('input'));
+
+      expect(document.getElementById('email-suggestion')).toBeNull();
+    });
+
+    it('shows nothing for known or invalid addresses', () => {
+      blur('john@gmail.com');
+      expect(document.getElementById('email-suggestion')).toBeNull();
+
+      blur('john@@gmial.com');
+      expect(document.getElementById('email-suggestion')).toBeNull();
+      expect(field.nextElementSibling.classList.contains('error-message')).toBe(true);
+    });
+
+    it('does not block submission', () => {
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      document.querySelector('textarea[name="message"]').value = 'Hello there';
+      blur('john@gmial.com');
+
+      const event = new dom.window.Event('submit', { cancelable: true });
+      formValidation._handleSubmit(event, form);
+
+      expect(form.querySelectorAll('.error-message')).toHaveLength(0);
+    });
+  });
+
+  describe('error summary', () => {
+    let form;
+
+    const submit = () => {
+      const event = new dom.window.Event('submit', { cancelable: true });
+      formValidation._handleSubmit(event, form);
+      return event;
+    };
+
+    beforeEach(() => {
+      form = document.querySelector('#test-form');
+      document.querySelector('input[name="name"]').id = 'name';
+    });
+
+    it('lists every invalid field at the top of the form on submit', () => {
+      submit();
+
+      const summary = form.firstElementChild;
+      expect(summary.classList.contains('error-summary')).toBe(true);
+      expect(summary.getAttribute('role')).toBe('alert');
+      expect(summary.getAttribute('aria-labelledby')).toBe('test-form-error-summary-title');
+      expect(document.getElementById('test-form-error-summary-title').textContent)
+        .toBe('Please fix these 3 problems before sending:');
+
+      const links = Array.from(summary.querySelectorAll('a'));
+      expect(links.map(link => link.getAttribute('href'))).toEqual(['#name', '#email-error', '#message-error']);
+      expect(links[1].textContent).toBe('This field is required');
+    });
+
+    it('marks fields invalid and describes them by their message', () => {
+      submit();
+
+      const field = document.querySelector('input[name="email"]');
+      expect(field.getAttribute('aria-invalid')).toBe('true');
+      expect(field.getAttribute('aria-describedby')).toBe('email-error');
+      expect(document.getElementById('email-error').classList.contains('error-message')).toBe(true);
+
+      field.value = 'john@example.com';
+      formValidation._validateField(field);
+
+      expect(field.hasAttribute('aria-invalid')).toBe(false);
+      expect(field.hasAttribute('aria-describedby')).toBe(false);
+    });
+
+    it('focuses the field when its link is followed', () => {
+      submit();
+      const field = document.querySelector('textarea[name="message"]');
+      const focusSpy = vi.spyOn(field, 'focus');
+
+      const event = new dom.window.MouseEvent('click', { bubbles: true, cancelable: true });
+      form.querySelector('.error-summary a[href="#message-error"]').dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(focusSpy).toHaveBeenCalled();
+    });
+
+    it('drops fixed fields and disappears once everything is valid', () => {
+      submit();
+      const fields = ['input[name="name"]', 'input[name="email"]', 'textarea[name="message"]']
+        .map(selector => document.querySelector(selector));
+      const values = ['John Doe', 'john@example.com', 'Hello there'];
+
+      fields[0].value = values[0];
+      formValidation._validateField(fields[0]);
+      expect(form.querySelectorAll('.error-summary li')).toHaveLength(2);
+
+      fields.slice(1).forEach((field, index) => {
+        field.value = values[index + 1];
+        formValidation._validateField(field);
+      });
+      expect(form.querySelector('.error-summary')).toBeNull();
+    });
+
+    it('keeps entries in step with the latest message', () => {
+      submit();
+      const field = document.querySelector('input[name="email"]');
+      field.value = 'not-an-email';
+      formValidation._validateField(field);
+
+      expect(form.querySelector('[data-error="email-error"] a').textContent).toBe('Please enter a valid email address');
+    });
+
+    it('is replaced on the next submit', () => {
+      submit();
+      document.querySelector('input[name="name"]').value = 'John Doe';
+      submit();
+
+      expect(form.querySelectorAll('.error-summary')).toHaveLength(1);
+      expect(form.querySelectorAll('.error-summary li')).toHaveLength(2);
+    });
+
+    it('names each entry by its label, or its legend for groups', () => {
+      form.insertAdjacentHTML('afterbegin', `
+        <fieldset>
+          <legend>Service type</legend>
+          <label><input type="radio" name="service" value="mapping" required> Mapping</label>
+        </fieldset>
+      `);
+      const email = document.querySelector('input[name="email"]');
+      email.id = 'email';
+      email.insertAdjacentHTML('beforebegin', '<label for="email">Email <abbr title="required">*</abbr></label>');
+      document.querySelector('textarea[name="message"]').setAttribute('aria-label', 'Project details');
+      submit();
+
+      const entries = Array.from(form.querySelectorAll('.error-summary a')).map(link => link.textContent);
+      expect(entries).toEqual([
+        'Service type: This field is required',
+        'This field is required',
+        'Email: This field is required',
+        'Project details: This field is required',
+      ]);
+
+      email.value = 'not-an-email';
+      formValidation._validateField(email);
+      expect(form.querySelector('[data-error="email-error"] a').textContent)
+        .toBe('Email: Please enter a valid email address');
+    });
+
+    it('shares one entry and message id across a radio group', () => {
+      form.insertAdjacentHTML('afterbegin', `
+        <div class="choice-group">
+          <label><input type="radio" name="service" value="mapping" required> Mapping</label>
+          <label><input type="radio" name="service" value="events"> Events</label>
+        </div>
+      `);
+      submit();
+
+      expect(form.querySelectorAll('[data-error="service-error"]')).toHaveLength(1);
+      form.querySelectorAll('input[name="service"]').forEach(radio => {
+        expect(radio.getAttribute('aria-invalid')).toBe('true');
+        expect(radio.getAttribute('aria-describedby')).toBe('service-error');
+      });
+    });
+  });
+
+  describe('language', () => {
+    let form;
+
+    beforeEach(() => {
+      form = document.querySelector('#test-form');
+    });
+
+    afterEach(() => {
+      i18n.locale = 'en';
+    });
+
+    it('shows messages in the current locale', () => {
+      i18n.locale = 'es';
+      formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+
+      expect(document.querySelector('input[name="name"]').nextElementSibling.textContent).toBe('Este campo es obligatorio');
+      expect(form.querySelector('.error-summary-title').textContent).toBe('Corrige estos 3 problemas antes de enviar:');
+    });
+
+    it('re-renders shown errors when the language changes', () => {
+      vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+      formValidation.init();
+      formValidation._handleSubmit(new dom.window.Event('submit', { cancelable: true }), form);
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+
+      expect(document.getElementById('email-error').textContent).toBe('Este campo es obligatorio');
+      expect(form.querySelector('[data-error="email-error"] a').textContent).toBe('Este campo es obligatorio');
+      expect(form.querySelector('.error-summary-title').textContent).toBe('Corrige estos 3 problemas antes de enviar:');
+    });
+  });
 });
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for i18n.js module and the message catalogs
+ * Tests lookup, interpolation, plurals, locale detection and the switcher
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { en } from '../assets/js/i18n/en.js';
+import { es } from '../assets/js/i18n/es.js';
+import { config } from '../assets/js/modules/config.js';
+
+/**
+ * List a catalog's keys as dotted paths, treating plural forms as one entry
+ */
+const keysOf = (catalog, prefix = '') => Object.entries(catalog).flatMap(([key, value]) => (
+  typeof value === 'object' && !('other' in value)
+    ? keysOf(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]
+));
+
+const placeholdersOf = (text) => (String(text).match(/\{\w+\}/g) || []).sort();
+
+describe('i18n Module', () => {
+  let dom;
+  let document;
+  let storage;
+
+  const setup = (lang = 'en', body = '') => {
+    dom = new JSDOM(`<!DOCTYPE html><html lang="${lang}"><body>${body}</body></html>`, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+  };
+
+  beforeEach(() => {
+    storage = {};
+    vi.stubGlobal('localStorage', {
+      getItem: vi.fn(key => storage[key] ?? null),
+      setItem: vi.fn((key, value) => { storage[key] = String(value); }),
+    });
+    setup();
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    i18n.locale = 'en';
+    vi.unstubAllGlobals();
+  });
+
+  describe('catalogs', () => {
+    it('have the same keys in every language', () => {
+      expect(keysOf(es).sort()).toEqual(keysOf(en).sort());
+    });
+
+    it('name every configured service, deliverable and booking window', () => {
+      Object.keys(config.estimator.pricing).forEach(key => expect(en.estimator.services[key], key).toBeDefined());
+      config.estimator.deliverables.forEach(key => expect(en.estimator.deliverableNames[key], key).toBeDefined());
+      config.booking.windows.forEach(({ id }) => expect(en.booking.windows[id], id).toBeDefined());
+    });
+
+    it('keep the same placeholders in translations', () => {
+      keysOf(en).forEach(key => {
+        const english = i18n._lookup('en', key);
+        const spanish = i18n._lookup('es', key);
+        const forms = typeof english === 'object' ? ['other'] : [null];
+        forms.forEach(form => {
+          const source = form ? english[form] : english;
+          const translated = form ? spanish[form] : spanish;
+          expect(placeholdersOf(translated), key).toEqual(placeholdersOf(source));
+        });
+      });
+    });
+  });
+
+  describe('t', () => {
+    it('looks up dotted keys in the current locale', () => {
+      expect(i18n.t('validation.required')).toBe('This field is required');
+      i18n.locale = 'es';
+      expect(i18n.t('validation.required')).toBe('Este campo es obligatorio');
+    });
+
+    it('interpolates params and leaves unknown placeholders for the caller', () => {
+      expect(i18n.t('wizard.status', { current: 2, total: 4, title: 'Location' })).toBe('Step 2 of 4: Location');
+      expect(i18n.t('rateLimit.limited')).toContain('{time}');
+    });
+
+    it('picks plural forms by count', () => {
+      expect(i18n.t('validation.tooShort', { count: 1 })).toBe('Please enter at least 1 character');
+      expect(i18n.t('validation.tooShort', { count: 3 })).toBe('Please enter at least 3 characters');
+      i18n.locale = 'es';
+      expect(i18n.t('validation.summaryTitle', { count: 1 })).toBe('Corrige este problema antes de enviar:');
+      expect(i18n.t('validation.summaryTitle', { count: 2 })).toBe('Corrige estos 2 problemas antes de enviar:');
+    });
+
+    it('formats numbers for the locale', () => {
+      expect(i18n.t('validation.tooLong', { count: 5000 })).toBe('Please keep this to 5,000 characters or fewer');
+      i18n.locale = 'es';
+      expect(i18n.t('validation.tooLong', { count: 5000 })).toBe('Usa como máximo 5000 caracteres');
+      expect(i18n.t('validation.tooLong', { count: 50000 })).toBe('Usa como máximo 50.000 caracteres');
+    });
+
+    it('falls back to English, then to the key', () => {
+      i18n.catalogs.es.validation.extra = undefined;
+      i18n.catalogs.en.validation.extra = 'Only in English';
+      i18n.locale = 'es';
+
+      expect(i18n.t('validation.extra')).toBe('Only in English');
+      expect(i18n.t('validation.missing')).toBe('validation.missing');
+      expect(i18n.has('validation.missing')).toBe(false);
+
+      delete i18n.catalogs.en.validation.extra;
+      delete i18n.catalogs.es.validation.extra;
+    });
+  });
+
+  describe('detect', () => {
+    it('uses <html lang>, ignoring the region', () => {
+      setup('es-MX');
+      expect(i18n.detect()).toBe('es');
+    });
+
+    it('prefers a saved switcher choice', () => {
+      setup('en');
+      storage.sss_locale = 'es';
+      expect(i18n.detect()).toBe('es');
+    });
+
+    it('falls back to the default locale', () => {
+      setup('fr');
+      expect(i18n.detect()).toBe('en');
+    });
+
+    it('survives unavailable storage', () => {
+      setup('es');
+      localStorage.getItem.mockImplementation(() => { throw new Error('denied'); });
+      expect(i18n.detect()).toBe('es');
+    });
+  });
+
+  describe('switcher', () => {
+    beforeEach(() => {
+      setup('en', `
+        <select id="locale" data-locale-switcher>
+          <option value="en">English</option>
+          <option value="es">Español</option>
+        </select>
+      `);
+    });
+
+    it('reflects the detected locale', () => {
+      storage.sss_locale = 'es';
+      i18n.init();
+      expect(document.getElementById('locale').value).toBe('es');
+    });
+
+    it('switches, remembers the choice and announces the change', () => {
+      const listener = vi.fn();
+      document.addEventListener('i18n:change', listener);
+      i18n.init();
+
+      const switcher = document.getElementById('locale');
+      switcher.value = 'es';
+      switcher.dispatchEvent(new dom.window.Event('change'));
+
+      expect(i18n.locale).toBe('es');
+      expect(storage.sss_locale).toBe('es');
+      expect(listener.mock.calls[0][0].detail).toEqual({ locale: 'es' });
+    });
+
+    it('ignores unsupported locales', () => {
+      expect(i18n.setLocale('fr')).toBe(false);
+      expect(i18n.locale).toBe('en');
+    });
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * Unit tests for lazy-loading.js module
- * Tests lazy loading initialization and fallback behavior
+ * Tests lazy loading initialization, fallback behavior and observing images added later
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -221,4 +221,35 @@ describe('Lazy Loading Module', () => {
       });
     });
   });
+
+  describe('observe', () => {
+    it('defers data-src images natively and marks them loaded', () => {
+      vi.stubGlobal('HTMLImageElement', { prototype: { loading: true } });
+      const deferred = document.querySelector('img[data-src]');
+      const loaded = document.querySelector('img[src]');
+
+      lazyLoading.observe([deferred, loaded]);
+
+      expect(deferred.loading).toBe('lazy');
+      expect(deferred.getAttribute('src')).toBe('image3.jpg');
+      expect(loaded.getAttribute('src')).toBe('image1.jpg');
+
+      deferred.dispatchEvent(new dom.window.Event('load'));
+      expect(deferred.classList.contains('loaded')).toBe(true);
+    });
+
+    it('waits for data-src images to near the viewport without native support', () => {
+      vi.stubGlobal('HTMLImageElement', { prototype: {} });
+      const mockObserver = { observe: vi.fn(), unobserve: vi.fn() };
+      dom.window.IntersectionObserver = vi.fn(() => mockObserver);
+      vi.stubGlobal('IntersectionObserver', dom.window.IntersectionObserver);
+      const deferred = document.querySelector('img[data-src]');
+
+      lazyLoading.observe([deferred, document.querySelector('img[src]')]);
+
+      expect(mockObserver.observe).toHaveBeenCalledTimes(1);
+      expect(mockObserver.observe).toHaveBeenCalledWith(deferred);
+      expect(deferred.hasAttribute('src')).toBe(false);
+    });
+  });
 });
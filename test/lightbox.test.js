@@ -1,6 +1,6 @@
 /**
  * Unit tests for lightbox.js module
- * Tests lightbox initialization, opening, closing, and accessibility
+ * Tests lightbox initialization, opening, closing, gallery navigation, deep links, captions, dialog behavior, zoom, compare sliders, video and panoramas
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -8,6 +8,10 @@ import { JSDOM } from 'jsdom';
 
 // Import the lightbox module
 const { lightbox } = await import('../assets/js/modules/lightbox.js');
+const { i18n } = await import('../assets/js/modules/i18n.js');
+const { config } = await import('../assets/js/modules/config.js');
+const { compare } = await import('../assets/js/modules/compare.js');
+const { panorama } = await import('../assets/js/modules/panorama.js');
 
 describe('Lightbox Module', () => {
   let dom;
@@ -39,6 +43,26 @@ describe('Lightbox Module', () => {
     lightbox.lightboxElement = null;
     lightbox.lightboxImg = null;
     lightbox.previouslyFocusedElement = null;
+    lightbox.closeButton = null;
+    lightbox.prevButton = null;
+    lightbox.nextButton = null;
+    lightbox.counter = null;
+    lightbox.caption = null;
+    lightbox.mediaView = null;
+    lightbox.hint = null;
+    lightbox.group = [];
+    lightbox.zoom = { scale: 1, x: 0, y: 0 };
+    lightbox.touchStart = null;
+    lightbox.pinch = null;
+    lightbox.lastTap = 0;
+    lightbox.drag = null;
+    lightbox.suppressClick = false;
+    lightbox.fullSourceFor = null;
+    lightbox.fullLoader = null;
+    lightbox.inertElements = [];
+    lightbox.preloaded.clear();
+    clearTimeout(lightbox.closeTimer);
+    lightbox.closeTimer = null;
   });
 
   afterEach(() => {
@@ -318,15 +342,31 @@ describe('Lightbox Module', () => {
 
   describe('close', () => {
     beforeEach(() => {
+      vi.useFakeTimers();
       lightbox.lightboxElement = document.getElementById('lightbox');
       lightbox.lightboxImg = lightbox.lightboxElement.querySelector('img');
       lightbox.lightboxElement.style.display = 'flex';
       document.body.style.overflow = 'hidden';
     });
 
-    it('hides lightbox', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('hides lightbox after the fade-out', () => {
       lightbox.close();
-      
+
+      expect(lightbox.lightboxElement.style.display).toBe('flex');
+      vi.advanceTimersByTime(config.lightbox.animationDuration);
+      expect(lightbox.lightboxElement.style.display).toBe('none');
+    });
+
+    it('hides lightbox at once when reduced motion is preferred', () => {
+      dom.window.matchMedia = vi.fn(() => ({ matches: true }));
+
+      lightbox.close();
+
+      expect(dom.window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
       expect(lightbox.lightboxElement.style.display).toBe('none');
     });
 
@@ -359,4 +399,683 @@ describe('Lightbox Module', () => {
       expect(() => lightbox.close()).not.toThrow();
     });
   });
+
+  describe('language', () => {
+    afterEach(() => {
+      i18n.locale = 'en';
+    });
+
+    it('relabels the dialog and gallery images when the language changes', () => {
+      lightbox.init();
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.Event('i18n:change'));
+
+      expect(lightbox.lightboxElement.getAttribute('aria-label')).toBe('Visor de imágenes');
+      expect(document.querySelector('.gallery img').getAttribute('aria-label')).toBe('Gallery image 1: haz clic para ampliar');
+    });
+  });
+  describe('gallery navigation', () => {
+    const shown = () => lightbox.lightboxImg.getAttribute('src').split('/').pop();
+    const counter = () => document.querySelector('.lightbox-counter');
+
+    const press = (key) => {
+      document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+
+    const swipe = (from, to) => {
+      ['touchstart', 'touchend'].forEach((type, i) => {
+        const event = new dom.window.Event(type);
+        const [clientX, clientY] = i === 0 ? from : to;
+        Object.defineProperty(event, 'touches', { value: i === 0 ? [{ clientX, clientY }] : [] });
+        Object.defineProperty(event, 'changedTouches', { value: [{ clientX, clientY }] });
+        lightbox.lightboxElement.dispatchEvent(event);
+      });
+    };
+
+    beforeEach(() => {
+      // Service pages wrap each image in a [data-lightbox] item
+      document.body.innerHTML = `
+        <div id="lightbox" style="display: none;"><img src="" alt=""></div>
+        <div class="gallery">
+          ${[1, 2, 3, 4].map(n => `
+            <div class="gallery-item" data-lightbox><img src="photo-${n}.jpg" alt="Photo ${n}"></div>
+          `).join('')}
+        </div>
+        <img data-lightbox src="single.jpg" alt="Single">
+      `;
+    });
+
+    it('opens wrapped images once, with a counter and arrows', () => {
+      lightbox.init();
+      const openSpy = vi.spyOn(lightbox, 'open');
+
+      document.querySelectorAll('.gallery img')[1].click();
+
+      expect(openSpy).toHaveBeenCalledTimes(1);
+      expect(shown()).toBe('photo-2.jpg');
+      expect(counter().textContent).toBe('2 of 4');
+      expect(document.querySelector('.lightbox-prev').hidden).toBe(false);
+      expect(document.querySelector('.lightbox-next').getAttribute('aria-label')).toBe('Next image');
+    });
+
+    it('steps with the buttons and wraps around', () => {
+      lightbox.init();
+      lightbox.open(document.querySelectorAll('.gallery img')[3]);
+
+      document.querySelector('.lightbox-next').click();
+      expect(shown()).toBe('photo-1.jpg');
+      expect(counter().textContent).toBe('1 of 4');
+
+      document.querySelector('.lightbox-prev').click();
+      expect(shown()).toBe('photo-4.jpg');
+      expect(lightbox.lightboxElement.style.display).toBe('flex');
+    });
+
+    it('steps with the arrow keys only while open', () => {
+      lightbox.init();
+      press('ArrowRight');
+      expect(shown()).toBe('');
+
+      lightbox.open(document.querySelector('.gallery img'));
+      press('ArrowRight');
+      press('ArrowRight');
+      expect(shown()).toBe('photo-3.jpg');
+      press('ArrowLeft');
+      expect(shown()).toBe('photo-2.jpg');
+    });
+
+    it('follows horizontal swipes past the threshold', () => {
+      lightbox.init();
+      lightbox.open(document.querySelector('.gallery img'));
+
+      swipe([300, 200], [100, 210]);
+      expect(shown()).toBe('photo-2.jpg');
+
+      swipe([100, 200], [300, 200]);
+      expect(shown()).toBe('photo-1.jpg');
+
+      swipe([100, 200], [120, 200]);
+      swipe([100, 100], [180, 400]);
+      expect(shown()).toBe('photo-1.jpg');
+    });
+
+    it('shows a lone image without navigation', () => {
+      lightbox.init();
+      lightbox.open(document.querySelector('img[data-lightbox]'));
+
+      expect(document.querySelector('.lightbox-next').hidden).toBe(true);
+      expect(counter().hidden).toBe(true);
+      press('ArrowRight');
+      expect(shown()).toBe('single.jpg');
+      expect(dom.window.location.hash).toBe('');
+    });
+
+    it('preloads the neighbors of the shown image', () => {
+      const gallery = document.querySelectorAll('.gallery img');
+      gallery[1].setAttribute('data-src', 'photo-2-full.jpg');
+      lightbox.init();
+      lightbox.open(gallery[0]);
+
+      expect([...lightbox.preloaded].map(source => source.split('/').pop()))
+        .toEqual(['photo-2-full.jpg', 'photo-4.jpg']);
+
+      lightbox.next();
+      expect(shown()).toBe('photo-2-full.jpg');
+    });
+
+    it('opens a deep link and keeps the hash in step', () => {
+      dom.window.history.replaceState(null, '', '#gallery-3');
+      lightbox.init();
+
+      expect(lightbox.lightboxElement.style.display).toBe('flex');
+      expect(shown()).toBe('photo-3.jpg');
+
+      lightbox.next();
+      expect(dom.window.location.hash).toBe('#gallery-4');
+
+      lightbox.close();
+      expect(dom.window.location.hash).toBe('');
+      expect(dom.window.location.pathname).toBe('/');
+    });
+
+    it('opens on hash changes and ignores unknown links', () => {
+      document.querySelector('.gallery').dataset.lightboxGroup = 'mapping';
+      lightbox.init();
+
+      dom.window.location.hash = '#gallery-2';
+      dom.window.dispatchEvent(new dom.window.HashChangeEvent('hashchange'));
+      expect(lightbox.lightboxElement.style.display).toBe('none');
+
+      dom.window.location.hash = '#mapping-9';
+      dom.window.dispatchEvent(new dom.window.HashChangeEvent('hashchange'));
+      expect(lightbox.lightboxElement.style.display).toBe('none');
+
+      dom.window.location.hash = '#mapping-2';
+      dom.window.dispatchEvent(new dom.window.HashChangeEvent('hashchange'));
+      expect(shown()).toBe('photo-2.jpg');
+    });
+
+    it('translates the counter and buttons', () => {
+      lightbox.init();
+      lightbox.open(document.querySelector('.gallery img'));
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+      i18n.locale = 'en';
+
+      expect(counter().textContent).toBe('1 de 4');
+      expect(document.querySelector('.lightbox-prev').getAttribute('aria-label')).toBe('Imagen anterior');
+    });
+  });
+  describe('dialog', () => {
+    const press = (key, options = {}) => {
+      document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <header><a href="/">Home</a></header>
+        <main>
+          <div class="gallery">
+            <div class="gallery-item" data-lightbox>
+              <img src="photo-1.jpg" alt="Photo 1">
+              <div class="gallery-caption">
+                <h3>Orthomosaic   Site Map</h3>
+              </div>
+            </div>
+            <div class="gallery-item" data-lightbox><img src="photo-2.jpg" alt="Photo 2"></div>
+          </div>
+          <img data-lightbox src="single.jpg" alt="Single">
+        </main>
+        <footer inert>Footer</footer>
+        <div id="lightbox" style="display: none;"><img src="" alt=""></div>
+      `;
+      lightbox.init();
+    });
+
+    it('shows the gallery caption and describes the dialog with it', () => {
+      const [first, second] = document.querySelectorAll('.gallery img');
+      lightbox.open(first);
+
+      const caption = document.querySelector('.lightbox-caption');
+      expect(caption.textContent).toBe('Orthomosaic Site Map');
+      expect(caption.hidden).toBe(false);
+      expect(lightbox.lightboxElement.getAttribute('aria-describedby')).toBe(`${caption.id} lightbox-hint`);
+
+      lightbox.open(second);
+      expect(caption.hidden).toBe(true);
+      expect(lightbox.lightboxElement.getAttribute('aria-describedby')).toBe('lightbox-hint');
+    });
+
+    it('has a visible, labelled close button', () => {
+      lightbox.open(document.querySelector('.gallery img'));
+      const button = document.querySelector('.lightbox-close');
+
+      expect(button.hidden).toBe(false);
+      expect(button.getAttribute('aria-label')).toBe('Close');
+      button.click();
+      expect(lightbox.lightboxElement.getAttribute('aria-hidden')).toBe('true');
+    });
+
+    it('keeps Tab cycling through the close, previous and next buttons', () => {
+      lightbox.open(document.querySelector('.gallery img'));
+      const [close, prev, next] = ['close', 'prev', 'next'].map(name => document.querySelector(`.lightbox-${name}`));
+
+      press('Tab');
+      expect(document.activeElement).toBe(close);
+      press('Tab');
+      press('Tab');
+      expect(document.activeElement).toBe(next);
+      press('Tab');
+      expect(document.activeElement).toBe(close);
+      press('Tab', { shiftKey: true });
+      expect(document.activeElement).toBe(next);
+      press('Tab', { shiftKey: true });
+      expect(document.activeElement).toBe(prev);
+    });
+
+    it('skips the hidden arrows for a lone image', () => {
+      lightbox.open(document.querySelector('img[data-lightbox]'));
+
+      press('Tab');
+      press('Tab', { shiftKey: true });
+      expect(document.activeElement).toBe(document.querySelector('.lightbox-close'));
+    });
+
+    it('makes the rest of the page inert while open', () => {
+      const header = document.querySelector('header');
+      const footer = document.querySelector('footer');
+      lightbox.open(document.querySelector('.gallery img'));
+
+      expect(header.hasAttribute('inert')).toBe(true);
+      expect(document.querySelector('main').hasAttribute('inert')).toBe(true);
+      expect(lightbox.lightboxElement.hasAttribute('inert')).toBe(false);
+
+      lightbox.close();
+      expect(header.hasAttribute('inert')).toBe(false);
+      // Inert before opening, so left that way
+      expect(footer.hasAttribute('inert')).toBe(true);
+    });
+
+    it('fades in and out over the configured duration', () => {
+      vi.useFakeTimers();
+      lightbox.open(document.querySelector('.gallery img'));
+
+      expect(lightbox.lightboxElement.classList.contains('is-open')).toBe(true);
+      expect(lightbox.lightboxElement.style.getPropertyValue('--lightbox-duration'))
+        .toBe(`${config.lightbox.animationDuration}ms`);
+
+      lightbox.close();
+      expect(lightbox.lightboxElement.classList.contains('is-open')).toBe(false);
+      // Keys are ignored while fading out
+      press('ArrowRight');
+      expect(lightbox.index).toBe(0);
+
+      vi.advanceTimersByTime(config.lightbox.animationDuration);
+      expect(lightbox.lightboxElement.style.display).toBe('none');
+      vi.useRealTimers();
+    });
+
+    it('cancels a pending hide when reopened', () => {
+      vi.useFakeTimers();
+      const img = document.querySelector('.gallery img');
+      lightbox.open(img);
+      lightbox.close();
+      lightbox.open(img);
+
+      vi.advanceTimersByTime(config.lightbox.animationDuration);
+      expect(lightbox.lightboxElement.style.display).toBe('flex');
+      vi.useRealTimers();
+    });
+  });
+
+  describe('zoom', () => {
+    const image = () => lightbox.lightboxImg;
+    const shown = () => image().getAttribute('src').split('/').pop();
+
+    const press = (key) => {
+      document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+
+    const touch = (type, touches, changed = touches) => {
+      const event = new dom.window.Event(type, { cancelable: true });
+      const points = list => list.map(([clientX, clientY]) => ({ clientX, clientY }));
+      Object.defineProperty(event, 'touches', { value: points(touches) });
+      Object.defineProperty(event, 'changedTouches', { value: points(changed) });
+      lightbox.lightboxElement.dispatchEvent(event);
+      return event;
+    };
+
+    const tap = (x, y) => {
+      touch('touchstart', [[x, y]]);
+      touch('touchend', [], [[x, y]]);
+    };
+
+    const pointer = (type, target, x, y) => {
+      target.dispatchEvent(new dom.window.MouseEvent(type, { clientX: x, clientY: y, bubbles: true, cancelable: true }));
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div id="lightbox" style="display: none;"><img src="" alt=""></div>
+        <div class="gallery">
+          <div class="gallery-item" data-lightbox>
+            <img src="map-800w.webp" alt="Map"
+                 srcset="map-400w.webp 400w, map-1200w.webp 1200w, map-800w.webp 800w">
+          </div>
+          <div class="gallery-item" data-lightbox>
+            <img src="roof.jpg" data-full-src="roof-full.jpg" alt="Roof">
+          </div>
+          <div class="gallery-item" data-lightbox><img src="plain.jpg" alt="Plain"></div>
+        </div>
+      `;
+      lightbox.init();
+
+      // An 800x600 view showing a 600x400 image, so 2x can pan 200px sideways and 100px up or down
+      const size = (element, width, height) => {
+        Object.defineProperty(element, 'clientWidth', { value: width, configurable: true });
+        Object.defineProperty(element, 'clientHeight', { value: height, configurable: true });
+        Object.defineProperty(element, 'offsetWidth', { value: width, configurable: true });
+        Object.defineProperty(element, 'offsetHeight', { value: height, configurable: true });
+      };
+      size(lightbox.lightboxElement, 800, 600);
+      size(image(), 600, 400);
+      lightbox.lightboxElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 600 });
+
+      lightbox.open(document.querySelector('.gallery img'));
+    });
+
+    it('zooms with the +, - and 0 keys within the configured range', () => {
+      const { zoomStep, maxZoom } = config.lightbox;
+
+      press('+');
+      expect(lightbox.zoom.scale).toBe(zoomStep);
+      expect(image().style.transform).toBe(`translate(0px, 0px) scale(${zoomStep})`);
+      expect(lightbox.lightboxElement.classList.contains('is-zoomed')).toBe(true);
+
+      for (let i = 0; i < 10; i++) press('=');
+      expect(lightbox.zoom.scale).toBe(maxZoom);
+
+      press('0');
+      expect(lightbox.zoom.scale).toBe(1);
+      expect(image().style.transform).toBe('');
+      expect(lightbox.lightboxElement.classList.contains('is-zoomed')).toBe(false);
+
+      press('-');
+      expect(lightbox.zoom.scale).toBe(1);
+    });
+
+    it('describes the zoom keys to assistive technology', () => {
+      expect(document.getElementById('lightbox-hint').textContent).toContain('Press + or - to zoom');
+      expect(lightbox.lightboxElement.getAttribute('aria-describedby')).toBe('lightbox-hint');
+    });
+
+    it('zooms around the point under the wheel', () => {
+      const wheel = new dom.window.WheelEvent('wheel', { deltaY: -100, clientX: 500, clientY: 300, cancelable: true });
+      lightbox.lightboxElement.dispatchEvent(wheel);
+
+      // The point 100px right of center stays put: 100 - 100 * 1.5 = -50
+      expect(wheel.defaultPrevented).toBe(true);
+      expect(lightbox.zoom).toEqual({ scale: config.lightbox.zoomStep, x: -50, y: 0 });
+
+      lightbox.zoomTo(4, { clientX: 500, clientY: 300 });
+      expect(lightbox.zoom.x).toBeCloseTo(-300, 5);
+
+      lightbox.lightboxElement.dispatchEvent(new dom.window.WheelEvent('wheel', { deltaY: 100, cancelable: true }));
+      expect(lightbox.zoom.scale).toBeCloseTo(4 / config.lightbox.zoomStep, 5);
+    });
+
+    it('pans with the arrow keys when zoomed instead of changing images', () => {
+      const { panStep } = config.lightbox;
+      lightbox.zoomTo(2);
+
+      press('ArrowRight');
+      expect(lightbox.zoom.x).toBe(-panStep);
+      expect(shown()).toBe('map-800w.webp');
+
+      press('ArrowUp');
+      expect(lightbox.zoom.y).toBe(panStep);
+
+      // Stops at the image edge
+      for (let i = 0; i < 20; i++) press('ArrowLeft');
+      expect(lightbox.zoom.x).toBe(200);
+
+      press('0');
+      press('ArrowRight');
+      expect(shown()).toBe('roof.jpg');
+    });
+
+    it('loads the largest srcset candidate only once zoomed', () => {
+      expect(shown()).toBe('map-800w.webp');
+      expect(lightbox.fullLoader).toBeNull();
+
+      lightbox.zoomTo(2);
+      expect(lightbox.fullLoader.src.split('/').pop()).toBe('map-1200w.webp');
+      expect(shown()).toBe('map-800w.webp');
+
+      lightbox.fullLoader.dispatchEvent(new dom.window.Event('load'));
+      expect(shown()).toBe('map-1200w.webp');
+
+      const loader = lightbox.fullLoader;
+      lightbox.resetZoom();
+      lightbox.zoomTo(2);
+      expect(lightbox.fullLoader).toBe(loader);
+    });
+
+    it('prefers data-full-src and skips images without a larger source', () => {
+      lightbox.next();
+      lightbox.zoomTo(2);
+      const loader = lightbox.fullLoader;
+      expect(loader.src.split('/').pop()).toBe('roof-full.jpg');
+
+      // A load that finishes after moving on doesn't replace the new image
+      lightbox.next();
+      loader.dispatchEvent(new dom.window.Event('load'));
+      expect(shown()).toBe('plain.jpg');
+      expect(lightbox.zoom.scale).toBe(1);
+
+      lightbox.zoomTo(2);
+      expect(lightbox.fullLoader).toBeNull();
+    });
+
+    it('drags a zoomed image without closing on release', () => {
+      pointer('pointerdown', image(), 400, 300);
+      expect(lightbox.drag).toBeNull();
+
+      lightbox.zoomTo(2);
+      pointer('pointerdown', image(), 400, 300);
+      pointer('pointermove', document, 350, 280);
+      expect(lightbox.zoom).toEqual({ scale: 2, x: -50, y: -20 });
+      expect(lightbox.lightboxElement.classList.contains('is-dragging')).toBe(true);
+
+      pointer('pointerup', document, 350, 280);
+      pointer('click', lightbox.lightboxElement, 350, 280);
+      expect(lightbox.lightboxElement.style.display).toBe('flex');
+      expect(lightbox.lightboxElement.classList.contains('is-dragging')).toBe(false);
+
+      pointer('pointermove', document, 0, 0);
+      expect(lightbox.zoom.x).toBe(-50);
+    });
+
+    it('toggles zoom on double-click and double-tap', () => {
+      pointer('dblclick', image(), 400, 300);
+      expect(lightbox.zoom.scale).toBe(config.lightbox.doubleTapZoom);
+      pointer('dblclick', image(), 400, 300);
+      expect(lightbox.zoom.scale).toBe(1);
+
+      vi.useFakeTimers({ toFake: ['Date'] });
+      tap(400, 300);
+      vi.advanceTimersByTime(config.lightbox.doubleTapDelay + 1);
+      tap(400, 300);
+      expect(lightbox.zoom.scale).toBe(1);
+
+      tap(402, 298);
+      expect(lightbox.zoom.scale).toBe(config.lightbox.doubleTapZoom);
+      vi.useRealTimers();
+    });
+
+    it('pinches to zoom and pans with one finger instead of swiping', () => {
+      touch('touchstart', [[350, 300], [450, 300]]);
+      const move = touch('touchmove', [[300, 300], [500, 300]]);
+      expect(move.defaultPrevented).toBe(true);
+      expect(lightbox.zoom.scale).toBe(2);
+
+      // Lifting one finger ends the pinch without swiping
+      touch('touchend', [[500, 300]], [[300, 300]]);
+      touch('touchend', [], [[500, 300]]);
+      expect(lightbox.pinch).toBeNull();
+      expect(shown()).toBe('map-800w.webp');
+
+      touch('touchstart', [[400, 300]]);
+      touch('touchmove', [[300, 300]]);
+      touch('touchend', [], [[300, 300]]);
+      expect(lightbox.zoom.x).toBe(-100);
+      expect(shown()).not.toBe('roof.jpg');
+    });
+
+    it('resets when stepping to another image or closing', () => {
+      lightbox.zoomTo(3);
+      lightbox.next();
+      expect(lightbox.zoom.scale).toBe(1);
+
+      lightbox.zoomTo(3);
+      lightbox.close();
+      expect(image().style.transform).toBe('');
+      expect(lightbox.lightboxElement.classList.contains('is-zoomed')).toBe(false);
+    });
+  });
+
+  describe('compare sliders', () => {
+    const press = (target, key) => {
+      target.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="gallery">
+          <div class="gallery-item" data-lightbox><img src="photo-1.jpg" alt="Photo 1"></div>
+          <div class="gallery-item" data-lightbox>
+            <div data-compare data-compare-before="March">
+              <img data-src="march.jpg" alt="Site in March">
+              <img data-src="june.jpg" alt="Site in June">
+            </div>
+            <div class="gallery-caption">Site progress</div>
+          </div>
+        </div>
+        <div id="lightbox" style="display: none;"><img src="" alt=""></div>
+      `;
+      compare.setup(document.querySelector('[data-compare]'));
+      lightbox.init();
+    });
+
+    const slider = () => document.querySelector('.gallery [data-compare]');
+
+    it('counts a slider once and opens it from an expand button', () => {
+      const [before, after] = compare.getImages(slider());
+      expect(before.hasAttribute('role')).toBe(false);
+      expect(after.hasAttribute('tabindex')).toBe(false);
+
+      const button = slider().querySelector('.lightbox-expand');
+      expect(button.getAttribute('aria-label')).toBe('View comparison larger');
+      button.click();
+
+      expect(lightbox.group).toHaveLength(2);
+      expect(document.querySelector('.lightbox-counter').textContent).toBe('2 of 2');
+      expect(lightbox.lightboxImg.hidden).toBe(true);
+      expect(document.querySelector('.lightbox-caption').textContent).toBe('Site progress');
+
+      const view = lightbox.mediaView;
+      expect(view.parentElement).toBe(lightbox.lightboxElement);
+      expect(compare.getImages(view).map(img => img.getAttribute('src'))).toEqual(['march.jpg', 'june.jpg']);
+      expect(view.querySelector('.compare-tag-before').textContent).toBe('March');
+    });
+
+    it('moves the divider with the keys instead of changing images', () => {
+      lightbox.open(compare.getImages(slider())[0]);
+      const handle = lightbox.mediaView.querySelector('.compare-handle');
+      handle.focus();
+
+      press(handle, 'ArrowRight');
+      expect(compare.getPosition(lightbox.mediaView)).toBe(config.compare.start + config.compare.keyStep);
+      expect(lightbox.index).toBe(1);
+
+      // Tab reaches the divider along with the buttons
+      press(handle, 'Tab');
+      expect(document.activeElement).toBe(document.querySelector('.lightbox-prev'));
+    });
+
+    it('swaps back to the image, without zoom on the slider', () => {
+      lightbox.open(compare.getImages(slider())[0]);
+      lightbox.zoomTo(2);
+      expect(lightbox.zoom.scale).toBe(1);
+
+      lightbox.next();
+      expect(lightbox.mediaView).toBeNull();
+      expect(lightbox.lightboxElement.querySelector('.compare')).toBeNull();
+      expect(lightbox.lightboxImg.hidden).toBe(false);
+      expect(lightbox.lightboxImg.getAttribute('src').split('/').pop()).toBe('photo-1.jpg');
+    });
+  });
+
+  describe('video and panoramas', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="gallery">
+          <div class="gallery-item" data-lightbox data-lightbox-type="video" data-lightbox-src="reel.mp4">
+            <img src="reel-poster.jpg" alt="Ranch reel">
+          </div>
+          <div class="gallery-item" data-lightbox data-lightbox-type="video"
+               data-lightbox-src="https://youtu.be/dQw4w9WgXcQ">
+            <img src="youtube-poster.jpg" alt="">
+          </div>
+          <div class="gallery-item" data-lightbox data-lightbox-type="panorama" data-lightbox-src="pano.jpg">
+            <img src="pano-thumb.jpg" alt="Hilltop view">
+          </div>
+          <div class="gallery-item" data-lightbox><img src="photo.jpg" alt="Photo"></div>
+        </div>
+        <div id="lightbox" style="display: none;"><img src="" alt=""></div>
+      `;
+      lightbox.init();
+    });
+
+    const items = () => document.querySelectorAll('.gallery img');
+
+    it('plays a local video with the image as its poster, and pauses it on close', () => {
+      lightbox.open(items()[0]);
+
+      const video = lightbox.mediaView;
+      expect(video.tagName).toBe('VIDEO');
+      expect(video.getAttribute('src')).toBe('reel.mp4');
+      expect(video.poster.split('/').pop()).toBe('reel-poster.jpg');
+      expect(video.controls).toBe(true);
+      expect(video.getAttribute('aria-label')).toBe('Ranch reel');
+      expect(lightbox.lightboxImg.hidden).toBe(true);
+      expect(document.querySelector('.lightbox-counter').textContent).toBe('1 of 4');
+
+      const pause = vi.spyOn(video, 'pause').mockImplementation(() => {});
+      lightbox.close();
+      expect(pause).toHaveBeenCalled();
+    });
+
+    it('embeds YouTube links from the allowed host and pauses them on close', () => {
+      lightbox.open(items()[1]);
+
+      const frame = lightbox.mediaView;
+      expect(frame.tagName).toBe('IFRAME');
+      expect(frame.src).toBe(`${config.lightbox.youtubeEmbed}dQw4w9WgXcQ?autoplay=1&rel=0&enablejsapi=1`);
+      expect(frame.title).toBe('Video');
+
+      const postMessage = vi.fn();
+      Object.defineProperty(frame, 'contentWindow', { value: { postMessage } });
+      lightbox.close();
+      expect(JSON.parse(postMessage.mock.calls[0][0])).toMatchObject({ event: 'command', func: 'pauseVideo' });
+      expect(postMessage.mock.calls[0][1]).toBe('https://www.youtube.com');
+    });
+
+    it('recognizes YouTube watch, embed and Shorts links only', () => {
+      expect(lightbox._getYouTubeId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=30')).toBe('dQw4w9WgXcQ');
+      expect(lightbox._getYouTubeId('https://www.youtube.com/watch?list=PL1&v=dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(lightbox._getYouTubeId('https://youtube.com/shorts/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(lightbox._getYouTubeId('https://www.youtube.com/embed/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(lightbox._getYouTubeId('https://example.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+      expect(lightbox._getYouTubeId('reel.mp4')).toBeNull();
+    });
+
+    it('opens panoramas in the viewer and falls back to the image on error', () => {
+      const create = vi.spyOn(panorama, 'create');
+      lightbox.open(items()[2]);
+
+      const viewer = lightbox.mediaView;
+      expect(create).toHaveBeenCalledWith('pano.jpg', expect.stringContaining('Hilltop view'));
+      expect(viewer.classList.contains('lightbox-panorama')).toBe(true);
+      expect(lightbox.zoom.scale).toBe(1);
+      lightbox.zoomTo(2);
+      expect(lightbox.zoom.scale).toBe(1);
+
+      viewer.dispatchEvent(new dom.window.CustomEvent('panorama:error'));
+      expect(lightbox.mediaView).toBeNull();
+      expect(viewer.isConnected).toBe(false);
+      expect(lightbox.lightboxImg.hidden).toBe(false);
+      expect(panorama.getView(viewer)).toBeNull();
+    });
+
+    it('reaches the media with Tab and replaces it when moving on', () => {
+      lightbox.open(items()[0]);
+      const video = lightbox.mediaView;
+      const pause = vi.spyOn(video, 'pause').mockImplementation(() => {});
+
+      document.querySelector('.lightbox-close').focus();
+      document.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true }));
+      expect(document.activeElement).toBe(video);
+
+      lightbox.next();
+      lightbox.next();
+      lightbox.next();
+      expect(video.isConnected).toBe(false);
+      expect(lightbox.mediaView).toBeNull();
+      expect(lightbox.lightboxImg.getAttribute('src').split('/').pop()).toBe('photo.jpg');
+      lightbox.close();
+      expect(pause).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for offline-queue.js module
+ * Tests queue persistence, de-duplication, and retry delivery
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+const { offlineQueue } = await import('../assets/js/modules/offline-queue.js');
+const { antiSpam } = await import('../assets/js/modules/anti-spam.js');
+const { config } = await import('../assets/js/modules/config.js');
+
+describe('Offline Queue Module', () => {
+  let dom;
+  let document;
+  let form;
+  let mockLocalStorage;
+
+  const jsonResponse = (status, body = {}) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+  const stored = () => JSON.parse(mockLocalStorage.store['sss_offline_queue'] || '[]');
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form action="https://formspree.io/f/test" method="post" name="contact-form">
+            <input type="hidden" name="_subject" value="New Quote Request">
+            <input type="text" name="name" value="John Doe">
+            <textarea name="details">Roof inspection</textarea>
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost' });
+    document = dom.window.document;
+    form = document.querySelector('form');
+
+    mockLocalStorage = {
+      store: {},
+      getItem: vi.fn((key) => mockLocalStorage.store[key] || null),
+      setItem: vi.fn((key, value) => { mockLocalStorage.store[key] = value; }),
+    };
+
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('window', dom.window);
+    vi.stubGlobal('localStorage', mockLocalStorage);
+    vi.stubGlobal('FormData', dom.window.FormData);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+    offlineQueue.flushing = null;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('stores the form action, method and string fields', () => {
+      const entry = offlineQueue.enqueue(form);
+
+      expect(entry.action).toBe('https://formspree.io/f/test');
+      expect(entry.method).toBe('POST');
+      expect(entry.formName).toBe('contact-form');
+      expect(entry.fields).toEqual([
+        ['_subject', 'New Quote Request'],
+        ['name', 'John Doe'],
+        ['details', 'Roof inspection'],
+      ]);
+      expect(stored()).toHaveLength(1);
+    });
+
+    it('keeps anti-spam signals apart from the fields', () => {
+      form.insertAdjacentHTML('beforeend', `
+        <input type="hidden" name="_elapsed" value="9000">
+        <input type="hidden" name="_interactions" value='{"focus":2,"keys":40,"pointer":3}'>
+        <input type="hidden" name="_pow" value="1:16:1700000000000:contact-form:abc:42">
+      `);
+
+      const entry = offlineQueue.enqueue(form);
+
+      expect(entry.fields.map(([name]) => name)).toEqual(['_subject', 'name', 'details']);
+      expect(entry.signals).toEqual({
+        _elapsed: '9000',
+        _interactions: '{"focus":2,"keys":40,"pointer":3}',
+        _pow: '1:16:1700000000000:contact-form:abc:42',
+      });
+    });
+
+    it('de-duplicates identical submissions', () => {
+      const first = offlineQueue.enqueue(form);
+      const second = offlineQueue.enqueue(form);
+
+      expect(second.id).toBe(first.id);
+      expect(stored()).toHaveLength(1);
+    });
+
+    it('queues forms with an empty file input', () => {
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.name = 'attachment';
+      form.append(picker);
+
+      expect(offlineQueue.enqueue(form).fields.map(([name]) => name)).not.toContain('attachment');
+    });
+
+    it('does not queue forms with attached files', () => {
+      vi.stubGlobal('FormData', class {
+        forEach(callback) {
+          callback('John Doe', 'name');
+          callback(new dom.window.File(['%PDF'], 'plan.pdf'), 'attachment');
+        }
+      });
+
+      expect(offlineQueue.enqueue(form)).toBeNull();
+      expect(stored()).toHaveLength(0);
+    });
+
+    it('queues different submissions separately', () => {
+      offlineQueue.enqueue(form);
+      form.querySelector('textarea').value = 'Orthomosaic of 40 acres';
+      offlineQueue.enqueue(form);
+
+      expect(stored()).toHaveLength(2);
+    });
+
+    it('returns null when storage is unavailable', () => {
+      mockLocalStorage.setItem = vi.fn(() => { throw new Error('Quota exceeded'); });
+
+      expect(offlineQueue.enqueue(form)).toBeNull();
+    });
+  });
+
+  describe('getQueue', () => {
+    it('returns empty array for corrupt storage', () => {
+      mockLocalStorage.store['sss_offline_queue'] = '{not json';
+      expect(offlineQueue.getQueue()).toEqual([]);
+    });
+  });
+
+  describe('flush', () => {
+    it('sends queued entries and removes them', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200));
+      vi.stubGlobal('fetch', fetchMock);
+      const sentListener = vi.fn();
+      document.addEventListener('offline-queue:sent', sentListener);
+      const entry = offlineQueue.enqueue(form);
+
+      await offlineQueue.flush();
+
+      const [url, options] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://formspree.io/f/test');
+      expect(options.method).toBe('POST');
+      expect(options.headers).toEqual({ Accept: 'application/json' });
+      expect(options.body.toString()).toBe('_subject=New+Quote+Request&name=John+Doe&details=Roof+inspection');
+      expect(stored()).toHaveLength(0);
+      expect(sentListener.mock.calls[0][0].detail.entry.id).toBe(entry.id);
+    });
+
+    it('sends a fresh stamp with the saved timing and interaction signals', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200));
+      vi.stubGlobal('fetch', fetchMock);
+      const solve = vi.spyOn(antiSpam, 'solve').mockResolvedValue('fresh-stamp');
+      form.insertAdjacentHTML('beforeend', `
+        <input type="hidden" name="_elapsed" value="9000">
+        <input type="hidden" name="_pow" value="old-stamp">
+      `);
+      offlineQueue.enqueue(form);
+
+      // The relay only takes the new stamp once it is minElapsedMs old
+      vi.useFakeTimers();
+      const flushed = offlineQueue.flush();
+      await vi.advanceTimersByTimeAsync(config.antiSpam.minElapsedMs);
+      await flushed;
+      vi.useRealTimers();
+
+      expect(solve).toHaveBeenCalledWith('contact-form', 'https://formspree.io/f/test');
+      const body = fetchMock.mock.calls[0][1].body;
+      expect(body.get('_elapsed')).toBe('9000');
+      expect(body.get('_pow')).toBe('fresh-stamp');
+      expect(body.get('name')).toBe('John Doe');
+    });
+
+    it('keeps entries and stops while still offline', async () => {
+      const fetchMock = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+      vi.stubGlobal('fetch', fetchMock);
+      offlineQueue.enqueue(form);
+      form.querySelector('textarea').value = 'Second request';
+      offlineQueue.enqueue(form);
+
+      await offlineQueue.flush();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(stored()).toHaveLength(2);
+      expect(stored()[0].claimedAt).toBeNull();
+    });
+
+    it('keeps entries on server errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(503)));
+      offlineQueue.enqueue(form);
+
+      await offlineQueue.flush();
+
+      expect(stored()).toHaveLength(1);
+    });
+
+    it('drops entries the endpoint rejects', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(422)));
+      const failedListener = vi.fn();
+      document.addEventListener('offline-queue:failed', failedListener);
+      offlineQueue.enqueue(form);
+
+      await offlineQueue.flush();
+
+      expect(stored()).toHaveLength(0);
+      expect(failedListener).toHaveBeenCalled();
+    });
+
+    it('passes the rejection along with the dropped entry', async () => {
+      const errors = [{ field: 'name', message: 'Name is required' }];
+      vi.stubGlobal('fetch', vi.fn(async () => jsonResponse(400, { errors })));
+      const failedListener = vi.fn();
+      document.addEventListener('offline-queue:failed', failedListener);
+      const entry = offlineQueue.enqueue(form);
+
+      await offlineQueue.flush();
+
+      const { detail } = failedListener.mock.calls[0][0];
+      expect(detail.entry.id).toBe(entry.id);
+      expect(detail.entry.fields).toEqual(entry.fields);
+      expect(detail.response).toEqual({ errors });
+    });
+
+    it('shares one run between concurrent calls', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200));
+      vi.stubGlobal('fetch', fetchMock);
+      offlineQueue.enqueue(form);
+
+      const first = offlineQueue.flush();
+      const second = offlineQueue.flush();
+      await Promise.all([first, second]);
+
+      expect(second).toBe(first);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips entries another tab is sending', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200));
+      vi.stubGlobal('fetch', fetchMock);
+      const entry = offlineQueue.enqueue(form);
+      mockLocalStorage.store['sss_offline_queue'] = JSON.stringify([{ ...entry, claimedAt: Date.now() }]);
+
+      await offlineQueue.flush();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(stored()).toHaveLength(1);
+    });
+
+    it('retries entries with a stale claim', async () => {
+      const fetchMock = vi.fn(async () => jsonResponse(200));
+      vi.stubGlobal('fetch', fetchMock);
+      const entry = offlineQueue.enqueue(form);
+      mockLocalStorage.store['sss_offline_queue'] = JSON.stringify([{ ...entry, claimedAt: Date.now() - 60 * 1000 }]);
+
+      await offlineQueue.flush();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(stored()).toHaveLength(0);
+    });
+  });
+
+  describe('init', () => {
+    it('flushes on load when online', () => {
+      const flushSpy = vi.spyOn(offlineQueue, 'flush').mockResolvedValue();
+
+      offlineQueue.init();
+
+      expect(flushSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('flushes when the browser comes back online', () => {
+      const flushSpy = vi.spyOn(offlineQueue, 'flush').mockResolvedValue();
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+      offlineQueue.init();
+      expect(flushSpy).not.toHaveBeenCalled();
+
+      dom.window.dispatchEvent(new dom.window.Event('online'));
+      expect(flushSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+});
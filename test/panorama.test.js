@@ -0,0 +1,207 @@
+/**
+ * Unit tests for panorama.js module
+ * Tests the projection, looking around by pointer, wheel and keyboard, and drawing the panorama
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { panorama } from '../assets/js/modules/panorama.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Panorama Module', () => {
+  let dom;
+  let document;
+  let context;
+
+  // 4x2 panorama whose red channel numbers its pixels: row 0 is 0-3, row 1 is 4-7
+  const source = {
+    width: 4,
+    height: 2,
+    data: new Uint8ClampedArray(Array.from({ length: 8 }, (_, i) => [i, 0, 0, 255]).flat()),
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://localhost' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+    vi.stubGlobal('requestAnimationFrame', (callback) => {
+      callback();
+      return 0;
+    });
+    vi.stubGlobal('cancelAnimationFrame', vi.fn());
+
+    context = {
+      drawImage: vi.fn(),
+      getImageData: vi.fn(() => source),
+      createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+      putImageData: vi.fn(),
+    };
+    dom.window.HTMLCanvasElement.prototype.getContext = () => context;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  // Create a viewer and finish loading its panorama
+  const createLoaded = () => {
+    const createElement = vi.spyOn(document, 'createElement');
+    const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+    const loader = createElement.mock.results.map(result => result.value).find(element => element.tagName === 'IMG');
+    loader.dispatchEvent(new dom.window.Event('load'));
+    return canvas;
+  };
+
+  const drawn = () => context.putImageData.mock.lastCall[0].data;
+
+  describe('projector', () => {
+    it('looks along the view direction at the center', () => {
+      const project = panorama.projector(101, 51, { yaw: 40, pitch: -20, fov: 90 });
+      const [lon, lat] = project(50, 25);
+
+      expect(lon).toBeCloseTo((40 * Math.PI) / 180, 9);
+      expect(lat).toBeCloseTo((-20 * Math.PI) / 180, 9);
+    });
+
+    it('spans the field of view across the width', () => {
+      const project = panorama.projector(100, 50, { yaw: 0, pitch: 0, fov: 90 });
+
+      // Pixel centers sit half a pixel in from the edges
+      expect(project(0, 24.5)[0]).toBeCloseTo(-Math.atan(49.5 / 50), 9);
+      expect(project(99, 24.5)[0]).toBeCloseTo(Math.atan(49.5 / 50), 9);
+      expect(project(49.5, 0)[1]).toBeGreaterThan(0);
+    });
+  });
+
+  describe('create', () => {
+    it('builds a focusable, labelled canvas at the render size', () => {
+      const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+
+      expect(canvas.width).toBe(config.panorama.renderWidth);
+      expect(canvas.height).toBe(config.panorama.renderHeight);
+      expect(canvas.getAttribute('tabindex')).toBe('0');
+      expect(canvas.getAttribute('role')).toBe('img');
+      expect(canvas.getAttribute('aria-label')).toBe('Ranch panorama');
+      expect(panorama.getView(canvas)).toEqual({ yaw: 0, pitch: 0, fov: config.panorama.fov });
+    });
+
+    it('draws the panorama once loaded', () => {
+      const canvas = createLoaded();
+      canvas.width = 1;
+      canvas.height = 1;
+
+      panorama.setView(canvas, { yaw: 0 });
+      expect(drawn()[0]).toBe(6);
+      expect(drawn()[3]).toBe(255);
+
+      // Turning around shows the panorama's seam
+      panorama.setView(canvas, { yaw: 180 });
+      expect(drawn()[0]).toBe(4);
+
+      panorama.setView(canvas, { yaw: 0, pitch: 60 });
+      expect(drawn()[0]).toBe(2);
+    });
+
+    it('scales large panoramas down before reading them', () => {
+      const createElement = vi.spyOn(document, 'createElement');
+      panorama.create('pano.jpg', 'Ranch panorama');
+      const loader = createElement.mock.results.map(result => result.value).find(element => element.tagName === 'IMG');
+      Object.defineProperty(loader, 'naturalWidth', { value: config.panorama.maxSourceWidth * 2 });
+      Object.defineProperty(loader, 'naturalHeight', { value: config.panorama.maxSourceWidth });
+      loader.dispatchEvent(new dom.window.Event('load'));
+
+      expect(context.getImageData).toHaveBeenCalledWith(0, 0, config.panorama.maxSourceWidth, config.panorama.maxSourceWidth / 2);
+    });
+
+    it('reports panoramas that fail to load or cannot be read', () => {
+      const error = vi.fn();
+      const createElement = vi.spyOn(document, 'createElement');
+      const canvas = panorama.create('missing.jpg', 'Missing');
+      canvas.addEventListener('panorama:error', error);
+      const loader = createElement.mock.results.map(result => result.value).find(element => element.tagName === 'IMG');
+      loader.dispatchEvent(new dom.window.Event('error'));
+      expect(error).toHaveBeenCalledTimes(1);
+
+      context.getImageData = () => {
+        throw new Error('The canvas has been tainted by cross-origin data');
+      };
+      loader.dispatchEvent(new dom.window.Event('load'));
+      expect(error).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('looking around', () => {
+    it('wraps the yaw and limits the pitch and field of view', () => {
+      const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+
+      panorama.setView(canvas, { yaw: 190, pitch: 120, fov: 500 });
+      expect(panorama.getView(canvas)).toEqual({ yaw: -170, pitch: 85, fov: config.panorama.maxFov });
+
+      panorama.setView(canvas, { yaw: -540, pitch: -90, fov: 1 });
+      expect(panorama.getView(canvas)).toEqual({ yaw: -180, pitch: -85, fov: config.panorama.minFov });
+    });
+
+    it('follows a drag', () => {
+      const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+      const pointer = (type, x, y) => {
+        canvas.dispatchEvent(new dom.window.MouseEvent(type, { clientX: x, clientY: y, bubbles: true, cancelable: true }));
+      };
+      const perPixel = config.panorama.fov / config.panorama.renderWidth;
+
+      pointer('pointerdown', 100, 100);
+      expect(canvas.classList.contains('is-dragging')).toBe(true);
+      pointer('pointermove', 200, 120);
+      expect(panorama.getView(canvas).yaw).toBeCloseTo(-100 * perPixel, 9);
+      expect(panorama.getView(canvas).pitch).toBeCloseTo(20 * perPixel, 9);
+
+      pointer('pointerup', 200, 120);
+      pointer('pointermove', 400, 400);
+      expect(panorama.getView(canvas).yaw).toBeCloseTo(-100 * perPixel, 9);
+      expect(canvas.classList.contains('is-dragging')).toBe(false);
+    });
+
+    it('turns with the arrow keys and zooms with +/- and the wheel', () => {
+      const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+      const { keyStep, zoomStep, fov } = config.panorama;
+      const press = (key) => {
+        const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        canvas.dispatchEvent(event);
+        return event;
+      };
+
+      expect(press('ArrowRight').defaultPrevented).toBe(true);
+      press('ArrowUp');
+      expect(panorama.getView(canvas)).toMatchObject({ yaw: keyStep, pitch: keyStep });
+
+      press('+');
+      expect(panorama.getView(canvas).fov).toBeCloseTo(fov / zoomStep, 9);
+      press('-');
+      expect(panorama.getView(canvas).fov).toBeCloseTo(fov, 9);
+
+      const wheel = new dom.window.WheelEvent('wheel', { deltaY: 100, cancelable: true });
+      canvas.dispatchEvent(wheel);
+      expect(wheel.defaultPrevented).toBe(true);
+      expect(panorama.getView(canvas).fov).toBeCloseTo(fov * zoomStep, 9);
+
+      expect(press('Enter').defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('destroy', () => {
+    it('forgets the viewer and ignores later loads', () => {
+      const createElement = vi.spyOn(document, 'createElement');
+      const canvas = panorama.create('pano.jpg', 'Ranch panorama');
+      const loader = createElement.mock.results.map(result => result.value).find(element => element.tagName === 'IMG');
+
+      panorama.destroy(canvas);
+      loader.dispatchEvent(new dom.window.Event('load'));
+
+      expect(panorama.getView(canvas)).toBeNull();
+      expect(context.putImageData).not.toHaveBeenCalled();
+      panorama.setView(canvas, { yaw: 10 });
+      expect(() => panorama.destroy(canvas)).not.toThrow();
+    });
+  });
+});
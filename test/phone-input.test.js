@@ -0,0 +1,187 @@
+/**
+ * Unit tests for phone-input.js module
+ * Tests masking, caret handling, deletion across mask characters and E.164 output
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { phoneInput } from '../assets/js/modules/phone-input.js';
+
+describe('Phone Input Module', () => {
+  let dom;
+  let document;
+  let form;
+  let field;
+
+  const type = (value, caret = value.length) => {
+    field.value = value;
+    field.setSelectionRange(caret, caret);
+    field.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+  };
+
+  const press = (key, caret) => {
+    field.setSelectionRange(caret, caret);
+    const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    field.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <input type="tel" id="phone" name="phone">
+            <button type="submit">Send</button>
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    form = document.querySelector('form');
+    field = document.getElementById('phone');
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('format', () => {
+    it('masks US numbers progressively', () => {
+      expect(phoneInput.format('')).toBe('');
+      expect(phoneInput.format('5')).toBe('(5');
+      expect(phoneInput.format('5551')).toBe('(555) 1');
+      expect(phoneInput.format('5551234')).toBe('(555) 123-4');
+      expect(phoneInput.format('555.123.4567')).toBe('(555) 123-4567');
+    });
+
+    it('drops digits beyond a full number', () => {
+      expect(phoneInput.format('55512345678')).toBe('(555) 123-4567');
+    });
+
+    it('shows a leading 1 as the country code', () => {
+      expect(phoneInput.format('1')).toBe('+1');
+      expect(phoneInput.format('15551234567')).toBe('+1 (555) 123-4567');
+      expect(phoneInput.format('+1 555 123 4567')).toBe('+1 (555) 123-4567');
+    });
+
+    it('leaves international numbers unmasked', () => {
+      expect(phoneInput.format('+44 20 7946 0958')).toBe('+44 20 7946 0958');
+      expect(phoneInput.format('+44 (0)20x')).toBe('+44 (0)20');
+      expect(phoneInput.format('+44 20 7946.0958')).toBe('+44 20 79460958');
+      expect(phoneInput.format('+')).toBe('+');
+    });
+  });
+
+  describe('toE164', () => {
+    it('normalizes US numbers', () => {
+      expect(phoneInput.toE164('(555) 123-4567')).toBe('+15551234567');
+      expect(phoneInput.toE164('+1 (555) 123-4567')).toBe('+15551234567');
+      expect(phoneInput.toE164('1-555-123-4567')).toBe('+15551234567');
+    });
+
+    it('normalizes international numbers', () => {
+      expect(phoneInput.toE164('+44 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('returns an empty string for incomplete or invalid numbers', () => {
+      expect(phoneInput.toE164('')).toBe('');
+      expect(phoneInput.toE164('(555) 123')).toBe('');
+      expect(phoneInput.toE164('+0 123')).toBe('');
+      expect(phoneInput.toE164('+44 20')).toBe('');
+    });
+  });
+
+  describe('as-you-type', () => {
+    beforeEach(() => {
+      phoneInput.init();
+      field.focus();
+    });
+
+    it('masks while typing and keeps the caret after the typed digit', () => {
+      type('5');
+      expect(field.value).toBe('(5');
+      expect(field.selectionStart).toBe(2);
+
+      type('(555) 1234');
+      expect(field.value).toBe('(555) 123-4');
+      expect(field.selectionStart).toBe(11);
+    });
+
+    it('keeps the caret in place when editing the middle', () => {
+      // Insert "9" after the area code of a full number
+      type('(555)9 123-4567', 6);
+      expect(field.value).toBe('(555) 912-3456');
+      expect(field.selectionStart).toBe(7);
+    });
+
+    it('deletes the digit before a mask character on Backspace', () => {
+      type('(555) 123');
+      const event = press('Backspace', 6);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(field.value).toBe('(551) 23');
+      expect(field.selectionStart).toBe(3);
+    });
+
+    it('deletes the digit after a mask character on Delete', () => {
+      type('(555) 123-4567');
+      press('Delete', 9);
+
+      expect(field.value).toBe('(555) 123-567');
+      expect(field.selectionStart).toBe(9);
+    });
+
+    it('leaves ordinary deletes to the browser', () => {
+      type('(555) 123');
+      expect(press('Backspace', 9).defaultPrevented).toBe(false);
+      expect(press('Delete', 9).defaultPrevented).toBe(false);
+    });
+
+    it('sets a numeric keypad hint', () => {
+      expect(field.getAttribute('inputmode')).toBe('tel');
+    });
+  });
+
+  describe('E.164 field', () => {
+    const submit = () => {
+      const event = new dom.window.Event('submit', { cancelable: true });
+      event.preventDefault();
+      form.dispatchEvent(event);
+    };
+
+    it('is written before other submit handlers read the form', () => {
+      phoneInput.init();
+      let seen;
+      form.addEventListener('submit', () => {
+        seen = new dom.window.FormData(form).get('phone_e164');
+      });
+      type('5551234567');
+
+      submit();
+
+      expect(seen).toBe('+15551234567');
+      expect(form.querySelectorAll('input[name="phone_e164"]')).toHaveLength(1);
+    });
+
+    it('reuses an existing hidden field and clears it for incomplete numbers', () => {
+      form.insertAdjacentHTML('beforeend', '<input type="hidden" name="phone_e164" value="stale">');
+      phoneInput.init();
+      type('555');
+
+      submit();
+
+      expect(form.querySelectorAll('input[name="phone_e164"]')).toHaveLength(1);
+      expect(form.querySelector('input[name="phone_e164"]').value).toBe('');
+    });
+  });
+
+  it('formats a pre-filled value on init', () => {
+    field.value = '5551234567';
+    phoneInput.init();
+    expect(field.value).toBe('(555) 123-4567');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit tests for price-estimator.js module
+ * Tests pricing math, query serialization, rendering, and contact form pre-fill
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { priceEstimator } from '../assets/js/modules/price-estimator.js';
+import { formDrafts } from '../assets/js/modules/form-drafts.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Price Estimator Module', () => {
+  let dom;
+  let document;
+
+  const selection = (overrides = {}) => ({
+    service: 'mapping',
+    acres: 10,
+    deliverables: ['photo'],
+    miles: 0,
+    rush: false,
+    ...overrides,
+  });
+
+  const setup = (body, url = 'http://localhost/services/mapping.html') => {
+    dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, { url });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('window', dom.window);
+    vi.stubGlobal('history', dom.window.history);
+    vi.stubGlobal('Event', dom.window.Event);
+  };
+
+  beforeEach(() => {
+    setup('');
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('estimate', () => {
+    it('returns the base price range for the included acreage', () => {
+      // 450 * 0.85 = 382.5 -> 375, 450 * 1.15 = 517.5 -> 525
+      expect(priceEstimator.estimate(selection())).toEqual({ low: 375, high: 525, travelFee: 0 });
+    });
+
+    it('adds per-acre and per-deliverable charges', () => {
+      // 450 + 10 * 8 + 1 * 100 = 630
+      const result = priceEstimator.estimate(selection({ acres: 20, deliverables: ['photo', 'video'] }));
+      expect(result).toEqual({ low: 525, high: 725, travelFee: 0 });
+    });
+
+    it('charges travel beyond the free radius and leaves it out of the rush multiplier', () => {
+      // (450 * 1.5) + (45 - 25) * 1.5 = 675 + 30 = 705
+      const result = priceEstimator.estimate(selection({ miles: 45, rush: true }));
+      expect(result).toEqual({ low: 575, high: 825, travelFee: 30 });
+    });
+
+    it('returns null for unknown services', () => {
+      expect(priceEstimator.estimate(selection({ service: 'weddings' }))).toBeNull();
+    });
+  });
+
+  describe('query parameters', () => {
+    it('round-trips a configuration', () => {
+      const original = selection({ acres: 12.5, deliverables: ['photo', 'orthomosaic'], miles: 40, rush: true });
+      const query = priceEstimator.toQuery(original);
+
+      expect(query).toBe('service=mapping&acres=12.5&deliverables=photo%2Corthomosaic&miles=40&rush=1');
+      expect(priceEstimator.fromQuery(new URLSearchParams(query))).toEqual(original);
+    });
+
+    it('clamps numbers and drops unknown deliverables', () => {
+      const params = new URLSearchParams('service=events&acres=-5&miles=99999&deliverables=drone,video');
+      expect(priceEstimator.fromQuery(params)).toEqual({
+        service: 'events',
+        acres: 0,
+        deliverables: ['video'],
+        miles: config.estimator.maxMiles,
+        rush: false,
+      });
+    });
+
+    it('returns null without a known service', () => {
+      expect(priceEstimator.fromQuery(new URLSearchParams('acres=10'))).toBeNull();
+      expect(priceEstimator.fromQuery(new URLSearchParams('service=toString'))).toBeNull();
+    });
+  });
+
+  describe('describe', () => {
+    it('summarizes the configuration and range', () => {
+      const text = priceEstimator.describe(selection({ deliverables: ['photo', '3d-model'], rush: true }));
+      expect(text.split('\n')).toEqual([
+        'Estimate request: Mapping & Orthomosaics',
+        'Site size (acres): 10',
+        'Deliverables: Photos, 3D Model',
+        'Travel distance from our base (miles): 0',
+        'Rush job (within a week): Yes',
+        'Estimated range: $700 – $950',
+      ]);
+    });
+  });
+
+  describe('service page widget', () => {
+    beforeEach(() => {
+      setup(`
+        <div class="card estimator" data-estimator="mapping">
+          <h2>Instant Price Estimate</h2>
+          <a class="btn primary estimator-request" href="../contact.html">Request this quote</a>
+        </div>
+      `);
+      priceEstimator.init();
+    });
+
+    it('renders controls before the request link', () => {
+      const controls = document.querySelector('.estimator-controls');
+      expect(controls.nextElementSibling.classList.contains('estimator-request')).toBe(true);
+      expect(document.querySelector('input[name="acres"]').value).toBe('10');
+      expect(document.querySelectorAll('input[name="deliverable"]')).toHaveLength(4);
+      expect(document.querySelector('label[for="estimator-mapping-acres"]')).not.toBeNull();
+    });
+
+    it('shows the initial range and links to the contact page with the configuration', () => {
+      expect(document.querySelector('.estimator-result').textContent).toBe('$375 – $525');
+      expect(document.querySelector('.estimator-request').getAttribute('href'))
+        .toBe('../contact.html?service=mapping&acres=10&deliverables=photo&miles=0');
+    });
+
+    it('updates the range and travel note as options change', () => {
+      const miles = document.querySelector('input[name="miles"]');
+      miles.value = '45';
+      miles.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+
+      const output = document.querySelector('.estimator-result');
+      expect(output.textContent).toBe('$400 – $575 Includes $30 travel');
+
+      const rush = document.querySelector('input[name="rush"]');
+      rush.checked = true;
+      rush.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+
+      expect(document.querySelector('.estimator-request').getAttribute('href')).toContain('&miles=45&rush=1');
+    });
+
+    it('names its controls in the current language and relabels them when it changes', () => {
+      expect(document.querySelector('label[for="estimator-mapping-acres"]').textContent).toBe('Site size (acres)');
+      expect(document.querySelector('.estimator-controls legend').textContent).toBe('Deliverables');
+      expect(document.querySelector('input[value="3d-model"]').parentElement.textContent).toBe(' 3D Model');
+
+      const miles = document.querySelector('input[name="miles"]');
+      miles.value = '45';
+      miles.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+      i18n.locale = 'en';
+
+      expect(document.querySelector('label[for="estimator-mapping-miles"]').textContent).toBe('Distancia desde nuestra base (millas)');
+      expect(document.querySelector('input[value="photo"]').parentElement.textContent).toBe(' Fotos');
+      expect(document.querySelector('input[name="rush"]').parentElement.textContent).toBe(' Trabajo urgente (en menos de una semana)');
+      expect(document.querySelector('.estimator-result').textContent).toBe('$400 – $575 Incluye $30 de desplazamiento');
+    });
+
+    it('ignores containers for unknown services', () => {
+      document.body.insertAdjacentHTML('beforeend', '<div data-estimator="weddings" id="unknown"></div>');
+      priceEstimator.init();
+      expect(document.querySelector('#unknown').children).toHaveLength(0);
+    });
+  });
+
+  describe('contact form pre-fill', () => {
+    const contactForm = `
+      <form name="contact-form">
+        <input type="radio" name="service" value="mapping">
+        <input type="radio" name="service" value="events">
+        <input type="checkbox" name="deliverables[]" value="photo">
+        <input type="checkbox" name="deliverables[]" value="orthomosaic">
+        <select name="property_size">
+          <option value="">Select a size</option>
+          <option value="10-50-acres">10–50 acres</option>
+        </select>
+        <select name="timeline">
+          <option value="">Select a timeline</option>
+          <option value="within-1-week">Within a week</option>
+        </select>
+        <textarea id="details" name="details"></textarea>
+      </form>
+    `;
+
+    it('fills structured fields and details from the query', () => {
+      setup(contactForm, 'http://localhost/contact.html?service=mapping&acres=30&deliverables=orthomosaic&miles=0&rush=1#form');
+      const inputSpy = vi.fn();
+      document.querySelector('form').addEventListener('input', inputSpy);
+
+      priceEstimator.init();
+
+      const form = document.querySelector('form');
+      expect(form.querySelector('input[value="mapping"]').checked).toBe(true);
+      expect(form.querySelector('input[value="photo"]').checked).toBe(false);
+      expect(form.querySelector('input[value="orthomosaic"]').checked).toBe(true);
+      expect(form.elements.property_size.value).toBe('10-50-acres');
+      expect(form.elements.timeline.value).toBe('within-1-week');
+      expect(form.elements.details.value).toContain('Estimate request: Mapping & Orthomosaics');
+      expect(inputSpy).toHaveBeenCalled();
+    });
+
+    it('removes the query so a reload does not apply it twice', () => {
+      setup(contactForm, 'http://localhost/contact.html?service=events&acres=2#form');
+      priceEstimator.init();
+
+      expect(dom.window.location.search).toBe('');
+      expect(dom.window.location.hash).toBe('#form');
+    });
+
+    it('keeps existing details below the summary', () => {
+      setup(contactForm, 'http://localhost/contact.html?service=events&acres=2');
+      document.querySelector('#details').value = 'Gate code 1234';
+
+      priceEstimator.init();
+
+      const value = document.querySelector('#details').value;
+      expect(value.startsWith('Estimate request: Events')).toBe(true);
+      expect(value.endsWith('\n\nGate code 1234')).toBe(true);
+    });
+
+    it('keeps the estimate when a saved draft is restored afterwards', () => {
+      setup(contactForm.replace('<form name="contact-form">', '<form name="contact-form" data-autosave>'),
+        'http://localhost/contact.html?service=events&acres=2');
+      vi.stubGlobal('localStorage', dom.window.localStorage);
+      vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+      dom.window.localStorage.setItem(formDrafts.getKey('contact-form'), JSON.stringify({
+        savedAt: Date.now(),
+        values: { service: 'mapping', 'deliverables[]': ['orthomosaic'], details: 'Gate code 1234' },
+      }));
+
+      formDrafts.init();
+      priceEstimator.init();
+      document.querySelector('.draft-restore').click();
+
+      const form = document.querySelector('form');
+      const value = form.elements.details.value;
+      expect(value.startsWith('Estimate request: Events')).toBe(true);
+      expect(value.endsWith('\n\nGate code 1234')).toBe(true);
+      expect(form.querySelector('input[value="events"]').checked).toBe(true);
+      expect(form.querySelector('input[value="orthomosaic"]').checked).toBe(false);
+      expect(form.querySelector('input[value="photo"]').checked).toBe(true);
+    });
+
+    it('does nothing without estimate parameters', () => {
+      setup(contactForm, 'http://localhost/contact.html');
+      priceEstimator.init();
+      expect(document.querySelector('#details').value).toBe('');
+    });
+  });
+});
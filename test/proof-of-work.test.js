@@ -0,0 +1,94 @@
+/**
+ * Unit tests for proof-of-work.js module
+ * Tests stamp minting, parsing and verification
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { proofOfWork } from '../assets/js/modules/proof-of-work.js';
+
+describe('Proof-of-Work Module', () => {
+  const options = { bits: 8, maxAgeMs: 60 * 60 * 1000, now: 1_000_000 };
+
+  describe('leadingZeroBits', () => {
+    it('counts zero bits across bytes', () => {
+      expect(proofOfWork.leadingZeroBits(new Uint8Array([0x80]))).toBe(0);
+      expect(proofOfWork.leadingZeroBits(new Uint8Array([0x01]))).toBe(7);
+      expect(proofOfWork.leadingZeroBits(new Uint8Array([0, 0, 0x10]))).toBe(19);
+      expect(proofOfWork.leadingZeroBits(new Uint8Array([0, 0]))).toBe(16);
+    });
+  });
+
+  describe('createPrefix', () => {
+    it('lays out version, bits, timestamp, resource and random parts', () => {
+      const prefix = proofOfWork.createPrefix('contact:form', 12, 1234);
+      expect(prefix).toMatch(/^1:12:1234:contactform:[0-9a-f]{16}:$/);
+    });
+  });
+
+  describe('solve', () => {
+    it('mints on a challenge\'s timestamp and nonce when given one', async () => {
+      const stamp = await proofOfWork.solve('contact-form', 8, 1234, 'f00d.beef');
+      expect(stamp.startsWith('1:8:1234:contact-form:f00d.beef:')).toBe(true);
+      expect(proofOfWork.parse(stamp).nonce).toBe('f00d.beef');
+    });
+
+    it('mints a stamp whose hash has enough zero bits', async () => {
+      const stamp = await proofOfWork.solve('contact-form', 8, options.now);
+
+      expect(proofOfWork.parse(stamp)).toEqual({
+        bits: 8,
+        timestamp: options.now,
+        resource: 'contact-form',
+        nonce: expect.stringMatching(/^[0-9a-f]{16}$/),
+      });
+      expect(proofOfWork.leadingZeroBits(await proofOfWork.hash(stamp))).toBeGreaterThanOrEqual(8);
+    });
+  });
+
+  describe('parse', () => {
+    it('rejects malformed stamps', () => {
+      expect(proofOfWork.parse('')).toBeNull();
+      expect(proofOfWork.parse('2:8:1000:form:ab:1')).toBeNull();
+      expect(proofOfWork.parse('1:x:1000:form:ab:1')).toBeNull();
+      expect(proofOfWork.parse('1:8:1000:form:ab:')).toBeNull();
+      expect(proofOfWork.parse('1:8:1000:form:ab')).toBeNull();
+    });
+  });
+
+  describe('verify', () => {
+    let stamp;
+
+    beforeEach(async () => {
+      stamp = await proofOfWork.solve('contact-form', 8, options.now);
+    });
+
+    it('accepts a fresh stamp', async () => {
+      expect(await proofOfWork.verify(stamp, options)).toEqual({ valid: true });
+      expect(await proofOfWork.verify(stamp, { ...options, resources: ['contact-form'] })).toEqual({ valid: true });
+    });
+
+    it('rejects stamps minted with too few bits', async () => {
+      expect((await proofOfWork.verify(stamp, { ...options, bits: 12 })).reason).toBe('weak');
+    });
+
+    it('rejects old and future stamps', async () => {
+      expect((await proofOfWork.verify(stamp, { ...options, now: options.now + options.maxAgeMs + 1 })).reason).toBe('expired');
+      expect((await proofOfWork.verify(stamp, { ...options, now: options.now - 5 * 60 * 1000 })).reason).toBe('expired');
+    });
+
+    it('rejects stamps for other resources', async () => {
+      expect((await proofOfWork.verify(stamp, { ...options, resources: ['newsletter'] })).reason).toBe('resource');
+    });
+
+    it('rejects stamps whose counter was not worked for', async () => {
+      // Claiming 8 bits without doing the work fails for all but about 1 in 256 counters
+      const prefix = proofOfWork.createPrefix('contact-form', 8, options.now);
+      const results = await Promise.all(['a', 'b', 'c', 'd'].map(counter => proofOfWork.verify(prefix + counter, options)));
+      expect(results.some(result => result.reason === 'hash')).toBe(true);
+    });
+
+    it('rejects malformed stamps', async () => {
+      expect((await proofOfWork.verify('nonsense', options)).reason).toBe('malformed');
+    });
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Unit tests for quote-wizard.js module
+ * Tests step navigation, validation gating, history state, and persistence
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+const { quoteWizard } = await import('../assets/js/modules/quote-wizard.js');
+const { i18n } = await import('../assets/js/modules/i18n.js');
+
+describe('Quote Wizard Module', () => {
+  let dom;
+  let document;
+  let mockLocalStorage;
+
+  const visibleStep = () => quoteWizard.steps.findIndex(step => !step.hidden);
+  const saved = () => JSON.parse(mockLocalStorage.store['sss_quote_wizard'] || 'null');
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form" action="https://formspree.io/f/test" method="post" data-wizard>
+            <input type="hidden" name="_subject" value="New Quote Request">
+            <input type="text" name="_gotcha" style="display:none">
+            <fieldset class="wizard-step" data-step="service">
+              <legend>Service Type</legend>
+              <div class="choice-group">
+                <label><input type="radio" name="service" value="mapping" required> Mapping</label>
+                <label><input type="radio" name="service" value="events"> Events</label>
+              </div>
+            </fieldset>
+            <fieldset class="wizard-step" data-step="deliverables">
+              <legend>Deliverables</legend>
+              <div class="choice-group">
+                <label><input type="checkbox" name="deliverables[]" value="photo" data-validate="required"> Photos</label>
+                <label><input type="checkbox" name="deliverables[]" value="video"> Video</label>
+              </div>
+            </fieldset>
+            <fieldset class="wizard-step" data-step="location">
+              <legend>Location</legend>
+              <input type="text" id="location" name="location" required>
+            </fieldset>
+            <fieldset class="wizard-step" data-step="contact">
+              <legend>Contact Info</legend>
+              <input type="text" id="name" name="name" required>
+              <button type="submit">Send Request</button>
+            </fieldset>
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+
+    mockLocalStorage = {
+      store: {},
+      getItem: vi.fn((key) => mockLocalStorage.store[key] || null),
+      setItem: vi.fn((key, value) => { mockLocalStorage.store[key] = value; }),
+      removeItem: vi.fn((key) => { delete mockLocalStorage.store[key]; }),
+    };
+
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('window', dom.window);
+    vi.stubGlobal('history', dom.window.history);
+    vi.stubGlobal('localStorage', mockLocalStorage);
+    vi.stubGlobal('CustomEvent', dom.window.CustomEvent);
+
+    quoteWizard.form = null;
+    quoteWizard.steps = [];
+    quoteWizard.currentIndex = 0;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('init', () => {
+    it('does nothing without a wizard form', () => {
+      document.querySelector('form').removeAttribute('data-wizard');
+      expect(() => quoteWizard.init()).not.toThrow();
+      expect(quoteWizard.form).toBeNull();
+    });
+
+    it('shows only the first step', () => {
+      quoteWizard.init();
+
+      expect(quoteWizard.steps).toHaveLength(4);
+      expect(quoteWizard.steps.map(step => step.hidden)).toEqual([false, true, true, true]);
+    });
+
+    it('turns off native validation', () => {
+      quoteWizard.init();
+      expect(quoteWizard.form.noValidate).toBe(true);
+    });
+
+    it('builds the progress indicator and status', () => {
+      quoteWizard.init();
+
+      const items = document.querySelectorAll('.wizard-progress li');
+      expect(items).toHaveLength(4);
+      expect(items[0].getAttribute('aria-current')).toBe('step');
+      expect(document.querySelector('.wizard-status').textContent).toBe('Step 1 of 4: Service Type');
+      expect(document.querySelector('.wizard-status').getAttribute('aria-live')).toBe('polite');
+    });
+
+    it('adds Back/Next buttons without touching the submit button', () => {
+      quoteWizard.init();
+      const [first, second, , last] = quoteWizard.steps;
+
+      expect(first.querySelector('.wizard-back')).toBeNull();
+      expect(first.querySelector('.wizard-next').type).toBe('button');
+      expect(second.querySelector('.wizard-back')).not.toBeNull();
+      expect(last.querySelector('.wizard-next')).toBeNull();
+      expect(last.querySelector('.wizard-nav').nextElementSibling.type).toBe('submit');
+    });
+  });
+
+  describe('next', () => {
+    it('blocks advancing when the step is invalid', () => {
+      quoteWizard.init();
+
+      expect(quoteWizard.next()).toBe(false);
+
+      expect(visibleStep()).toBe(0);
+      expect(document.querySelector('.choice-group').classList.contains('field-error')).toBe(true);
+    });
+
+    it('advances and pushes history when the step is valid', () => {
+      quoteWizard.init();
+      const pushSpy = vi.spyOn(dom.window.history, 'pushState');
+      document.querySelector('input[value="mapping"]').checked = true;
+
+      expect(quoteWizard.next()).toBe(true);
+
+      expect(visibleStep()).toBe(1);
+      expect(pushSpy).toHaveBeenCalledWith({ wizardStep: 1 }, '');
+      expect(document.querySelector('.wizard-status').textContent).toBe('Step 2 of 4: Deliverables');
+    });
+
+    it('requires at least one checkbox in a group', () => {
+      quoteWizard.init();
+      document.querySelector('input[value="mapping"]').checked = true;
+      quoteWizard.next();
+
+      expect(quoteWizard.next()).toBe(false);
+
+      document.querySelector('input[value="video"]').checked = true;
+      expect(quoteWizard.next()).toBe(true);
+    });
+
+    it('advances on Enter in a text field', () => {
+      quoteWizard.init();
+      quoteWizard.showStep(2);
+      const location = document.querySelector('#location');
+      location.value = 'Burnet County';
+
+      const event = new dom.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+      location.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(visibleStep()).toBe(3);
+    });
+
+    it('leaves Enter alone when a field widget already handled it', () => {
+      quoteWizard.init();
+      quoteWizard.showStep(2);
+      const location = document.querySelector('#location');
+      location.value = 'Burnet County';
+      location.addEventListener('keydown', (e) => e.preventDefault());
+
+      location.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+
+      expect(visibleStep()).toBe(2);
+    });
+  });
+
+  describe('history', () => {
+    it('clicking Back goes back through history', () => {
+      quoteWizard.init();
+      const backSpy = vi.spyOn(dom.window.history, 'back').mockImplementation(() => {});
+      quoteWizard.showStep(1);
+
+      quoteWizard.steps[1].querySelector('.wizard-back').click();
+
+      expect(backSpy).toHaveBeenCalled();
+    });
+
+    it('shows the step stored in popstate', () => {
+      quoteWizard.init();
+      quoteWizard.showStep(2);
+
+      quoteWizard._handlePopState({ state: { wizardStep: 1 } });
+
+      expect(visibleStep()).toBe(1);
+    });
+
+    it('stops at an invalid step when moving forward', () => {
+      quoteWizard.init();
+
+      quoteWizard._handlePopState({ state: { wizardStep: 2 } });
+
+      expect(visibleStep()).toBe(0);
+    });
+
+    it('ignores unrelated popstate entries', () => {
+      quoteWizard.init();
+      quoteWizard.showStep(1);
+
+      quoteWizard._handlePopState({ state: null });
+
+      expect(visibleStep()).toBe(1);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves the current step', () => {
+      quoteWizard.init();
+      document.querySelector('input[value="events"]').checked = true;
+      quoteWizard.next();
+
+      expect(saved()).toEqual({ step: 1 });
+    });
+
+    it('reopens the saved step on reload when earlier steps are filled', () => {
+      mockLocalStorage.store['sss_quote_wizard'] = JSON.stringify({ step: 2 });
+      document.querySelector('input[value="mapping"]').checked = true;
+      document.querySelector('input[value="photo"]').checked = true;
+
+      quoteWizard.init();
+
+      expect(visibleStep()).toBe(2);
+      expect(dom.window.history.state).toEqual({ wizardStep: 2 });
+    });
+
+    it('does not push the step entries again when the page is reloaded', () => {
+      mockLocalStorage.store['sss_quote_wizard'] = JSON.stringify({ step: 2 });
+      document.querySelector('input[value="mapping"]').checked = true;
+      document.querySelector('input[value="photo"]').checked = true;
+
+      quoteWizard.init();
+      const length = dom.window.history.length;
+      quoteWizard.init();
+
+      expect(dom.window.history.length).toBe(length);
+      expect(dom.window.history.state).toEqual({ wizardStep: 2 });
+      expect(visibleStep()).toBe(2);
+    });
+
+    it('reopens at the first incomplete earlier step', () => {
+      mockLocalStorage.store['sss_quote_wizard'] = JSON.stringify({ step: 3 });
+      document.querySelector('input[value="mapping"]').checked = true;
+
+      quoteWizard.init();
+
+      expect(visibleStep()).toBe(1);
+    });
+
+    it('moves to the saved step once a draft is restored', () => {
+      mockLocalStorage.store['sss_quote_wizard'] = JSON.stringify({ step: 2 });
+      quoteWizard.init();
+      expect(visibleStep()).toBe(0);
+
+      document.querySelector('input[value="mapping"]').checked = true;
+      document.querySelector('input[value="photo"]').checked = true;
+      quoteWizard.form.dispatchEvent(new dom.window.CustomEvent('draft:restored'));
+
+      expect(visibleStep()).toBe(2);
+      expect(dom.window.history.state).toEqual({ wizardStep: 2 });
+    });
+
+    it('ignores corrupt saved progress', () => {
+      mockLocalStorage.store['sss_quote_wizard'] = '{broken';
+
+      quoteWizard.init();
+
+      expect(visibleStep()).toBe(0);
+    });
+
+    it('clears progress after a successful submission', () => {
+      quoteWizard.init();
+      expect(saved()).not.toBeNull();
+
+      quoteWizard.form.dispatchEvent(new dom.window.CustomEvent('form:success'));
+
+      expect(saved()).toBeNull();
+    });
+  });
+
+  describe('submit errors', () => {
+    it('shows the step containing a revealed field', () => {
+      quoteWizard.init();
+      quoteWizard.showStep(3);
+
+      document.querySelector('#location').dispatchEvent(
+        new dom.window.CustomEvent('field:reveal', { bubbles: true })
+      );
+
+      expect(visibleStep()).toBe(2);
+    });
+  });
+
+  describe('language', () => {
+    afterEach(() => {
+      i18n.locale = 'en';
+    });
+
+    it('relabels the navigation and status when the language changes', () => {
+      quoteWizard.init();
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+
+      expect(document.querySelector('.wizard-next').textContent).toBe('Siguiente');
+      expect(document.querySelector('.wizard-status').textContent).toBe('Paso 1 de 4: Service Type');
+    });
+  });
+});
@@ -0,0 +1,452 @@
+// @vitest-environment node
+/**
+ * Unit tests for the form relay (server/)
+ * Tests the sliding window, honeypot and timing checks, rate limits and forwarding
+ * to a stub upstream over real HTTP
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { createServer, settingsFromEnv } from '../server/relay.js';
+import { createSlidingWindow } from '../server/sliding-window.js';
+import { formspreeTransport, logTransport } from '../server/transports.js';
+import { proofOfWork } from '../assets/js/modules/proof-of-work.js';
+import { config } from '../assets/js/modules/config.js';
+
+/**
+ * Start a server on a free port
+ * @returns {Promise<string>} Base URL
+ */
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('createSlidingWindow', () => {
+  let time;
+  let limit;
+
+  beforeEach(() => {
+    time = 0;
+    limit = createSlidingWindow({ maxHits: 2, windowMs: 1000, now: () => time });
+  });
+
+  it('allows hits up to the limit', () => {
+    expect(limit.check('a')).toBe(true);
+    limit.record('a');
+    limit.record('a');
+    expect(limit.check('a')).toBe(false);
+    expect(limit.check('b')).toBe(true);
+  });
+
+  it('frees a hit once the oldest one leaves the window', () => {
+    limit.record('a');
+    time = 400;
+    limit.record('a');
+    expect(limit.retryAfter('a')).toBe(1);
+
+    time = 1001;
+    expect(limit.check('a')).toBe(true);
+    expect(limit.retryAfter('a')).toBe(0);
+  });
+
+  it('prunes keys with no recent hits', () => {
+    limit.record('a');
+    time = 2000;
+    limit.prune();
+    expect(limit.size).toBe(0);
+  });
+});
+
+describe('Form Relay', () => {
+  let upstream;
+  let upstreamUrl;
+  let received;
+  let upstreamStatus;
+  let relay;
+  let relayUrl;
+  let time;
+
+  const form = (fields = {}) => new URLSearchParams({
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    details: 'Roof inspection',
+    _gotcha: '',
+    _elapsed: '12000',
+    ...fields,
+  });
+
+  const post = (body, headers = {}) => fetch(`${relayUrl}/`, {
+    method: 'POST',
+    body,
+    redirect: 'manual',
+    headers: { Accept: 'application/json', ...headers },
+  });
+
+  const startRelay = async (options = {}) => {
+    relay = createServer({
+      transport: formspreeTransport(upstreamUrl),
+      now: () => time,
+      log: () => {},
+      ...options,
+    });
+    relayUrl = await listen(relay);
+  };
+
+  beforeEach(async () => {
+    time = 1_000_000;
+    received = [];
+    upstreamStatus = 200;
+    upstream = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = await new Request('http://upstream/', {
+        method: 'POST',
+        headers: { 'Content-Type': req.headers['content-type'] },
+        body: Buffer.concat(chunks),
+      }).formData();
+      received.push({ headers: req.headers, body });
+      res.writeHead(upstreamStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(upstreamStatus === 200 ? { ok: true, next: '/thanks' } : { errors: [{ field: 'email', message: 'bad email' }] }));
+    });
+    upstreamUrl = await listen(upstream);
+    await startRelay();
+  });
+
+  afterEach(async () => {
+    await close(relay);
+    await close(upstream);
+    vi.restoreAllMocks();
+  });
+
+  it('forwards an accepted submission and passes the upstream body through', async () => {
+    const response = await post(form());
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ ok: true, next: '/thanks' });
+    expect(received).toHaveLength(1);
+    expect(received[0].body.get('email')).toBe('jane@example.com');
+    expect(received[0].body.has('_elapsed')).toBe(false);
+    expect(received[0].headers.accept).toBe('application/json');
+  });
+
+  it('parses multipart bodies', async () => {
+    const data = new FormData();
+    form().forEach((value, key) => data.append(key, value));
+
+    const response = await post(data);
+
+    expect(response.status).toBe(200);
+    expect(received).toHaveLength(1);
+  });
+
+  it('passes upstream validation errors through', async () => {
+    upstreamStatus = 422;
+    const response = await post(form());
+
+    expect(response.status).toBe(422);
+    expect((await response.json()).errors[0].field).toBe('email');
+  });
+
+  it('answers a filled honeypot with a fake success and forwards nothing', async () => {
+    const response = await post(form({ _gotcha: 'http://spam.example' }));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ ok: true });
+    expect(received).toHaveLength(0);
+  });
+
+  it('rejects submissions faster than minElapsedMs', async () => {
+    const response = await post(form({ _elapsed: '800' }));
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(/quick/);
+    expect(received).toHaveLength(0);
+  });
+
+  it('allows a missing or empty _elapsed unless required', async () => {
+    const without = form();
+    without.delete('_elapsed');
+    expect((await post(without)).status).toBe(200);
+    expect((await post(form({ _elapsed: '' }))).status).toBe(200);
+
+    await close(relay);
+    await startRelay({ requireElapsed: true });
+    expect((await post(without)).status).toBe(400);
+  });
+
+  it('rejects interaction counts that are all zero or malformed', async () => {
+    expect((await post(form({ _interactions: '{"focus":0,"keys":0,"pointer":0}' }))).status).toBe(400);
+    expect((await post(form({ _interactions: 'null' }))).status).toBe(400);
+    expect((await post(form({ _interactions: '{"focus":2,"keys":40,"pointer":0}' }))).status).toBe(200);
+    expect(received[0].body.has('_interactions')).toBe(false);
+  });
+
+  it('only requires interaction counts when configured to', async () => {
+    await close(relay);
+    await startRelay({ requireInteractions: true });
+    expect((await post(form())).status).toBe(400);
+    expect((await post(form({ _interactions: '{"focus":1}' }))).status).toBe(200);
+  });
+
+  describe('settingsFromEnv', () => {
+    const env = {
+      RELAY_TRANSPORT: 'log',
+      RELAY_REQUIRE_ELAPSED: '1',
+      RELAY_REQUIRE_INTERACTIONS: 'true',
+      RELAY_REQUIRE_POW: '1',
+      RELAY_POW_RESOURCES: 'contact-form, newsletter',
+      RELAY_SECRET: 'shared',
+      RELAY_REDIRECT: 'https://secondsight.example/contact.html?sent=1',
+    };
+
+    it('reads the signal requirements', () => {
+      expect(settingsFromEnv(env)).toMatchObject({
+        requireElapsed: true,
+        requireInteractions: true,
+        requireProofOfWork: true,
+        powResources: ['contact-form', 'newsletter'],
+        secret: 'shared',
+        redirect: 'https://secondsight.example/contact.html?sent=1',
+      });
+      expect(settingsFromEnv({ RELAY_TRANSPORT: 'log' })).not.toHaveProperty('redirect');
+      expect(settingsFromEnv({ RELAY_TRANSPORT: 'log' })).toMatchObject({
+        requireElapsed: false,
+        requireInteractions: false,
+        requireProofOfWork: false,
+        powResources: null,
+        secret: null,
+      });
+      expect(() => settingsFromEnv({})).toThrow(/RELAY_UPSTREAM/);
+    });
+
+    it('rejects a POST without any signals once they are required', async () => {
+      const bare = form();
+      bare.delete('_elapsed');
+
+      await close(relay);
+      await startRelay({ ...settingsFromEnv(env), transport: formspreeTransport(upstreamUrl) });
+
+      const response = await post(bare);
+      expect(response.status).toBe(400);
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  describe('proof of work', () => {
+    const bits = 8;
+
+    beforeEach(async () => {
+      await close(relay);
+      await startRelay({ powBits: bits, powResources: ['contact-form'] });
+    });
+
+    // Mint a stamp on a challenge from the relay, issued at the current time
+    const mint = async (resource = 'contact-form', stampBits = bits) => {
+      const response = await fetch(`${relayUrl}/challenge`);
+      expect(response.headers.get('cache-control')).toBe('no-store');
+      const { timestamp, nonce } = await response.json();
+      return proofOfWork.solve(resource, stampBits, timestamp, nonce);
+    };
+
+    it('accepts a valid stamp once and strips it before forwarding', async () => {
+      const stamp = await mint();
+      time += 5000;
+
+      expect((await post(form({ _pow: stamp }))).status).toBe(200);
+      expect(received[0].body.has('_pow')).toBe(false);
+
+      const replay = await post(form({ _pow: stamp }));
+      expect(replay.status).toBe(400);
+      expect((await replay.json()).error).toMatch(/verify/);
+    });
+
+    it('accepts one stamp per challenge', async () => {
+      const { timestamp, nonce } = await (await fetch(`${relayUrl}/challenge`)).json();
+      const first = await proofOfWork.solve('contact-form', bits, timestamp, nonce);
+      // Keep counting past the first stamp's counter for another one that does the work
+      const prefix = proofOfWork.createPrefix('contact-form', bits, timestamp, nonce);
+      let counter = parseInt(first.slice(prefix.length), 36);
+      let second;
+      do {
+        second = prefix + (++counter).toString(36);
+      } while (proofOfWork.leadingZeroBits(await proofOfWork.hash(second)) < bits);
+      time += 5000;
+
+      expect((await post(form({ _pow: first }))).status).toBe(200);
+      expect((await post(form({ _pow: second }))).status).toBe(400);
+    });
+
+    it('rejects stamps that are expired, for another form or not worked for', async () => {
+      const old = await mint();
+      time += config.antiSpam.maxAgeMs - 5000;
+      const other = await mint('newsletter');
+      const weak = await mint('contact-form', 1);
+      time += 5001;
+
+      for (const stamp of [old, other, weak, 'garbage']) {
+        expect((await post(form({ _pow: stamp }))).status).toBe(400);
+      }
+      expect(received).toHaveLength(0);
+    });
+
+    it('rejects stamps minted on a timestamp the relay did not issue', async () => {
+      const { timestamp, nonce } = await (await fetch(`${relayUrl}/challenge`)).json();
+      const backdated = await proofOfWork.solve('contact-form', bits, timestamp - 60000, nonce);
+      const unsigned = await proofOfWork.solve('contact-form', bits, time - 60000);
+
+      for (const stamp of [backdated, unsigned]) {
+        const response = await post(form({ _pow: stamp }));
+        expect(response.status).toBe(400);
+        expect((await response.json()).error).toMatch(/verify/);
+      }
+    });
+
+    it('accepts challenges signed with the same secret by another relay', async () => {
+      await close(relay);
+      await startRelay({ powBits: bits, secret: 'shared' });
+      const stamp = await mint();
+
+      await close(relay);
+      await startRelay({ powBits: bits, secret: 'shared' });
+      time += 5000;
+      expect((await post(form({ _pow: stamp }))).status).toBe(200);
+    });
+
+    it('times the submission from when its challenge was issued, not the client\'s _elapsed', async () => {
+      const stamp = await mint();
+      time += 1000;
+      const tooFast = await post(form({ _pow: stamp, _elapsed: '60000' }));
+      expect(tooFast.status).toBe(400);
+      expect((await tooFast.json()).error).toMatch(/quick/);
+
+      // Still unspent, so it works once it is old enough
+      time += config.antiSpam.minElapsedMs;
+      expect((await post(form({ _pow: stamp, _elapsed: '10' }))).status).toBe(200);
+    });
+
+    it('only requires a stamp when configured to', async () => {
+      expect((await post(form({ _pow: '' }))).status).toBe(200);
+
+      await close(relay);
+      await startRelay({ powBits: bits, requireProofOfWork: true });
+      expect((await post(form({ _pow: '' }))).status).toBe(400);
+    });
+  });
+
+  it('limits submissions per IP address with the shared window', async () => {
+    const { maxSubmissions, windowMs } = config.rateLimit;
+    for (let i = 0; i < maxSubmissions; i++) {
+      expect((await post(form({ email: `person${i}@example.com` }))).status).toBe(200);
+    }
+
+    const limited = await post(form({ email: 'another@example.com' }));
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBe(windowMs / 1000);
+    expect((await limited.json()).error).toMatch(/Too many/);
+    expect(received).toHaveLength(maxSubmissions);
+
+    time += windowMs + 1;
+    expect((await post(form())).status).toBe(200);
+  });
+
+  it('limits submissions per email address across IPs', async () => {
+    await close(relay);
+    await startRelay({ trustProxy: true });
+    const from = (ip) => ({ 'X-Forwarded-For': `10.0.0.1, ${ip}` });
+
+    for (let i = 0; i < config.rateLimit.maxSubmissions; i++) {
+      await post(form({ email: 'Jane@Example.com' }), from(`203.0.113.${i}`));
+    }
+
+    expect((await post(form(), from('198.51.100.7'))).status).toBe(429);
+    expect((await post(form({ email: 'other@example.com' }), from('198.51.100.7'))).status).toBe(200);
+  });
+
+  it('takes the client IP from the trusted proxy, not the client-supplied part of X-Forwarded-For', async () => {
+    await close(relay);
+    await startRelay({ trustProxy: 2 });
+    // The client made up the first address; two proxies appended theirs
+    const from = (spoofed) => ({ 'X-Forwarded-For': `${spoofed}, 203.0.113.9, 10.0.0.1` });
+
+    for (let i = 0; i < config.rateLimit.maxSubmissions; i++) {
+      await post(form({ email: `person${i}@example.com` }), from(`198.51.100.${i}`));
+    }
+    expect((await post(form({ email: 'new@example.com' }), from('198.51.100.99'))).status).toBe(429);
+  });
+
+  it('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+    for (let i = 0; i < config.rateLimit.maxSubmissions; i++) {
+      await post(form({ email: `person${i}@example.com` }), { 'X-Forwarded-For': `203.0.113.${i}` });
+    }
+    expect((await post(form({ email: 'new@example.com' }), { 'X-Forwarded-For': '198.51.100.7' })).status).toBe(429);
+  });
+
+  it('redirects plain form posts and answers errors in text', async () => {
+    const accepted = await post(form(), { Accept: 'text/html' });
+    expect(accepted.status).toBe(303);
+    expect(accepted.headers.get('location')).toBe('/contact.html?sent=1');
+
+    const tooFast = await post(form({ _elapsed: '10' }), { Accept: 'text/html' });
+    expect(tooFast.status).toBe(400);
+    expect(tooFast.headers.get('content-type')).toContain('text/plain');
+  });
+
+  it('returns 502 when the upstream is unreachable', async () => {
+    await close(relay);
+    await startRelay({ transport: formspreeTransport('http://127.0.0.1:1/') });
+
+    const response = await post(form());
+    expect(response.status).toBe(502);
+  });
+
+  it('rejects oversized bodies', async () => {
+    await close(relay);
+    await startRelay({ maxBodyBytes: 64 });
+
+    expect((await post(form({ details: 'x'.repeat(200) }))).status).toBe(413);
+  });
+
+  it('sets CORS headers for allowed origins only', async () => {
+    await close(relay);
+    await startRelay({ allowedOrigins: ['https://secondsight.example'] });
+
+    const preflight = await fetch(`${relayUrl}/`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://secondsight.example' },
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-origin')).toBe('https://secondsight.example');
+
+    const other = await post(form(), { Origin: 'https://evil.example' });
+    expect(other.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  it('serves a health check and rejects other methods', async () => {
+    expect((await fetch(`${relayUrl}/health`)).status).toBe(200);
+    expect((await fetch(`${relayUrl}/`)).status).toBe(405);
+  });
+
+  it('can log submissions instead of forwarding them', async () => {
+    const log = vi.fn();
+    const data = new FormData();
+    data.append('deliverables[]', 'photos');
+    data.append('deliverables[]', 'video');
+
+    const result = await logTransport(log).send(data);
+
+    expect(result).toEqual({ status: 200, body: { ok: true } });
+    expect(log).toHaveBeenCalledWith(expect.any(String), { 'deliverables[]': ['photos', 'video'] });
+  });
+
+  it('logs attached files by name and size', async () => {
+    const log = vi.fn();
+    const data = new FormData();
+    data.append('attachment', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'site-plan.pdf');
+
+    await logTransport(log).send(data);
+
+    expect(log).toHaveBeenCalledWith(expect.any(String), { attachment: 'site-plan.pdf (8 bytes)' });
+  });
+});
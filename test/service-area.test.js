@@ -0,0 +1,262 @@
+/**
+ * Unit tests for service-area.js module
+ * Tests gazetteer lookup, distance and fee tiers, and the autocomplete combobox
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { serviceArea } from '../assets/js/modules/service-area.js';
+import { gazetteer } from '../assets/js/data/gazetteer.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Service Area Module', () => {
+  let dom;
+  let document;
+  let input;
+
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+  };
+
+  const press = (key) => {
+    const event = new dom.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    input.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <label for="location">Job Location</label>
+            <input type="text" id="location" name="location" required>
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    input = document.getElementById('location');
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  describe('distanceMiles', () => {
+    it('returns zero for the same point', () => {
+      expect(serviceArea.distanceMiles(config.serviceArea.base, config.serviceArea.base)).toBe(0);
+    });
+
+    it('matches known straight-line distances', () => {
+      const austin = { lat: 30.2672, lon: -97.7431 };
+      const waco = { lat: 31.5493, lon: -97.1467 };
+      expect(serviceArea.distanceMiles(austin, waco)).toBeCloseTo(95, 0);
+    });
+  });
+
+  describe('getTier', () => {
+    it('returns the first tier covering the distance', () => {
+      expect(serviceArea.getTier(0).fee).toBe(0);
+      expect(serviceArea.getTier(30).fee).toBe(0);
+      expect(serviceArea.getTier(31).fee).toBe(50);
+    });
+
+    it('returns null beyond the last tier', () => {
+      const tiers = config.serviceArea.feeTiers;
+      expect(serviceArea.getTier(tiers[tiers.length - 1].maxMiles + 1)).toBeNull();
+    });
+  });
+
+  describe('lookup', () => {
+    it('matches names case-insensitively and ignores a state suffix', () => {
+      expect(serviceArea.lookup('  round rock, TX ').name).toBe('Round Rock');
+      expect(serviceArea.lookup('SAN MARCOS, Texas').name).toBe('San Marcos');
+    });
+
+    it('prefers a city over a county of the same name', () => {
+      expect(serviceArea.lookup('Bastrop').type).toBe('city');
+      expect(serviceArea.lookup('Bastrop County').type).toBe('county');
+    });
+
+    it('matches a county without the "County" suffix', () => {
+      expect(serviceArea.lookup('travis').name).toBe('Travis County');
+    });
+
+    it('returns null for unknown places', () => {
+      expect(serviceArea.lookup('Amarillo')).toBeNull();
+      expect(serviceArea.lookup('')).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    it('ranks names starting with the query first', () => {
+      const names = serviceArea.search('bu').map(place => place.name);
+      expect(names.slice(0, 3)).toEqual(['Buda', 'Burleson County', 'Burnet']);
+    });
+
+    it('matches later words in a name', () => {
+      expect(serviceArea.search('falls').map(place => place.name)).toContain('Marble Falls');
+    });
+
+    it('limits results and ignores short queries', () => {
+      expect(serviceArea.search('a').length).toBe(0);
+      expect(serviceArea.search('an').length).toBeLessThanOrEqual(config.serviceArea.maxSuggestions);
+    });
+  });
+
+  describe('check', () => {
+    it('reports in-area places with their fee', () => {
+      expect(serviceArea.check('Austin')).toMatchObject({ status: 'in-area', miles: 0, fee: 0 });
+      expect(serviceArea.check('Killeen')).toMatchObject({ status: 'in-area', fee: 50 });
+    });
+
+    it('reports places beyond the last tier as out of area', () => {
+      vi.spyOn(serviceArea, 'getTier').mockReturnValue(null);
+      expect(serviceArea.check('Waco').status).toBe('out-of-area');
+    });
+
+    it('reports empty and unknown values', () => {
+      expect(serviceArea.check('  ').status).toBe('empty');
+      expect(serviceArea.check('Amarillo').status).toBe('unknown');
+    });
+  });
+
+  describe('formatResult', () => {
+    it('fills in place, miles and fee', () => {
+      const result = serviceArea.check('Killeen');
+      expect(serviceArea.formatResult(result))
+        .toBe(`Killeen is about ${result.miles} miles from our base — travel fee $50.`);
+      expect(serviceArea.formatResult(serviceArea.check('Austin')))
+        .toBe('Austin is about 0 miles from our base — no travel fee.');
+    });
+
+    it('returns an empty string for empty values', () => {
+      expect(serviceArea.formatResult(serviceArea.check(''))).toBe('');
+    });
+
+    it('uses every place in the gazetteer without throwing', () => {
+      gazetteer.forEach(place => {
+        expect(serviceArea.formatResult(serviceArea.check(place.name))).toContain(place.name);
+      });
+    });
+  });
+
+  describe('combobox', () => {
+    beforeEach(() => {
+      serviceArea.init();
+    });
+
+    it('adds combobox semantics and the result region', () => {
+      expect(input.getAttribute('role')).toBe('combobox');
+      expect(input.getAttribute('aria-controls')).toBe('location-suggestions');
+      expect(input.getAttribute('aria-describedby')).toBe('location-service-area');
+      expect(document.getElementById('location-service-area').getAttribute('aria-live')).toBe('polite');
+    });
+
+    it('shows suggestions while typing', () => {
+      type('ced');
+      const listbox = document.getElementById('location-suggestions');
+
+      expect(listbox.hidden).toBe(false);
+      expect(input.getAttribute('aria-expanded')).toBe('true');
+      expect(listbox.querySelector('[role="option"]').textContent).toBe('Cedar Park (Williamson County)');
+    });
+
+    it('moves through suggestions with arrow keys and selects with Enter', () => {
+      type('ced');
+      press('ArrowDown');
+
+      expect(input.getAttribute('aria-activedescendant')).toBe('location-suggestions-0');
+
+      const event = press('Enter');
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(input.value).toBe('Cedar Park');
+      expect(document.getElementById('location-suggestions').hidden).toBe(true);
+      expect(document.getElementById('location-service-area').textContent).toContain('Cedar Park is about');
+    });
+
+    it('wraps arrow navigation', () => {
+      type('ced');
+      press('ArrowUp');
+      const last = serviceArea.suggestions.length - 1;
+      expect(input.getAttribute('aria-activedescendant')).toBe(`location-suggestions-${last}`);
+    });
+
+    it('leaves Enter alone without an active suggestion', () => {
+      type('ced');
+      expect(press('Enter').defaultPrevented).toBe(false);
+    });
+
+    it('closes on Escape and reopens on ArrowDown', () => {
+      type('ced');
+      press('Escape');
+      expect(document.getElementById('location-suggestions').hidden).toBe(true);
+
+      press('ArrowDown');
+      expect(document.getElementById('location-suggestions').hidden).toBe(false);
+    });
+
+    it('selects a clicked suggestion', () => {
+      type('kil');
+      document.querySelector('#location-suggestions [role="option"]').click();
+      expect(input.value).toBe('Killeen');
+    });
+
+    it('hides the list once the value is an exact match', () => {
+      type('Killeen');
+      expect(document.getElementById('location-suggestions').hidden).toBe(true);
+    });
+
+    it('reports unknown places only after the value is committed', () => {
+      const result = document.getElementById('location-service-area');
+      type('Amarillo');
+      expect(result.textContent).toBe('');
+
+      input.dispatchEvent(new dom.window.Event('change'));
+      expect(result.textContent).toBe('We don’t have that place on our list yet. We’ll confirm coverage when we reply.');
+      expect(result.classList.contains('service-area-warning')).toBe(true);
+    });
+
+    it('re-renders a shown result when the language changes', () => {
+      const result = document.getElementById('location-service-area');
+      type('Austin');
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+      i18n.locale = 'en';
+
+      expect(result.textContent).toBe('Austin está a unas 0 millas de nuestra base: sin cargo por desplazamiento.');
+    });
+
+    it('warns without blocking for out-of-area places', () => {
+      vi.spyOn(serviceArea, 'getTier').mockReturnValue(null);
+      type('Waco');
+
+      const result = document.getElementById('location-service-area');
+      expect(result.dataset.status).toBe('out-of-area');
+      expect(result.classList.contains('service-area-warning')).toBe(true);
+      expect(input.hasAttribute('aria-invalid')).toBe(false);
+    });
+  });
+
+  it('shows the result for a restored value on init', () => {
+    input.value = 'Temple';
+    serviceArea.init();
+    expect(document.getElementById('location-service-area').textContent).toContain('Temple is about');
+  });
+
+  it('does nothing without a location field', () => {
+    input.remove();
+    serviceArea.init();
+    expect(document.getElementById('location-suggestions')).toBeNull();
+  });
+});
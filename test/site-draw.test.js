@@ -0,0 +1,328 @@
+/**
+ * Unit tests for site-draw.js module
+ * Tests drawing with the pointer and keyboard, the live measurements and the GeoJSON output
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { siteDraw } from '../assets/js/modules/site-draw.js';
+import { boundary } from '../assets/js/modules/boundary.js';
+import { i18n } from '../assets/js/modules/i18n.js';
+import { config } from '../assets/js/modules/config.js';
+
+describe('Site Draw Module', () => {
+  let dom;
+  let document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <select id="property-size" name="property_size">
+              <option value="">Select a size</option>
+              <option value="under-1-acre">Under 1 acre</option>
+              <option value="1-10-acres">1–10 acres</option>
+              <option value="10-50-acres">10–50 acres</option>
+            </select>
+            <div class="site-draw" data-site-draw data-site-draw-output="boundary-geojson"
+                 data-site-draw-acres="drawing-acres" data-site-draw-centroid="drawing-centroid"
+                 data-site-draw-size="property-size" data-site-draw-center="30.5, -98" hidden>
+            </div>
+            <input type="text" id="location" name="location">
+            <input type="hidden" id="drawing-acres" name="drawing_acres">
+            <input type="hidden" id="drawing-centroid" name="drawing_centroid">
+            <input type="hidden" id="boundary-acres" name="boundary_acres" value="12.5">
+            <input type="hidden" id="boundary-geojson" name="boundary_geojson">
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/contact.html' });
+    document = dom.window.document;
+    vi.stubGlobal('document', document);
+    vi.stubGlobal('Event', dom.window.Event);
+    i18n.locale = 'en';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  const container = () => document.querySelector('[data-site-draw]');
+  const canvas = () => document.querySelector('.site-draw-canvas');
+  const corners = () => Array.from(document.querySelectorAll('.site-draw-corner'));
+
+  // The canvas is drawn at its natural size, so client pixels are SVG units
+  const init = () => {
+    siteDraw.init();
+    canvas().getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 400 });
+  };
+
+  const pointer = (type, target, x, y) => {
+    target.dispatchEvent(new dom.window.MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+  };
+
+  const click = (x, y) => {
+    pointer('pointerdown', canvas(), x, y);
+    pointer('pointerup', canvas(), x, y);
+  };
+
+  const press = (target, key, options = {}) => {
+    target.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+  };
+
+  // 200 m square: 100 units at 2 m per unit
+  const drawSquare = () => {
+    click(100, 100);
+    click(200, 100);
+    click(200, 200);
+    click(100, 200);
+  };
+
+  describe('getBounds', () => {
+    it('centers a square grid of the configured span on the given point', () => {
+      const bounds = siteDraw.getBounds(container());
+      const half = config.siteDraw.spanMeters / 2 / 111320;
+
+      expect(bounds.north).toBeCloseTo(30.5 + half, 9);
+      expect(bounds.south).toBeCloseTo(30.5 - half, 9);
+      expect((bounds.east + bounds.west) / 2).toBeCloseTo(-98, 9);
+      expect(bounds.east - bounds.west).toBeGreaterThan(bounds.north - bounds.south);
+    });
+
+    it('uses explicit bounds, falling back to the service area for bad values', () => {
+      container().dataset.siteDrawBounds = '-98.01, 30.49, -97.99, 30.51';
+      expect(siteDraw.getBounds(container())).toEqual({ west: -98.01, south: 30.49, east: -97.99, north: 30.51 });
+
+      container().dataset.siteDrawBounds = '-97.99, 30.49, -98.01, 30.51';
+      delete container().dataset.siteDrawCenter;
+      const bounds = siteDraw.getBounds(container());
+      expect((bounds.north + bounds.south) / 2).toBeCloseTo(config.serviceArea.base.lat, 9);
+    });
+  });
+
+  describe('getSpan', () => {
+    it('sizes the grid for the chosen property size', () => {
+      const size = document.getElementById('property-size');
+      expect(siteDraw.getSpan(container())).toBe(config.siteDraw.spanMeters);
+
+      size.value = '10-50-acres';
+      expect(siteDraw.getSpan(container())).toBeCloseTo(Math.sqrt(50 * 4046.8564224) * config.siteDraw.spanFactor, 6);
+
+      size.value = 'under-1-acre';
+      expect(siteDraw.getSpan(container())).toBe(config.siteDraw.minSpanMeters);
+    });
+  });
+
+  describe('toGeoJson', () => {
+    it('closes the ring and rounds to the configured precision', () => {
+      const feature = siteDraw.toGeoJson([[-98.123456789, 30.5], [-98, 30.6], [-97.9, 30.5]]);
+
+      expect(feature.type).toBe('Feature');
+      expect(feature.geometry.type).toBe('Polygon');
+      const [ring] = feature.geometry.coordinates;
+      expect(ring).toHaveLength(4);
+      expect(ring[3]).toEqual(ring[0]);
+      expect(ring[0][0]).toBe(Number((-98.123456789).toFixed(config.boundary.precision)));
+    });
+  });
+
+  describe('drawing tool', () => {
+    it('builds an accessible canvas and shows the container', () => {
+      init();
+
+      expect(container().hidden).toBe(false);
+      expect(canvas().getAttribute('viewBox')).toBe('0 0 400 400');
+      expect(canvas().getAttribute('tabindex')).toBe('0');
+      expect(canvas().getAttribute('aria-label')).toBe('Site drawing');
+      expect(document.getElementById(canvas().getAttribute('aria-describedby')).textContent)
+        .toContain('press Enter to add a corner');
+      expect(document.querySelector('.site-draw-status').textContent).toBe('Add 3 more corners to measure your site');
+      expect(document.querySelector('.site-draw-undo').disabled).toBe(true);
+      expect(document.querySelectorAll('.site-draw-grid line').length).toBeGreaterThan(0);
+    });
+
+    it('adds corners on click and measures the shape', () => {
+      init();
+      const change = vi.fn();
+      document.getElementById('boundary-geojson').addEventListener('change', change);
+
+      click(100, 100);
+      click(200, 100);
+      expect(document.querySelector('.site-draw-status').textContent).toBe('Add 1 more corner to measure your site');
+      expect(document.getElementById('boundary-geojson').value).toBe('');
+
+      click(200, 200);
+      click(100, 200);
+
+      const ring = siteDraw.getRing(container());
+      const acres = Math.round(boundary.area([[ring]]) * 10) / 10;
+      expect(acres).toBeCloseTo(9.9, 1);
+      expect(document.querySelector('.site-draw-status').textContent).toBe(`${acres} acres, 2,625 ft around`);
+      expect(document.getElementById('drawing-acres').value).toBe(String(acres));
+      expect(document.getElementById('drawing-centroid').value)
+        .toBe(boundary.formatCentroid(boundary.centroid([[ring]])));
+      expect(document.getElementById('property-size').value).toBe('1-10-acres');
+
+      const geojson = JSON.parse(document.getElementById('boundary-geojson').value);
+      expect(geojson.geometry.coordinates[0]).toHaveLength(5);
+      expect(geojson.geometry.coordinates[0][0]).toEqual(siteDraw.toGeoJson(ring).geometry.coordinates[0][0]);
+      expect(change).toHaveBeenCalled();
+    });
+
+    it('moves a corner by dragging it', () => {
+      init();
+      drawSquare();
+
+      pointer('pointerdown', corners()[2], 200, 200);
+      pointer('pointermove', canvas(), 300, 300);
+      pointer('pointerup', canvas(), 300, 300);
+      pointer('pointermove', canvas(), 50, 50);
+
+      expect(corners()).toHaveLength(4);
+      expect(corners()[2].getAttribute('cx')).toBe('300');
+      expect(corners()[2].getAttribute('cy')).toBe('300');
+      expect(document.querySelector('.site-draw-shape').getAttribute('points'))
+        .toBe('100,100 200,100 300,300 100,200');
+    });
+
+    it('keeps corners inside the canvas and ignores unsized canvases', () => {
+      init();
+      click(-50, 500);
+      expect(corners()[0].getAttribute('cx')).toBe('0');
+      expect(corners()[0].getAttribute('cy')).toBe('400');
+
+      canvas().getBoundingClientRect = () => ({ left: 0, top: 0, width: 0, height: 0 });
+      click(100, 100);
+      expect(corners()).toHaveLength(1);
+    });
+
+    it('draws with the keyboard', () => {
+      init();
+      const svg = canvas();
+      svg.focus();
+
+      press(svg, 'Enter');
+      press(svg, 'ArrowRight', { shiftKey: true });
+      press(svg, ' ');
+      press(svg, 'ArrowDown');
+      press(svg, 'Enter');
+
+      const { keyStep, keyStepLarge } = config.siteDraw;
+      expect(document.querySelector('.site-draw-shape').getAttribute('points'))
+        .toBe(`200,200 ${200 + keyStepLarge},200 ${200 + keyStepLarge},${200 + keyStep}`);
+      expect(document.querySelector('.site-draw-position').textContent).toMatch(/^Crosshair at 30\.\d+, -97\.\d+$/);
+      expect(document.getElementById('drawing-acres').value).not.toBe('');
+    });
+
+    it('moves and removes a focused corner with the keyboard', () => {
+      init();
+      drawSquare();
+
+      corners()[1].focus();
+      press(corners()[1], 'ArrowUp');
+      expect(corners()[1].getAttribute('cy')).toBe(String(100 - config.siteDraw.keyStep));
+      expect(document.activeElement).toBe(corners()[1]);
+      expect(corners()[1].getAttribute('aria-label')).toMatch(/^Corner 2 of 4 at 30\.\d+, -98\.\d+$/);
+
+      press(corners()[1], 'Delete');
+      expect(corners()).toHaveLength(3);
+      expect(document.activeElement).toBe(canvas());
+
+      press(corners()[0], 'Backspace');
+      expect(corners()).toHaveLength(2);
+      expect(document.getElementById('boundary-geojson').value).toBe('');
+      expect(document.getElementById('drawing-acres').value).toBe('');
+    });
+
+    it('undoes, clears and resets with the form', () => {
+      init();
+      drawSquare();
+
+      document.querySelector('.site-draw-undo').click();
+      expect(corners()).toHaveLength(3);
+      expect(document.getElementById('boundary-geojson').value).not.toBe('');
+
+      document.querySelector('.site-draw-clear').click();
+      expect(corners()).toHaveLength(0);
+      expect(document.getElementById('boundary-geojson').value).toBe('');
+      expect(document.getElementById('drawing-centroid').value).toBe('');
+
+      // An uploaded boundary's fields are left alone
+      expect(document.getElementById('boundary-acres').value).toBe('12.5');
+
+      drawSquare();
+      document.querySelector('form').reset();
+      expect(corners()).toHaveLength(0);
+      expect(document.querySelector('.site-draw-clear').disabled).toBe(true);
+    });
+
+    it('only writes coordinates once the canvas is placed at the job location', () => {
+      delete container().dataset.siteDrawCenter;
+      container().dataset.siteDrawLocation = 'location';
+      init();
+      drawSquare();
+
+      expect(document.getElementById('drawing-acres').value).not.toBe('');
+      expect(document.getElementById('boundary-geojson').value).toBe('');
+      expect(document.getElementById('drawing-centroid').value).toBe('');
+      expect(document.querySelector('.site-draw-label')).toBeNull();
+
+      const location = document.getElementById('location');
+      location.value = '31.1, -97.3';
+      location.dispatchEvent(new dom.window.Event('change'));
+
+      const centroid = boundary.centroid([[siteDraw.getRing(container())]]);
+      expect(centroid.lat).toBeCloseTo(31.1 + 50 * 2 / 111320, 4);
+      expect(document.getElementById('drawing-centroid').value).toBe(boundary.formatCentroid(centroid));
+      expect(JSON.parse(document.getElementById('boundary-geojson').value).geometry.type).toBe('Polygon');
+      expect(document.querySelectorAll('.site-draw-label')).toHaveLength(2);
+
+      location.value = 'Somewhere unknown';
+      location.dispatchEvent(new dom.window.Event('change'));
+      expect(document.getElementById('drawing-centroid').value).toBe('');
+      expect(document.getElementById('drawing-acres').value).not.toBe('');
+    });
+
+    it('resizes the empty grid when the property size changes', () => {
+      init();
+      const size = document.getElementById('property-size');
+      const width = () => siteDraw.getBounds(container()).east - siteDraw.getBounds(container()).west;
+      const before = width();
+
+      size.value = '10-50-acres';
+      size.dispatchEvent(new dom.window.Event('change'));
+      expect(width() / before).toBeCloseTo(siteDraw.getSpan(container()) / config.siteDraw.spanMeters, 6);
+
+      // Once drawn on, the grid keeps its scale so the shape keeps its size
+      drawSquare();
+      const drawn = width();
+      size.value = 'under-1-acre';
+      size.dispatchEvent(new dom.window.Event('change'));
+      expect(width()).toBe(drawn);
+    });
+
+    it('places a basemap image only when its bounds are known', () => {
+      container().dataset.siteDrawImage = '/assets/images/site.jpg';
+      container().dataset.siteDrawBounds = '-98.01, 30.49, -97.99, 30.51';
+      init();
+
+      const image = canvas().querySelector('image');
+      expect(image.getAttribute('href')).toBe('/assets/images/site.jpg');
+      expect(Number(canvas().getAttribute('viewBox').split(' ')[3])).toBeGreaterThan(400);
+    });
+
+    it('updates its text when the language changes', () => {
+      init();
+      drawSquare();
+
+      i18n.locale = 'es';
+      document.dispatchEvent(new dom.window.CustomEvent('i18n:change'));
+
+      expect(document.querySelector('.site-draw-undo').textContent).not.toBe('Undo last corner');
+      expect(document.querySelector('.site-draw-status').textContent).toMatch(/acres/);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// @vitest-environment node
+/**
+ * Unit tests for the airspace refresh script (scripts/update-airspace.js)
+ * Tests the FAA query, feature normalization, merging with the airport rings and
+ * serialization on a small fixture, so a refresh can be checked without the network
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  buildQueryUrl,
+  normalizeFeature,
+  mergeAirspace,
+  serialize,
+} from '../scripts/update-airspace.js';
+import { airspace } from '../assets/js/modules/airspace.js';
+
+// Square around a point, as an FAA surface area would outline it
+const square = (lon, lat, size = 0.05) => [[
+  [lon - size, lat - size],
+  [lon + size, lat - size],
+  [lon + size, lat + size],
+  [lon - size, lat + size],
+  [lon - size, lat - size],
+]];
+
+// What a page of the FAA Class Airspace layer looks like
+const download = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { IDENT: 'GTU ', NAME: 'Georgetown Executive', CLASS: 'd', LOWER_VAL: 0 },
+      geometry: { type: 'Polygon', coordinates: square(-97.679412, 30.678833) },
+    },
+    {
+      type: 'Feature',
+      properties: { ident: 'AUS', name: 'Austin-Bergstrom International', class: 'C', lower_val: '0' },
+      geometry: { type: 'MultiPolygon', coordinates: [square(-97.669912, 30.194523, 0.08)] },
+    },
+    {
+      // Class C outer shelf, starting at 1,800 ft
+      type: 'Feature',
+      properties: { IDENT: 'AUS', NAME: 'Austin-Bergstrom International', CLASS: 'C', LOWER_VAL: 1800 },
+      geometry: { type: 'Polygon', coordinates: square(-97.6699, 30.1945, 0.15) },
+    },
+    {
+      type: 'Feature',
+      properties: { IDENT: 'EDC', NAME: 'Austin Executive', CLASS: 'D', LOWER_VAL: 0 },
+      geometry: { type: 'Polygon', coordinates: square(-97.5664, 30.3975) },
+    },
+    {
+      type: 'Feature',
+      properties: { IDENT: 'XYZ', NAME: 'Somewhere', CLASS: 'E', LOWER_VAL: 0 },
+      geometry: { type: 'Polygon', coordinates: square(-98, 30) },
+    },
+    {
+      type: 'Feature',
+      properties: { IDENT: 'PT', NAME: 'Point', CLASS: 'D', LOWER_VAL: 0 },
+      geometry: { type: 'Point', coordinates: [-97, 30] },
+    },
+  ],
+};
+
+// The bundled file: approximate controlled circles plus hand-edited airport rings
+const current = {
+  type: 'FeatureCollection',
+  metadata: { updated: '2026-01-01', source: 'Approximate' },
+  features: [
+    {
+      type: 'Feature',
+      properties: { ident: 'AUS', name: 'Austin-Bergstrom International', class: 'C', radiusMiles: 5.75 },
+      geometry: { type: 'Point', coordinates: [-97.6699, 30.1945] },
+    },
+    {
+      type: 'Feature',
+      properties: { ident: 'BMQ', name: 'Burnet Municipal', class: 'airport', radiusMiles: 5 },
+      geometry: { type: 'Point', coordinates: [-98.2386, 30.7389] },
+    },
+    {
+      type: 'Feature',
+      properties: { ident: 'AQO', name: 'Llano Municipal', class: 'airport', radiusMiles: '3.5' },
+      geometry: { type: 'Point', coordinates: [-98.6604, 30.7837] },
+    },
+    {
+      type: 'Feature',
+      properties: { ident: 'LZZ', name: 'Lampasas', class: 'airport' },
+      geometry: { type: 'Point', coordinates: [-98.1958, 31.1062] },
+    },
+  ],
+};
+
+const idents = (collection) => collection.features.map(feature => feature.properties.ident);
+
+describe('Update Airspace Script', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('buildQueryUrl', () => {
+    it('asks for Class B/C/D surface data in the Central Texas box as GeoJSON', () => {
+      const url = new URL(buildQueryUrl(2000));
+
+      expect(url.searchParams.get('where')).toBe("CLASS IN ('B','C','D')");
+      expect(url.searchParams.get('geometry')).toBe('-99.6,29.2,-96,32');
+      expect(url.searchParams.get('outFields')).toBe('IDENT,NAME,CLASS,LOWER_VAL');
+      expect(url.searchParams.get('resultOffset')).toBe('2000');
+      expect(url.searchParams.get('f')).toBe('geojson');
+    });
+  });
+
+  describe('normalizeFeature', () => {
+    it('keeps the identifier, name and upper-case class and rounds coordinates', () => {
+      const feature = normalizeFeature(download.features[0]);
+
+      expect(feature.properties).toEqual({ ident: 'GTU', name: 'Georgetown Executive', class: 'D' });
+      expect(feature.geometry.type).toBe('Polygon');
+      expect(feature.geometry.coordinates[0][0]).toEqual([-97.72941, 30.62883]);
+    });
+
+    it('reads lower-case field names and multipolygons', () => {
+      const feature = normalizeFeature(download.features[1]);
+
+      expect(feature.properties.class).toBe('C');
+      expect(feature.geometry.type).toBe('MultiPolygon');
+      expect(feature.geometry.coordinates[0][0][0]).toEqual([-97.74991, 30.11452]);
+    });
+
+    it('drops shelves above the surface, other classes and non-area geometry', () => {
+      expect(download.features.slice(2).map(normalizeFeature)).toEqual([
+        null,
+        expect.objectContaining({ properties: expect.objectContaining({ ident: 'EDC' }) }),
+        null,
+        null,
+      ]);
+    });
+  });
+
+  describe('mergeAirspace', () => {
+    const controlled = download.features.map(normalizeFeature).filter(Boolean);
+
+    it('replaces controlled airspace and keeps the airport rings after it', () => {
+      vi.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+      const merged = mergeAirspace(current, controlled, 'FAA Class Airspace (fixture)');
+
+      expect(merged.metadata).toEqual({ updated: '2026-10-18', source: 'FAA Class Airspace (fixture)' });
+      expect(idents(merged)).toEqual(['AUS', 'EDC', 'GTU', 'BMQ', 'AQO', 'LZZ']);
+      expect(merged.features.filter(feature => feature.geometry.type === 'Point'))
+        .toHaveLength(3);
+    });
+
+    it('orders controlled airspace the same however the FAA returns it', () => {
+      const forward = mergeAirspace(current, controlled, 'FAA');
+      const backward = mergeAirspace(current, [...controlled].reverse(), 'FAA');
+
+      expect(idents(backward)).toEqual(idents(forward));
+    });
+
+    it('gives airport rings a numeric radius, defaulting to 5 miles', () => {
+      const merged = mergeAirspace(current, controlled, 'FAA');
+      const radii = merged.features
+        .filter(feature => feature.properties.class === 'airport')
+        .map(feature => feature.properties.radiusMiles);
+
+      expect(radii).toEqual([5, 3.5, 5]);
+      expect(current.features[2].properties.radiusMiles).toBe('3.5');
+    });
+  });
+
+  describe('serialize', () => {
+    it('writes one feature per line and reads back unchanged', () => {
+      vi.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+      const merged = mergeAirspace(current, download.features.map(normalizeFeature).filter(Boolean), 'FAA');
+      const text = serialize(merged);
+      const lines = text.split('\n');
+
+      expect(JSON.parse(text)).toEqual(merged);
+      expect(lines[0]).toBe('{');
+      expect(lines[2]).toBe('  "metadata": {"updated":"2026-10-18","source":"FAA"},');
+      expect(lines.filter(line => line.startsWith('    {"type":"Feature"'))).toHaveLength(merged.features.length);
+      expect(text.endsWith('}\n')).toBe(true);
+      expect(serialize(JSON.parse(text))).toBe(text);
+    });
+
+    it('produces data the advisory can check', () => {
+      const merged = mergeAirspace(current, download.features.map(normalizeFeature).filter(Boolean), 'FAA');
+      const refreshed = JSON.parse(serialize(merged));
+
+      expect(airspace.check({ lat: 30.6788, lon: -97.6794 }, refreshed).level).toBe('controlled');
+      expect(airspace.check({ lat: 30.7389, lon: -98.2386 }, refreshed).level).toBe('airport');
+      // Inside the old 5.75-mile circle around AUS, but outside the fixture's surface area
+      const east = { lat: 30.1945, lon: -97.5849 };
+      expect(airspace.check(east, current).level).toBe('controlled');
+      expect(airspace.check(east, refreshed).level).toBe('clear');
+    });
+  });
+});
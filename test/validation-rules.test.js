@@ -0,0 +1,445 @@
+/**
+ * Unit tests for validation-rules.js module
+ * Tests rule parsing, rule collection, and field validation
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { validationRules } from '../assets/js/modules/validation-rules.js';
+import { en } from '../assets/js/i18n/en.js';
+
+describe('Validation Rules Module', () => {
+  let dom;
+  let document;
+
+  beforeEach(() => {
+    dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form name="contact-form">
+            <input type="text" name="name" required>
+            <input type="email" name="email" required>
+            <input type="tel" name="phone">
+            <input type="text" name="location" required>
+            <textarea name="details" required></textarea>
+          </form>
+          <form id="other-form">
+            <input type="text" name="nickname" data-validate="name|maxlength:10">
+            <input type="text" name="zip" data-validate="pattern:\\d{5}">
+            <input type="text" name="code" data-validate="shout">
+          </form>
+        </body>
+      </html>
+    `, { url: 'http://localhost' });
+    document = dom.window.document;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    delete validationRules.rules.shout;
+  });
+
+  describe('parse', () => {
+    it('parses rule names and params', () => {
+      expect(validationRules.parse('name|minlength:2|maxlength:100')).toEqual([
+        { name: 'name', param: null },
+        { name: 'minlength', param: '2' },
+        { name: 'maxlength', param: '100' },
+      ]);
+    });
+
+    it('keeps colons after the first one in params', () => {
+      expect(validationRules.parse('pattern:\\d{2}:\\d{2}')).toEqual([
+        { name: 'pattern', param: '\\d{2}:\\d{2}' },
+      ]);
+    });
+
+    it('accepts an array of rule strings', () => {
+      expect(validationRules.parse(['pattern:a|b', 'required'])).toEqual([
+        { name: 'pattern', param: 'a|b' },
+        { name: 'required', param: null },
+      ]);
+    });
+
+    it('ignores empty segments and whitespace', () => {
+      expect(validationRules.parse(' required || email ')).toEqual([
+        { name: 'required', param: null },
+        { name: 'email', param: null },
+      ]);
+    });
+
+    it('returns empty array for empty spec', () => {
+      expect(validationRules.parse('')).toEqual([]);
+      expect(validationRules.parse(null)).toEqual([]);
+    });
+  });
+
+  describe('getRules', () => {
+    it('derives rules from native attributes', () => {
+      const field = document.querySelector('input[name="email"]');
+      const names = validationRules.getRules(field).map(rule => rule.name);
+      expect(names).toEqual(['required', 'email']);
+    });
+
+    it('adds phone rule for tel inputs', () => {
+      const field = document.querySelector('input[name="phone"]');
+      const names = validationRules.getRules(field).map(rule => rule.name);
+      expect(names).toContain('phone');
+    });
+
+    it('merges rules from the form schema in config', () => {
+      const field = document.querySelector('input[name="location"]');
+      expect(validationRules.getRules(field)).toEqual([
+        { name: 'required', param: null },
+        { name: 'minlength', param: '2' },
+        { name: 'maxlength', param: '100' },
+      ]);
+    });
+
+    it('reads rules from data-validate', () => {
+      const field = document.querySelector('input[name="nickname"]');
+      expect(validationRules.getRules(field)).toEqual([
+        { name: 'name', param: null },
+        { name: 'maxlength', param: '10' },
+      ]);
+    });
+
+    it('lets data-validate override schema params', () => {
+      const field = document.querySelector('input[name="location"]');
+      field.setAttribute('data-validate', 'minlength:5');
+      const minlength = validationRules.getRules(field).find(rule => rule.name === 'minlength');
+      expect(minlength.param).toBe('5');
+    });
+  });
+
+  describe('validate', () => {
+    it('fails empty required fields with the required message', () => {
+      const field = document.querySelector('input[name="name"]');
+      const result = validationRules.validate(field);
+      expect(result.valid).toBe(false);
+      expect(result.rule).toBe('required');
+      expect(result.message).toBe(en.validation.required);
+    });
+
+    it('skips rules on empty optional fields', () => {
+      const field = document.querySelector('input[name="phone"]');
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('uses isValidName for the name rule', () => {
+      const field = document.querySelector('input[name="name"]');
+      field.value = 'John123';
+      const result = validationRules.validate(field);
+      expect(result.rule).toBe('name');
+      expect(result.message).toBe(en.validation.invalidName);
+    });
+
+    it('uses isValidPhoneStrict for the contact form phone', () => {
+      const field = document.querySelector('input[name="phone"]');
+      field.value = '+0 555 123 4567';
+      expect(validationRules.validate(field).rule).toBe('phoneStrict');
+
+      field.value = '(555) 123-4567';
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('rejects strict phone numbers that are too short to dial', () => {
+      const field = document.querySelector('input[name="phone"]');
+      ['(555) 123-4', '(555) 123-456', '+1 (555) 123'].forEach(value => {
+        field.value = value;
+        expect(validationRules.validate(field).rule).toBe('phoneStrict');
+      });
+
+      field.value = '+44 20 7946 0958';
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('enforces minlength and maxlength', () => {
+      const field = document.querySelector('input[name="location"]');
+      field.value = 'X';
+      expect(validationRules.validate(field).message).toBe('Please enter at least 2 characters');
+
+      field.value = 'x'.repeat(101);
+      expect(validationRules.validate(field).message).toBe('Please keep this to 100 characters or fewer');
+
+      field.value = 'Burnet County';
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('validates radio groups by their checked value', () => {
+      const form = document.querySelector('form[name="contact-form"]');
+      form.insertAdjacentHTML('beforeend', `
+        <input type="radio" name="service" value="mapping" required>
+        <input type="radio" name="service" value="events">
+      `);
+      const [first, second] = form.querySelectorAll('input[name="service"]');
+
+      expect(validationRules.validate(first).rule).toBe('required');
+
+      second.checked = true;
+      expect(validationRules.getValue(first)).toBe('events');
+      expect(validationRules.validate(first).valid).toBe(true);
+    });
+
+    it('joins checked checkbox values in a group', () => {
+      const form = document.querySelector('form[name="contact-form"]');
+      form.insertAdjacentHTML('beforeend', `
+        <input type="checkbox" name="deliverables[]" value="photo" data-validate="required">
+        <input type="checkbox" name="deliverables[]" value="video">
+        <input type="checkbox" name="deliverables[]" value="3d-model">
+      `);
+      const boxes = form.querySelectorAll('input[type="checkbox"]');
+
+      expect(validationRules.validate(boxes[0]).valid).toBe(false);
+
+      boxes[1].checked = true;
+      boxes[2].checked = true;
+      expect(validationRules.getValue(boxes[0])).toBe('video, 3d-model');
+      expect(validationRules.validate(boxes[0]).valid).toBe(true);
+    });
+
+    it('matches the whole value for pattern rules', () => {
+      const field = document.querySelector('input[name="zip"]');
+      field.value = '78701';
+      expect(validationRules.validate(field).valid).toBe(true);
+
+      field.value = '787012';
+      const result = validationRules.validate(field);
+      expect(result.rule).toBe('pattern');
+      expect(result.message).toBe(en.validation.invalidFormat);
+    });
+
+    it('warns once and skips pattern rules that do not compile', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const field = document.querySelector('input[name="zip"]');
+      field.setAttribute('data-validate', 'pattern:[0-9');
+      field.value = '78701';
+
+      expect(validationRules.validate(field).valid).toBe(true);
+      expect(validationRules.validate(field).valid).toBe(true);
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy).toHaveBeenCalledWith('Invalid validation pattern "[0-9"');
+    });
+
+    it('warns and skips unknown rules', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const field = document.querySelector('input[name="code"]');
+      field.value = 'anything';
+
+      expect(validationRules.validate(field).valid).toBe(true);
+      expect(warnSpy).toHaveBeenCalledWith('Unknown validation rule "shout"');
+    });
+  });
+
+  describe('register', () => {
+    it('adds custom rules usable from data-validate', () => {
+      validationRules.register('shout', (value) => value === value.toUpperCase(), 'Use capitals');
+      const field = document.querySelector('input[name="code"]');
+
+      field.value = 'quiet';
+      expect(validationRules.validate(field)).toEqual({
+        valid: false,
+        rule: 'shout',
+        message: 'Use capitals',
+      });
+
+      field.value = 'LOUD';
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('passes the param and field to the rule', () => {
+      const test = vi.fn(() => true);
+      validationRules.register('shout', test, 'Use capitals');
+      const field = document.querySelector('input[name="code"]');
+      field.setAttribute('data-validate', 'shout:3');
+      field.value = 'LOUD';
+
+      validationRules.validate(field);
+
+      expect(test).toHaveBeenCalledWith('LOUD', '3', field);
+    });
+  });
+
+  describe('file rules', () => {
+    let field;
+
+    const attach = (...files) => {
+      Object.defineProperty(field, 'files', { value: files, configurable: true });
+    };
+    const file = (name, type, size = 10) => new dom.window.File(['x'.repeat(size)], name, { type });
+
+    beforeEach(() => {
+      field = document.createElement('input');
+      field.type = 'file';
+      field.name = 'attachment';
+      field.multiple = true;
+      document.forms[0].append(field);
+    });
+
+    it('adds the file rules to file inputs', () => {
+      expect(validationRules.getRules(field).map(rule => rule.name))
+        .toEqual(['fileType', 'fileSize', 'totalSize', 'maxFiles']);
+    });
+
+    it('leaves unnamed file inputs alone, since they are not submitted', () => {
+      field.removeAttribute('name');
+      attach(new dom.window.File(['x'], 'boundary.geojson'));
+
+      expect(validationRules.getRules(field)).toEqual([]);
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('validates file names as the value', () => {
+      attach(file('plan.pdf', 'application/pdf'), file('site.kml', ''));
+      expect(validationRules.getValue(field)).toBe('plan.pdf, site.kml');
+      expect(validationRules.validate(field).valid).toBe(true);
+    });
+
+    it('rejects extensions outside the allowlist', () => {
+      attach(file('notes.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'));
+      const result = validationRules.validate(field);
+
+      expect(result.rule).toBe('fileType');
+      expect(result.message).toBe('notes.docx isn’t a supported file. Please attach PDF, JPG, JPEG, PNG, KML, KMZ.');
+    });
+
+    it('rejects a type that contradicts the extension', () => {
+      expect(validationRules.isAllowedFile(file('photo.jpg', 'text/html'))).toBe(false);
+      expect(validationRules.isAllowedFile(file('area.kmz', 'application/octet-stream'))).toBe(true);
+      expect(validationRules.isAllowedFile(file('PHOTO.JPG', 'image/jpeg'))).toBe(true);
+      expect(validationRules.isAllowedFile(file('README', ''))).toBe(false);
+    });
+
+    it('takes allowed extensions from the rule param', () => {
+      field.setAttribute('data-validate', 'fileType:.pdf');
+      attach(file('photo.png', 'image/png'));
+
+      expect(validationRules.validate(field).message).toContain('Please attach PDF.');
+    });
+
+    it('limits the size of each file', () => {
+      field.setAttribute('data-validate', 'fileSize:0.001');
+      attach(file('small.png', 'image/png', 100), file('big.png', 'image/png', 2000));
+
+      const result = validationRules.validate(field);
+      expect(result.rule).toBe('fileSize');
+      expect(result.message).toBe('big.png is too large. Files can be up to 1 kB.');
+    });
+
+    it('limits the combined size', () => {
+      field.setAttribute('data-validate', 'totalSize:0.002');
+      attach(file('a.png', 'image/png', 1500), file('b.png', 'image/png', 1500));
+
+      const result = validationRules.validate(field);
+      expect(result.rule).toBe('totalSize');
+      expect(result.message).toBe('Your attachments add up to more than 2 kB. Please remove some.');
+    });
+
+    it('limits the number of files', () => {
+      field.setAttribute('data-validate', 'maxFiles:1');
+      attach(file('a.pdf', 'application/pdf'), file('b.pdf', 'application/pdf'));
+
+      expect(validationRules.validate(field).message).toBe('Please attach no more than 1 file');
+    });
+
+    it('treats an empty required file input as missing', () => {
+      field.required = true;
+      attach();
+      expect(validationRules.validate(field).rule).toBe('required');
+    });
+  });
+
+  describe('formatSize', () => {
+    it('uses kilobytes below a megabyte', () => {
+      expect(validationRules.formatSize(1536)).toBe('1.5 kB');
+      expect(validationRules.formatSize(10 * 1024 * 1024)).toBe('10 MB');
+    });
+  });
+
+  describe('async rules', () => {
+    it('are skipped by synchronous validate', () => {
+      const test = vi.fn(async () => false);
+      validationRules.registerAsync('shout', test, 'Use capitals');
+      const field = document.querySelector('input[name="code"]');
+      field.value = 'quiet';
+
+      expect(validationRules.validate(field).valid).toBe(true);
+      expect(test).not.toHaveBeenCalled();
+    });
+
+    it('are detected by hasAsyncRules', () => {
+      validationRules.registerAsync('shout', async () => true, 'Use capitals');
+      expect(validationRules.hasAsyncRules(document.querySelector('input[name="code"]'))).toBe(true);
+      expect(validationRules.hasAsyncRules(document.querySelector('input[name="zip"]'))).toBe(false);
+    });
+
+    it('run through validateAsync with the abort signal', async () => {
+      const test = vi.fn(async (value) => value === value.toUpperCase());
+      validationRules.registerAsync('shout', test, 'Use capitals');
+      const field = document.querySelector('input[name="code"]');
+      const controller = new AbortController();
+
+      field.value = 'quiet';
+      await expect(validationRules.validateAsync(field, controller.signal)).resolves.toEqual({
+        valid: false,
+        rule: 'shout',
+        message: 'Use capitals',
+      });
+      expect(test).toHaveBeenCalledWith('quiet', null, field, controller.signal);
+
+      field.value = 'LOUD';
+      await expect(validationRules.validateAsync(field)).resolves.toMatchObject({ valid: true });
+    });
+
+    it('reject when the signal aborts during a check', async () => {
+      const controller = new AbortController();
+      validationRules.registerAsync('shout', async () => {
+        controller.abort();
+        return true;
+      }, 'Use capitals');
+      const field = document.querySelector('input[name="code"]');
+      field.value = 'LOUD';
+
+      await expect(validationRules.validateAsync(field, controller.signal)).rejects.toThrow();
+    });
+
+    it('skip empty fields', async () => {
+      const test = vi.fn(async () => false);
+      validationRules.registerAsync('shout', test, 'Use capitals');
+
+      const result = await validationRules.validateAsync(document.querySelector('input[name="code"]'));
+
+      expect(result.valid).toBe(true);
+      expect(test).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remote rule', () => {
+    it('queries the endpoint and reads the valid flag', async () => {
+      const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ valid: false }) }));
+      vi.stubGlobal('fetch', fetchMock);
+      const field = document.querySelector('input[name="zip"]');
+      field.setAttribute('data-validate', 'remote:/api/service-area?type=zip');
+      field.value = '78701';
+
+      const result = await validationRules.validateAsync(field);
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        '/api/service-area?type=zip&value=78701',
+        expect.objectContaining({ headers: { Accept: 'application/json' } })
+      );
+      expect(result.message).toBe(en.validation.remoteInvalid);
+    });
+
+    it('rejects on HTTP errors', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 500 })));
+      const field = document.querySelector('input[name="zip"]');
+      field.setAttribute('data-validate', 'remote:/api/check');
+      field.value = '78701';
+
+      await expect(validationRules.validateAsync(field)).rejects.toThrow('500');
+    });
+  });
+});